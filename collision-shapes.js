@@ -0,0 +1,119 @@
+// Collision Shapes
+// Floating letters collide as a few circles that follow their outline: a hand-drawn
+// glyph's from its alpha mask, a serif letter's from its text metrics. A tall "l" is a
+// stack of small circles, an "o" one round one. Circles are in units of the letter's
+// size (its em), centred on the point the letter is drawn around, so one shape fits a
+// letter at any size; physics.js rotates them with the letter.
+//
+// Shape: [{ x, y, r }, ...]
+
+export const SHAPE_CONFIG = {
+    maxCircles: 3,
+    alphaThreshold: 64, // Mask pixels at least this opaque are part of the glyph
+    minSliceCoverage: 0.02, // Share of the glyph's pixels a slice needs to get a circle
+    tightness: 0.85 // Circles a bit smaller than what they cover feel more natural
+};
+
+// Letters without a shape: one circle, as they always were
+export const DEFAULT_SHAPE = [{ x: 0, y: 0, r: 0.4 }];
+
+/**
+ * Split a box into slices along its longer side, about as long as it is wide
+ * @returns {Object[]} - { x, y, width, height }
+ */
+function sliceBox({ x, y, width, height }, maxSlices) {
+    const vertical = height > width;
+    const length = vertical ? height : width;
+    const thickness = vertical ? width : height;
+    const count = Math.max(1, Math.min(maxSlices, Math.round(length / Math.max(thickness, 1e-6))));
+    const step = length / count;
+
+    return Array.from({ length: count }, (_, i) => (vertical ?
+        { x: x, y: y + i * step, width: width, height: step } :
+        { x: x + i * step, y: y, width: step, height: height }));
+}
+
+function circleForBox({ x, y, width, height }) {
+    return {
+        x: x + width / 2,
+        y: y + height / 2,
+        r: Math.max(width, height) / 2 * SHAPE_CONFIG.tightness
+    };
+}
+
+/**
+ * Circles covering a box, e.g. a serif letter's bounds from measureText()
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {number} [maxCircles]
+ * @returns {Object[]} - Shape in the box's units
+ */
+export function boxToCircles(box, maxCircles = SHAPE_CONFIG.maxCircles) {
+    return sliceBox(box, maxCircles).map(circleForBox);
+}
+
+/**
+ * Circles covering the opaque part of a glyph mask
+ * @param {Uint8ClampedArray} rgba - ImageData.data of the glyph as drawn
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [maxCircles]
+ * @returns {Object[]|null} - Shape in mask pixels, null if the mask is empty
+ */
+export function getMaskCircles(rgba, width, height, maxCircles = SHAPE_CONFIG.maxCircles) {
+    const opaque = i => rgba[i * 4 + 3] >= SHAPE_CONFIG.alphaThreshold;
+
+    const boundsOf = (x0, y0, x1, y1) => {
+        let left = Infinity;
+        let top = Infinity;
+        let right = -Infinity;
+        let bottom = -Infinity;
+        let count = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                if (!opaque(y * width + x)) continue;
+                count++;
+                left = Math.min(left, x);
+                right = Math.max(right, x + 1);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y + 1);
+            }
+        }
+        return { x: left, y: top, width: right - left, height: bottom - top, count: count };
+    };
+
+    const glyph = boundsOf(0, 0, width, height);
+    if (glyph.count === 0) return null;
+
+    // Each slice gets a circle around the glyph's pixels inside it
+    return sliceBox(glyph, maxCircles)
+        .map(slice => boundsOf(
+            Math.floor(slice.x), Math.floor(slice.y),
+            Math.ceil(slice.x + slice.width), Math.ceil(slice.y + slice.height)))
+        .filter(part => part.count >= glyph.count * SHAPE_CONFIG.minSliceCoverage)
+        .map(circleForBox);
+}
+
+/**
+ * Move and scale a shape, e.g. from mask pixels to em units around the letter's centre
+ * @param {Object[]} shape
+ * @param {number} offsetX - Added after scaling
+ * @param {number} offsetY
+ * @param {number} scale
+ * @returns {Object[]}
+ */
+export function transformShape(shape, offsetX, offsetY, scale) {
+    return shape.map(circle => ({
+        x: circle.x * scale + offsetX,
+        y: circle.y * scale + offsetY,
+        r: circle.r * scale
+    }));
+}
+
+/**
+ * How far a shape reaches from its centre
+ * @param {Object[]} shape
+ * @returns {number} - In the shape's units
+ */
+export function getShapeRadius(shape) {
+    return shape.reduce((radius, circle) => Math.max(radius, Math.hypot(circle.x, circle.y) + circle.r), 0);
+}
@@ -74,7 +74,8 @@ try {
         console.log('   - Or Firestore rules are blocking reads\n');
     } else {
         console.log('✅ SUCCESS: Found glyph for "A"!');
-        console.log('   Data length:', result.length, 'characters');
+        console.log('   Data length:', result.imageData.length, 'characters');
+        console.log('   Stroke data:', result.strokes ? `${result.strokes.strokes.length} strokes` : 'none (PNG only)');
         console.log('   Cross-user glyph sharing is working! ✅\n');
     }
 } catch (error) {
@@ -3,7 +3,8 @@
 // Get these from: Firebase Console > Project Settings > Your apps > Web app
 
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
 
 // Firebase configuration from Firebase Console
 const firebaseConfig = {
@@ -18,6 +19,35 @@ const firebaseConfig = {
 
 let app = null;
 let db = null;
+let auth = null; // Anonymous auth, so security rules can tie writes to a user
+
+/**
+ * Local emulator address, if one should be used
+ * Node (tests, scripts): FIRESTORE_EMULATOR_HOST=localhost:8080, FIREBASE_AUTH_EMULATOR_HOST=localhost:9099
+ * Browser: ?emulator=localhost:8080 (or ?emulator for the default ports)
+ * @param {string} envVar - Environment variable naming the emulator
+ * @param {number} defaultPort
+ * @returns {{host: string, port: number}|null}
+ */
+function getEmulatorAddress(envVar, defaultPort) {
+    let address = null;
+
+    if (typeof process !== 'undefined' && process.env && process.env[envVar]) {
+        address = process.env[envVar];
+    } else if (typeof window !== 'undefined' && window.location) {
+        const param = new URLSearchParams(window.location.search).get('emulator');
+        if (param !== null) {
+            // ?emulator=host:port names the Firestore emulator; auth runs on the same host
+            const host = param ? param.split(':')[0] : 'localhost';
+            address = envVar === 'FIRESTORE_EMULATOR_HOST' && param ? param : `${host}:${defaultPort}`;
+        }
+    }
+
+    if (!address) return null;
+
+    const [host, port] = address.split(':');
+    return { host: host, port: parseInt(port, 10) || defaultPort };
+}
 
 try {
     // Check if Firebase is configured
@@ -34,6 +64,20 @@ try {
         // Initialize Firebase with real config
         app = initializeApp(firebaseConfig);
         db = getFirestore(app);
+        auth = getAuth(app);
+
+        const firestoreEmulator = getEmulatorAddress('FIRESTORE_EMULATOR_HOST', 8080);
+        if (firestoreEmulator) {
+            connectFirestoreEmulator(db, firestoreEmulator.host, firestoreEmulator.port);
+            console.log(`🧪 Using Firestore emulator at ${firestoreEmulator.host}:${firestoreEmulator.port}`);
+        }
+
+        const authEmulator = getEmulatorAddress('FIREBASE_AUTH_EMULATOR_HOST', 9099);
+        if (authEmulator) {
+            connectAuthEmulator(auth, `http://${authEmulator.host}:${authEmulator.port}`, { disableWarnings: true });
+            console.log(`🧪 Using Auth emulator at ${authEmulator.host}:${authEmulator.port}`);
+        }
+
         console.log('✅ Firebase initialized successfully');
         console.log('Cross-user glyph sharing is enabled.');
     }
@@ -42,4 +86,4 @@ try {
     console.warn('App will continue in local-only mode (no cross-user sharing)');
 }
 
-export { db };
+export { db, auth };
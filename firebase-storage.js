@@ -1,44 +1,47 @@
 // Firebase Storage Service for Lettering Data
-import { db } from './firebase-config.js';
-import {
-    collection,
-    doc,
-    setDoc,
-    getDoc,
-    getDocs,
-    query,
-    where,
-    serverTimestamp,
-    addDoc
-} from 'firebase/firestore';
-
-// Collection names
-const GLOBAL_GLYPHS_COLLECTION = 'globalGlyphs';
-const USER_GLYPHS_COLLECTION = 'userGlyphs';
+// Saves and loads glyphs through the configured storage adapter
+// (Firestore, IndexedDB, localStorage or memory; see storage-adapter.js).
+import { GLYPH_STATUS, getUserId, getStorageAdapter } from './storage-adapter.js';
+import { isValidStrokeData } from './glyph-strokes.js';
+import { isValidGlyphMetrics } from './glyph-normalize.js';
+
+export { GLYPH_STATUS, getUserId };
 
 /**
- * Generate or retrieve user ID from localStorage
+ * Identify the user (anonymous sign-in on Firestore)
+ * @returns {Promise<string>} - The user ID
  */
-export function getUserId() {
-    const USER_ID_KEY = 'absurde_user_id';
-    let userId = localStorage.getItem(USER_ID_KEY);
-
-    if (!userId) {
-        // Generate UUID-like ID
-        userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        localStorage.setItem(USER_ID_KEY, userId);
-    }
+export async function ensureSignedIn() {
+    const adapter = await getStorageAdapter();
+    return adapter.signIn();
+}
 
-    return userId;
+/**
+ * User ID for reads
+ * Reads don't need auth, so a failed sign-in falls back to the stored ID
+ * instead of hiding the user's glyphs.
+ */
+async function getReaderId(adapter) {
+    try {
+        return await adapter.signIn();
+    } catch (error) {
+        console.warn('Sign-in failed - reading as stored user:', error);
+        return getUserId();
+    }
 }
 
 /**
- * Save a user's lettering to Firebase
+ * Save a user's lettering to the glyph pool
  * @param {string} char - The character being lettered
- * @param {string} imageData - Base64 PNG data from canvas.toDataURL()
+ * @param {string} imageData - Base64 image data (normalized WebP, or PNG from older clients)
+ * @param {Object|null} [strokes] - Vector stroke data (see glyph-strokes.js)
+ * @param {Object|null} [metrics] - Baseline, x-height and advance of the normalized
+ *     image (see glyph-normalize.js)
+ * @param {string|null} [glyphId] - ID to save under; retrying with the same ID never
+ *     creates a second glyph (see save-outbox.js)
  * @returns {Promise<string>} - The created glyph ID
  */
-export async function saveLettering(char, imageData) {
+export async function saveLettering(char, imageData, strokes = null, metrics = null, glyphId = null) {
     // Validate inputs
     if (!char || typeof char !== 'string' || char.length === 0) {
         throw new Error('Invalid character: must be a non-empty string');
@@ -48,55 +51,47 @@ export async function saveLettering(char, imageData) {
         throw new Error('Invalid imageData: must be a data URL string');
     }
 
-    const userId = getUserId();
+    if (strokes !== null && !isValidStrokeData(strokes)) {
+        throw new Error('Invalid strokes: must be stroke data from glyph-strokes.js');
+    }
 
-    // Check if Firebase is available
-    if (!db) {
-        console.warn('Firebase not configured - saving to localStorage only');
-        // Save to localStorage as fallback
-        const localKey = `local_glyph_${userId}_${char}`;
-        try {
-            localStorage.setItem(localKey, imageData);
-            console.log(`Saved "${char}" to localStorage with key: ${localKey}`);
-            return localKey;
-        } catch (storageError) {
-            // localStorage might be full or disabled
-            console.error('Failed to save to localStorage:', storageError);
-            throw new Error('Failed to save: localStorage not available');
-        }
+    if (metrics !== null && !isValidGlyphMetrics(metrics)) {
+        throw new Error('Invalid metrics: must be glyph metrics from glyph-normalize.js');
     }
 
+    const adapter = await getStorageAdapter();
+
     try {
-        // 1. Add to globalGlyphs collection
-        const glyphRef = await addDoc(collection(db, GLOBAL_GLYPHS_COLLECTION), {
+        // Security rules require sourceUserId to be the writer's uid
+        const userId = await adapter.signIn();
+
+        // 1. Add to the glyph pool
+        const savedId = await adapter.addGlyph({
+            id: glyphId || undefined,
             char: char,
             imageData: imageData,
-            createdAt: serverTimestamp(),
+            strokes: strokes,
+            metrics: metrics,
             sourceUserId: userId
         });
+        console.log(`Saved glyph for "${char}" with ID: ${savedId} (${adapter.name})`);
 
-        const glyphId = glyphRef.id;
-        console.log(`Saved glyph for "${char}" with ID: ${glyphId}`);
+        // 2. Update the user's mapping
+        await adapter.setCharMapEntry(userId, char, savedId);
+        console.log(`Updated user mapping for "${char}" → ${savedId}`);
 
-        // 2. Update userGlyphs mapping
-        const userGlyphRef = doc(db, USER_GLYPHS_COLLECTION, userId);
-
-        // Use set with merge to preserve existing mappings
-        await setDoc(userGlyphRef, {
-            [`charMap.${char}`]: glyphId
-        }, { merge: true });
-
-        console.log(`Updated user mapping for "${char}" → ${glyphId}`);
-
-        return glyphId;
+        return savedId;
     } catch (error) {
-        console.error('Error saving lettering to Firebase:', error);
+        console.error(`Error saving lettering to ${adapter.name}:`, error);
 
-        // Provide more specific error messages
+        // Provide more specific error messages (keeping the code, so callers can tell
+        // connectivity problems from rejected saves)
         if (error.code === 'permission-denied') {
-            throw new Error('Permission denied: Please check Firestore security rules');
+            throw Object.assign(new Error('Permission denied: Please check Firestore security rules'), { code: error.code });
         } else if (error.code === 'unavailable') {
-            throw new Error('Firestore unavailable: Please check your internet connection');
+            throw Object.assign(new Error('Firestore unavailable: Please check your internet connection'), { code: error.code });
+        } else if (error.name === 'QuotaExceededError') {
+            throw new Error('Failed to save: browser storage is full');
         } else {
             throw error;
         }
@@ -104,63 +99,60 @@ export async function saveLettering(char, imageData) {
 }
 
 /**
- * Load all letterings for the current user (for interaction mode)
- * @returns {Promise<Object>} - Object mapping characters to image data URLs
+ * Fetch the glyphs a charMap points to
+ * @returns {Promise<Object>} - { char: Glyph }, skipping glyphs that no longer exist
  */
-export async function loadLetteringsForInteraction() {
-    const userId = getUserId();
-    const letteringImages = {};
+async function loadCharMapGlyphs(adapter, charMap) {
+    const glyphs = {};
 
-    // If Firebase not available, try localStorage fallback
-    if (!db) {
-        console.warn('Firebase not configured - checking localStorage for saved letterings');
-
-        // Load from localStorage
-        const charMap = {};
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(`local_glyph_${userId}_`)) {
-                const char = key.replace(`local_glyph_${userId}_`, '');
-                const imageData = localStorage.getItem(key);
-                if (imageData) {
-                    letteringImages[char] = {
-                        imageData: imageData,
-                        source: 'user'
-                    };
-                    charMap[char] = key; // Use localStorage key as "glyphId"
-                }
+    await Promise.all(Object.entries(charMap).map(async ([char, glyphId]) => {
+        try {
+            const glyph = await adapter.getGlyph(glyphId);
+            if (glyph) {
+                glyphs[char] = glyph;
             }
+        } catch (error) {
+            console.error(`Error loading user glyph for "${char}":`, error);
         }
+    }));
 
-        console.log(`Loaded ${Object.keys(letteringImages).length} letterings from localStorage`);
-        return { letteringImages, charMap };
-    }
+    return glyphs;
+}
+
+/**
+ * Load all letterings for the current user (for interaction mode)
+ * @returns {Promise<Object>} - { letteringImages: { char: { glyphId, imageData, strokes, metrics, source } }, charMap }
+ */
+export async function loadLetteringsForInteraction() {
+    const letteringImages = {};
 
     try {
-        // 1. Get user's own mappings
-        const userGlyphRef = doc(db, USER_GLYPHS_COLLECTION, userId);
-        const userDoc = await getDoc(userGlyphRef);
+        const adapter = await getStorageAdapter();
+        const userId = await getReaderId(adapter);
 
-        const charMap = userDoc.exists() ? (userDoc.data().charMap || {}) : {};
+        // 1. Get user's own mappings
+        const charMap = await adapter.getCharMap(userId);
 
         // 2. For each character in charMap, fetch the glyph
-        const userGlyphPromises = Object.entries(charMap).map(async ([char, glyphId]) => {
-            try {
-                const glyphDoc = await getDoc(doc(db, GLOBAL_GLYPHS_COLLECTION, glyphId));
-                if (glyphDoc.exists()) {
-                    letteringImages[char] = {
-                        imageData: glyphDoc.data().imageData,
-                        source: 'user'
-                    };
-                }
-            } catch (error) {
-                console.error(`Error loading user glyph for "${char}":`, error);
+        const glyphs = await loadCharMapGlyphs(adapter, charMap);
+
+        for (const [char, glyph] of Object.entries(glyphs)) {
+            // Hidden glyphs are withdrawn from everyone, including their author
+            if (glyph.status === GLYPH_STATUS.HIDDEN) {
+                console.log(`User glyph for "${char}" was hidden by a moderator`);
+                continue;
             }
-        });
 
-        await Promise.all(userGlyphPromises);
+            letteringImages[char] = {
+                glyphId: glyph.id,
+                imageData: glyph.imageData,
+                strokes: glyph.strokes,
+                metrics: glyph.metrics,
+                source: 'user'
+            };
+        }
 
-        console.log(`Loaded ${Object.keys(letteringImages).length} user letterings`);
+        console.log(`Loaded ${Object.keys(letteringImages).length} user letterings from ${adapter.name}`);
         return { letteringImages, charMap };
     } catch (error) {
         console.error('Error loading user letterings:', error);
@@ -169,41 +161,26 @@ export async function loadLetteringsForInteraction() {
 }
 
 /**
- * Get a random glyph from the global pool for a specific character
+ * Get a random approved glyph from the global pool for a specific character
  * @param {string} char - The character to find
- * @returns {Promise<string|null>} - Base64 image data or null if none found
+ * @returns {Promise<Object|null>} - { glyphId, imageData, strokes, metrics } or null if none found
  */
 export async function getRandomGlobalGlyph(char) {
-    // If Firebase not available, return null
-    if (!db) {
-        console.warn(`Cannot query global glyphs: Firebase not configured. Character "${char}" will use serif fallback.`);
-        return null;
-    }
-
     try {
-        const q = query(
-            collection(db, GLOBAL_GLYPHS_COLLECTION),
-            where('char', '==', char)
-        );
-
-        const querySnapshot = await getDocs(q);
+        const adapter = await getStorageAdapter();
+        const glyph = await adapter.pickRandomGlyph(char);
 
-        if (querySnapshot.empty) {
-            console.log(`No global glyphs found for "${char}"`);
+        if (!glyph) {
+            console.log(`No approved global glyphs found for "${char}"`);
             return null;
         }
 
-        // Get all matching glyphs
-        const glyphs = [];
-        querySnapshot.forEach((doc) => {
-            glyphs.push(doc.data().imageData);
-        });
-
-        // Randomly select one
-        const randomIndex = Math.floor(Math.random() * glyphs.length);
-        console.log(`Found ${glyphs.length} global glyphs for "${char}", selected index ${randomIndex}`);
-
-        return glyphs[randomIndex];
+        return {
+            glyphId: glyph.id,
+            imageData: glyph.imageData,
+            strokes: glyph.strokes,
+            metrics: glyph.metrics
+        };
     } catch (error) {
         console.error(`Error getting random glyph for "${char}":`, error);
         return null;
@@ -213,11 +190,12 @@ export async function getRandomGlobalGlyph(char) {
 /**
  * Load all letterings for interaction mode with fallback to global pool
  * @param {string[]} requiredChars - Array of characters needed for the sentence
- * @returns {Promise<Object>} - Object mapping characters to image data URLs
+ * @returns {Promise<Object>} - Object mapping characters to { imageData, strokes, metrics, source }
  *
  * Priority:
- * 1. User's own glyph (from userGlyphs.charMap[char])
- * 2. Random global glyph (from globalGlyphs where char matches)
+ * 1. User's own glyph (from userGlyphs.charMap[char]), unless a moderator hid it.
+ *    Pending own glyphs are shown, but only to their author.
+ * 2. Random approved global glyph (from globalGlyphs where char matches)
  * 3. Undefined (will render as default serif in interaction.html)
  */
 export async function loadAllLetteringsForInteraction(requiredChars) {
@@ -265,15 +243,18 @@ export async function loadAllLetteringsForInteraction(requiredChars) {
     if (missingChars.length > 0) {
         const globalPromises = missingChars.map(async (char) => {
             console.log(`  Querying global pool for "${char}"...`);
-            const globalImageData = await getRandomGlobalGlyph(char);
+            const globalGlyph = await getRandomGlobalGlyph(char);
 
             // Only add if a global glyph was found
-            if (globalImageData) {
+            if (globalGlyph) {
                 letteringImages[char] = {
-                    imageData: globalImageData,
+                    glyphId: globalGlyph.glyphId,
+                    imageData: globalGlyph.imageData,
+                    strokes: globalGlyph.strokes,
+                    metrics: globalGlyph.metrics,
                     source: 'global'
                 };
-                console.log(`  ✓ Found global glyph for "${char}" (${globalImageData.substring(0, 50)}...)`);
+                console.log(`  ✓ Found global glyph for "${char}" (${globalGlyph.imageData.substring(0, 50)}...)`);
             } else {
                 console.log(`  ✗ No global glyph for "${char}" - will use serif fallback`);
                 // Explicitly leave letteringImages[char] undefined
@@ -304,60 +285,309 @@ export async function loadAllLetteringsForInteraction(requiredChars) {
 
 /**
  * Load user's own letterings (for lettering mode)
- * @returns {Promise<Object>} - Object mapping characters to image data URLs
+ * @returns {Promise<Object>} - Object mapping characters to { imageData, strokes, metrics }
  */
 export async function loadUserLetterings() {
-    const userId = getUserId();
     const letterings = {};
 
-    // If Firebase not available, try localStorage fallback
-    if (!db) {
-        console.warn('Firebase not configured - checking localStorage for saved letterings');
-
-        // Load from localStorage
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(`local_glyph_${userId}_`)) {
-                const char = key.replace(`local_glyph_${userId}_`, '');
-                const imageData = localStorage.getItem(key);
-                if (imageData) {
-                    letterings[char] = imageData;
-                }
-            }
+    try {
+        const adapter = await getStorageAdapter();
+        const userId = await getReaderId(adapter);
+        const glyphs = await loadCharMapGlyphs(adapter, await adapter.getCharMap(userId));
+
+        for (const [char, glyph] of Object.entries(glyphs)) {
+            letterings[char] = {
+                imageData: glyph.imageData,
+                strokes: glyph.strokes,
+                metrics: glyph.metrics
+            };
         }
 
-        console.log(`Loaded ${Object.keys(letterings).length} user letterings from localStorage`);
+        console.log(`Loaded ${Object.keys(letterings).length} user letterings from ${adapter.name}`);
+        return letterings;
+    } catch (error) {
+        console.error('Error loading user letterings:', error);
         return letterings;
     }
+}
 
-    try {
-        const userGlyphRef = doc(db, USER_GLYPHS_COLLECTION, userId);
-        const userDoc = await getDoc(userGlyphRef);
+// ========================================
+// VERSION HISTORY
+// ========================================
+
+// Newest first; glyphs without a timestamp (old local saves) last
+function compareNewestFirst(a, b) {
+    return (b.createdAt || 0) - (a.createdAt || 0);
+}
 
-        if (!userDoc.exists()) {
-            return letterings;
+/**
+ * List every version of a character the current user has saved
+ * Each save adds a new glyph to the pool; the charMap points at the active one.
+ * @param {string} char - The character
+ * @returns {Promise<{versions: Object[], activeId: string|null}>} - Glyphs, newest first,
+ *     and the ID of the one the user's charMap points to
+ */
+export async function listGlyphVersions(char) {
+    const adapter = await getStorageAdapter();
+    const userId = await getReaderId(adapter);
+    const [versions, charMap] = await Promise.all([
+        adapter.listUserGlyphs(userId, char),
+        adapter.getCharMap(userId)
+    ]);
+    const activeId = charMap[char] || null;
+
+    // Glyphs saved under a user ID from before sign-in aren't found by author,
+    // but the one still in use should be listed
+    if (activeId && !versions.some(glyph => glyph.id === activeId)) {
+        const active = await adapter.getGlyph(activeId);
+        if (active) {
+            versions.push(active);
+            versions.sort(compareNewestFirst);
         }
+    }
 
-        const charMap = userDoc.data().charMap || {};
-
-        // Fetch each glyph
-        const promises = Object.entries(charMap).map(async ([char, glyphId]) => {
-            try {
-                const glyphDoc = await getDoc(doc(db, GLOBAL_GLYPHS_COLLECTION, glyphId));
-                if (glyphDoc.exists()) {
-                    letterings[char] = glyphDoc.data().imageData;
-                }
-            } catch (error) {
-                console.error(`Error loading glyph for "${char}":`, error);
-            }
-        });
+    return { versions, activeId };
+}
+
+/**
+ * Make an earlier version of a character the active one again
+ * @param {string} char - The character
+ * @param {string} glyphId - ID of the version (from listGlyphVersions)
+ * @returns {Promise<Object>} - The now active glyph
+ */
+export async function restoreGlyphVersion(char, glyphId) {
+    const adapter = await getStorageAdapter();
+    const userId = await adapter.signIn();
 
-        await Promise.all(promises);
+    const glyph = await adapter.getGlyph(glyphId);
+    if (!glyph || glyph.char !== char) {
+        throw new Error(`No version ${glyphId} of "${char}"`);
+    }
 
-        console.log(`Loaded ${Object.keys(letterings).length} user letterings from Firebase`);
-        return letterings;
-    } catch (error) {
-        console.error('Error loading user letterings:', error);
-        return letterings;
+    await adapter.setCharMapEntry(userId, char, glyphId);
+    console.log(`Restored "${char}" → ${glyphId}`);
+    return glyph;
+}
+
+/**
+ * Delete a version of a character from the pool
+ * Deleting the active version makes the newest remaining one active.
+ * @param {string} char - The character
+ * @param {string} glyphId - ID of the version (from listGlyphVersions)
+ * @returns {Promise<Object|null>} - The glyph now active for the character, or null
+ *     if no versions are left
+ */
+export async function deleteGlyphVersion(char, glyphId) {
+    const adapter = await getStorageAdapter();
+    const userId = await adapter.signIn();
+
+    // Check first, so a refused delete doesn't leave the charMap repointed
+    const glyph = await adapter.getGlyph(glyphId);
+    if (!glyph || glyph.char !== char) {
+        throw new Error(`No version ${glyphId} of "${char}"`);
+    }
+    if (glyph.sourceUserId !== userId) {
+        throw new Error('Only versions saved while signed in as this user can be deleted');
+    }
+
+    const charMap = await adapter.getCharMap(userId);
+    let activeId = charMap[char] || null;
+
+    if (activeId === glyphId) {
+        const remaining = (await adapter.listUserGlyphs(userId, char)).filter(version => version.id !== glyphId);
+        activeId = remaining.length > 0 ? remaining[0].id : null;
+        if (activeId) {
+            await adapter.setCharMapEntry(userId, char, activeId);
+        } else {
+            await adapter.deleteCharMapEntry(userId, char);
+        }
+    }
+
+    await adapter.deleteGlyph(glyphId);
+    console.log(`Deleted version ${glyphId} of "${char}"`);
+
+    return activeId ? adapter.getGlyph(activeId) : null;
+}
+
+// ========================================
+// GALLERY
+// ========================================
+
+/**
+ * List a page of the public glyph pool, grouped by character
+ * Only approved glyphs are public, and reading them needs no sign-in.
+ * @param {Object} [options]
+ * @param {string|null} [options.char] - Only glyphs for this character
+ * @param {string} [options.order='newest'] - 'newest' or 'oldest' first within each character
+ * @param {number} [options.pageSize=60]
+ * @param {*} [options.cursor] - Cursor returned by the previous page
+ * @returns {Promise<{glyphs: Object[], cursor: *}>} - Glyphs sorted by character, then
+ *     date; cursor is null on the last page
+ */
+export async function listGalleryGlyphs({ char = null, order = 'newest', pageSize = 60, cursor = null } = {}) {
+    const adapter = await getStorageAdapter();
+    return adapter.listGlyphs({
+        status: GLYPH_STATUS.APPROVED,
+        char: char,
+        order: order,
+        groupByChar: true,
+        pageSize: pageSize,
+        cursor: cursor
+    });
+}
+
+/**
+ * Load one glyph of the public pool (for gallery links)
+ * @param {string} glyphId - ID of the glyph
+ * @returns {Promise<Object|null>} - The glyph, or null if it doesn't exist or isn't public
+ */
+export async function loadGalleryGlyph(glyphId) {
+    const adapter = await getStorageAdapter();
+    const glyph = await adapter.getGlyph(glyphId);
+    return glyph && glyph.status === GLYPH_STATUS.APPROVED ? glyph : null;
+}
+
+/**
+ * Whether a viewer may see a glyph outside its author's own pages: once approved,
+ * or their own glyph until a moderator hides it
+ * @param {{status: string, sourceUserId: string}} glyph
+ * @param {string} viewerId
+ * @returns {boolean}
+ */
+export function isShareableGlyph(glyph, viewerId) {
+    return glyph.status === GLYPH_STATUS.APPROVED ||
+        (glyph.sourceUserId === viewerId && glyph.status !== GLYPH_STATUS.HIDDEN);
+}
+
+/**
+ * Load one glyph of a shared composition (see share-link.js)
+ * A link can carry glyphs nobody has reviewed yet; those only load for their author.
+ * @param {string} glyphId - ID of the glyph
+ * @returns {Promise<Object|null>} - The glyph, or null if it doesn't exist or isn't shareable
+ */
+export async function loadSharedGlyph(glyphId) {
+    const adapter = await getStorageAdapter();
+    const viewerId = await getReaderId(adapter);
+    const glyph = await adapter.getGlyph(glyphId);
+    return glyph && isShareableGlyph(glyph, viewerId) ? glyph : null;
+}
+
+// ========================================
+// MODERATION
+// ========================================
+
+/**
+ * Report a glyph from the global pool as offensive or junk
+ * @param {string} glyphId - ID of the glyph
+ * @param {string} [reason] - Optional free-text reason
+ * @returns {Promise<string>} - The created report ID
+ */
+export async function reportGlyph(glyphId, reason = '') {
+    if (!glyphId || typeof glyphId !== 'string') {
+        throw new Error('Invalid glyphId: must be a non-empty string');
     }
+
+    const adapter = await getStorageAdapter();
+    const reporterId = await adapter.signIn();
+
+    const reportId = await adapter.addReport({
+        glyphId: glyphId,
+        reporterId: reporterId,
+        reason: String(reason).slice(0, 500)
+    });
+
+    console.log(`Reported glyph ${glyphId} (report ${reportId})`);
+    return reportId;
+}
+
+/**
+ * Whether the current user may moderate
+ * On Firestore, moderators are listed by uid in the moderators collection,
+ * which is only editable from the Firebase console. Offline backends are
+ * moderated by whoever runs them.
+ * @returns {Promise<boolean>}
+ */
+export async function isModerator() {
+    const adapter = await getStorageAdapter();
+    return adapter.isModerator(await adapter.signIn());
+}
+
+/**
+ * List glyphs for the moderator page, newest first
+ * @param {Object} options
+ * @param {string} options.status - A GLYPH_STATUS value, or 'unreviewed' for
+ *     glyphs saved before moderation existed (no status field)
+ * @param {number} [options.pageSize=50]
+ * @param {*} [options.cursor] - Cursor returned by the previous page
+ * @returns {Promise<{glyphs: Object[], cursor: *}>} - cursor is null on the last page
+ */
+export async function listGlyphsForModeration({ status, pageSize = 50, cursor = null }) {
+    const adapter = await getStorageAdapter();
+    return adapter.listGlyphs({ status, pageSize, cursor });
+}
+
+/**
+ * List glyphs with open reports, most reported first
+ * @returns {Promise<Object[]>} - Glyphs with reportCount and reasons
+ */
+export async function listReportedGlyphs() {
+    const adapter = await getStorageAdapter();
+    const reports = await adapter.listReports();
+
+    // Group reports by glyph
+    const reportsByGlyph = {};
+    reports.forEach(report => {
+        if (!reportsByGlyph[report.glyphId]) {
+            reportsByGlyph[report.glyphId] = { reportCount: 0, reasons: [] };
+        }
+        reportsByGlyph[report.glyphId].reportCount++;
+        if (report.reason) {
+            reportsByGlyph[report.glyphId].reasons.push(report.reason);
+        }
+    });
+
+    const glyphs = await Promise.all(Object.entries(reportsByGlyph).map(async ([glyphId, glyphReports]) => {
+        const glyph = await adapter.getGlyph(glyphId);
+        return glyph ? { ...glyph, ...glyphReports } : null;
+    }));
+
+    return glyphs
+        .filter(glyph => glyph !== null)
+        .sort((a, b) => b.reportCount - a.reportCount);
+}
+
+/**
+ * Approve or hide glyphs in bulk. Any open reports on them are resolved.
+ * @param {string[]} glyphIds - Glyph IDs
+ * @param {string} status - GLYPH_STATUS.APPROVED or GLYPH_STATUS.HIDDEN (or back to PENDING)
+ * @returns {Promise<number>} - Number of glyphs updated
+ */
+export async function setGlyphStatus(glyphIds, status) {
+    if (!Object.values(GLYPH_STATUS).includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+    }
+
+    if (!Array.isArray(glyphIds) || glyphIds.length === 0) {
+        return 0;
+    }
+
+    const adapter = await getStorageAdapter();
+    await adapter.setGlyphStatus(glyphIds, status);
+
+    console.log(`Set ${glyphIds.length} glyphs to "${status}"`);
+    return glyphIds.length;
+}
+
+/**
+ * Give every approved glyph saved before sampling keys existed a key, so random
+ * picks reach it with a single query. A one-off for moderators; running it again
+ * only finds glyphs approved by older clients since.
+ * @returns {Promise<number>} - Number of glyphs given a key
+ */
+export async function backfillSamplingKeys() {
+    const adapter = await getStorageAdapter();
+    const given = await adapter.backfillSamplingKeys();
+
+    console.log(`Gave ${given} older glyphs a sampling key`);
+    return given;
 }
@@ -0,0 +1,322 @@
+// Font Export
+// Turns a user's letterings into an installable OpenType font (.otf, CFF outlines),
+// entirely in the browser: each glyph image is traced into outlines and placed by
+// its metrics (see glyph-normalize.js). otf-to-woff2.js makes a web font from it.
+import { Font, Glyph, Path } from 'opentype.js/dist/opentype.mjs';
+import { rasterizeStrokes, isValidStrokeData } from './glyph-strokes.js';
+import { isValidGlyphMetrics, renderNormalizedGlyph, getDefaultFrame } from './glyph-normalize.js';
+
+export const FONT_UNITS_PER_EM = 1000;
+
+const TRACE_SCALE = 2; // Glyph images are traced at twice their size for smoother outlines
+const ALPHA_THRESHOLD = 128; // Pixels at least this opaque are ink
+const SIMPLIFY_TOLERANCE = 0.75; // px; how far a simplified outline may stray from the pixels
+const MIN_CONTOUR_AREA = 4; // px²; smaller specks are dropped
+const NOTDEF_ADVANCE = 500;
+const SPACE_ADVANCE = 250;
+
+// ========================================
+// TRACING
+// ========================================
+
+/**
+ * Trace the outlines of the ink in an image
+ * Contours follow pixel edges, clockwise around ink and counter-clockwise around holes
+ * (in image coordinates, y down), so they fill correctly with the nonzero rule.
+ * @param {ImageData} imageData
+ * @returns {Array<Array<[number, number]>>} - Closed contours as [x, y] points
+ */
+export function traceBitmap(imageData) {
+    const { data, width, height } = imageData;
+    const isInk = (x, y) => x >= 0 && y >= 0 && x < width && y < height &&
+        data[(y * width + x) * 4 + 3] >= ALPHA_THRESHOLD;
+
+    // Boundary edges between ink and background, keyed by their start corner
+    const stride = width + 1;
+    const outgoing = new Map();
+    const addEdge = (x1, y1, x2, y2) => {
+        const from = y1 * stride + x1;
+        if (!outgoing.has(from)) outgoing.set(from, []);
+        outgoing.get(from).push(y2 * stride + x2);
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!isInk(x, y)) continue;
+            if (!isInk(x, y - 1)) addEdge(x, y, x + 1, y);
+            if (!isInk(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+            if (!isInk(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+            if (!isInk(x - 1, y)) addEdge(x, y + 1, x, y);
+        }
+    }
+
+    // Every corner has as many edges in as out, so following edges always closes a loop
+    const contours = [];
+    for (const start of outgoing.keys()) {
+        while (outgoing.get(start).length > 0) {
+            const contour = [];
+            let corner = start;
+            do {
+                contour.push([corner % stride, Math.floor(corner / stride)]);
+                corner = outgoing.get(corner).pop();
+            } while (corner !== start);
+            contours.push(contour);
+        }
+    }
+    return contours;
+}
+
+/**
+ * Signed area of a contour (positive when clockwise in image coordinates)
+ */
+export function contourArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+function distanceToSegment([px, py], [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) {
+        return Math.hypot(px - ax, py - ay);
+    }
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+    return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Douglas-Peucker on an open run of points, keeping both ends
+function simplifyRun(points, tolerance) {
+    if (points.length <= 2) {
+        return points.slice();
+    }
+
+    let farthest = 0;
+    let farthestIndex = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const distance = distanceToSegment(points[i], points[0], points[points.length - 1]);
+        if (distance > farthest) {
+            farthest = distance;
+            farthestIndex = i;
+        }
+    }
+
+    if (farthest <= tolerance) {
+        return [points[0], points[points.length - 1]];
+    }
+    const left = simplifyRun(points.slice(0, farthestIndex + 1), tolerance);
+    const right = simplifyRun(points.slice(farthestIndex), tolerance);
+    return left.slice(0, -1).concat(right);
+}
+
+/**
+ * Smooth the pixel staircase of a traced contour into straight runs
+ * @param {Array<[number, number]>} points - Closed contour
+ * @param {number} [tolerance] - Largest allowed deviation in pixels
+ * @returns {Array<[number, number]>}
+ */
+export function simplifyContour(points, tolerance = SIMPLIFY_TOLERANCE) {
+    if (points.length <= 4) {
+        return points.slice();
+    }
+
+    // Split the loop at the point farthest from the first one, and simplify both halves
+    let splitIndex = 0;
+    let farthest = -1;
+    points.forEach(([x, y], i) => {
+        const distance = Math.hypot(x - points[0][0], y - points[0][1]);
+        if (distance > farthest) {
+            farthest = distance;
+            splitIndex = i;
+        }
+    });
+
+    const first = simplifyRun(points.slice(0, splitIndex + 1), tolerance);
+    const second = simplifyRun(points.slice(splitIndex).concat([points[0]]), tolerance);
+    const simplified = first.slice(0, -1).concat(second.slice(0, -1));
+
+    // Keep at least a triangle, and the original if simplifying flipped or flattened it
+    const area = contourArea(simplified);
+    if (simplified.length < 3 || Math.sign(area) !== Math.sign(contourArea(points))) {
+        return points.slice();
+    }
+    return simplified;
+}
+
+// ========================================
+// GLYPHS
+// ========================================
+
+/**
+ * Outline a normalized glyph image in font units
+ * @param {ImageData} imageData - The glyph image, possibly drawn larger than its metrics
+ * @param {Object} metrics - Glyph metrics (see glyph-normalize.js)
+ * @param {number} [imageScale=1] - Size of imageData relative to metrics.width/height
+ * @returns {{contours: Array<Array<[number, number]>>, advanceWidth: number}} - Contours
+ *     in font units (y up, origin on the baseline), counter-clockwise around ink
+ */
+export function outlineGlyph(imageData, metrics, imageScale = 1) {
+    const unitsPerPixel = FONT_UNITS_PER_EM / (metrics.unitsPerEm * imageScale);
+    const originX = metrics.leftBearing * imageScale;
+    const baseline = metrics.baseline * imageScale;
+
+    const contours = traceBitmap(imageData)
+        .filter(contour => Math.abs(contourArea(contour)) >= MIN_CONTOUR_AREA)
+        .map(contour => simplifyContour(contour).map(([x, y]) => [
+            Math.round((originX + x) * unitsPerPixel),
+            Math.round((baseline - y) * unitsPerPixel)
+        ]));
+
+    return {
+        contours: contours,
+        advanceWidth: Math.round(metrics.advanceWidth * FONT_UNITS_PER_EM / metrics.unitsPerEm)
+    };
+}
+
+function glyphName(codePoint) {
+    const hex = codePoint.toString(16).toUpperCase();
+    return codePoint > 0xFFFF ? `u${hex}` : `uni${hex.padStart(4, '0')}`;
+}
+
+function contoursToPath(contours) {
+    const path = new Path();
+    contours.forEach(contour => {
+        contour.forEach(([x, y], i) => {
+            if (i === 0) {
+                path.moveTo(x, y);
+            } else {
+                path.lineTo(x, y);
+            }
+        });
+        path.close();
+    });
+    return path;
+}
+
+/**
+ * Assemble outlined glyphs into a font
+ * @param {Object<string, {contours: Array, advanceWidth: number}>} outlines - By character
+ *     (outlineGlyph)
+ * @param {Object} options
+ * @param {string} options.familyName
+ * @param {string} [options.styleName='Regular']
+ * @returns {Font} - opentype.js font; font.toArrayBuffer() gives the .otf file
+ */
+export function buildFont(outlines, { familyName, styleName = 'Regular' }) {
+    const entries = Object.entries(outlines)
+        .map(([char, outline]) => ({ char, codePoint: char.codePointAt(0), outline }))
+        .sort((a, b) => a.codePoint - b.codePoint);
+
+    const glyphs = [new Glyph({ name: '.notdef', advanceWidth: NOTDEF_ADVANCE, path: new Path() })];
+    if (!outlines[' ']) {
+        glyphs.push(new Glyph({ name: 'space', unicode: 0x20, advanceWidth: SPACE_ADVANCE, path: new Path() }));
+    }
+
+    let yMax = 0;
+    let yMin = 0;
+    entries.forEach(({ codePoint, outline }) => {
+        outline.contours.forEach(contour => contour.forEach(([, y]) => {
+            yMax = Math.max(yMax, y);
+            yMin = Math.min(yMin, y);
+        }));
+        glyphs.push(new Glyph({
+            name: codePoint === 0x20 ? 'space' : glyphName(codePoint),
+            unicode: codePoint,
+            advanceWidth: outline.advanceWidth,
+            path: contoursToPath(outline.contours)
+        }));
+    });
+
+    return new Font({
+        familyName: familyName,
+        styleName: styleName,
+        unitsPerEm: FONT_UNITS_PER_EM,
+        ascender: Math.max(800, yMax),
+        descender: Math.min(-200, yMin),
+        glyphs: glyphs
+    });
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Image failed to load'));
+        img.src = src;
+    });
+}
+
+function imageToCanvas(img, width = img.naturalWidth, height = img.naturalHeight) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+function getPixels(canvas) {
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Render a lettering for tracing
+ * @returns {Promise<{imageData: ImageData, metrics: Object, imageScale: number}>}
+ */
+async function rasterizeLettering({ imageData, strokes, metrics }) {
+    const hasStrokes = isValidStrokeData(strokes);
+
+    if (!isValidGlyphMetrics(metrics)) {
+        // Saved before normalization: the image is the whole lettering canvas
+        const source = hasStrokes ? rasterizeStrokes(strokes) : imageToCanvas(await loadImage(imageData));
+        const normalized = renderNormalizedGlyph(source, getDefaultFrame(source.width, source.height));
+        return { imageData: getPixels(normalized.canvas), metrics: normalized.metrics, imageScale: 1 };
+    }
+
+    // Strokes re-render sharply at the larger size; images are scaled up
+    const width = metrics.width * TRACE_SCALE;
+    const height = metrics.height * TRACE_SCALE;
+    const canvas = hasStrokes && metrics.crop ?
+        rasterizeStrokes(strokes, width, height, metrics.crop) :
+        imageToCanvas(await loadImage(imageData), width, height);
+    return { imageData: getPixels(canvas), metrics: metrics, imageScale: TRACE_SCALE };
+}
+
+/**
+ * Build an .otf font from a user's letterings
+ * @param {Object} letterings - { char: { imageData, strokes, metrics } } (loadUserLetterings)
+ * @param {Object} options - See buildFont
+ * @returns {Promise<{buffer: ArrayBuffer, chars: string[], skipped: string[]}>} - The font
+ *     file, the characters in it and those that couldn't be traced
+ */
+export async function createFontFile(letterings, options) {
+    const outlines = {};
+    const skipped = [];
+
+    for (const [char, lettering] of Object.entries(letterings)) {
+        try {
+            const { imageData, metrics, imageScale } = await rasterizeLettering(lettering);
+            outlines[char] = outlineGlyph(imageData, metrics, imageScale);
+        } catch (error) {
+            console.warn(`Leaving "${char}" out of the font:`, error);
+            skipped.push(char);
+        }
+    }
+
+    const font = buildFont(outlines, options);
+    console.log(`Built font "${options.familyName}" with ${Object.keys(outlines).length} glyphs`);
+
+    return {
+        buffer: font.toArrayBuffer(),
+        chars: Object.keys(outlines),
+        skipped: skipped
+    };
+}
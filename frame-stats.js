@@ -0,0 +1,60 @@
+// Frame Stats
+// Frame rate and frame times for the ?fps overlay in interaction mode, over a sliding
+// window of recent frames, so a slow phone or a costly effect shows up as a number
+// instead of a feeling.
+
+export const FRAME_STATS_CONFIG = {
+    windowSize: 60 // Frames the numbers are averaged over
+};
+
+/**
+ * Create a frame stats tracker
+ * @param {Object} [options]
+ * @param {number} [options.windowSize]
+ * @returns {Object} - Tracker API (see below)
+ */
+export function createFrameStats({ windowSize = FRAME_STATS_CONFIG.windowSize } = {}) {
+    let frames = []; // { frameMs, workMs } of the latest frames, oldest first
+    let lastTime = null;
+
+    return {
+        /**
+         * Count a frame
+         * @param {number} now - requestAnimationFrame timestamp (ms)
+         * @param {number} workMs - Time spent drawing it
+         */
+        addFrame(now, workMs) {
+            if (lastTime !== null) {
+                frames.push({ frameMs: now - lastTime, workMs: workMs });
+                if (frames.length > windowSize) {
+                    frames.shift();
+                }
+            }
+            lastTime = now;
+        },
+
+        /**
+         * @returns {{fps: number, frameMs: number, workMs: number, worstFrameMs: number}} -
+         *     Averages over the window, zeros before the second frame
+         */
+        getSummary() {
+            if (frames.length === 0) {
+                return { fps: 0, frameMs: 0, workMs: 0, worstFrameMs: 0 };
+            }
+            const total = frames.reduce((sum, frame) => sum + frame.frameMs, 0);
+            const work = frames.reduce((sum, frame) => sum + frame.workMs, 0);
+            const frameMs = total / frames.length;
+            return {
+                fps: frameMs > 0 ? 1000 / frameMs : 0,
+                frameMs: frameMs,
+                workMs: work / frames.length,
+                worstFrameMs: Math.max(...frames.map(frame => frame.frameMs))
+            };
+        },
+
+        reset() {
+            frames = [];
+            lastTime = null;
+        }
+    };
+}
@@ -0,0 +1,316 @@
+// Gallery Page JavaScript
+// Browse the public glyph pool: every approved hand behind each letter.
+import {
+    listGalleryGlyphs,
+    loadGalleryGlyph,
+    reportGlyph
+} from './firebase-storage.js';
+import { TEXTS, getUniqueLetters } from './texts.js';
+import { replayStrokes, isValidStrokeData } from './glyph-strokes.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+const PAGE_SIZE = 60;
+const REPLAY_SIZE = 320; // px; longest side of the replay canvas
+
+// ========================================
+// STATE
+// ========================================
+let filterChar = null; // Only this character, or null for all
+let sortOrder = 'newest'; // 'newest' or 'oldest'
+let glyphs = []; // Glyphs loaded so far, sorted by character then date
+let cursor = null; // Pagination cursor for the next page
+let isBusy = false;
+let requestId = 0; // Ignores pages that arrive after the filter changed
+let detailGlyph = null; // Glyph shown in the detail view
+let activeReplay = null; // { promise, cancel } while a replay is running
+
+// ========================================
+// INITIALIZATION
+// ========================================
+async function init() {
+    readQuery();
+    renderFilters();
+
+    document.getElementById('backBtn').addEventListener('click', () => {
+        window.location.href = 'entry.html';
+    });
+    document.getElementById('charFilter').addEventListener('change', (e) => {
+        filterChar = e.target.value || null;
+        updateQuery();
+        loadGlyphs(false);
+    });
+    document.getElementById('sortOrder').addEventListener('change', (e) => {
+        sortOrder = e.target.value;
+        updateQuery();
+        loadGlyphs(false);
+    });
+    document.getElementById('loadMoreBtn').addEventListener('click', () => loadGlyphs(true));
+
+    document.getElementById('closeDetailBtn').addEventListener('click', closeDetail);
+    document.getElementById('prevGlyphBtn').addEventListener('click', () => stepDetail(-1));
+    document.getElementById('nextGlyphBtn').addEventListener('click', () => stepDetail(1));
+    document.getElementById('replayGlyphBtn').addEventListener('click', replayDetail);
+    document.getElementById('reportGlyphBtn').addEventListener('click', reportDetail);
+    document.getElementById('detail').addEventListener('click', (e) => {
+        if (e.target.id === 'detail') closeDetail();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (!detailGlyph) return;
+        if (e.key === 'Escape') closeDetail();
+        if (e.key === 'ArrowLeft') stepDetail(-1);
+        if (e.key === 'ArrowRight') stepDetail(1);
+    });
+    window.addEventListener('hashchange', openDetailFromHash);
+
+    await loadGlyphs(false);
+    openDetailFromHash();
+}
+
+/**
+ * Filters come from the URL (?char=a&sort=oldest), so views can be linked to
+ */
+function readQuery() {
+    const params = new URLSearchParams(window.location.search);
+    filterChar = params.get('char') || null;
+    sortOrder = params.get('sort') === 'oldest' ? 'oldest' : 'newest';
+}
+
+function updateQuery() {
+    const params = new URLSearchParams();
+    if (filterChar) params.set('char', filterChar);
+    if (sortOrder !== 'newest') params.set('sort', sortOrder);
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`);
+}
+
+function renderFilters() {
+    // Every letter of every text can be in the pool
+    const chars = new Set();
+    TEXTS.forEach(text => getUniqueLetters(text.content).forEach(char => chars.add(char)));
+    if (filterChar) chars.add(filterChar);
+
+    const select = document.getElementById('charFilter');
+    Array.from(chars).sort().forEach(char => {
+        const option = document.createElement('option');
+        option.value = char;
+        option.textContent = char;
+        select.appendChild(option);
+    });
+    select.value = filterChar || '';
+    document.getElementById('sortOrder').value = sortOrder;
+}
+
+// ========================================
+// LOADING
+// ========================================
+async function loadGlyphs(append) {
+    if (append && isBusy) return;
+
+    const request = ++requestId;
+    isBusy = true;
+    showStatus('Loading…');
+
+    if (!append) {
+        glyphs = [];
+        cursor = null;
+        render();
+    }
+
+    try {
+        const page = await listGalleryGlyphs({
+            char: filterChar,
+            order: sortOrder,
+            pageSize: PAGE_SIZE,
+            cursor: cursor
+        });
+        if (request !== requestId) return;
+
+        glyphs = glyphs.concat(page.glyphs);
+        cursor = page.cursor;
+        showStatus(glyphs.length === 0 ? 'No letters here yet.' : '');
+    } catch (error) {
+        if (request !== requestId) return;
+        console.error('Error loading gallery:', error);
+        showStatus('Failed to load glyphs: ' + error.message);
+    }
+
+    isBusy = false;
+    render();
+}
+
+// ========================================
+// RENDERING
+// ========================================
+function render() {
+    const container = document.getElementById('gallery');
+    container.innerHTML = '';
+
+    // Glyphs arrive sorted by character, so each group is one run
+    let grid = null;
+    let groupChar = null;
+    glyphs.forEach((glyph, index) => {
+        if (glyph.char !== groupChar) {
+            groupChar = glyph.char;
+            const section = document.createElement('section');
+            section.className = 'char-group';
+
+            const heading = document.createElement('h2');
+            heading.textContent = glyph.char;
+            section.appendChild(heading);
+
+            grid = document.createElement('div');
+            grid.className = 'glyph-grid';
+            section.appendChild(grid);
+            container.appendChild(section);
+        }
+
+        const card = document.createElement('button');
+        card.className = 'glyph-card';
+        card.title = formatDate(glyph.createdAt);
+
+        const img = document.createElement('img');
+        img.src = glyph.imageData;
+        img.alt = `Glyph for "${glyph.char}"`;
+        img.loading = 'lazy';
+
+        card.appendChild(img);
+        card.addEventListener('click', () => openDetail(index));
+        grid.appendChild(card);
+    });
+
+    // Group sizes count what's loaded; more may follow on later pages
+    container.querySelectorAll('.char-group').forEach(section => {
+        const count = section.querySelectorAll('.glyph-card').length;
+        section.querySelector('h2').dataset.count = `${count}${cursor ? '+' : ''}`;
+    });
+
+    document.getElementById('loadMoreBtn').style.display = cursor ? 'inline-block' : 'none';
+}
+
+function showStatus(message) {
+    document.getElementById('statusMessage').textContent = message;
+}
+
+function formatDate(date) {
+    return date instanceof Date ? date.toLocaleString() : '';
+}
+
+// ========================================
+// DETAIL VIEW
+// ========================================
+function openDetail(index) {
+    showDetail(glyphs[index]);
+    history.replaceState(null, '', `#${encodeURIComponent(detailGlyph.id)}`);
+}
+
+/**
+ * Open the glyph named in the URL hash (#glyphId), loading it if it isn't on screen
+ */
+async function openDetailFromHash() {
+    const glyphId = decodeURIComponent(window.location.hash.slice(1));
+    if (!glyphId) {
+        if (detailGlyph) closeDetail();
+        return;
+    }
+    if (detailGlyph && detailGlyph.id === glyphId) return;
+
+    try {
+        const glyph = glyphs.find(other => other.id === glyphId) || await loadGalleryGlyph(glyphId);
+        if (glyph) {
+            showDetail(glyph);
+        } else {
+            showStatus('That letter is no longer in the gallery.');
+        }
+    } catch (error) {
+        console.error(`Error loading glyph ${glyphId}:`, error);
+    }
+}
+
+function showDetail(glyph) {
+    stopReplay();
+    detailGlyph = glyph;
+
+    document.getElementById('detailChar').textContent = glyph.char;
+    document.getElementById('detailDate').textContent = formatDate(glyph.createdAt);
+
+    const img = document.getElementById('detailImage');
+    img.src = glyph.imageData;
+    img.alt = `Glyph for "${glyph.char}"`;
+    img.style.display = 'block';
+    document.getElementById('replayCanvas').style.display = 'none';
+
+    const index = glyphs.indexOf(glyph);
+    document.getElementById('prevGlyphBtn').disabled = index <= 0;
+    document.getElementById('nextGlyphBtn').disabled = index < 0 || index >= glyphs.length - 1;
+    document.getElementById('replayGlyphBtn').disabled = !isValidStrokeData(glyph.strokes);
+    document.getElementById('reportGlyphBtn').disabled = false;
+    document.getElementById('detail').style.display = 'flex';
+}
+
+function closeDetail() {
+    stopReplay();
+    detailGlyph = null;
+    document.getElementById('detail').style.display = 'none';
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+function stepDetail(direction) {
+    const index = glyphs.indexOf(detailGlyph);
+    if (index < 0 || !glyphs[index + direction]) return;
+    openDetail(index + direction);
+}
+
+/**
+ * Replay how the glyph was drawn, stroke by stroke
+ */
+function replayDetail() {
+    if (!detailGlyph || !isValidStrokeData(detailGlyph.strokes)) return;
+    stopReplay();
+
+    // Strokes cover the whole lettering canvas, not just the cropped image
+    const strokes = detailGlyph.strokes;
+    const scale = REPLAY_SIZE / Math.max(strokes.width, strokes.height);
+    const canvas = document.getElementById('replayCanvas');
+    canvas.width = Math.round(strokes.width * scale);
+    canvas.height = Math.round(strokes.height * scale);
+
+    document.getElementById('detailImage').style.display = 'none';
+    canvas.style.display = 'block';
+
+    activeReplay = replayStrokes(canvas.getContext('2d'), strokes);
+}
+
+function stopReplay() {
+    if (activeReplay) {
+        activeReplay.cancel();
+        activeReplay = null;
+    }
+}
+
+async function reportDetail() {
+    const glyph = detailGlyph;
+    if (!glyph) return;
+
+    const reason = window.prompt('Report this letter as offensive or junk? Add a reason (optional):', '');
+    if (reason === null) return;
+
+    const button = document.getElementById('reportGlyphBtn');
+    button.disabled = true;
+    try {
+        await reportGlyph(glyph.id, reason);
+        alert('Thanks - a moderator will take a look.');
+    } catch (error) {
+        console.error('Error reporting glyph:', error);
+        alert('Failed to report. Error: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
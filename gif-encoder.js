@@ -0,0 +1,193 @@
+// GIF Encoding
+// A small animated GIF encoder for exports in browsers that can't record video
+// (see sentence-export.js). Frames are mapped onto one fixed 256-colour palette,
+// which suits the sentence's black background and saturated letters, and are
+// LZW-compressed as the GIF89a format describes.
+
+const PALETTE_SIZE = 256;
+const MIN_CODE_SIZE = 8; // Bits per palette index
+const MAX_CODE = 4096; // GIF codes are at most 12 bits
+const SUB_BLOCK_SIZE = 255;
+
+// Palette: a 6×7×6 colour cube (green gets the extra level, the eye is most
+// sensitive to it) followed by a few greys for the antialiased white letters
+const RED_LEVELS = 6;
+const GREEN_LEVELS = 7;
+const BLUE_LEVELS = 6;
+const CUBE_SIZE = RED_LEVELS * GREEN_LEVELS * BLUE_LEVELS;
+
+/**
+ * The palette every frame is mapped onto
+ * @returns {Uint8Array} - 256 RGB triples
+ */
+export function createGifPalette() {
+    const palette = new Uint8Array(PALETTE_SIZE * 3);
+    let index = 0;
+    const level = (value, levels) => Math.round(value * 255 / (levels - 1));
+
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette.set([level(r, RED_LEVELS), level(g, GREEN_LEVELS), level(b, BLUE_LEVELS)], index * 3);
+                index++;
+            }
+        }
+    }
+
+    const greys = PALETTE_SIZE - CUBE_SIZE;
+    for (let i = 0; i < greys; i++) {
+        const grey = Math.round((i + 1) * 255 / (greys + 1));
+        palette.set([grey, grey, grey], (CUBE_SIZE + i) * 3);
+    }
+
+    return palette;
+}
+
+/**
+ * Map RGBA pixels to palette indices (alpha is dropped: frames are opaque)
+ * @param {Uint8ClampedArray} rgba
+ * @returns {Uint8Array}
+ */
+export function quantizeFrame(rgba) {
+    const pixelCount = rgba.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    const greyStep = 255 / (PALETTE_SIZE - CUBE_SIZE + 1);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const red = rgba[i * 4];
+        const green = rgba[i * 4 + 1];
+        const blue = rgba[i * 4 + 2];
+
+        // Near-greys get the finer grey ramp unless the cube has a closer black or white
+        if (Math.abs(red - green) < 8 && Math.abs(green - blue) < 8) {
+            const grey = Math.round((red + green + blue) / 3 / greyStep);
+            if (grey >= 1 && grey <= PALETTE_SIZE - CUBE_SIZE) {
+                indices[i] = CUBE_SIZE + grey - 1;
+                continue;
+            }
+        }
+
+        const r = Math.round(red * (RED_LEVELS - 1) / 255);
+        const g = Math.round(green * (GREEN_LEVELS - 1) / 255);
+        const b = Math.round(blue * (BLUE_LEVELS - 1) / 255);
+        indices[i] = (r * GREEN_LEVELS + g) * BLUE_LEVELS + b;
+    }
+
+    return indices;
+}
+
+/**
+ * LZW-compress palette indices into GIF image data (without sub-block framing)
+ * @param {Uint8Array} indices
+ * @returns {Uint8Array}
+ */
+export function lzwEncode(indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+    let table = new Map(); // (prefix code << 8 | index) -> code
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const write = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    write(clearCode);
+    if (indices.length === 0) {
+        write(endCode);
+    } else {
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+            if (nextCode === MAX_CODE) {
+                // Table full: start over
+                write(clearCode);
+                table = new Map();
+                codeSize = MIN_CODE_SIZE + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = indices[i];
+        }
+        write(prefix);
+        write(endCode);
+    }
+
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xFF);
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Create an encoder for an animated GIF that loops forever
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps - Frames per second (GIF delays are in hundredths of a second)
+ * @returns {Object} - Encoder API (see below)
+ */
+export function createGifEncoder({ width, height, fps }) {
+    const chunks = [];
+    const delay = Math.max(2, Math.round(100 / fps));
+
+    const bytes = values => chunks.push(Uint8Array.from(values));
+    const word = value => [value & 0xFF, (value >> 8) & 0xFF];
+
+    // Header, logical screen (global 256-colour table), palette, loop forever
+    chunks.push(new TextEncoder().encode('GIF89a'));
+    bytes([...word(width), ...word(height), 0xF7, 0, 0]);
+    chunks.push(createGifPalette());
+    bytes([0x21, 0xFF, 0x0B, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0]);
+
+    return {
+        /**
+         * Add a frame
+         * @param {Uint8ClampedArray} rgba - width × height pixels (ImageData.data)
+         */
+        addFrame(rgba) {
+            if (rgba.length !== width * height * 4) {
+                throw new Error(`Frame is not ${width}×${height}`);
+            }
+
+            // Graphic control (delay, leave the frame in place), then the image
+            bytes([0x21, 0xF9, 0x04, 0x04, ...word(delay), 0, 0]);
+            bytes([0x2C, 0, 0, 0, 0, ...word(width), ...word(height), 0, MIN_CODE_SIZE]);
+
+            const data = lzwEncode(quantizeFrame(rgba));
+            for (let start = 0; start < data.length; start += SUB_BLOCK_SIZE) {
+                const block = data.subarray(start, start + SUB_BLOCK_SIZE);
+                bytes([block.length]);
+                chunks.push(block);
+            }
+            bytes([0]);
+        },
+
+        /**
+         * Finish the file
+         * @returns {Blob}
+         */
+        finish() {
+            bytes([0x3B]);
+            return new Blob(chunks, { type: 'image/gif' });
+        }
+    };
+}
@@ -0,0 +1,198 @@
+// Glyph Cache
+// Interaction mode keeps decoded glyph images in IndexedDB, keyed by glyph ID,
+// so a repeat visit draws custom letters from its first frame instead of waiting
+// for the network. A glyph's image never changes once saved, so entries don't go
+// stale; what changes is which glyph each character shows, and whether moderators
+// still allow it (entries keep the status they were cached with, for offline checks). That is remembered per
+// user as a selection, replaced after each load, and entries the user's charMap
+// no longer points to are dropped with it.
+import { requestToPromise } from './storage-indexeddb.js';
+
+const DB_NAME = 'absurde-glyph-cache';
+const DB_VERSION = 1;
+const GLYPHS_STORE = 'glyphs';
+const SELECTIONS_STORE = 'selections';
+
+// Beyond this, the least recently used images are evicted
+const MAX_CACHE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Decode a data URL into a Blob
+ * @param {string} dataUrl
+ * @returns {Blob}
+ */
+export function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(0, comma);
+    const payload = dataUrl.slice(comma + 1);
+    const type = header.slice('data:'.length).split(';')[0];
+
+    if (!header.endsWith(';base64')) {
+        return new Blob([decodeURIComponent(payload)], { type: type });
+    }
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: type });
+}
+
+/**
+ * Open (and on first use create) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB not available'));
+    }
+
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(GLYPHS_STORE, { keyPath: 'id' });
+        request.result.createObjectStore(SELECTIONS_STORE, { keyPath: 'userId' });
+    };
+    return requestToPromise(request);
+}
+
+/**
+ * Create a glyph cache
+ * Where IndexedDB is unavailable every lookup misses and writes are dropped.
+ * @param {Object} [options]
+ * @param {string} [options.dbName] - Database name (tests use a fresh one each time)
+ * @param {number} [options.maxBytes] - Size cap for cached images and strokes
+ * @returns {Object} - Cache API (see below)
+ */
+export function createGlyphCache({ dbName = DB_NAME, maxBytes = MAX_CACHE_BYTES } = {}) {
+    let databasePromise = null;
+    let lastUsedAt = 0;
+
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = openDatabase(dbName).catch(error => {
+                console.warn('Glyph cache disabled:', error.message);
+                return null;
+            });
+        }
+        return databasePromise;
+    }
+
+    async function run(storeName, mode, operation) {
+        const database = await getDatabase();
+        if (!database) {
+            return undefined;
+        }
+        const transaction = database.transaction(storeName, mode);
+        const committed = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        committed.catch(() => {});
+
+        const result = await requestToPromise(operation(transaction.objectStore(storeName)));
+        if (mode === 'readwrite') {
+            await committed;
+        }
+        return result;
+    }
+
+    // Strictly increasing, so entries used within the same millisecond still have an order
+    function nextUseTime() {
+        lastUsedAt = Math.max(Date.now(), lastUsedAt + 1);
+        return lastUsedAt;
+    }
+
+    return {
+        /**
+         * Look up a glyph, marking it as recently used
+         * @param {string} glyphId
+         * @returns {Promise<{id: string, char: string, blob: Blob, strokes: Object|null, metrics: Object|null,
+         *     status: string|null, sourceUserId: string|null}|null>}
+         */
+        async getGlyph(glyphId) {
+            const entry = await run(GLYPHS_STORE, 'readonly', store => store.get(glyphId));
+            if (!entry) {
+                return null;
+            }
+            entry.lastUsed = nextUseTime();
+            await run(GLYPHS_STORE, 'readwrite', store => store.put(entry));
+            return entry;
+        },
+
+        /**
+         * Cache a glyph's decoded image, then evict down to the size cap
+         * @param {Object} glyph - { id, char, imageData (data URL) or blob, strokes, metrics,
+         *     status, sourceUserId }
+         * @returns {Promise<Blob>} - The decoded image
+         */
+        async putGlyph({
+            id, char, imageData, blob = dataUrlToBlob(imageData), strokes = null, metrics = null,
+            status = null, sourceUserId = null
+        }) {
+            const size = blob.size + (strokes ? JSON.stringify(strokes).length : 0);
+            await run(GLYPHS_STORE, 'readwrite', store => store.put({
+                id: id,
+                char: char,
+                blob: blob,
+                strokes: strokes,
+                metrics: metrics,
+                status: status,
+                sourceUserId: sourceUserId,
+                size: size,
+                lastUsed: nextUseTime()
+            }));
+            await this.evict();
+            return blob;
+        },
+
+        /**
+         * Drop glyphs from the cache
+         * @param {string[]} glyphIds
+         */
+        async deleteGlyphs(glyphIds) {
+            for (const glyphId of glyphIds) {
+                await run(GLYPHS_STORE, 'readwrite', store => store.delete(glyphId));
+            }
+        },
+
+        /**
+         * Evict least recently used glyphs until the cache fits its size cap
+         * @returns {Promise<string[]>} - IDs of the evicted glyphs
+         */
+        async evict() {
+            const entries = (await run(GLYPHS_STORE, 'readonly', store => store.getAll())) || [];
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+            const evicted = [];
+            entries.sort((a, b) => a.lastUsed - b.lastUsed);
+            for (const entry of entries) {
+                if (total <= maxBytes) break;
+                total -= entry.size;
+                evicted.push(entry.id);
+            }
+
+            await this.deleteGlyphs(evicted);
+            return evicted;
+        },
+
+        /**
+         * The glyphs last shown to a user
+         * @param {string} userId
+         * @returns {Promise<Object<string, {glyphId: string, source: string}>>} - By character
+         */
+        async getSelection(userId) {
+            const record = await run(SELECTIONS_STORE, 'readonly', store => store.get(userId));
+            return record ? record.glyphs : {};
+        },
+
+        /**
+         * Remember the glyphs shown to a user
+         * @param {string} userId
+         * @param {Object<string, {glyphId: string, source: string}>} glyphs - By character
+         */
+        async putSelection(userId, glyphs) {
+            await run(SELECTIONS_STORE, 'readwrite', store => store.put({ userId: userId, glyphs: glyphs }));
+        }
+    };
+}
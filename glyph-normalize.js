@@ -0,0 +1,243 @@
+// Glyph Normalization
+// Lettering canvases come in every size, so glyphs are normalized before they
+// are saved: cropped to their ink, scaled to a fixed em and described by
+// metrics that let renderers set every glyph on the same baseline at the same size.
+//
+// The em comes from the guide letter behind the lettering canvas: its font size
+// is one em, and its baseline and x-height are the glyph's (see lettering.js).
+//
+// Metrics, in pixels of the normalized image:
+// {
+//     version: 1,
+//     unitsPerEm: 256,         // Pixels per em in this image
+//     width: 140, height: 190, // Image size
+//     baseline: 150,           // Baseline, down from the top of the image
+//     xHeight: 123,            // Height of a lowercase x above the baseline
+//     advanceWidth: 166,       // Horizontal space the glyph takes up in a line
+//     leftBearing: 13,         // From the glyph's origin to the image's left edge
+//     crop: { x, y, width, height } // Part of the drawing the image shows, as fractions
+//                                   // of the drawing's size (null for an empty glyph)
+// }
+
+export const GLYPH_METRICS_VERSION = 1;
+export const UNITS_PER_EM = 256;
+
+const MAX_IMAGE_SIZE = 1024; // px; oversized drawings get fewer units per em
+const INK_PADDING = 2; // px of margin so antialiased edges aren't clipped
+const SIDE_BEARING = 0.06; // em of space on either side of the ink
+const EMPTY_ADVANCE = 0.3; // em taken up by a glyph with no ink, e.g. a drawn space
+const BASELINE_OFFSET = 0.3; // em from the middle of the em box down to the baseline
+const WEBP_QUALITY = 0.9;
+
+const METRIC_FIELDS = ['unitsPerEm', 'width', 'height', 'baseline', 'xHeight', 'advanceWidth', 'leftBearing'];
+
+// ========================================
+// MEASURING
+// ========================================
+
+/**
+ * Find the bounding box of everything drawn (any non-transparent pixel)
+ * @param {ImageData} imageData
+ * @returns {{x: number, y: number, width: number, height: number}|null} - null if blank
+ */
+export function findInkBounds(imageData) {
+    const { data, width, height } = imageData;
+    let left = width;
+    let right = -1;
+    let top = height;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 0) {
+                if (x < left) left = x;
+                if (x > right) right = x;
+                if (y < top) top = y;
+                bottom = y;
+            }
+        }
+    }
+
+    if (right < 0) {
+        return null;
+    }
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * Work out the normalized image for a drawing
+ * @param {Object|null} bounds - Ink bounds in the drawing (findInkBounds)
+ * @param {Object} frame - Guide in drawing pixels: { emSize, baseline, xHeight }
+ * @param {number} sourceWidth - Drawing width in pixels
+ * @param {number} sourceHeight - Drawing height in pixels
+ * @returns {{scale: number, metrics: Object}} - scale maps drawing pixels to image pixels
+ */
+export function computeGlyphLayout(bounds, frame, sourceWidth, sourceHeight) {
+    if (!bounds) {
+        return {
+            scale: UNITS_PER_EM / frame.emSize,
+            metrics: {
+                version: GLYPH_METRICS_VERSION,
+                unitsPerEm: UNITS_PER_EM,
+                width: 1,
+                height: 1,
+                baseline: 1,
+                xHeight: Math.round(frame.xHeight * UNITS_PER_EM / frame.emSize),
+                advanceWidth: Math.round(EMPTY_ADVANCE * UNITS_PER_EM),
+                leftBearing: 0,
+                crop: null
+            }
+        };
+    }
+
+    // Scale the guide's em to UNITS_PER_EM, or less if the drawing would get too big
+    const inkExtent = Math.max(bounds.width, bounds.height);
+    const unitsPerEm = Math.max(1, Math.min(
+        UNITS_PER_EM,
+        Math.floor((MAX_IMAGE_SIZE - 2 * INK_PADDING) * frame.emSize / inkExtent)
+    ));
+    const scale = unitsPerEm / frame.emSize;
+
+    const width = Math.ceil(bounds.width * scale) + 2 * INK_PADDING;
+    const height = Math.ceil(bounds.height * scale) + 2 * INK_PADDING;
+    const sideBearing = Math.round(SIDE_BEARING * unitsPerEm);
+
+    // The part of the drawing the image covers, padding included
+    const cropX = bounds.x - INK_PADDING / scale;
+    const cropY = bounds.y - INK_PADDING / scale;
+
+    return {
+        scale: scale,
+        metrics: {
+            version: GLYPH_METRICS_VERSION,
+            unitsPerEm: unitsPerEm,
+            width: width,
+            height: height,
+            baseline: Math.round(INK_PADDING + (frame.baseline - bounds.y) * scale),
+            xHeight: Math.round(frame.xHeight * scale),
+            advanceWidth: Math.ceil(bounds.width * scale) + 2 * sideBearing,
+            leftBearing: sideBearing - INK_PADDING,
+            crop: {
+                x: roundFraction(cropX / sourceWidth),
+                y: roundFraction(cropY / sourceHeight),
+                width: roundFraction(width / scale / sourceWidth),
+                height: roundFraction(height / scale / sourceHeight)
+            }
+        }
+    };
+}
+
+function roundFraction(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Guide assumed for drawings saved without one (before normalization): a letter
+ * half the canvas tall, sitting a little below the middle
+ * @param {number} width - Drawing width in pixels
+ * @param {number} height - Drawing height in pixels
+ * @returns {{emSize: number, baseline: number, xHeight: number}}
+ */
+export function getDefaultFrame(width, height) {
+    return { emSize: height / 2, baseline: height * 0.7, xHeight: height * 0.24 };
+}
+
+// ========================================
+// NORMALIZING
+// ========================================
+
+/**
+ * Crop a drawing to its ink and scale it to the em
+ * @param {HTMLCanvasElement} source - The drawing
+ * @param {Object} frame - Guide in canvas pixels: { emSize, baseline, xHeight }
+ * @returns {{canvas: HTMLCanvasElement, metrics: Object}}
+ */
+export function renderNormalizedGlyph(source, frame) {
+    const pixels = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+    const bounds = findInkBounds(pixels);
+    const { scale, metrics } = computeGlyphLayout(bounds, frame, source.width, source.height);
+
+    const output = document.createElement('canvas');
+    output.width = metrics.width;
+    output.height = metrics.height;
+
+    if (bounds) {
+        const outputCtx = output.getContext('2d');
+        outputCtx.imageSmoothingQuality = 'high';
+        outputCtx.setTransform(scale, 0, 0, scale,
+            INK_PADDING - bounds.x * scale,
+            INK_PADDING - bounds.y * scale);
+        outputCtx.drawImage(source, 0, 0);
+    }
+
+    return { canvas: output, metrics: metrics };
+}
+
+/**
+ * Crop a drawing to its ink, scale it to the em and encode it compactly
+ * @param {HTMLCanvasElement} source - The drawing
+ * @param {Object} frame - Guide in canvas pixels: { emSize, baseline, xHeight }
+ * @returns {{imageData: string, metrics: Object}} - WebP data URL (PNG where the
+ *     browser can't encode WebP) and its metrics
+ */
+export function normalizeGlyph(source, frame) {
+    const { canvas, metrics } = renderNormalizedGlyph(source, frame);
+
+    // Browsers that can't encode WebP fall back to PNG on their own
+    return {
+        imageData: canvas.toDataURL('image/webp', WEBP_QUALITY),
+        metrics: metrics
+    };
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Check that a value is glyph metrics this version understands
+ * @param {*} metrics
+ * @returns {boolean}
+ */
+export function isValidGlyphMetrics(metrics) {
+    if (!metrics || typeof metrics !== 'object' || metrics.version !== GLYPH_METRICS_VERSION) {
+        return false;
+    }
+    if (!METRIC_FIELDS.every(field => Number.isFinite(metrics[field]))) {
+        return false;
+    }
+    if (metrics.unitsPerEm <= 0 || metrics.width <= 0 || metrics.height <= 0) {
+        return false;
+    }
+    const crop = metrics.crop;
+    return crop === null ||
+        (typeof crop === 'object' && ['x', 'y', 'width', 'height'].every(field => Number.isFinite(crop[field])));
+}
+
+/**
+ * Where to draw a normalized glyph so that its em box is centred on a point,
+ * with the baseline where a serif letter drawn with textBaseline 'middle' has it
+ * @param {Object} metrics - Glyph metrics
+ * @param {number} emSize - Em size to draw at, in pixels (the font size)
+ * @returns {{x: number, y: number, width: number, height: number}} - Image
+ *     rectangle relative to the centre point
+ */
+export function getGlyphBox(metrics, emSize) {
+    const scale = emSize / metrics.unitsPerEm;
+    return {
+        x: (metrics.leftBearing - metrics.advanceWidth / 2) * scale,
+        y: BASELINE_OFFSET * emSize - metrics.baseline * scale,
+        width: metrics.width * scale,
+        height: metrics.height * scale
+    };
+}
+
+/**
+ * Horizontal space a normalized glyph takes up in a line
+ * @param {Object} metrics - Glyph metrics
+ * @param {number} emSize - Em size to draw at, in pixels (the font size)
+ * @returns {number} - px
+ */
+export function getGlyphAdvance(metrics, emSize) {
+    return metrics.advanceWidth * emSize / metrics.unitsPerEm;
+}
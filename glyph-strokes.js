@@ -0,0 +1,547 @@
+// Glyph Stroke Data
+// Vector representation of a hand-drawn glyph: an ordered list of strokes.
+// Lettering mode draws through these functions live, so rendering the stored
+// strokes later (at any size, or as a replay) gives the same result.
+//
+// Format:
+// {
+//     version: 2,
+//     format: 'xytpab',        // Fields per point, flattened into stroke.points
+//     width: 800, height: 600, // Coordinate space the points were recorded in
+//     strokes: [
+//         { tool: 'solid' | 'pressure' | 'dot' | 'eraser', size: 5, seed: 123, points: [x, y, t, p, a, b, ...] }
+//     ]
+// }
+// t is milliseconds since the first point of the glyph.
+// p is stylus pressure (0-1), or -1 when the hardware reports none.
+// a/b are stylus tiltX/tiltY in degrees (0 for mouse and touch).
+// Version 1 data ('xyt', no pressure or tilt) is upgraded when read.
+//
+// Stored glyphs may carry the points packed (packStrokeData()): each stroke's points
+// become a base64 string of varint deltas, tagged encoding: 'delta-varint'. That takes
+// a fraction of the space of an array of numbers, which Firestore counts at 8 bytes each.
+
+export const STROKE_DATA_VERSION = 2;
+export const POINT_FORMAT = 'xytpab';
+export const STROKE_TOOLS = ['solid', 'pressure', 'dot', 'eraser'];
+
+const LEGACY_POINT_FORMAT = 'xyt';
+export const NO_PRESSURE = -1;
+
+const INK_COLOR = '#ffffff';
+
+// ========================================
+// CREATION
+// ========================================
+
+/**
+ * Create empty stroke data for a drawing surface
+ * @param {number} width - Surface width the points are recorded in
+ * @param {number} height - Surface height the points are recorded in
+ * @returns {Object} - Stroke data
+ */
+export function createStrokeData(width, height) {
+    return {
+        version: STROKE_DATA_VERSION,
+        format: POINT_FORMAT,
+        width: width,
+        height: height,
+        strokes: []
+    };
+}
+
+/**
+ * Start a new stroke
+ * @param {string} tool - solid, pressure, dot or eraser
+ * @param {number} size - Brush size in data units
+ * @returns {Object} - Stroke
+ */
+export function createStroke(tool, size) {
+    return {
+        tool: tool,
+        size: size,
+        seed: Math.floor(Math.random() * 0x7fffffff), // Makes dot scatter reproducible
+        points: []
+    };
+}
+
+/**
+ * Append a point to a stroke (rounded to keep stored documents small)
+ * @param {Object} stroke
+ * @param {number} x
+ * @param {number} y
+ * @param {number} t - Milliseconds since the glyph's first point
+ * @param {number} [pressure] - 0-1, or NO_PRESSURE when unknown
+ * @param {number} [tiltX] - Degrees
+ * @param {number} [tiltY] - Degrees
+ * @returns {number} - Index of the added point
+ */
+export function addPoint(stroke, x, y, t, pressure = NO_PRESSURE, tiltX = 0, tiltY = 0) {
+    stroke.points.push(
+        Math.round(x * 10) / 10,
+        Math.round(y * 10) / 10,
+        Math.round(t),
+        pressure < 0 ? NO_PRESSURE : Math.round(pressure * 1000) / 1000,
+        Math.round(tiltX),
+        Math.round(tiltY)
+    );
+    return getPointCount(stroke) - 1;
+}
+
+export function getPointCount(stroke) {
+    return stroke.points.length / POINT_FORMAT.length;
+}
+
+/**
+ * Read a point from a stroke
+ * @returns {{x: number, y: number, t: number, pressure: number, tiltX: number, tiltY: number}}
+ */
+export function getPoint(stroke, index) {
+    const offset = index * POINT_FORMAT.length;
+    return {
+        x: stroke.points[offset],
+        y: stroke.points[offset + 1],
+        t: stroke.points[offset + 2],
+        pressure: stroke.points[offset + 3],
+        tiltX: stroke.points[offset + 4],
+        tiltY: stroke.points[offset + 5]
+    };
+}
+
+/**
+ * Check that a value looks like stroke data we can render
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isValidStrokeData(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (data.format !== POINT_FORMAT && data.format !== LEGACY_POINT_FORMAT) return false;
+    if (!(data.width > 0) || !(data.height > 0)) return false;
+    if (!Array.isArray(data.strokes)) return false;
+
+    return data.strokes.every(stroke =>
+        stroke &&
+        STROKE_TOOLS.includes(stroke.tool) &&
+        typeof stroke.size === 'number' &&
+        Array.isArray(stroke.points) &&
+        stroke.points.length % data.format.length === 0
+    );
+}
+
+// Upgraded copies of version 1 data, so repeated renders don't convert again
+const upgradeCache = new WeakMap();
+
+/**
+ * Return stroke data in the current point format.
+ * Current data is returned as-is; version 1 data gets a converted copy.
+ * @param {Object} data - Valid stroke data
+ * @returns {Object}
+ */
+export function upgradeStrokeData(data) {
+    if (data.format === POINT_FORMAT) return data;
+    if (upgradeCache.has(data)) return upgradeCache.get(data);
+
+    const stride = data.format.length;
+    const upgraded = {
+        ...data,
+        version: STROKE_DATA_VERSION,
+        format: POINT_FORMAT,
+        strokes: data.strokes.map(stroke => {
+            const points = [];
+            for (let i = 0; i < stroke.points.length; i += stride) {
+                points.push(stroke.points[i], stroke.points[i + 1], stroke.points[i + 2], NO_PRESSURE, 0, 0);
+            }
+            return { ...stroke, points };
+        })
+    };
+
+    upgradeCache.set(data, upgraded);
+    return upgraded;
+}
+
+// ========================================
+// STORAGE ENCODING
+// ========================================
+
+export const PACKED_ENCODING = 'delta-varint';
+
+// Integer steps each field is kept to when packed, the same as addPoint() rounds to
+const PACK_SCALES = [10, 10, 1, 1000, 1, 1];
+
+/**
+ * Pack stroke data for storage (see the format notes at the top)
+ * Points are kept to addPoint()'s rounding, so points it recorded come back exactly.
+ * @param {Object} data - Valid stroke data
+ * @returns {Object} - Stroke data with packed points
+ */
+export function packStrokeData(data) {
+    data = upgradeStrokeData(data);
+    return {
+        ...data,
+        encoding: PACKED_ENCODING,
+        strokes: data.strokes.map(stroke => ({ ...stroke, points: packPoints(stroke.points) }))
+    };
+}
+
+/**
+ * Unpack stored stroke data; data that isn't packed is returned as-is
+ * @param {Object|null} data
+ * @returns {Object|null} - Stroke data with points as arrays, null if it can't be read
+ */
+export function unpackStrokeData(data) {
+    if (!data || data.encoding !== PACKED_ENCODING) return data;
+
+    const { encoding, ...unpacked } = data;
+    try {
+        unpacked.strokes = data.strokes.map(stroke => ({ ...stroke, points: unpackPoints(stroke.points) }));
+    } catch (error) {
+        console.warn('Could not unpack stroke data:', error);
+        return null;
+    }
+    return unpacked;
+}
+
+function packPoints(points) {
+    const bytes = [];
+    const previous = [0, 0, 0, 0, 0, 0];
+    for (let i = 0; i < points.length; i++) {
+        const field = i % PACK_SCALES.length;
+        // Unknown pressure (-1) becomes 0, so the smallest real pressure doesn't collide with it
+        const value = field === 3 && points[i] < 0 ? 0 : Math.round(points[i] * PACK_SCALES[field]) + (field === 3 ? 1 : 0);
+        writeVarint(bytes, zigzag(value - previous[field]));
+        previous[field] = value;
+    }
+
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function unpackPoints(packed) {
+    const binary = atob(packed);
+    const points = [];
+    const previous = [0, 0, 0, 0, 0, 0];
+    let offset = 0;
+    while (offset < binary.length) {
+        let shift = 0;
+        let encoded = 0;
+        let byte;
+        do {
+            if (offset >= binary.length) throw new Error('truncated points');
+            byte = binary.charCodeAt(offset++);
+            encoded += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+        } while (byte & 0x80);
+
+        const field = points.length % PACK_SCALES.length;
+        const value = previous[field] + unzigzag(encoded);
+        previous[field] = value;
+        points.push(field === 3 ? (value === 0 ? NO_PRESSURE : (value - 1) / PACK_SCALES[3]) : value / PACK_SCALES[field]);
+    }
+    if (points.length % PACK_SCALES.length !== 0) throw new Error('truncated points');
+    return points;
+}
+
+function zigzag(value) {
+    return value < 0 ? -2 * value - 1 : 2 * value;
+}
+
+function unzigzag(value) {
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+}
+
+function writeVarint(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Deterministic pseudo-random number in [0, 1) for a seed and index
+ */
+function seededRandom(seed, index) {
+    let h = (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b) >>> 0;
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/**
+ * Draw the segment ending at point `index` of a stroke.
+ * Coordinates are in stroke data units; apply any scaling to ctx beforehand.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} stroke
+ * @param {number} index - Point index (segment runs from index-1 to index)
+ */
+export function drawStrokeSegment(ctx, stroke, index) {
+    if (index < 1) return;
+
+    const from = getPoint(stroke, index - 1);
+    const to = getPoint(stroke, index);
+
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (stroke.tool) {
+        case 'solid':
+            drawSolid(ctx, stroke, from, to);
+            break;
+        case 'pressure':
+            drawPressure(ctx, stroke, from, to);
+            break;
+        case 'dot':
+            drawDot(ctx, stroke, to, index);
+            break;
+        case 'eraser':
+            drawEraser(ctx, stroke, from, to);
+            break;
+    }
+}
+
+function drawSolid(ctx, stroke, from, to) {
+    ctx.strokeStyle = INK_COLOR;
+    ctx.lineWidth = stroke.size;
+    ctx.globalCompositeOperation = 'source-over';
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+}
+
+function drawPressure(ctx, stroke, from, to) {
+    let pressureFactor;
+    let tiltFactor = 0;
+
+    if (to.pressure >= 0) {
+        // Real stylus pressure, averaged over the segment
+        const pressure = from.pressure >= 0 ? (from.pressure + to.pressure) / 2 : to.pressure;
+        pressureFactor = Math.max(0.15, pressure);
+
+        // A tilted pen lays down a broader, lighter line, like the side of a pencil
+        tiltFactor = Math.min(Math.sqrt(to.tiltX * to.tiltX + to.tiltY * to.tiltY) / 90, 1);
+    } else {
+        // No pressure hardware: fake it from speed (fast = thin)
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const speed = Math.sqrt(dx * dx + dy * dy);
+        pressureFactor = Math.max(0.3, 1 - (speed / 30));
+    }
+
+    ctx.strokeStyle = INK_COLOR;
+    ctx.lineWidth = stroke.size * pressureFactor * (1 + tiltFactor * 1.5);
+    ctx.globalAlpha = (0.7 + (pressureFactor * 0.3)) * (1 - tiltFactor * 0.4);
+    ctx.globalCompositeOperation = 'source-over';
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    ctx.globalAlpha = 1.0;
+}
+
+function drawDot(ctx, stroke, point, index) {
+    ctx.fillStyle = INK_COLOR;
+    ctx.globalCompositeOperation = 'source-over';
+
+    const dotSize = stroke.size / 3;
+    for (let i = 0; i < 3; i++) {
+        const offsetX = (seededRandom(stroke.seed, index * 6 + i * 2) - 0.5) * stroke.size;
+        const offsetY = (seededRandom(stroke.seed, index * 6 + i * 2 + 1) - 0.5) * stroke.size;
+        ctx.fillRect(point.x + offsetX, point.y + offsetY, dotSize, dotSize);
+    }
+}
+
+function drawEraser(ctx, stroke, from, to) {
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.lineWidth = stroke.size * 2;
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+/**
+ * Render complete stroke data onto a context, stretched to width x height
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} data - Stroke data
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @param {Object|null} [crop] - Part of the drawing to render, as fractions of its
+ *     size (a normalized glyph's metrics.crop, see glyph-normalize.js); all of it by default
+ */
+export function renderStrokes(ctx, data, width, height, crop = null) {
+    data = upgradeStrokeData(data);
+    const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+    ctx.save();
+    ctx.scale(width / (data.width * area.width), height / (data.height * area.height));
+    ctx.translate(-area.x * data.width, -area.y * data.height);
+
+    data.strokes.forEach(stroke => {
+        const count = getPointCount(stroke);
+        for (let i = 1; i < count; i++) {
+            drawStrokeSegment(ctx, stroke, i);
+        }
+    });
+
+    ctx.restore();
+}
+
+/**
+ * Render stroke data to a new canvas
+ * @param {Object} data - Stroke data
+ * @param {number} [width] - Defaults to the recorded width
+ * @param {number} [height] - Defaults to the recorded height
+ * @param {Object|null} [crop] - Part of the drawing to render (see renderStrokes)
+ * @returns {HTMLCanvasElement|OffscreenCanvas} - Offscreen in workers, which have no document
+ */
+export function rasterizeStrokes(data, width = data.width, height = data.height, crop = null) {
+    const canvas = typeof document === 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    renderStrokes(canvas.getContext('2d'), data, canvas.width, canvas.height, crop);
+    return canvas;
+}
+
+// Rasters per stroke data, keyed by quantized size, for renderers that draw every frame
+const rasterCache = new WeakMap();
+const RASTER_SIZE_STEP = 4; // px
+const RASTER_CACHE_LIMIT = 6; // sizes kept per glyph
+
+/**
+ * Get a canvas with the strokes rendered at (about) the requested size.
+ * Sizes are quantized and the most recent few are cached, so calling this
+ * once per animation frame does not re-render the strokes every time.
+ * @param {Object} data - Stroke data
+ * @param {number} width - Requested width in pixels
+ * @param {number} height - Requested height in pixels
+ * @param {Object|null} [crop] - Part of the drawing to render (see renderStrokes)
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function getStrokeRaster(data, width, height, crop = null) {
+    const qWidth = Math.max(RASTER_SIZE_STEP, Math.ceil(width / RASTER_SIZE_STEP) * RASTER_SIZE_STEP);
+    const qHeight = Math.max(RASTER_SIZE_STEP, Math.ceil(height / RASTER_SIZE_STEP) * RASTER_SIZE_STEP);
+    const key = crop ? `${qWidth}x${qHeight}@${crop.x},${crop.y},${crop.width},${crop.height}` : `${qWidth}x${qHeight}`;
+
+    let sizes = rasterCache.get(data);
+    if (!sizes) {
+        sizes = new Map();
+        rasterCache.set(data, sizes);
+    }
+
+    let raster = sizes.get(key);
+    if (raster) {
+        // Move to the end so the least recently used size is evicted first
+        sizes.delete(key);
+    } else {
+        raster = rasterizeStrokes(data, qWidth, qHeight, crop);
+        if (sizes.size >= RASTER_CACHE_LIMIT) {
+            sizes.delete(sizes.keys().next().value);
+        }
+    }
+    sizes.set(key, raster);
+
+    return raster;
+}
+
+/**
+ * Produce a PNG data URL from stroke data (for consumers that expect imageData)
+ * @param {Object} data - Stroke data
+ * @returns {string}
+ */
+export function strokesToDataURL(data, width, height) {
+    return rasterizeStrokes(data, width, height).toDataURL('image/png');
+}
+
+/**
+ * Replay stroke data on a canvas in real time
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} data - Stroke data
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Playback speed multiplier
+ * @param {number} [options.maxPause=400] - Longest pause between strokes (ms, before speed)
+ * @returns {{promise: Promise<void>, cancel: Function}}
+ */
+export function replayStrokes(ctx, data, options = {}) {
+    data = upgradeStrokeData(data);
+    const speed = options.speed || 1;
+    const maxPause = options.maxPause !== undefined ? options.maxPause : 400;
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+
+    // Flatten to a timeline of segments, compressing long pauses between strokes
+    const timeline = [];
+    let offset = 0;
+    let lastT = 0;
+    data.strokes.forEach(stroke => {
+        const count = getPointCount(stroke);
+        for (let i = 0; i < count; i++) {
+            const t = getPoint(stroke, i).t;
+            const gap = t - lastT;
+            if (i === 0 && gap > maxPause) {
+                offset -= gap - maxPause;
+            }
+            lastT = t;
+            if (i > 0) {
+                timeline.push({ stroke, index: i, time: (t + offset) / speed });
+            }
+        }
+    });
+
+    let cancelled = false;
+    let frameId = null;
+    let resolvePromise = null;
+
+    const promise = new Promise(resolve => {
+        resolvePromise = resolve;
+        ctx.clearRect(0, 0, width, height);
+        let next = 0;
+        let startTime = null;
+
+        const step = (now) => {
+            if (cancelled) {
+                resolve();
+                return;
+            }
+            if (startTime === null) startTime = now;
+            const elapsed = now - startTime;
+
+            ctx.save();
+            ctx.scale(width / data.width, height / data.height);
+            while (next < timeline.length && timeline[next].time <= elapsed) {
+                drawStrokeSegment(ctx, timeline[next].stroke, timeline[next].index);
+                next++;
+            }
+            ctx.restore();
+
+            if (next < timeline.length) {
+                frameId = requestAnimationFrame(step);
+            } else {
+                resolve();
+            }
+        };
+
+        frameId = requestAnimationFrame(step);
+    });
+
+    return {
+        promise,
+        cancel: () => {
+            cancelled = true;
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            resolvePromise();
+        }
+    };
+}
@@ -1,5 +1,128 @@
 // Firebase integration for interaction mode
-import { loadAllLetteringsForInteraction, getUserId } from './firebase-storage.js';
+import {
+    loadAllLetteringsForInteraction,
+    loadSharedGlyph,
+    isShareableGlyph,
+    getUserId,
+    reportGlyph as reportPoolGlyph,
+    GLYPH_STATUS
+} from './firebase-storage.js';
+import { isValidStrokeData } from './glyph-strokes.js';
+import { isValidGlyphMetrics } from './glyph-normalize.js';
+import { createGlyphCache } from './glyph-cache.js';
+
+// Decoded glyphs from earlier visits (see glyph-cache.js)
+const glyphCache = createGlyphCache();
+
+/**
+ * Load an image and attach the glyph data drawLetter() (scene-renderer.js) needs
+ * @param {string} char
+ * @param {Blob|string} image - Cached blob or data URL
+ * @param {Object} data - { glyphId, strokes, metrics, source }
+ * @returns {Promise<HTMLImageElement>}
+ */
+async function createGlyphImage(char, image, data) {
+    const src = image instanceof Blob ? URL.createObjectURL(image) : image;
+    const img = new Image();
+    try {
+        await new Promise((resolve, reject) => {
+            img.onload = () => {
+                console.log(`✓ Successfully loaded image for "${char}" from ${data.source}`);
+                resolve();
+            };
+            img.onerror = (err) => {
+                console.error(`✗ Failed to load image for "${char}":`, err);
+                reject(err);
+            };
+            img.src = src;
+        });
+    } finally {
+        // A loaded image keeps its pixels after the URL is released
+        if (src !== image) {
+            URL.revokeObjectURL(src);
+        }
+    }
+
+    // Keep vector strokes with the image so drawLetter() can render them sharply at any size
+    if (isValidStrokeData(data.strokes)) {
+        img.strokeData = data.strokes;
+    }
+    // Normalized glyphs are placed on the baseline by their metrics
+    img.metrics = isValidGlyphMetrics(data.metrics) ? data.metrics : null;
+    // Which pool document this is, so viewers can report it
+    img.glyphId = data.glyphId || null;
+    img.glyphSource = data.source;
+    return img;
+}
+
+/**
+ * Load the glyphs shown on the last visit from the local cache, without touching the network
+ * @param {string[]} requiredChars
+ * @returns {Promise<Object>} - { char: HTMLImageElement } for the characters that were cached
+ */
+export async function loadCachedLetterings(requiredChars) {
+    const letteringImages = {};
+
+    try {
+        const selection = await glyphCache.getSelection(getUserId());
+
+        await Promise.all(requiredChars.map(async (char) => {
+            const pick = selection[char];
+            const entry = pick && await glyphCache.getGlyph(pick.glyphId);
+            if (!entry) return;
+
+            try {
+                letteringImages[char] = await createGlyphImage(char, entry.blob, {
+                    glyphId: entry.id,
+                    strokes: entry.strokes,
+                    metrics: entry.metrics,
+                    source: pick.source
+                });
+            } catch (imgError) {
+                console.error(`Error creating cached image for "${char}":`, imgError);
+            }
+        }));
+
+        console.log(`Loaded ${Object.keys(letteringImages).length} letterings from the glyph cache`);
+    } catch (error) {
+        console.error('Error reading the glyph cache:', error);
+    }
+
+    return letteringImages;
+}
+
+/**
+ * Record what this load showed, so the next visit can draw it from the cache
+ * The user's own glyphs that their charMap no longer points to are evicted.
+ * @param {string[]} requiredChars
+ * @param {Object} letteringData - Result of loadAllLetteringsForInteraction
+ */
+async function updateCachedSelection(requiredChars, letteringData) {
+    const userId = getUserId();
+    const previous = await glyphCache.getSelection(userId);
+
+    // Other texts need other characters, so picks outside this one are kept
+    const selection = { ...previous };
+    const replaced = [];
+    for (const char of requiredChars) {
+        const data = letteringData[char];
+        const pick = data && data.glyphId ? { glyphId: data.glyphId, source: data.source } : null;
+
+        const old = previous[char];
+        if (old && old.source === 'user' && (!pick || pick.glyphId !== old.glyphId)) {
+            replaced.push(old.glyphId);
+        }
+
+        if (pick) {
+            selection[char] = pick;
+        } else {
+            delete selection[char];
+        }
+    }
+
+    await glyphCache.putSelection(userId, selection);
+    await glyphCache.deleteGlyphs(replaced);
+}
 
 // This will be called by the main interaction script
 export async function loadCustomLetteringsFromFirebase(requiredChars) {
@@ -22,24 +145,40 @@ export async function loadCustomLetteringsFromFirebase(requiredChars) {
             }
 
             try {
-                const img = new Image();
-                await new Promise((resolve, reject) => {
-                    img.onload = () => {
-                        console.log(`✓ Successfully loaded image for "${char}" from ${data.source}`);
-                        resolve();
-                    };
-                    img.onerror = (err) => {
-                        console.error(`✗ Failed to load image for "${char}":`, err);
-                        reject(err);
-                    };
-                    img.src = data.imageData;
-                });
-                letteringImages[char] = img;
+                // Decode each glyph once; later visits read it back from the cache
+                let image = data.imageData;
+                if (data.glyphId) {
+                    try {
+                        const entry = await glyphCache.getGlyph(data.glyphId);
+                        image = entry ? entry.blob : await glyphCache.putGlyph({
+                            id: data.glyphId,
+                            char: char,
+                            imageData: data.imageData,
+                            strokes: isValidStrokeData(data.strokes) ? data.strokes : null,
+                            metrics: data.metrics || null,
+                            // Pool picks are approved; the user's own glyphs are theirs to see
+                            status: data.source === 'global' ? GLYPH_STATUS.APPROVED : null,
+                            sourceUserId: data.source === 'user' ? getUserId() : null
+                        });
+                    } catch (cacheError) {
+                        console.warn(`Could not cache glyph for "${char}":`, cacheError);
+                    }
+                }
+                letteringImages[char] = await createGlyphImage(char, image, data);
             } catch (imgError) {
                 console.error(`Error creating image for "${char}":`, imgError);
             }
         }
 
+        // Offline, every lookup comes back empty; don't forget the cached glyphs over that
+        if (navigator.onLine !== false) {
+            try {
+                await updateCachedSelection(requiredChars, letteringData);
+            } catch (cacheError) {
+                console.warn('Could not update the glyph cache:', cacheError);
+            }
+        }
+
         console.log('=== LOADING COMPLETE ===');
         console.log(`Total letterings loaded: ${Object.keys(letteringImages).length}`);
         console.log('Characters with glyphs:', Object.keys(letteringImages));
@@ -51,4 +190,121 @@ export async function loadCustomLetteringsFromFirebase(requiredChars) {
     }
 }
 
+/**
+ * Load the glyphs of a shared composition by ID (see share-link.js)
+ * Only approved glyphs and the viewer's own load. The server has the last word, as
+ * a glyph may have been hidden since it was cached; the cache stands in offline.
+ * @param {string[]} glyphIds
+ * @returns {Promise<Object>} - { glyphId: HTMLImageElement } for the glyphs that could be loaded
+ */
+export async function loadSharedLetterings(glyphIds) {
+    const images = {};
+
+    await Promise.all(glyphIds.map(async (glyphId) => {
+        try {
+            // The author's own link usually finds its glyphs in the cache, already decoded
+            const entry = await glyphCache.getGlyph(glyphId).catch(() => null);
+
+            let glyph;
+            try {
+                glyph = await loadSharedGlyph(glyphId);
+            } catch (error) {
+                if (!entry || !isShareableGlyph(entry, getUserId())) throw error;
+                console.warn(`Could not check shared glyph ${glyphId}, drawing it from the cache:`, error);
+                glyph = entry;
+            }
+
+            if (!glyph) {
+                console.warn(`Shared glyph ${glyphId} is gone or not public, drawing its letter in serif`);
+                if (entry) {
+                    await glyphCache.deleteGlyphs([glyphId]).catch(cacheError => {
+                        console.warn('Could not evict the glyph from the cache:', cacheError);
+                    });
+                }
+                return;
+            }
+            images[glyphId] = await createGlyphImage(glyph.char, entry ? entry.blob : glyph.imageData, {
+                glyphId: glyphId,
+                strokes: glyph.strokes,
+                metrics: glyph.metrics,
+                source: entry ? 'cache' : 'shared'
+            });
+        } catch (error) {
+            console.error(`Error loading shared glyph ${glyphId}:`, error);
+        }
+    }));
+
+    return images;
+}
+
+/**
+ * Whether a glyph is still in the shared pool (it may have been hidden since it was cached)
+ * @param {string} glyphId
+ * @returns {Promise<boolean>} - False if it couldn't be checked
+ */
+async function isStillApproved(glyphId) {
+    try {
+        const glyph = await loadSharedGlyph(glyphId);
+        return Boolean(glyph) && glyph.status === GLYPH_STATUS.APPROVED;
+    } catch (error) {
+        console.warn(`Could not check glyph ${glyphId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Combine the glyphs drawn from the cache with a fresh load
+ * The user's own glyphs follow the fresh load, so charMap changes show up straight
+ * away. Glyphs from the shared pool are random picks anyway, so cached ones stay on
+ * screen rather than swapping mid-visit, as long as they are still approved; the
+ * fresh picks are shown next time. Cached picks that were hidden give way to the
+ * fresh ones and leave the cache.
+ * @param {Object} cached - { char: HTMLImageElement } from loadCachedLetterings()
+ * @param {Object} fresh - { char: HTMLImageElement } from loadCustomLetteringsFromFirebase()
+ * @returns {Promise<Object>} - { char: HTMLImageElement }
+ */
+export async function mergeLetterings(cached, fresh) {
+    // Offline the fresh load is empty, so keep what the cache drew
+    if (navigator.onLine === false) {
+        return { ...cached, ...fresh };
+    }
+
+    const merged = {};
+    const withdrawn = [];
+    await Promise.all(Object.entries(fresh).map(async ([char, img]) => {
+        const shown = cached[char];
+        let keepShown = false;
+        if (shown && shown.glyphSource === 'global' && img.glyphSource === 'global') {
+            keepShown = shown.glyphId === img.glyphId || await isStillApproved(shown.glyphId);
+            if (!keepShown) {
+                withdrawn.push(shown.glyphId);
+            }
+        }
+        merged[char] = keepShown ? shown : img;
+    }));
+
+    if (withdrawn.length > 0) {
+        try {
+            await glyphCache.deleteGlyphs(withdrawn);
+        } catch (cacheError) {
+            console.warn('Could not evict withdrawn glyphs from the cache:', cacheError);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Report a glyph, and stop drawing it from the cache
+ * @param {string} glyphId
+ * @param {string} [reason]
+ */
+export async function reportGlyph(glyphId, reason) {
+    await reportPoolGlyph(glyphId, reason);
+    try {
+        await glyphCache.deleteGlyphs([glyphId]);
+    } catch (cacheError) {
+        console.warn('Could not evict reported glyph from the cache:', cacheError);
+    }
+}
+
 export { getUserId };
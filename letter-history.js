@@ -0,0 +1,96 @@
+// Letter History
+// Undo/redo of one letter in lettering mode, kept for the whole session: switching
+// letters or saving one doesn't lose it. Each state of the drawing gets a revision, so
+// the letter knows whether it differs from what was last saved, even after undoing back
+// past a save or redoing up to it.
+//
+// Snapshots are whatever lettering.js needs to restore a drawing; they're kept as given.
+
+export const LETTER_HISTORY_CONFIG = {
+    limit: 100 // Undo steps kept per letter
+};
+
+/**
+ * Create the history of a letter, as it was loaded (unchanged and saved)
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Object} - History API (see below)
+ */
+export function createLetterHistory({ limit = LETTER_HISTORY_CONFIG.limit } = {}) {
+    let undoStack = []; // { snapshot, revision } of the states before each change
+    let redoStack = [];
+    let lastRevision = 0;
+    let revision = 0; // State the drawing is in now
+    let savedRevision = 0; // State it was in when last loaded or saved
+
+    return {
+        /**
+         * Record a change
+         * @param {Object} snapshot - The drawing before the change
+         */
+        record(snapshot) {
+            undoStack.push({ snapshot: snapshot, revision: revision });
+            if (undoStack.length > limit) {
+                undoStack.shift();
+            }
+            redoStack = [];
+            revision = ++lastRevision;
+        },
+
+        /**
+         * Step back
+         * @param {Object} current - Snapshot of the drawing now, for redo
+         * @returns {Object|null} - Snapshot to restore, null if there is nothing to undo
+         */
+        undo(current) {
+            if (undoStack.length === 0) return null;
+            redoStack.push({ snapshot: current, revision: revision });
+            const entry = undoStack.pop();
+            revision = entry.revision;
+            return entry.snapshot;
+        },
+
+        /**
+         * Step forward again
+         * @param {Object} current - Snapshot of the drawing now, for undo
+         * @returns {Object|null} - Snapshot to restore, null if there is nothing to redo
+         */
+        redo(current) {
+            if (redoStack.length === 0) return null;
+            undoStack.push({ snapshot: current, revision: revision });
+            const entry = redoStack.pop();
+            revision = entry.revision;
+            return entry.snapshot;
+        },
+
+        canUndo() {
+            return undoStack.length > 0;
+        },
+
+        canRedo() {
+            return redoStack.length > 0;
+        },
+
+        /**
+         * @returns {number} - The drawing's state now, for markSaved()
+         */
+        getRevision() {
+            return revision;
+        },
+
+        /**
+         * Note that a state of the drawing was saved
+         * @param {number} [saved] - From getRevision() when the save was taken; now by default
+         */
+        markSaved(saved = revision) {
+            savedRevision = saved;
+        },
+
+        /**
+         * @returns {boolean} - Whether the drawing differs from the last saved state
+         */
+        hasUnsavedChanges() {
+            return revision !== savedRevision;
+        }
+    };
+}
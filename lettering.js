@@ -1,29 +1,79 @@
 // Lettering Mode JavaScript
-import { saveLettering, loadUserLetterings, getUserId } from './firebase-storage.js';
+import {
+    saveLettering,
+    loadUserLetterings,
+    getUserId,
+    listGlyphVersions,
+    restoreGlyphVersion,
+    deleteGlyphVersion,
+    GLYPH_STATUS
+} from './firebase-storage.js';
+import { getSelectedText, getUniqueLetters } from './texts.js';
+import { createSaveOutbox, SAVE_STATE } from './save-outbox.js';
+import { findInkBounds, normalizeGlyph, getDefaultFrame } from './glyph-normalize.js';
+import { createLetterHistory } from './letter-history.js';
+import {
+    createStrokeData,
+    createStroke,
+    addPoint,
+    getPoint,
+    getPointCount,
+    drawStrokeSegment,
+    renderStrokes,
+    NO_PRESSURE,
+    replayStrokes,
+    upgradeStrokeData
+} from './glyph-strokes.js';
 
 // ========================================
 // CONFIGURATION
 // ========================================
-const SENTENCE = "Aujourd'hui, maman est morte. Ou peut-être hier.";
+const TEXT = getSelectedText();
 
 // ========================================
 // STATE
 // ========================================
 let uniqueCharacters = [];
 let currentCharacter = null;
-let letterings = {}; // { char: imageDataURL } - current user's letterings
+let letterings = {}; // { char: { imageData, strokes, metrics } } - current user's letterings
+let saveStates = {}; // { char: SAVE_STATE } for characters with saves still in the outbox
+let outbox = null; // Queues saves and retries them until they upload (see save-outbox.js)
 let userId = null; // Current user's unique ID
 let isDrawing = false;
-let lastX = 0;
-let lastY = 0;
 let currentTool = 'solid';
 let brushSize = 5;
-let pressure = 0.5;
+
+// Vector recording of the current character
+let strokeData = null; // Stroke data being drawn (see glyph-strokes.js)
+let currentStroke = null; // Stroke in progress between startDrawing and stopDrawing
+let strokeClockStart = null; // performance.now() value that maps to t = 0
+let rasterBase = null; // Image of a PNG-only glyph, drawn underneath the strokes
+let hasRasterBase = false; // Drawing includes a PNG-only glyph, so strokes can't describe it
+let activeReplay = null; // { promise, cancel } while a replay is running
+let isHistoryOpen = false; // Version history panel is showing
+
+// Pointer input
+const PALM_REJECTION_WINDOW = 1000; // ms after pen activity during which touches are ignored
+let activePointerId = null; // Pointer drawing the current stroke
+let activePointerType = null; // 'mouse', 'pen' or 'touch'
+let lastPenTime = -Infinity; // Event time of the last pen contact or hover
+
+// Undo/redo history of the current character: snapshots taken before each change
+let history = createLetterHistory(); // See letter-history.js
+let pendingSnapshot = null; // Taken at startDrawing, committed if the stroke is kept
+
+// Per-character drawing state kept for the session, so switching letters
+// doesn't lose unsaved strokes or their undo history
+const drafts = {}; // { char: { strokeData, rasterBase, hasRasterBase, history } }
 
 // Canvas
 const canvas = document.getElementById('drawingCanvas');
 const ctx = canvas.getContext('2d');
 
+// Guide letter metrics are measured with canvas text metrics
+const X_HEIGHT_FALLBACK = 0.48; // em; Georgia's x-height, where measureText can't tell
+let measureCtx = null;
+
 // ========================================
 // INITIALIZATION
 // ========================================
@@ -31,13 +81,20 @@ async function init() {
     // Get user ID
     userId = getUserId();
     console.log('User ID:', userId);
+    console.log(`Text: "${TEXT.title}" (${TEXT.id})`);
 
     // Extract unique alphabetic characters
-    extractUniqueCharacters();
+    uniqueCharacters = extractUniqueCharacters(TEXT.content);
 
     // Load user's letterings from Firebase
     await loadLetteringsFromFirebase();
 
+    // Resume uploads left over from earlier visits; their drawings win over what's stored
+    await startOutbox();
+
+    // Show which passage the letters come from
+    document.getElementById('textInfo').textContent = TEXT.title;
+
     // Render character list
     renderCharacterList();
 
@@ -76,6 +133,31 @@ async function loadLetteringsFromFirebase() {
     }
 }
 
+async function startOutbox() {
+    outbox = createSaveOutbox({
+        save: entry => saveLettering(entry.char, entry.imageData, entry.strokes, entry.metrics || null, entry.id),
+        onChange: states => {
+            saveStates = states;
+            renderCharacterList();
+        },
+        // The upload is a new version of its letter
+        onSaved: entry => {
+            if (entry.char === currentCharacter) {
+                renderHistoryPanel();
+            }
+        }
+    });
+
+    const queued = await outbox.start();
+    queued.forEach(entry => {
+        letterings[entry.char] = { imageData: entry.imageData, strokes: entry.strokes, metrics: entry.metrics || null };
+    });
+
+    if (queued.length > 0) {
+        console.log(`Resuming ${queued.length} queued saves`);
+    }
+}
+
 function resizeCanvas() {
     const container = document.querySelector('.canvas-container');
     if (!container || !container.offsetParent) return;
@@ -84,43 +166,28 @@ function resizeCanvas() {
 
     if (rect.width === 0 || rect.height === 0) return;
 
-    let currentImageData = null;
-    if (currentCharacter && canvas.width > 0 && canvas.height > 0) {
-        try {
-            currentImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        } catch (e) {
-            // Ignore if canvas is not ready
-        }
-    }
+    // The guide's font size follows the breakpoints, so its lines can move without the canvas resizing
+    updateGuideLines();
+
+    if (canvas.width === Math.floor(rect.width) && canvas.height === Math.floor(rect.height)) return;
+
+    stopReplay();
 
     canvas.width = rect.width;
     canvas.height = rect.height;
 
-    if (currentImageData) {
-        try {
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = currentImageData.width;
-            tempCanvas.height = currentImageData.height;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.putImageData(currentImageData, 0, 0);
-
-            ctx.drawImage(tempCanvas, 0, 0, canvas.width, canvas.height);
-        } catch (e) {
-            loadCharacterDrawing();
-        }
-    } else if (currentCharacter) {
-        loadCharacterDrawing();
-    }
+    // Strokes are kept in their own coordinate space, so the drawing (and its
+    // history) re-renders sharply at the new size
+    redrawCanvas();
 }
 
-function extractUniqueCharacters() {
-    const chars = new Set();
-    for (let char of SENTENCE) {
-        if (/[a-zA-ZÀ-ÿ]/.test(char)) {
-            chars.add(char);
-        }
-    }
-    uniqueCharacters = Array.from(chars).sort();
+/**
+ * The letters to draw for a text, in list order
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractUniqueCharacters(text) {
+    return getUniqueLetters(text).sort();
 }
 
 function renderCharacterList() {
@@ -140,9 +207,14 @@ function renderCharacterList() {
         const charSpan = document.createElement('span');
         charSpan.textContent = char;
 
+        const saveState = getSaveState(char);
         const status = document.createElement('span');
         status.className = 'status';
-        status.textContent = letterings[char] ? '✓' : '';
+        if (saveState) {
+            item.classList.add(saveState);
+            status.textContent = SAVE_STATE_LABELS[saveState].symbol;
+            item.title = SAVE_STATE_LABELS[saveState].title;
+        }
 
         item.appendChild(charSpan);
         item.appendChild(status);
@@ -153,38 +225,109 @@ function renderCharacterList() {
     });
 }
 
+const SAVE_STATE_LABELS = {
+    [SAVE_STATE.SAVED]: { symbol: '✓', title: 'Saved' },
+    [SAVE_STATE.PENDING]: { symbol: '…', title: 'Waiting to upload' },
+    [SAVE_STATE.FAILED]: { symbol: '!', title: 'Upload failed - retrying' }
+};
+
+/**
+ * Save state of a character, or null if it hasn't been drawn
+ */
+function getSaveState(char) {
+    if (saveStates[char]) {
+        return saveStates[char];
+    }
+    return letterings[char] ? SAVE_STATE.SAVED : null;
+}
+
 function selectCharacter(char) {
+    stopReplay();
+    stashDraft();
     currentCharacter = char;
     renderCharacterList();
     showWorkspace();
     loadCharacterDrawing();
+    renderHistoryPanel();
 }
 
 function showWorkspace() {
     document.getElementById('noSelection').style.display = 'none';
     document.getElementById('workspaceContent').style.display = 'flex';
-    document.getElementById('guideText').textContent = currentCharacter;
+    document.getElementById('guideChar').textContent = currentCharacter;
 
     setTimeout(() => resizeCanvas(), 0);
 }
 
 function loadCharacterDrawing() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const char = currentCharacter;
+    strokeClockStart = null;
+
+    // Returning to a letter edited earlier in this session
+    if (drafts[char]) {
+        ({ strokeData, rasterBase, hasRasterBase, history } = drafts[char]);
+        redrawCanvas();
+        updateHistoryButtons();
+        return;
+    }
 
-    if (letterings[currentCharacter]) {
+    const saved = letterings[char];
+    strokeData = null;
+    rasterBase = null;
+    hasRasterBase = false;
+    history = createLetterHistory();
+
+    if (saved && saved.strokes) {
+        // Copy so unsaved edits don't leak into the saved version
+        strokeData = JSON.parse(JSON.stringify(upgradeStrokeData(saved.strokes)));
+    } else if (saved) {
+        // PNG-only glyph: new strokes are drawn on top of the bitmap
+        hasRasterBase = true;
         const img = new Image();
+        // Normalized images only cover the inked part of the drawing
+        img.crop = saved.metrics ? saved.metrics.crop : null;
         img.onload = () => {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            if (currentCharacter === char) {
+                rasterBase = img;
+                redrawCanvas();
+            } else if (drafts[char]) {
+                drafts[char].rasterBase = img;
+            }
         };
         img.onerror = (err) => {
-            console.error(`Failed to load drawing for "${currentCharacter}":`, err);
+            console.error(`Failed to load drawing for "${char}":`, err);
             // Clear corrupted data
-            delete letterings[currentCharacter];
+            delete letterings[char];
+            if (currentCharacter === char) {
+                hasRasterBase = false;
+            } else if (drafts[char]) {
+                drafts[char].hasRasterBase = false;
+            }
             renderCharacterList();
             updateProgress();
         };
-        img.src = letterings[currentCharacter];
+        img.src = saved.imageData;
+    }
+
+    redrawCanvas();
+    updateHistoryButtons();
+}
+
+function stashDraft() {
+    if (!currentCharacter) return;
+    drafts[currentCharacter] = { strokeData, rasterBase, hasRasterBase, history };
+}
+
+function redrawCanvas() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (hasRasterBase && rasterBase) {
+        const crop = rasterBase.crop || { x: 0, y: 0, width: 1, height: 1 };
+        ctx.drawImage(rasterBase,
+            crop.x * canvas.width, crop.y * canvas.height,
+            crop.width * canvas.width, crop.height * canvas.height);
+    }
+    if (strokeData) {
+        renderStrokes(ctx, strokeData, canvas.width, canvas.height);
     }
 }
 
@@ -195,14 +338,23 @@ function updateProgress() {
 }
 
 function setupEventListeners() {
-    canvas.addEventListener('mousedown', startDrawing);
-    canvas.addEventListener('mousemove', draw);
-    canvas.addEventListener('mouseup', stopDrawing);
-    canvas.addEventListener('mouseout', stopDrawing);
-
-    canvas.addEventListener('touchstart', handleTouchStart);
-    canvas.addEventListener('touchmove', handleTouchMove);
-    canvas.addEventListener('touchend', stopDrawing);
+    if (window.PointerEvent) {
+        // Pointer Events cover mouse, touch and stylus (Apple Pencil, Wacom) with real pressure and tilt
+        canvas.addEventListener('pointerdown', handlePointerDown);
+        canvas.addEventListener('pointermove', handlePointerMove);
+        canvas.addEventListener('pointerup', handlePointerUp);
+        canvas.addEventListener('pointercancel', handlePointerUp);
+    } else {
+        // Older browsers: mouse and single-touch input only
+        canvas.addEventListener('mousedown', startDrawing);
+        canvas.addEventListener('mousemove', draw);
+        canvas.addEventListener('mouseup', stopDrawing);
+        canvas.addEventListener('mouseout', stopDrawing);
+
+        canvas.addEventListener('touchstart', handleTouchStart);
+        canvas.addEventListener('touchmove', handleTouchMove);
+        canvas.addEventListener('touchend', stopDrawing);
+    }
 
     document.querySelectorAll('[data-tool]').forEach(btn => {
         btn.addEventListener('click', (e) => {
@@ -217,70 +369,214 @@ function setupEventListeners() {
     });
 
     document.getElementById('clearBtn').addEventListener('click', clearCanvas);
+    document.getElementById('historyBtn').addEventListener('click', toggleHistoryPanel);
+    document.getElementById('replayBtn').addEventListener('click', replayDrawing);
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || !currentCharacter) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        } else if (key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
     document.getElementById('saveBtn').addEventListener('click', saveAndNext);
 
     document.getElementById('backBtn').addEventListener('click', () => {
         window.location.href = 'entry.html';
     });
 
+    document.getElementById('exportFontBtn').addEventListener('click', exportFont);
+
     document.getElementById('toInteractionBtn').addEventListener('click', () => {
-        window.location.href = 'interaction.html';
+        const waiting = Object.keys(saveStates).length;
+        if (waiting > 0 && !window.confirm(
+            `${waiting} letter${waiting === 1 ? ' is' : 's are'} still waiting to upload and won't appear yet. ` +
+            'They will upload next time you open Lettering mode. Continue?'
+        )) {
+            return;
+        }
+        window.location.href = `interaction.html?text=${encodeURIComponent(TEXT.id)}`;
     });
 }
 
-function startDrawing(e) {
-    isDrawing = true;
+function getCanvasPoint(clientX, clientY) {
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
-    lastX = (e.clientX - rect.left) * scaleX;
-    lastY = (e.clientY - rect.top) * scaleY;
+    return {
+        x: (clientX - rect.left) * scaleX,
+        y: (clientY - rect.top) * scaleY
+    };
 }
 
-function draw(e) {
-    if (!isDrawing) return;
+function getStrokeTime(now) {
+    if (strokeClockStart === null) {
+        // Continue after the last recorded point, with a short pause between sessions
+        let lastT = 0;
+        strokeData.strokes.forEach(stroke => {
+            const count = getPointCount(stroke);
+            if (count > 0) {
+                lastT = Math.max(lastT, getPoint(stroke, count - 1).t + 300);
+            }
+        });
+        strokeClockStart = now - lastT;
+    }
 
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    return now - strokeClockStart;
+}
 
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
+function addCanvasPoint(e) {
+    const { x, y } = getCanvasPoint(e.clientX, e.clientY);
+
+    // Points are stored in the stroke data's coordinate space, which stays fixed across resizes
+    return addPoint(
+        currentStroke,
+        x * strokeData.width / canvas.width,
+        y * strokeData.height / canvas.height,
+        getStrokeTime(e.timeStamp !== undefined ? e.timeStamp : performance.now()),
+        getHardwarePressure(e),
+        e.pointerType === 'pen' ? e.tiltX || 0 : 0,
+        e.pointerType === 'pen' ? e.tiltY || 0 : 0
+    );
+}
 
-    switch (currentTool) {
-        case 'solid':
-            drawSolid(lastX, lastY, x, y);
-            break;
-        case 'pressure':
-            drawPressure(lastX, lastY, x, y);
-            break;
-        case 'dot':
-            drawDot(x, y);
-            break;
-        case 'eraser':
-            drawEraser(lastX, lastY, x, y);
-            break;
+function getHardwarePressure(e) {
+    // Mice report a fixed 0.5 while pressed, and many touch screens only ever
+    // report 0, 0.5 or 1, so only trust pens and touch screens with real values
+    if (e.pointerType === 'pen') {
+        return e.pressure;
+    }
+    if (e.pointerType === 'touch' && e.pressure > 0 && e.pressure !== 0.5 && e.pressure !== 1) {
+        return e.pressure;
     }
+    return NO_PRESSURE;
+}
+
+function startDrawing(e, tool = currentTool) {
+    stopReplay();
+
+    if (!strokeData) {
+        strokeData = createStrokeData(canvas.width, canvas.height);
+    }
+
+    isDrawing = true;
+
+    pendingSnapshot = takeSnapshot();
+    currentStroke = createStroke(tool, brushSize * strokeData.width / canvas.width);
+    strokeData.strokes.push(currentStroke);
+    addCanvasPoint(e);
+}
+
+function draw(e) {
+    if (!isDrawing || !currentStroke) return;
+
+    const index = addCanvasPoint(e);
 
-    lastX = x;
-    lastY = y;
+    ctx.save();
+    ctx.scale(canvas.width / strokeData.width, canvas.height / strokeData.height);
+    drawStrokeSegment(ctx, currentStroke, index);
+    ctx.restore();
 }
 
 function stopDrawing() {
     isDrawing = false;
+
+    if (currentStroke) {
+        // A stroke needs at least one segment to leave a mark
+        if (getPointCount(currentStroke) < 2) {
+            strokeData.strokes.pop();
+        } else {
+            pushHistory(pendingSnapshot);
+        }
+    }
+    currentStroke = null;
+    pendingSnapshot = null;
+}
+
+// Drop the stroke in progress without recording it (e.g. it was a palm)
+function cancelStroke() {
+    if (currentStroke) {
+        strokeData.strokes.pop();
+    }
+    isDrawing = false;
+    currentStroke = null;
+    pendingSnapshot = null;
+    activePointerId = null;
+    activePointerType = null;
+    redrawCanvas();
+}
+
+function isPalmTouch(e) {
+    return e.pointerType === 'touch' &&
+        (activePointerType === 'pen' || e.timeStamp - lastPenTime < PALM_REJECTION_WINDOW);
+}
+
+function handlePointerDown(e) {
+    if (e.pointerType === 'pen') {
+        lastPenTime = e.timeStamp;
+    }
+    if (isPalmTouch(e)) return;
+
+    if (activePointerId !== null) {
+        if (e.pointerType === 'pen' && activePointerType === 'touch') {
+            // The pen landed while a touch stroke was in progress: that touch was the palm
+            cancelStroke();
+        } else {
+            // One stroke at a time; ignore extra fingers
+            return;
+        }
+    }
+
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    e.preventDefault();
+    canvas.setPointerCapture(e.pointerId);
+    activePointerId = e.pointerId;
+    activePointerType = e.pointerType;
+
+    // The eraser end of a stylus (buttons bit 32) erases whatever tool is selected
+    startDrawing(e, (e.buttons & 32) ? 'eraser' : currentTool);
+}
+
+function handlePointerMove(e) {
+    if (e.pointerType === 'pen') {
+        // Hovering counts too: the hand is resting on the screen
+        lastPenTime = e.timeStamp;
+    }
+    if (e.pointerId !== activePointerId || !isDrawing) return;
+
+    // Coalesced events carry the samples between frames, for smooth curves
+    const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    (samples.length > 0 ? samples : [e]).forEach(sample => draw(sample));
+}
+
+function handlePointerUp(e) {
+    if (e.pointerId !== activePointerId) return;
+
+    if (e.pointerType === 'pen') {
+        lastPenTime = e.timeStamp;
+    }
+    activePointerId = null;
+    activePointerType = null;
+    stopDrawing();
 }
 
 function handleTouchStart(e) {
     e.preventDefault();
     const touch = e.touches[0];
-    const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    isDrawing = true;
-    lastX = (touch.clientX - rect.left) * scaleX;
-    lastY = (touch.clientY - rect.top) * scaleY;
+    startDrawing({ clientX: touch.clientX, clientY: touch.clientY });
 }
 
 function handleTouchMove(e) {
@@ -291,66 +587,141 @@ function handleTouchMove(e) {
     draw({ clientX: touch.clientX, clientY: touch.clientY });
 }
 
-function drawSolid(x1, y1, x2, y2) {
-    ctx.strokeStyle = '#ffffff';
-    ctx.lineWidth = brushSize;
-    ctx.globalCompositeOperation = 'source-over';
+function replayDrawing() {
+    if (!strokeData || strokeData.strokes.length === 0 || hasRasterBase) {
+        alert('Nothing to replay: this letter has no recorded strokes.');
+        return;
+    }
 
-    ctx.beginPath();
-    ctx.moveTo(x1, y1);
-    ctx.lineTo(x2, y2);
-    ctx.stroke();
+    stopReplay();
+    const replay = replayStrokes(ctx, strokeData, { speed: 1.5 });
+    activeReplay = replay;
+    replay.promise.then(() => {
+        if (activeReplay === replay) {
+            activeReplay = null;
+        }
+    });
 }
 
-function drawPressure(x1, y1, x2, y2) {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    const speed = distance;
+function stopReplay() {
+    if (activeReplay) {
+        activeReplay.cancel();
+        activeReplay = null;
+        redrawCanvas();
+    }
+}
 
-    const pressureFactor = Math.max(0.3, 1 - (speed / 30));
-    const size = brushSize * pressureFactor;
+// ========================================
+// GUIDE
+// ========================================
+/**
+ * Measure the guide letter: its font size is the em every glyph is normalized to
+ * @returns {{fontSize: number, baseline: number, xHeight: number}|null} - CSS pixels,
+ *     baseline down from the top of the canvas; null while the guide isn't laid out
+ */
+function measureGuide() {
+    const guide = document.getElementById('guideText');
+    const style = getComputedStyle(guide);
+    const fontSize = parseFloat(style.fontSize);
+    const canvasRect = canvas.getBoundingClientRect();
+    if (!fontSize || canvasRect.height === 0) return null;
+
+    if (!measureCtx) {
+        measureCtx = document.createElement('canvas').getContext('2d');
+    }
+    measureCtx.font = `${style.fontWeight} ${fontSize}px ${style.fontFamily}`;
+    const xHeight = measureCtx.measureText('x').actualBoundingBoxAscent || X_HEIGHT_FALLBACK * fontSize;
+
+    return {
+        fontSize: fontSize,
+        baseline: document.getElementById('guideBaseline').getBoundingClientRect().top - canvasRect.top,
+        xHeight: xHeight
+    };
+}
 
-    ctx.strokeStyle = '#ffffff';
-    ctx.lineWidth = size;
-    ctx.globalAlpha = 0.7 + (pressureFactor * 0.3);
-    ctx.globalCompositeOperation = 'source-over';
+function updateGuideLines() {
+    const guide = measureGuide();
+    if (!guide) return;
+    document.getElementById('baselineLine').style.top = `${guide.baseline}px`;
+    document.getElementById('xHeightLine').style.top = `${guide.baseline - guide.xHeight}px`;
+}
 
-    ctx.beginPath();
-    ctx.moveTo(x1, y1);
-    ctx.lineTo(x2, y2);
-    ctx.stroke();
+/**
+ * The guide in canvas pixels, for normalizeGlyph()
+ * @returns {{emSize: number, baseline: number, xHeight: number}}
+ */
+function getGuideFrame() {
+    const guide = measureGuide();
+    if (!guide) {
+        // Not laid out (shouldn't happen while saving)
+        return getDefaultFrame(canvas.width, canvas.height);
+    }
 
-    ctx.globalAlpha = 1.0;
+    const scale = canvas.height / canvas.getBoundingClientRect().height;
+    return {
+        emSize: guide.fontSize * scale,
+        baseline: guide.baseline * scale,
+        xHeight: guide.xHeight * scale
+    };
 }
 
-function drawDot(x, y) {
-    ctx.fillStyle = '#ffffff';
-    ctx.globalCompositeOperation = 'source-over';
+// ========================================
+// UNDO / REDO
+// ========================================
+function takeSnapshot() {
+    return {
+        strokes: strokeData ? strokeData.strokes.slice() : [],
+        hasRasterBase: hasRasterBase
+    };
+}
 
-    const dotSize = brushSize / 3;
-    for (let i = 0; i < 3; i++) {
-        const offsetX = (Math.random() - 0.5) * brushSize;
-        const offsetY = (Math.random() - 0.5) * brushSize;
-        ctx.fillRect(x + offsetX, y + offsetY, dotSize, dotSize);
+function restoreSnapshot(snapshot) {
+    // Strokes are never modified once finished, so snapshots can share them
+    if (strokeData) {
+        strokeData.strokes = snapshot.strokes.slice();
     }
+    hasRasterBase = snapshot.hasRasterBase;
+    strokeClockStart = null;
+    redrawCanvas();
+}
+
+function pushHistory(snapshot) {
+    history.record(snapshot);
+    updateHistoryButtons();
+}
+
+function undo() {
+    if (isDrawing || !history.canUndo()) return;
+
+    stopReplay();
+    restoreSnapshot(history.undo(takeSnapshot()));
+    updateHistoryButtons();
 }
 
-function drawEraser(x1, y1, x2, y2) {
-    ctx.globalCompositeOperation = 'destination-out';
-    ctx.lineWidth = brushSize * 2;
+function redo() {
+    if (isDrawing || !history.canRedo()) return;
 
-    ctx.beginPath();
-    ctx.moveTo(x1, y1);
-    ctx.lineTo(x2, y2);
-    ctx.stroke();
+    stopReplay();
+    restoreSnapshot(history.redo(takeSnapshot()));
+    updateHistoryButtons();
+}
 
-    ctx.globalCompositeOperation = 'source-over';
+function updateHistoryButtons() {
+    document.getElementById('undoBtn').disabled = !history.canUndo();
+    document.getElementById('redoBtn').disabled = !history.canRedo();
 }
 
 function clearCanvas() {
     if (confirm('Clear this drawing?')) {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        stopReplay();
+        // Clearing is undoable too
+        pushHistory(takeSnapshot());
+        if (strokeData) {
+            strokeData.strokes = [];
+        }
+        strokeClockStart = null;
+        hasRasterBase = false;
+        redrawCanvas();
     }
 }
 
@@ -361,75 +732,319 @@ async function saveAndNext() {
         return;
     }
 
-    // Check if canvas is empty (has any non-transparent pixels)
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
-    let hasDrawing = false;
+    // Make sure the canvas shows the full drawing, not a partial replay
+    stopReplay();
 
-    for (let i = 3; i < pixels.length; i += 4) {
-        if (pixels[i] > 0) { // Check alpha channel
-            hasDrawing = true;
-            break;
-        }
-    }
-
-    if (!hasDrawing) {
+    if (isCanvasEmpty(ctx)) {
         const confirm = window.confirm('The canvas appears empty. Save anyway?');
         if (!confirm) return;
     }
 
     try {
-        // Save current drawing
-        const dataURL = canvas.toDataURL('image/png');
-        letterings[currentCharacter] = dataURL;
-
-        // Save to Firebase
-        await saveLettering(currentCharacter, dataURL);
-        console.log(`Saved "${currentCharacter}" to Firebase`);
+        // Save current drawing: strokes are the source of truth, the image is rendered from them.
+        // Drawings on top of a PNG-only glyph can't be described by strokes, so save the bitmap.
+        // Either way the image is cropped and scaled to the guide's em (see glyph-normalize.js).
+        const strokes = strokeData && !hasRasterBase ? JSON.parse(JSON.stringify(strokeData)) : null;
+        const { imageData: dataURL, metrics } = normalizeGlyph(canvas, getGuideFrame());
+        letterings[currentCharacter] = { imageData: dataURL, strokes: strokes, metrics: metrics };
+        const savedHistory = history;
+        const savedRevision = history.getRevision();
+
+        // Queue the upload; the outbox keeps retrying in the background if it fails
+        await outbox.enqueue(currentCharacter, dataURL, strokes, metrics);
+        console.log(`Queued "${currentCharacter}" for upload`);
+
+        // Undo history stays; the letter just isn't unsaved any more (see hasUnsavedChanges())
+        savedHistory.markSaved(savedRevision);
 
         // Update UI
         renderCharacterList();
         updateProgress();
 
         // Move to next unfinished character
-        const nextChar = findNextUnfinishedCharacter();
+        const nextChar = findNextUnfinishedCharacter(uniqueCharacters, letterings, currentCharacter);
         if (nextChar) {
             selectCharacter(nextChar);
         } else {
             alert('All characters completed! You can now proceed to Interaction mode.');
         }
     } catch (error) {
-        console.error('Error saving to Firebase:', error);
-
-        // More specific error messages
-        if (error.message && error.message.includes('Firebase')) {
-            alert('Failed to save to Firebase. Please check your Firebase configuration.');
-        } else if (!navigator.onLine) {
-            alert('No internet connection. Please check your network and try again.');
-        } else {
-            alert('Failed to save. Error: ' + error.message);
-        }
+        // Only reached if the drawing couldn't even be queued; upload failures are retried
+        console.error('Error queueing save:', error);
+        alert('Failed to save. Error: ' + error.message);
 
         // Keep the drawing even if save failed
         console.log('Drawing preserved in memory, you can try saving again');
     }
 }
 
-function findNextUnfinishedCharacter() {
-    const currentIndex = uniqueCharacters.indexOf(currentCharacter);
-    for (let i = currentIndex + 1; i < uniqueCharacters.length; i++) {
-        if (!letterings[uniqueCharacters[i]]) {
-            return uniqueCharacters[i];
+/**
+ * Whether a canvas has no visible pixels
+ * @param {CanvasRenderingContext2D} context
+ * @returns {boolean}
+ */
+export function isCanvasEmpty(context) {
+    return findInkBounds(context.getImageData(0, 0, context.canvas.width, context.canvas.height)) === null;
+}
+
+/**
+ * The next letter without a lettering, after the current one and wrapping around
+ * @param {string[]} characters - Letters in list order
+ * @param {Object} finished - { char: lettering } for the letters already drawn
+ * @param {string|null} current - Letter being drawn
+ * @returns {string|null} - null once every other letter is drawn
+ */
+export function findNextUnfinishedCharacter(characters, finished, current) {
+    const currentIndex = characters.indexOf(current);
+    for (let i = currentIndex + 1; i < characters.length; i++) {
+        if (!finished[characters[i]]) {
+            return characters[i];
         }
     }
     for (let i = 0; i < currentIndex; i++) {
-        if (!letterings[uniqueCharacters[i]]) {
-            return uniqueCharacters[i];
+        if (!finished[characters[i]]) {
+            return characters[i];
         }
     }
     return null;
 }
 
+// ========================================
+// VERSION HISTORY
+// ========================================
+const VERSION_STATUS_LABELS = {
+    [GLYPH_STATUS.PENDING]: 'Awaiting review',
+    [GLYPH_STATUS.APPROVED]: 'Shared',
+    [GLYPH_STATUS.HIDDEN]: 'Hidden by a moderator'
+};
+
+function toggleHistoryPanel() {
+    isHistoryOpen = !isHistoryOpen;
+    document.getElementById('historyPanel').style.display = isHistoryOpen ? 'block' : 'none';
+    document.getElementById('historyBtn').classList.toggle('primary', isHistoryOpen);
+    renderHistoryPanel();
+}
+
+/**
+ * List the saved versions of the current letter in the history panel
+ */
+async function renderHistoryPanel() {
+    if (!isHistoryOpen || !currentCharacter) return;
+
+    const char = currentCharacter;
+    const listEl = document.getElementById('historyList');
+    document.getElementById('historyTitle').textContent = `VERSIONS OF "${char}"`;
+
+    let versions;
+    let activeId;
+    try {
+        ({ versions, activeId } = await listGlyphVersions(char));
+    } catch (error) {
+        console.error(`Error loading versions of "${char}":`, error);
+        listEl.innerHTML = '<div class="history-note">Could not load versions.</div>';
+        return;
+    }
+
+    // Another letter was selected while loading
+    if (char !== currentCharacter) return;
+
+    listEl.innerHTML = '';
+
+    if (saveStates[char]) {
+        const note = document.createElement('div');
+        note.className = 'history-note';
+        note.textContent = 'Your latest drawing is still uploading and will appear here once saved.';
+        listEl.appendChild(note);
+    }
+
+    if (versions.length === 0) {
+        const note = document.createElement('div');
+        note.className = 'history-note';
+        note.textContent = 'No saved versions yet.';
+        listEl.appendChild(note);
+        return;
+    }
+
+    versions.forEach(glyph => {
+        const isActive = glyph.id === activeId;
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.classList.toggle('active', isActive);
+
+        const img = document.createElement('img');
+        img.src = glyph.imageData;
+        img.alt = `Version of "${char}"`;
+
+        const meta = document.createElement('div');
+        meta.className = 'meta';
+        const lines = [glyph.createdAt ? glyph.createdAt.toLocaleString() : 'Saved on this device'];
+        if (VERSION_STATUS_LABELS[glyph.status]) {
+            lines.push(VERSION_STATUS_LABELS[glyph.status]);
+        }
+        if (isActive) {
+            lines.unshift('In use');
+        }
+        meta.textContent = lines.join(' · ');
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+
+        const useBtn = document.createElement('button');
+        useBtn.className = 'tool-btn';
+        useBtn.textContent = 'Use';
+        useBtn.disabled = isActive;
+        useBtn.addEventListener('click', () => restoreVersion(char, glyph.id));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'tool-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteVersion(char, glyph.id, isActive));
+
+        actions.appendChild(useBtn);
+        actions.appendChild(deleteBtn);
+        item.appendChild(img);
+        item.appendChild(meta);
+        item.appendChild(actions);
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * Whether a letter has been drawn on since it was loaded or last saved
+ */
+function hasUnsavedChanges(char) {
+    if (char === currentCharacter) {
+        return history.hasUnsavedChanges();
+    }
+    return Boolean(drafts[char] && drafts[char].history.hasUnsavedChanges());
+}
+
+/**
+ * Show a different saved version of a letter (or none) in the workspace
+ * @param {string} char
+ * @param {Object|null} glyph - The version now in use
+ */
+function replaceLettering(char, glyph) {
+    if (glyph) {
+        letterings[char] = { imageData: glyph.imageData, strokes: glyph.strokes, metrics: glyph.metrics };
+    } else {
+        delete letterings[char];
+    }
+
+    delete drafts[char];
+    if (char === currentCharacter) {
+        stopReplay();
+        loadCharacterDrawing();
+    }
+    renderCharacterList();
+    updateProgress();
+}
+
+async function restoreVersion(char, glyphId) {
+    // The queued upload would replace the restored version as soon as it went through
+    if (saveStates[char]) {
+        alert('Your latest drawing of this letter is still uploading. Try again once it has been saved.');
+        return;
+    }
+
+    if (hasUnsavedChanges(char) && !confirm('Discard your unsaved changes to this letter?')) {
+        return;
+    }
+
+    try {
+        replaceLettering(char, await restoreGlyphVersion(char, glyphId));
+    } catch (error) {
+        console.error(`Error restoring version of "${char}":`, error);
+        alert('Failed to restore this version. Error: ' + error.message);
+    }
+    renderHistoryPanel();
+}
+
+async function deleteVersion(char, glyphId, isActive) {
+    const message = isActive ?
+        'Delete the version in use? The newest remaining version will be used instead.' :
+        'Delete this version? It will be removed from the shared pool too.';
+    if (!confirm(message)) return;
+
+    if (isActive && hasUnsavedChanges(char) && !confirm('Discard your unsaved changes to this letter?')) {
+        return;
+    }
+
+    try {
+        const active = await deleteGlyphVersion(char, glyphId);
+        if (isActive) {
+            replaceLettering(char, active);
+        }
+    } catch (error) {
+        console.error(`Error deleting version of "${char}":`, error);
+        alert('Failed to delete this version. Error: ' + error.message);
+    }
+    renderHistoryPanel();
+}
+
+// ========================================
+// FONT EXPORT
+// ========================================
+async function exportFont() {
+    const button = document.getElementById('exportFontBtn');
+
+    try {
+        button.disabled = true;
+
+        // Saves still in the outbox aren't in storage yet, so take those from this session
+        const saved = await loadUserLetterings();
+        Object.keys(saveStates).forEach(char => {
+            if (letterings[char]) saved[char] = letterings[char];
+        });
+
+        if (Object.keys(saved).length === 0) {
+            alert('Draw and save some letters first, then export them as a font.');
+            return;
+        }
+
+        const defaultName = `Stranger Hand ${userId.slice(-4).toUpperCase()}`;
+        const answer = window.prompt('Name your font:', defaultName);
+        if (answer === null) return;
+        const familyName = answer.trim() || defaultName;
+
+        button.textContent = 'Exporting...';
+
+        // Loaded on demand: only font export needs opentype.js
+        const { createFontFile } = await import('./font-export.js');
+        const { buffer, chars, skipped } = await createFontFile(saved, { familyName: familyName });
+
+        const fileName = familyName.replace(/[^\w-]+/g, '-');
+        downloadFile(new Blob([buffer], { type: 'font/otf' }), `${fileName}.otf`);
+
+        const missing = uniqueCharacters.filter(char => !chars.includes(char));
+        let message = `Exported ${chars.length} characters to ${fileName}.otf.`;
+        if (missing.length > 0) {
+            message += `\n\nNot in the font yet: ${missing.join(' ')}`;
+        }
+        if (skipped.length > 0) {
+            message += `\n\nCouldn't trace: ${skipped.join(' ')}`;
+        }
+        alert(message);
+    } catch (error) {
+        console.error('Error exporting font:', error);
+        alert('Failed to export font. Error: ' + error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Export Font';
+    }
+}
+
+function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Start the application when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,259 @@
+// Moderation Page JavaScript
+// Review glyphs in the global pool and approve or hide them in bulk.
+import {
+    GLYPH_STATUS,
+    listGlyphsForModeration,
+    listReportedGlyphs,
+    setGlyphStatus,
+    backfillSamplingKeys,
+    isModerator,
+    getUserId
+} from './firebase-storage.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+const PAGE_SIZE = 48;
+
+// ========================================
+// STATE
+// ========================================
+let currentView = 'pending'; // A GLYPH_STATUS value, 'reported' or 'unreviewed'
+let glyphs = []; // Glyphs shown in the current view
+let selectedIds = new Set();
+let cursor = null; // Pagination cursor for the current view
+let isBusy = false;
+
+// ========================================
+// INITIALIZATION
+// ========================================
+async function init() {
+    document.getElementById('backBtn').addEventListener('click', () => {
+        window.location.href = 'entry.html';
+    });
+
+    document.querySelectorAll('[data-view]').forEach(tab => {
+        tab.addEventListener('click', () => switchView(tab.dataset.view));
+    });
+
+    document.getElementById('selectAllBtn').addEventListener('click', toggleSelectAll);
+    document.getElementById('approveBtn').addEventListener('click', () => applyStatus(GLYPH_STATUS.APPROVED));
+    document.getElementById('hideBtn').addEventListener('click', () => applyStatus(GLYPH_STATUS.HIDDEN));
+    document.getElementById('loadMoreBtn').addEventListener('click', () => loadGlyphs(true));
+    document.getElementById('backfillBtn').addEventListener('click', backfillKeys);
+
+    try {
+        if (!(await isModerator())) {
+            showStatus(`Only moderators can review glyphs. To grant access, add a document ` +
+                `moderators/${getUserId()} in the Firebase console, then reload.`);
+            return;
+        }
+    } catch (error) {
+        console.error('Error checking moderator access:', error);
+        showStatus('Failed to sign in: ' + error.message);
+        return;
+    }
+
+    switchView(currentView);
+}
+
+function switchView(view) {
+    if (isBusy) return;
+
+    currentView = view;
+    document.querySelectorAll('[data-view]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === view);
+    });
+
+    loadGlyphs(false);
+}
+
+// ========================================
+// LOADING
+// ========================================
+async function loadGlyphs(append) {
+    isBusy = true;
+    showStatus('Loading…');
+
+    if (!append) {
+        glyphs = [];
+        selectedIds.clear();
+        cursor = null;
+    }
+
+    try {
+        if (currentView === 'reported') {
+            // Reports are few; load them all at once
+            glyphs = await listReportedGlyphs();
+            cursor = null;
+        } else {
+            const page = await listGlyphsForModeration({
+                status: currentView,
+                pageSize: PAGE_SIZE,
+                cursor: cursor
+            });
+            glyphs = glyphs.concat(page.glyphs);
+            cursor = page.cursor;
+        }
+
+        showStatus(glyphs.length === 0 ? 'Nothing to review here.' : '');
+    } catch (error) {
+        console.error('Error loading glyphs for moderation:', error);
+        showStatus('Failed to load glyphs: ' + error.message);
+    }
+
+    isBusy = false;
+    render();
+}
+
+// ========================================
+// RENDERING
+// ========================================
+function render() {
+    const grid = document.getElementById('glyphGrid');
+    grid.innerHTML = '';
+
+    glyphs.forEach(glyph => {
+        const card = document.createElement('div');
+        card.className = 'glyph-card';
+        if (selectedIds.has(glyph.id)) {
+            card.classList.add('selected');
+        }
+
+        const img = document.createElement('img');
+        img.src = glyph.imageData;
+        img.alt = `Glyph for "${glyph.char}"`;
+        img.loading = 'lazy';
+
+        const meta = document.createElement('div');
+        meta.className = 'glyph-meta';
+
+        const charLine = document.createElement('div');
+        charLine.className = 'char';
+        charLine.textContent = glyph.char;
+        meta.appendChild(charLine);
+
+        const dateLine = document.createElement('div');
+        dateLine.textContent = formatDate(glyph.createdAt);
+        meta.appendChild(dateLine);
+
+        const statusLine = document.createElement('div');
+        statusLine.textContent = glyph.status || 'unreviewed';
+        meta.appendChild(statusLine);
+
+        if (glyph.reportCount) {
+            const reportLine = document.createElement('div');
+            reportLine.className = 'reports';
+            reportLine.textContent = `${glyph.reportCount} report${glyph.reportCount === 1 ? '' : 's'}`;
+            if (glyph.reasons && glyph.reasons.length > 0) {
+                reportLine.title = glyph.reasons.join('\n');
+            }
+            meta.appendChild(reportLine);
+        }
+
+        card.appendChild(img);
+        card.appendChild(meta);
+        card.addEventListener('click', () => toggleSelection(glyph.id));
+
+        grid.appendChild(card);
+    });
+
+    document.getElementById('loadMoreBtn').style.display = cursor ? 'inline-block' : 'none';
+    updateToolbar();
+}
+
+function updateToolbar() {
+    const count = selectedIds.size;
+    document.getElementById('approveBtn').disabled = count === 0 || isBusy;
+    document.getElementById('hideBtn').disabled = count === 0 || isBusy;
+    document.getElementById('selectAllBtn').textContent =
+        count > 0 && count === glyphs.length ? 'Select none' : 'Select all';
+    document.getElementById('selectionInfo').textContent =
+        `${count} selected · ${glyphs.length} shown`;
+}
+
+function showStatus(message) {
+    document.getElementById('statusMessage').textContent = message;
+}
+
+function formatDate(date) {
+    return date instanceof Date ? date.toLocaleString() : '';
+}
+
+// ========================================
+// SELECTION & ACTIONS
+// ========================================
+function toggleSelection(glyphId) {
+    if (selectedIds.has(glyphId)) {
+        selectedIds.delete(glyphId);
+    } else {
+        selectedIds.add(glyphId);
+    }
+    render();
+}
+
+function toggleSelectAll() {
+    if (selectedIds.size === glyphs.length) {
+        selectedIds.clear();
+    } else {
+        selectedIds = new Set(glyphs.map(glyph => glyph.id));
+    }
+    render();
+}
+
+async function applyStatus(status) {
+    const ids = Array.from(selectedIds);
+    if (ids.length === 0 || isBusy) return;
+
+    isBusy = true;
+    updateToolbar();
+    showStatus(`Updating ${ids.length} glyphs…`);
+
+    try {
+        await setGlyphStatus(ids, status);
+
+        // Glyphs that moved to another status leave this view
+        glyphs = glyphs.filter(glyph => !selectedIds.has(glyph.id) || currentView === status);
+        glyphs.forEach(glyph => {
+            if (selectedIds.has(glyph.id)) glyph.status = status;
+        });
+        selectedIds.clear();
+        showStatus(glyphs.length === 0 ? 'Nothing to review here.' : '');
+    } catch (error) {
+        console.error('Error updating glyph status:', error);
+        showStatus('Failed to update glyphs: ' + error.message);
+    }
+
+    isBusy = false;
+    render();
+}
+
+/**
+ * Give approved glyphs from before sampling keys their key (a one-off after upgrading)
+ */
+async function backfillKeys() {
+    if (isBusy) return;
+    if (!confirm('Give every approved glyph without a sampling key one? This scans all approved glyphs.')) return;
+
+    isBusy = true;
+    showStatus('Giving older glyphs sampling keys…');
+
+    try {
+        const given = await backfillSamplingKeys();
+        showStatus(given === 0 ?
+            'Every approved glyph already has a sampling key.' :
+            `Gave ${given} older glyphs a sampling key.`);
+    } catch (error) {
+        console.error('Error backfilling sampling keys:', error);
+        showStatus('Failed to give glyphs sampling keys: ' + error.message);
+    }
+
+    isBusy = false;
+}
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
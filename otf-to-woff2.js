@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+/**
+ * Convert a font exported from Lettering mode (.otf) into a WOFF2 web font
+ *
+ * Usage: npm run font:woff2 -- MyLettering.otf [MyLettering.woff2]
+ *
+ * Browsers can't Brotli-compress, so this step runs in Node (no other dependencies).
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { encodeWoff2 } from './woff2.js';
+
+const [input, output = input && input.replace(/\.(otf|ttf)$/i, '') + '.woff2'] = process.argv.slice(2);
+
+if (!input) {
+    console.error('Usage: npm run font:woff2 -- <font.otf> [font.woff2]');
+    process.exit(1);
+}
+
+const sfnt = fs.readFileSync(input);
+const woff2 = encodeWoff2(new Uint8Array(sfnt.buffer, sfnt.byteOffset, sfnt.byteLength), data =>
+    zlib.brotliCompressSync(data, {
+        params: {
+            [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_FONT,
+            [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+        }
+    })
+);
+
+fs.writeFileSync(output, woff2);
+console.log(`✅ Wrote ${output} (${sfnt.length} → ${woff2.length} bytes)`);
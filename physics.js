@@ -0,0 +1,480 @@
+// Letter Physics
+// Interaction mode's floating, dragged and placing letters, simulated in fixed
+// steps so they move at the same speed on every display. Velocities are in pixels
+// per step; a step is one 60Hz frame, so tuning from before still holds.
+// The renderer draws between the last two steps (see getRenderState), and tests can
+// call stepOnce() to run the simulation deterministically.
+import { DEFAULT_SHAPE, getShapeRadius } from './collision-shapes.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+export const PHYSICS_STEP = 1 / 60; // seconds
+
+export const PHYSICS_CONFIG = {
+    restitution: 0.4, // Low elasticity for soft bounces (0-1)
+    damping: 0.98, // Gentle velocity damping per step for smooth motion
+    rotationFactor: 0.008, // How much collision affects rotation
+    maxRotationSpeed: 0.06, // radians per step
+    wallDamping: 0.92, // Slight energy loss on wall bounce
+    cellSize: 160, // px; smallest collision grid cell (grows to fit the widest letter)
+    dragStiffness: 0.25, // How quickly a dragged letter follows (0-1, lower = more lag)
+    dragDamping: 0.85, // Velocity damping while dragging (0-1, lower = more friction)
+    transitionDuration: 0.5, // seconds for a clicked letter to fly into the sentence
+    floatingSpeed: 1 // Share of their own speed floating letters move at (reduced motion: less, or 0)
+};
+
+// Frames after a long stall (hidden tab, debugger) are not caught up on
+const MAX_STEPS_PER_FRAME = 8;
+
+// Rounding slack, so frame times that add up to a step run it (two half steps make one)
+const STEP_TOLERANCE = 1e-9;
+
+// Walking fast letters' paths (see collideAlongPaths()): pieces are at least this long
+// and this many at most, whatever the circles, so a degenerate shape can't stall a step
+const MIN_PATH_PIECE = 1; // px
+const MAX_PATH_PIECES = 1000;
+
+// ========================================
+// EASING
+// ========================================
+export function lerp(start, end, t) {
+    return start + (end - start) * t;
+}
+
+export function easeInOutCubic(t) {
+    return t < 0.5
+        ? 4 * t * t * t
+        : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// ========================================
+// PARTICLE STEPS
+// ========================================
+
+/**
+ * Move a floating letter one step, bouncing off the edges of its area
+ * @param {Object} particle
+ * @param {{width: number, height: number}} bounds - Floating area
+ * @param {Object} config - PHYSICS_CONFIG
+ * @param {() => number} random - Source of the small variation on bounces
+ */
+export function stepFloatingParticle(particle, bounds, config, random) {
+    // Update position with unique velocity
+    particle.x += particle.vx * config.floatingSpeed;
+    particle.y += particle.vy * config.floatingSpeed;
+
+    // Update rotation continuously based on speed
+    particle.rotation += particle.rotationSpeed * config.floatingSpeed;
+
+    // Bounce off walls with damping and variation
+    if (particle.x < 0 || particle.x > bounds.width) {
+        particle.vx *= -config.wallDamping;
+        particle.x = Math.max(0, Math.min(bounds.width, particle.x));
+
+        // Add tiny random variation on bounce (chaos effect)
+        const variation = 0.98 + random() * 0.04; // 98% to 102%
+        particle.vx *= variation;
+    }
+    if (particle.y < 0 || particle.y > bounds.height) {
+        particle.vy *= -config.wallDamping;
+        particle.y = Math.max(0, Math.min(bounds.height, particle.y));
+
+        // Add tiny random variation on bounce
+        const variation = 0.98 + random() * 0.04;
+        particle.vy *= variation;
+    }
+
+    // Apply gentle velocity damping
+    particle.vx *= config.damping;
+    particle.vy *= config.damping;
+}
+
+/**
+ * Pull a dragged letter one step toward the pointer (dragTargetX/Y) on a spring
+ * @param {Object} particle
+ * @param {Object} config - PHYSICS_CONFIG
+ */
+export function stepDraggingParticle(particle, config) {
+    // For DRAG: Transition to Helvetica while dragging
+    particle.fontFamilyTransition = Math.min(particle.fontFamilyTransition + 0.05, 1.0);
+
+    // Slight size increase while dragging
+    const dragSize = particle.startSize * 1.2;
+    particle.size = lerp(particle.size, dragSize, 0.2);
+
+    // Calculate spring force toward target (mouse position)
+    const dx = particle.dragTargetX - particle.x;
+    const dy = particle.dragTargetY - particle.y;
+
+    // Apply spring force to velocity
+    particle.dragVx += dx * config.dragStiffness;
+    particle.dragVy += dy * config.dragStiffness;
+
+    // Apply damping to prevent oscillation
+    particle.dragVx *= config.dragDamping;
+    particle.dragVy *= config.dragDamping;
+
+    // Update position based on velocity
+    particle.x += particle.dragVx;
+    particle.y += particle.dragVy;
+}
+
+/**
+ * Advance a letter flying into the sentence by one step
+ * The flight starts from startX/Y/Size/Weight/Rotation with transitionTime = 0, and
+ * the typeface from startFontFamilyTransition (0 if unset) towards Helvetica.
+ * @param {Object} particle
+ * @param {Object} config - PHYSICS_CONFIG
+ * @param {number} step - Step length in seconds
+ */
+export function stepTransitioningParticle(particle, config, step) {
+    particle.transitionTime += step;
+    const progress = particle.transitionTime / config.transitionDuration;
+    const eased = easeInOutCubic(progress);
+
+    if (progress >= 1 - STEP_TOLERANCE) {
+        particle.x = particle.targetX;
+        particle.y = particle.targetY;
+        particle.size = particle.targetSize;
+        particle.weight = particle.targetWeight;
+        particle.rotation = particle.targetRotation;
+        particle.fontFamilyTransition = 1.0; // Fully Helvetica
+        particle.isTransitioning = false;
+    } else {
+        particle.x = lerp(particle.startX, particle.targetX, eased);
+        particle.y = lerp(particle.startY, particle.targetY, eased);
+        particle.size = lerp(particle.startSize, particle.targetSize, eased);
+        particle.weight = lerp(particle.startWeight, particle.targetWeight, eased);
+        particle.rotation = lerp(particle.startRotation, particle.targetRotation, eased);
+        particle.fontFamilyTransition = lerp(particle.startFontFamilyTransition || 0, 1, eased); // Transition font
+    }
+}
+
+// ========================================
+// COLLISIONS
+// ========================================
+
+// Cell neighbours that pairs are checked against; the other half see this cell from theirs
+const NEIGHBOR_CELLS = [[0, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * Bounce floating letters off each other
+ * @param {Object[]} particles - All letters; only floating, undragged ones collide
+ * @param {Object} config - PHYSICS_CONFIG
+ * @param {(speed: number, p1: Object, p2: Object) => void} [onImpact] - Called for each
+ *     collision with the speed the letters met at (px per step)
+ */
+export function handleCollisions(particles, config, onImpact = null) {
+    const floatingParticles = particles.filter(p => p.isFloating && !p.isDragging);
+
+    // Cells are at least as wide as a letter reaches plus how far it moved this step,
+    // so any two letters that can touch are in the same or neighbouring cells
+    const reach = floatingParticles.reduce((widest, p) =>
+        Math.max(widest, getShapeRadius(p.shape || DEFAULT_SHAPE) * p.size + getStepDistance(p)), 0);
+    const cellSize = Math.max(config.cellSize, reach * 2);
+    const grid = new Map();
+
+    // Assign particles to grid cells
+    floatingParticles.forEach(p => {
+        const cellX = Math.floor(p.x / cellSize);
+        const cellY = Math.floor(p.y / cellSize);
+        const key = `${cellX},${cellY}`;
+
+        if (!grid.has(key)) grid.set(key, { x: cellX, y: cellY, particles: [] });
+        grid.get(key).particles.push(p);
+    });
+
+    const collide = (p1, p2) => {
+        const speed = collideAlongPaths(p1, p2, config);
+        if (speed > 0 && onImpact) {
+            onImpact(speed, p1, p2);
+        }
+    };
+
+    // Check each cell against itself and its neighbours
+    grid.forEach(cell => {
+        NEIGHBOR_CELLS.forEach(([offsetX, offsetY]) => {
+            if (offsetX === 0 && offsetY === 0) {
+                const own = cell.particles;
+                for (let i = 0; i < own.length; i++) {
+                    for (let j = i + 1; j < own.length; j++) {
+                        collide(own[i], own[j]);
+                    }
+                }
+                return;
+            }
+
+            const neighbor = grid.get(`${cell.x + offsetX},${cell.y + offsetY}`);
+            if (!neighbor) return;
+            cell.particles.forEach(p1 => {
+                neighbor.particles.forEach(p2 => collide(p1, p2));
+            });
+        });
+    });
+}
+
+function getStepDistance(particle) {
+    if (particle.prevX === undefined) return 0;
+    return Math.hypot(particle.x - particle.prevX, particle.y - particle.prevY);
+}
+
+/**
+ * A letter's collision circles where it is now, in canvas pixels
+ * @param {Object} particle - With .shape (see collision-shapes.js), or a plain circle without
+ * @returns {Object[]} - { x, y, r }
+ */
+export function getWorldCircles(particle) {
+    const cos = Math.cos(particle.rotation || 0);
+    const sin = Math.sin(particle.rotation || 0);
+    return (particle.shape || DEFAULT_SHAPE).map(circle => ({
+        x: particle.x + (circle.x * cos - circle.y * sin) * particle.size,
+        y: particle.y + (circle.x * sin + circle.y * cos) * particle.size,
+        r: circle.r * particle.size
+    }));
+}
+
+/**
+ * The deepest overlap between two letters' circles
+ * @returns {{depth: number, nx: number, ny: number}|null} - Normal from p1 towards p2,
+ *     null if they don't overlap
+ */
+function findContact(p1, p2) {
+    const circles2 = getWorldCircles(p2);
+    let contact = null;
+
+    getWorldCircles(p1).forEach(c1 => {
+        circles2.forEach(c2 => {
+            const dx = c2.x - c1.x;
+            const dy = c2.y - c1.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const depth = c1.r + c2.r - distance;
+
+            // Circles on top of each other have no direction to push in
+            if (depth <= 0 || distance <= 0.1) return;
+            if (!contact || depth > contact.depth) {
+                contact = { depth: depth, nx: dx / distance, ny: dy / distance };
+            }
+        });
+    });
+
+    return contact;
+}
+
+/**
+ * Collide two letters where they first touched during the step. Fast letters can
+ * pass through each other between steps, so their paths are walked in pieces no
+ * longer than their smallest circle.
+ * @returns {number} - As checkAndResolveCollision
+ */
+function collideAlongPaths(p1, p2, config) {
+    if (p1.prevX === undefined || p2.prevX === undefined) {
+        return checkAndResolveCollision(p1, p2, config);
+    }
+
+    const moveX = (p2.x - p2.prevX) - (p1.x - p1.prevX);
+    const moveY = (p2.y - p2.prevY) - (p1.y - p1.prevY);
+    const smallest = Math.max(MIN_PATH_PIECE, Math.min(...[p1, p2].map(p =>
+        Math.min(...(p.shape || DEFAULT_SHAPE).map(circle => circle.r)) * p.size)));
+    const pieces = Math.min(MAX_PATH_PIECES, Math.ceil(Math.hypot(moveX, moveY) / smallest));
+    if (!(pieces > 1)) {
+        return checkAndResolveCollision(p1, p2, config);
+    }
+
+    const end = { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+    for (let i = 1; i <= pieces; i++) {
+        const t = i / pieces;
+        p1.x = lerp(p1.prevX, end.x1, t);
+        p1.y = lerp(p1.prevY, end.y1, t);
+        p2.x = lerp(p2.prevX, end.x2, t);
+        p2.y = lerp(p2.prevY, end.y2, t);
+
+        if (findContact(p1, p2)) {
+            // Letters stay where they touched
+            const speed = checkAndResolveCollision(p1, p2, config);
+            if (speed > 0) return speed;
+            break;
+        }
+    }
+
+    p1.x = end.x1;
+    p1.y = end.y1;
+    p2.x = end.x2;
+    p2.y = end.y2;
+    return 0;
+}
+
+/**
+ * Resolve one pair of overlapping letters as a soft collision of equal masses
+ * @param {Object} p1
+ * @param {Object} p2
+ * @param {Object} config - PHYSICS_CONFIG
+ * @returns {number} - Speed the letters met at along the collision normal, 0 if they didn't
+ */
+export function checkAndResolveCollision(p1, p2, config) {
+    // Letters touch where their collision circles overlap most (see collision-shapes.js)
+    const contact = findContact(p1, p2);
+    if (!contact) return 0;
+
+    const nx = contact.nx;
+    const ny = contact.ny;
+
+    // Relative velocity
+    const dvx = p2.vx - p1.vx;
+    const dvy = p2.vy - p1.vy;
+
+    // Relative velocity in collision normal direction
+    const dvn = dvx * nx + dvy * ny;
+
+    // Don't process if particles are moving apart
+    if (dvn >= 0) return 0;
+
+    // impulse = -(1 + restitution) * relativeVelocityAlongNormal / 2
+    const impulseMagnitude = -(1 + config.restitution) * dvn / 2;
+    const impulseX = impulseMagnitude * nx;
+    const impulseY = impulseMagnitude * ny;
+
+    p1.vx -= impulseX;
+    p1.vy -= impulseY;
+    p2.vx += impulseX;
+    p2.vy += impulseY;
+
+    // Separate overlapping particles gently to prevent jittery behavior
+    const overlap = contact.depth;
+    const separationRatio = 0.6; // Gentler separation for smoother deflection
+    const separationX = (overlap * separationRatio / 2) * nx;
+    const separationY = (overlap * separationRatio / 2) * ny;
+
+    p1.x -= separationX;
+    p1.y -= separationY;
+    p2.x += separationX;
+    p2.y += separationY;
+
+    // Add slight rotation based on tangential impact for organic feel
+    const tx = -ny;
+    const ty = nx;
+    const dvt = dvx * tx + dvy * ty;
+
+    const rotationImpulse = dvt * config.rotationFactor;
+    p1.rotationSpeed += rotationImpulse;
+    p2.rotationSpeed -= rotationImpulse;
+
+    // Apply gentle damping to rotation
+    p1.rotationSpeed *= 0.98;
+    p2.rotationSpeed *= 0.98;
+
+    // Clamp rotation speed to prevent excessive spinning
+    const max = config.maxRotationSpeed;
+    p1.rotationSpeed = Math.max(-max, Math.min(max, p1.rotationSpeed));
+    p2.rotationSpeed = Math.max(-max, Math.min(max, p2.rotationSpeed));
+
+    return -dvn;
+}
+
+// ========================================
+// ENGINE
+// ========================================
+
+/**
+ * Create a fixed-timestep physics engine
+ * @param {Object} options
+ * @param {() => {width: number, height: number}} options.getBounds - Floating area, read every step
+ * @param {Object} [options.config] - Overrides for PHYSICS_CONFIG
+ * @param {number} [options.step] - Step length in seconds
+ * @param {() => number} [options.random] - Random source in [0, 1)
+ * @param {(stepCount: number) => void} [options.beforeStep] - Called before each step with
+ *     the number of steps run so far (session replays feed input in here)
+ * @param {Function} [options.onImpact] - Called for each collision (see handleCollisions)
+ * @returns {Object} - Engine API (see below)
+ */
+export function createPhysicsEngine({ getBounds, config = {}, step = PHYSICS_STEP, random = Math.random, beforeStep = null, onImpact = null }) {
+    const settings = { ...PHYSICS_CONFIG, ...config };
+    let accumulator = 0; // Seconds of real time not yet simulated
+    let stepCount = 0;
+
+    return {
+        step: step,
+        config: settings,
+
+        /**
+         * @returns {number} - Steps run so far
+         */
+        get stepCount() {
+            return stepCount;
+        },
+
+        /**
+         * Run one step for every letter
+         * @param {Object[]} particles
+         */
+        stepOnce(particles) {
+            if (beforeStep) {
+                beforeStep(stepCount);
+            }
+            const bounds = getBounds();
+
+            particles.forEach(particle => {
+                // Remember where the step started, for drawing in between steps
+                particle.prevX = particle.x;
+                particle.prevY = particle.y;
+                particle.prevRotation = particle.rotation;
+                particle.prevSize = particle.size;
+
+                if (particle.isDragging) {
+                    stepDraggingParticle(particle, settings);
+                } else if (particle.isFloating) {
+                    stepFloatingParticle(particle, bounds, settings, random);
+                } else if (particle.isTransitioning) {
+                    stepTransitioningParticle(particle, settings, step);
+                }
+            });
+
+            handleCollisions(particles, settings, onImpact);
+            stepCount++;
+        },
+
+        /**
+         * Simulate the real time since the last frame
+         * @param {number} elapsed - Seconds since the last call
+         * @param {Object[]} particles
+         * @returns {number} - How far the frame is between the last two steps (0-1)
+         */
+        advance(elapsed, particles) {
+            accumulator += Math.min(Math.max(elapsed, 0), step * MAX_STEPS_PER_FRAME);
+            while (accumulator >= step - STEP_TOLERANCE) {
+                this.stepOnce(particles);
+                accumulator = Math.max(accumulator - step, 0);
+            }
+            return accumulator / step;
+        },
+
+        /**
+         * Where to draw a letter, between its last two steps
+         * @param {Object} particle
+         * @param {number} alpha - From advance()
+         * @returns {{x: number, y: number, rotation: number, size: number}}
+         */
+        getRenderState(particle, alpha) {
+            if (particle.prevX === undefined) {
+                return { x: particle.x, y: particle.y, rotation: particle.rotation, size: particle.size };
+            }
+            return {
+                x: lerp(particle.prevX, particle.x, alpha),
+                y: lerp(particle.prevY, particle.y, alpha),
+                rotation: lerp(particle.prevRotation, particle.rotation, alpha),
+                size: lerp(particle.prevSize, particle.size, alpha)
+            };
+        },
+
+        /**
+         * Draw a letter where it is now, e.g. after moving it outside the simulation
+         * @param {Object} particle
+         */
+        snap(particle) {
+            particle.prevX = particle.x;
+            particle.prevY = particle.y;
+            particle.prevRotation = particle.rotation;
+            particle.prevSize = particle.size;
+        }
+    };
+}
@@ -0,0 +1,42 @@
+// Render Worker
+// Draws interaction mode's frames off the main thread (?render=worker), on the page's
+// canvas handed over with transferControlToOffscreen(). The page keeps the physics and
+// input and posts each frame as plain data; see scene-renderer.js.
+//
+// Messages in:
+//   { type: 'init', canvas }           - The OffscreenCanvas
+//   { type: 'glyphs', glyphs }         - { char: { width, height, metrics, strokeData, bitmap } }
+//   { type: 'frame', frame }           - Draw a frame
+// Messages out:
+//   { type: 'ready' }                  - Loaded: the page hands the canvas over only then
+//   { type: 'drawn', ms, sprites }     - After each frame: drawing time and sprite cache stats
+import { renderFrame } from './scene-renderer.js';
+import { createSpriteCache } from './sprite-cache.js';
+
+let canvas = null;
+let ctx = null;
+let glyphs = {};
+const sprites = createSpriteCache();
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        canvas = message.canvas;
+        ctx = canvas.getContext('2d');
+    } else if (message.type === 'glyphs') {
+        glyphs = message.glyphs;
+        sprites.clear(); // Sprites of replaced glyphs
+    } else if (message.type === 'frame' && ctx) {
+        const start = performance.now();
+        const frame = message.frame;
+        if (canvas.width !== frame.width || canvas.height !== frame.height) {
+            canvas.width = frame.width;
+            canvas.height = frame.height;
+        }
+        renderFrame(ctx, frame, glyphs, sprites);
+        self.postMessage({ type: 'drawn', ms: performance.now() - start, sprites: sprites.stats });
+    }
+};
+
+self.postMessage({ type: 'ready' });
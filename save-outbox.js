@@ -0,0 +1,340 @@
+// Save Outbox
+// Lettering saves are written to an IndexedDB outbox before they are uploaded,
+// so a drawing survives going offline or closing the tab. Uploads that fail
+// are retried in the background, and as soon as the browser is back online.
+import { generateId } from './storage-adapter.js';
+import { requestToPromise } from './storage-indexeddb.js';
+
+// Per-character save state shown in the character list
+export const SAVE_STATE = {
+    SAVED: 'saved', // Uploaded
+    PENDING: 'pending', // Queued, uploading, or waiting for the connection to come back
+    FAILED: 'failed' // Last upload was rejected or errored; will be retried
+};
+
+const DB_NAME = 'absurde-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'saves';
+
+// An upload still running after this long stops holding up the queue. It stays in
+// flight until it settles: later saves of its character wait for it, so it can't land
+// after them, and it's retried only if it fails. Retries reuse the glyph ID.
+const ATTEMPT_TIMEOUT = 20000;
+
+// Wait between retries, by attempt number (the last delay repeats)
+const RETRY_DELAYS = [2000, 5000, 15000, 30000, 60000];
+
+/**
+ * Whether an upload error means "offline" rather than "rejected"
+ */
+function isConnectivityError(error) {
+    return !isOnline() || error.code === 'unavailable' || error.name === 'TimeoutError';
+}
+
+function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function withTimeout(promise, ms) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`Save timed out after ${ms} ms`);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ========================================
+// PERSISTENCE
+// ========================================
+
+/**
+ * Outbox entries in IndexedDB, or in memory where IndexedDB is unavailable
+ * (entries then only survive until the tab closes)
+ */
+function createEntryStore(dbName) {
+    const memory = new Map();
+    let databasePromise = null;
+
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = (async () => {
+                if (typeof indexedDB === 'undefined') {
+                    throw new Error('IndexedDB not available');
+                }
+                const request = indexedDB.open(dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                };
+                return requestToPromise(request);
+            })().catch(error => {
+                console.warn('Save outbox kept in memory only:', error.message);
+                return null;
+            });
+        }
+        return databasePromise;
+    }
+
+    async function run(mode, operation) {
+        const database = await getDatabase();
+        if (!database) {
+            return null;
+        }
+        const transaction = database.transaction(STORE_NAME, mode);
+        return requestToPromise(operation(transaction.objectStore(STORE_NAME)));
+    }
+
+    return {
+        async getAll() {
+            const entries = await run('readonly', store => store.getAll());
+            return entries || Array.from(memory.values());
+        },
+        async put(entry) {
+            memory.set(entry.id, entry);
+            await run('readwrite', store => store.put(entry));
+        },
+        async delete(id) {
+            memory.delete(id);
+            await run('readwrite', store => store.delete(id));
+        }
+    };
+}
+
+// ========================================
+// OUTBOX
+// ========================================
+
+/**
+ * Create a save outbox
+ * @param {Object} options
+ * @param {(entry: Object) => Promise<*>} options.save - Upload one entry
+ *     ({ id, char, imageData, strokes, metrics }); must treat entry.id as the glyph ID
+ * @param {(states: Object<string, string>) => void} [options.onChange] - Called with
+ *     { char: SAVE_STATE } for characters that have queued saves, whenever that changes
+ * @param {(entry: Object) => void} [options.onSaved] - Called after an entry uploads
+ * @param {string} [options.dbName] - IndexedDB database name
+ * @param {number} [options.attemptTimeout] - ms before an upload counts as failed
+ * @param {number[]} [options.retryDelays] - ms between retries, by attempt
+ * @returns {Object} - { start, stop, enqueue, flush, getEntries, getStates }
+ */
+export function createSaveOutbox({
+    save,
+    onChange = () => {},
+    onSaved = () => {},
+    dbName = DB_NAME,
+    attemptTimeout = ATTEMPT_TIMEOUT,
+    retryDelays = RETRY_DELAYS
+}) {
+    const store = createEntryStore(dbName);
+    let entries = []; // Oldest first
+    let processing = null; // Promise of the running flush
+    const inFlight = new Set(); // Entries whose upload hasn't settled, timed-out ones included
+    let retryTimer = null;
+    let started = false;
+
+    function getStates() {
+        const states = {};
+        entries.forEach(entry => {
+            // One failed save marks the character failed until it goes through
+            if (states[entry.char] !== SAVE_STATE.FAILED) {
+                states[entry.char] = entry.state;
+            }
+        });
+        return states;
+    }
+
+    function notify() {
+        onChange(getStates());
+    }
+
+    function isUploading(char) {
+        return Array.from(inFlight).some(entry => entry.char === char);
+    }
+
+    function hasNewerSave(entry) {
+        const index = entries.indexOf(entry);
+        return entries.some((other, i) => i > index && other.char === entry.char);
+    }
+
+    function handleOnline() {
+        // Connection is back: retry everything now instead of waiting out the backoff
+        entries.forEach(entry => {
+            entry.nextAttemptAt = 0;
+        });
+        flush();
+    }
+
+    function scheduleRetry() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        if (!started || entries.length === 0) return;
+
+        // Entries waiting on an earlier upload of their character go when it settles
+        const waiting = entries.filter(entry => !isUploading(entry.char));
+        if (waiting.length === 0) return;
+
+        // Offline, the 'online' event triggers the retry; the slow poll is a fallback
+        const nextAttemptAt = Math.min(...waiting.map(entry => entry.nextAttemptAt));
+        const delay = isOnline()
+            ? Math.max(0, nextAttemptAt - Date.now())
+            : retryDelays[retryDelays.length - 1];
+        retryTimer = setTimeout(flush, delay);
+    }
+
+    async function attempt(entry) {
+        entry.state = SAVE_STATE.PENDING;
+        entry.attempts++;
+        notify();
+
+        inFlight.add(entry);
+        const settled = Promise.resolve()
+            .then(() => save(entry))
+            .then(() => null, error => error)
+            .then(error => finishAttempt(entry, error));
+        try {
+            await withTimeout(settled, attemptTimeout);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            // Move on; the character's next save goes once this one settles
+            console.warn(`Save of "${entry.char}" is still uploading after ${attemptTimeout} ms`);
+            settled.then(flush, flush);
+        }
+    }
+
+    async function finishAttempt(entry, error) {
+        inFlight.delete(entry);
+
+        if (error) {
+            const offline = isConnectivityError(error);
+            console.warn(`Save of "${entry.char}" failed (attempt ${entry.attempts}):`, error.message);
+
+            // A newer save of the character replaces it rather than retrying it after
+            if (hasNewerSave(entry)) {
+                entries = entries.filter(other => other !== entry);
+                await store.delete(entry.id);
+                notify();
+                return;
+            }
+
+            entry.state = offline ? SAVE_STATE.PENDING : SAVE_STATE.FAILED;
+            entry.lastError = error.message;
+            entry.nextAttemptAt = Date.now() + retryDelays[Math.min(entry.attempts, retryDelays.length) - 1];
+            await store.put(entry);
+            notify();
+            return;
+        }
+
+        entries = entries.filter(other => other !== entry);
+        await store.delete(entry.id);
+        console.log(`Uploaded queued save of "${entry.char}" (${entry.id})`);
+        onSaved(entry);
+        notify();
+    }
+
+    /**
+     * Upload every entry that is due, oldest first
+     * @returns {Promise<void>} - Resolves when this pass is done
+     */
+    function flush() {
+        if (processing) return processing;
+
+        clearTimeout(retryTimer);
+        processing = (async () => {
+            // Entries queued during the pass are picked up too; each is tried at most once,
+            // and never while an earlier upload of its character is still in flight
+            const attempted = new Set();
+            let entry;
+            while (isOnline() && (entry = entries.find(other => !attempted.has(other) &&
+                !isUploading(other.char) && other.nextAttemptAt <= Date.now()))) {
+                attempted.add(entry);
+                await attempt(entry);
+            }
+        })().finally(() => {
+            processing = null;
+            scheduleRetry();
+        });
+        return processing;
+    }
+
+    return {
+        /**
+         * Load saves left over from earlier sessions and start uploading them
+         * @returns {Promise<Object[]>} - The loaded entries
+         */
+        async start() {
+            if (started) return entries;
+            started = true;
+
+            const stored = await store.getAll();
+            entries = stored
+                .map(entry => ({ ...entry, state: SAVE_STATE.PENDING, nextAttemptAt: 0 }))
+                .sort((a, b) => a.createdAt - b.createdAt);
+
+            if (typeof window !== 'undefined') {
+                window.addEventListener('online', handleOnline);
+            }
+
+            notify();
+            flush();
+            return entries;
+        },
+
+        stop() {
+            started = false;
+            clearTimeout(retryTimer);
+            if (typeof window !== 'undefined') {
+                window.removeEventListener('online', handleOnline);
+            }
+        },
+
+        /**
+         * Queue a save and try to upload it straight away
+         * A queued (not yet uploading) save of the same character is replaced; one
+         * that is uploading is waited for.
+         * @returns {Promise<string>} - Glyph ID the save will be stored under
+         */
+        async enqueue(char, imageData, strokes = null, metrics = null) {
+            const entry = {
+                id: generateId('glyph'),
+                char: char,
+                imageData: imageData,
+                strokes: strokes,
+                metrics: metrics,
+                createdAt: Date.now(),
+                attempts: 0,
+                state: SAVE_STATE.PENDING,
+                lastError: null,
+                nextAttemptAt: 0
+            };
+
+            // Older saves of this character that aren't uploading right now are dropped
+            const superseded = entries.filter(other => other.char === char && !inFlight.has(other));
+            entries = entries.filter(other => !superseded.includes(other));
+            entries.push(entry);
+
+            for (const other of superseded) {
+                await store.delete(other.id);
+            }
+            await store.put(entry);
+
+            notify();
+            flush();
+            return entry.id;
+        },
+
+        flush: flush,
+
+        /**
+         * Queued saves, oldest first
+         * @returns {Object[]}
+         */
+        getEntries() {
+            return entries.slice();
+        },
+
+        getStates: getStates
+    };
+}
@@ -0,0 +1,306 @@
+// Scene Rendering
+// Draws interaction mode's frames: background, floating and placed letters, the
+// keyboard focus ring and the sentence area. A frame is plain data (see
+// getSceneFrame() in interaction.html), so the same code draws on the page's canvas
+// or, with ?render=worker, on an OffscreenCanvas in render-worker.js.
+//
+// Frame:
+// {
+//     width, height,               // Canvas size (px)
+//     dividerY,                    // Line between the floating letters and the sentence
+//     letters: [{ letter, x, y, rotation, size, weight, color, fontFamilyTransition,
+//                 isFloating, isDragging, speedMultiplier, useHelveticaFallback }],
+//     focus: { x, y, size } | null,
+//     slots: [{ char, x, y, width, underline, filled, showChar }], // Sentence area
+//     underlineOffset,             // From the middle of a line down to its placeholder lines
+//     placedFont                   // CSS font of the sentence's spaces and punctuation
+// }
+//
+// Glyphs are { width, height, metrics, strokeData } with the image itself, or its
+// ImageBitmap as .bitmap in the worker.
+import { getGlyphBox } from './glyph-normalize.js';
+import { getStrokeRaster } from './glyph-strokes.js';
+
+const SERIF_FONT = 'Georgia, serif';
+const SANS_FONT = "'Helvetica Neue', Helvetica, Arial, sans-serif";
+
+/**
+ * A blank canvas, in the page or a worker
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Where a glyph is drawn around a letter's centre
+ * @param {Object} glyph
+ * @param {number} size - Letter size (px)
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getGlyphDrawBox(glyph, size) {
+    if (glyph.metrics) {
+        // Normalized glyph: one em is the font size, so it sits on the same
+        // baseline and at the same size as the serif letters
+        return getGlyphBox(glyph.metrics, size);
+    }
+
+    // Older glyphs are the whole lettering canvas: draw with 1.7x size increase, centred
+    const scale = (size / 400) * 1.7; // 400 is the canvas size in lettering mode, 1.7x larger
+    const width = glyph.width * scale;
+    const height = glyph.height * scale;
+    return { x: -width / 2, y: -height / 2, width: width, height: height };
+}
+
+/**
+ * What to draw for a glyph at a size
+ * @returns {CanvasImageSource}
+ */
+export function getGlyphSource(glyph, width, height) {
+    // Vector glyphs are re-rendered at the drawn size instead of scaling the image
+    if (glyph.strokeData) {
+        return getStrokeRaster(glyph.strokeData, width, height, glyph.metrics ? glyph.metrics.crop : null);
+    }
+    return glyph.bitmap || glyph;
+}
+
+/**
+ * Opacity of an uncoloured floating letter: faster letters are brighter, for depth
+ */
+function getFloatingOpacity(letter) {
+    return letter.speedMultiplier ? Math.min(0.7 + letter.speedMultiplier * 0.1, 0.95) : 0.85;
+}
+
+function getFloatingGlow(letter) {
+    return letter.speedMultiplier ? 3 + letter.speedMultiplier * 2 : 5;
+}
+
+// ========================================
+// SPRITES
+// ========================================
+
+/**
+ * Paint a coloured glyph's sprite: tinted, with its glow and the sharper "mechanical"
+ * look it takes on on its way to Helvetica
+ * @param {Object} glyph
+ * @param {{size: number, color: string, glow: number|null}} look - From the sprite cache
+ * @returns {{canvas: CanvasImageSource, x: number, y: number, size: number}} - x, y where
+ *     the sprite's corner goes, around the letter's centre at look.size
+ */
+export function paintGlyphSprite(glyph, { size, color, glow }) {
+    const box = getGlyphDrawBox(glyph, size);
+    const width = Math.max(1, Math.ceil(box.width));
+    const height = Math.max(1, Math.ceil(box.height));
+
+    // Tint the glyph
+    const tinted = createCanvas(width, height);
+    const tintedCtx = tinted.getContext('2d');
+    tintedCtx.drawImage(getGlyphSource(glyph, width, height), 0, 0, width, height);
+    tintedCtx.globalCompositeOperation = 'source-atop';
+    tintedCtx.fillStyle = color;
+    tintedCtx.fillRect(0, 0, width, height);
+    if (glow === null) {
+        return { canvas: tinted, x: box.x, y: box.y, size: size };
+    }
+
+    // Strong glow when dragging, stronger along the transition
+    const blur = 15 + glow * 10;
+    const padding = Math.ceil(blur * 2);
+    const sprite = createCanvas(width + padding * 2, height + padding * 2);
+    const spriteCtx = sprite.getContext('2d');
+    spriteCtx.shadowBlur = blur;
+    spriteCtx.shadowColor = color;
+    if (glow > 0) {
+        // Slightly sharpen/brighten for mechanical feel
+        spriteCtx.filter = `contrast(${1 + glow * 0.15}) brightness(${1 + glow * 0.1})`;
+    }
+    spriteCtx.drawImage(tinted, padding, padding);
+
+    return { canvas: sprite, x: box.x - padding, y: box.y - padding, size: size };
+}
+
+// ========================================
+// LETTERS
+// ========================================
+
+/**
+ * Draw one letter
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {Object} letter - From frame.letters
+ * @param {Object|undefined} glyph - The letter's glyph, undefined for none
+ * @param {Object} sprites - Sprite cache (see sprite-cache.js)
+ */
+export function drawLetter(ctx, letter, glyph, sprites) {
+    ctx.save();
+    ctx.translate(letter.x, letter.y);
+    ctx.rotate(letter.rotation);
+
+    const useGlyph = glyph && !letter.useHelveticaFallback && glyph.width > 0 && glyph.height > 0;
+    if (useGlyph) {
+        drawGlyphLetter(ctx, letter, glyph, sprites);
+    } else {
+        drawTextLetter(ctx, letter, glyph !== undefined);
+    }
+
+    ctx.restore();
+}
+
+function drawGlyphLetter(ctx, letter, glyph, sprites) {
+    const size = letter.size;
+
+    // Coloured (dragging or placed): a cached tinted sprite
+    if (letter.color) {
+        const transition = letter.fontFamilyTransition; // 0 = original, 1 = Helvetica-like
+        const glow = letter.isDragging || transition > 0 ? transition : null;
+        const sprite = sprites.get(glyph, size, letter.color, glow, look => paintGlyphSprite(glyph, look));
+        if (sprite) {
+            const scale = size / sprite.size;
+            ctx.drawImage(sprite.canvas, sprite.x * scale, sprite.y * scale,
+                sprite.canvas.width * scale, sprite.canvas.height * scale);
+            return;
+        }
+    }
+
+    const box = getGlyphDrawBox(glyph, size);
+    const source = getGlyphSource(glyph, box.width, box.height);
+
+    if (letter.color) {
+        // Unreadable colour: draw without tint
+        ctx.drawImage(source, box.x, box.y, box.width, box.height);
+        return;
+    }
+
+    // White glyph for floating letters
+    const opacity = getFloatingOpacity(letter);
+    ctx.globalAlpha = opacity;
+
+    // Add subtle glow for floating letters
+    if (letter.isFloating && !letter.isDragging) {
+        ctx.shadowBlur = getFloatingGlow(letter);
+        ctx.shadowColor = `rgba(255, 255, 255, ${opacity * 0.2})`;
+    }
+
+    ctx.drawImage(source, box.x, box.y, box.width, box.height);
+}
+
+/**
+ * Render as text when there is no glyph, or while a glyph letter is held in Helvetica
+ * Font: Georgia serif (the original typeface), or Helvetica during the font
+ * transition of a letter that has a glyph (when dragging/clicking it)
+ */
+function drawTextLetter(ctx, letter, hasGlyph) {
+    const fontFamily = hasGlyph && letter.fontFamilyTransition >= 0.5 ? SANS_FONT : SERIF_FONT;
+    ctx.font = `${letter.weight} ${letter.size}px ${fontFamily}`;
+
+    // Determine color with refined palette
+    let fillColor;
+
+    if (letter.isFloating && !letter.isDragging && !letter.color) {
+        // Floating letters (not colored): pure white with opacity based on speed for depth
+        const opacity = getFloatingOpacity(letter);
+        fillColor = `rgba(255, 255, 255, ${opacity})`;
+
+        // Subtle elegant glow
+        ctx.shadowBlur = getFloatingGlow(letter);
+        ctx.shadowColor = `rgba(255, 255, 255, ${opacity * 0.2})`;
+    } else if (letter.color) {
+        // Colored letters: dragged or placed with progressive fade
+        fillColor = letter.color;
+
+        // Add strong glow when dragging or during transition
+        const transitionIntensity = letter.fontFamilyTransition; // 0 to 1
+        if (letter.isDragging || transitionIntensity > 0) {
+            ctx.shadowBlur = 15 + (transitionIntensity * 10); // 15-25 based on transition
+            ctx.shadowColor = letter.color;
+        }
+    } else {
+        // Default: white
+        fillColor = 'rgba(255, 255, 255, 0.85)';
+    }
+
+    ctx.fillStyle = fillColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Always render the letter (ensures page is never blank)
+    ctx.fillText(letter.letter, 0, 0);
+}
+
+// ========================================
+// FRAME
+// ========================================
+
+function drawBackground(ctx, width, height, dividerY) {
+    // Sophisticated black gradient background
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#000000');
+    gradient.addColorStop(0.5, '#0a0a0a');
+    gradient.addColorStop(1, '#000000');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    // Subtle dividing line for sentence area
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.lineWidth = 0.5;
+    ctx.beginPath();
+    ctx.moveTo(width * 0.1, dividerY);
+    ctx.lineTo(width * 0.9, dividerY);
+    ctx.stroke();
+}
+
+function drawFocusRing(ctx, { x, y, size }) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(x, y, size * 0.75, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+}
+
+function drawSentenceSlots(ctx, slots, underlineOffset, placedFont) {
+    slots.forEach(slot => {
+        // Minimalist placeholder - subtle thin line underneath
+        if (slot.underline) {
+            const lineY = slot.y + underlineOffset;
+            ctx.strokeStyle = `rgba(255, 255, 255, ${slot.filled ? 0.15 : 0.08})`;
+            ctx.lineWidth = 0.5;
+            ctx.beginPath();
+            ctx.moveTo(slot.x, lineY);
+            ctx.lineTo(slot.x + slot.width, lineY);
+            ctx.stroke();
+        }
+
+        // Spaces and punctuation, once they're in place (letters draw themselves)
+        if (slot.showChar) {
+            ctx.font = placedFont;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(slot.char, slot.x + slot.width / 2, slot.y);
+        }
+    });
+}
+
+/**
+ * Draw a whole frame
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {Object} frame
+ * @param {Object} glyphs - { char: glyph }
+ * @param {Object} sprites - Sprite cache (see sprite-cache.js)
+ */
+export function renderFrame(ctx, frame, glyphs, sprites) {
+    drawBackground(ctx, frame.width, frame.height, frame.dividerY);
+    frame.letters.forEach(letter => drawLetter(ctx, letter, glyphs[letter.letter], sprites));
+    if (frame.focus) {
+        drawFocusRing(ctx, frame.focus);
+    }
+    drawSentenceSlots(ctx, frame.slots, frame.underlineOffset, frame.placedFont);
+}
@@ -0,0 +1,32 @@
+// Seeded Random Numbers
+// Interaction mode draws every random choice (letter sizes and speeds, colors,
+// bounce variation) from a seeded generator, so a recorded session can be replayed
+// exactly from its seed (see session-recorder.js).
+
+/**
+ * A fresh 32-bit seed
+ * @returns {number}
+ */
+export function randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Create a random number generator (mulberry32)
+ * The same seed always gives the same sequence.
+ * @param {number} seed - 32-bit integer
+ * @returns {() => number} - Like Math.random: a number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
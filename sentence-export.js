@@ -0,0 +1,399 @@
+// Sentence Export
+// The completion overlay offers the finished sentence as a print-resolution PNG
+// poster, an SVG and a short animation of the letters falling into place. Everything
+// is drawn offscreen at fixed sizes, so exports don't depend on the visitor's screen.
+//
+// Letters come from interaction mode as they were when the sentence was completed:
+// {
+//     char: 'a',
+//     color: 'hsl(235, 85%, 52%)', // Faded colour, null for white
+//     glyph: Image,                // Custom glyph (with .metrics/.strokeData), null for serif
+//     isSpace: false,
+//     isPunctuation: false,        // Spaces and punctuation are filled in automatically
+//     order: 3                     // Placement order, null if never placed
+// }
+import { getGlyphBox, getGlyphAdvance } from './glyph-normalize.js';
+import { getStrokeRaster } from './glyph-strokes.js';
+import { easeInOutCubic } from './physics.js';
+import { fitSentence } from './sentence-layout.js';
+import { createGifEncoder } from './gif-encoder.js';
+
+// Largest canvas iOS Safari will draw (px); a bigger one comes out blank
+export const MAX_CANVAS_AREA = 16777216;
+
+export const EXPORT_CONFIG = {
+    poster: { width: 3274, height: 4630, margin: 327, maxFontSize: 243 }, // A3 at 280 dpi, under MAX_CANVAS_AREA
+    video: { width: 1920, height: 1080, margin: 120, maxFontSize: 110, fps: 30 },
+    gif: { width: 640, height: 360, margin: 40, maxFontSize: 36, fps: 20 },
+    background: '#000000',
+    font: 'Georgia, serif',
+    fontWeight: 300,
+    punctuationFont: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+    punctuationColor: 'rgba(255, 255, 255, 0.5)',
+    letterColor: '#ffffff'
+};
+
+const FALL_DURATION = 0.9; // s for one letter to fall into place
+const FALL_SPREAD = 3; // s over which the letters start falling
+const MAX_STAGGER = 0.15; // s between letters in short sentences
+const HOLD_DURATION = 1.5; // s the finished sentence stays at the end
+const LEGACY_GLYPH_SCALE = 1.7 / 400; // Unnormalized glyphs: 400px lettering canvas, drawn 1.7x
+
+// ========================================
+// LAYOUT
+// ========================================
+
+/**
+ * Advance widths of a sentence's letters, as interaction mode sets them: a glyph's from
+ * its metrics, anything else measured in its font (see sentence-layout.js)
+ * @param {Object[]} letters
+ * @returns {(char: string, fontSize: number, index: number) => number}
+ */
+export function createLetterMeasure(letters) {
+    let ctx = null;
+    return (char, fontSize, index) => {
+        const letter = letters[index];
+        const glyph = letter.glyph;
+        if (!letter.isPunctuation && glyph && glyph.metrics && glyph.width > 0) {
+            return getGlyphAdvance(glyph.metrics, fontSize);
+        }
+
+        if (!ctx) ctx = createCanvas(1, 1).getContext('2d');
+        const font = letter.isPunctuation ? EXPORT_CONFIG.punctuationFont : EXPORT_CONFIG.font;
+        ctx.font = `${EXPORT_CONFIG.fontWeight} ${fontSize}px ${font}`;
+        return ctx.measureText(char).width;
+    };
+}
+
+/**
+ * Set a sentence as large as it fits in a frame, centred
+ * @param {Object[]} letters
+ * @param {{width: number, height: number, margin: number, maxFontSize: number}} frame
+ * @param {Function} [measure] - Advance widths, from createLetterMeasure() by default
+ * @returns {{positions: Array<{x: number, y: number}>, fontSize: number}} - Centre of each
+ *     letter in the frame
+ */
+export function fitSentenceInFrame(letters, frame, measure = createLetterMeasure(letters)) {
+    const innerWidth = frame.width - frame.margin * 2;
+    const innerHeight = frame.height - frame.margin * 2;
+    const layout = fitSentence(letters.map(letter => letter.char), {
+        measure: measure,
+        maxFontSize: frame.maxFontSize,
+        maxWidth: innerWidth,
+        maxHeight: innerHeight
+    });
+
+    const top = frame.margin + (innerHeight - layout.height) / 2;
+    return {
+        positions: layout.slots.map(slot => ({ x: frame.margin + slot.x + slot.width / 2, y: top + slot.y })),
+        fontSize: layout.fontSize
+    };
+}
+
+// ========================================
+// DRAWING
+// ========================================
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil(width));
+    canvas.height = Math.max(1, Math.ceil(height));
+    return canvas;
+}
+
+/**
+ * Render a letter once, so frames can draw it with a single drawImage
+ * @param {Object} letter
+ * @param {number} fontSize
+ * @returns {{canvas: HTMLCanvasElement, x: number, y: number}|null} - The image and its
+ *     offset from the letter's centre (null for spaces)
+ */
+export function renderLetterSprite(letter, fontSize) {
+    if (letter.isSpace) return null;
+
+    const glyph = letter.glyph;
+    if (glyph && glyph.width > 0 && glyph.height > 0) {
+        let box;
+        if (glyph.metrics) {
+            box = getGlyphBox(glyph.metrics, fontSize);
+        } else {
+            // Older glyphs are the whole lettering canvas, centred
+            const boxWidth = glyph.width * fontSize * LEGACY_GLYPH_SCALE;
+            const boxHeight = glyph.height * fontSize * LEGACY_GLYPH_SCALE;
+            box = { x: -boxWidth / 2, y: -boxHeight / 2, width: boxWidth, height: boxHeight };
+        }
+
+        // Vector glyphs are re-rendered at print size instead of scaling the image
+        const source = glyph.strokeData ?
+            getStrokeRaster(glyph.strokeData, box.width, box.height, glyph.metrics ? glyph.metrics.crop : null) :
+            glyph;
+        const canvas = createCanvas(box.width, box.height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        // Tint the ink with the letter's colour
+        ctx.globalCompositeOperation = 'source-atop';
+        ctx.fillStyle = letter.color || EXPORT_CONFIG.letterColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        return { canvas, x: box.x, y: box.y };
+    }
+
+    // Serif letters, and punctuation as the sentence area draws it
+    const canvas = createCanvas(fontSize * 2, fontSize * 2);
+    const ctx = canvas.getContext('2d');
+    ctx.font = letter.isPunctuation ?
+        `${EXPORT_CONFIG.fontWeight} ${fontSize}px ${EXPORT_CONFIG.punctuationFont}` :
+        `${EXPORT_CONFIG.fontWeight} ${fontSize}px ${EXPORT_CONFIG.font}`;
+    ctx.fillStyle = letter.isPunctuation ? EXPORT_CONFIG.punctuationColor : (letter.color || EXPORT_CONFIG.letterColor);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(letter.char, fontSize, fontSize);
+
+    return { canvas, x: -fontSize, y: -fontSize };
+}
+
+function placementRank(letter) {
+    return typeof letter.order === 'number' ? letter.order : Infinity;
+}
+
+/**
+ * Start time of each letter's fall: placed letters in the order they were placed,
+ * spaces and punctuation already there
+ * @param {Object[]} letters
+ * @returns {{starts: number[], duration: number}} - Seconds; duration includes the hold at the end
+ */
+export function getFallSchedule(letters) {
+    const placed = letters
+        .map((letter, index) => ({ letter, index }))
+        .filter(({ letter }) => !letter.isSpace && !letter.isPunctuation)
+        .sort((a, b) => placementRank(a.letter) - placementRank(b.letter));
+    const stagger = placed.length > 1 ? Math.min(MAX_STAGGER, FALL_SPREAD / (placed.length - 1)) : 0;
+
+    const starts = letters.map(() => -Infinity);
+    placed.forEach(({ index }, rank) => {
+        starts[index] = rank * stagger;
+    });
+
+    return {
+        starts: starts,
+        duration: Math.max(0, placed.length - 1) * stagger + FALL_DURATION + HOLD_DURATION
+    };
+}
+
+/**
+ * Prepare a sentence for drawing in a frame
+ * @param {Object[]} letters
+ * @param {{width: number, height: number, margin: number, maxFontSize: number}} frame
+ * @returns {{frame: Object, fontSize: number, positions: Object[], sprites: Object[]}}
+ */
+export function prepareScene(letters, frame) {
+    const { positions, fontSize } = fitSentenceInFrame(letters, frame);
+    return {
+        frame: frame,
+        fontSize: fontSize,
+        positions: positions,
+        sprites: letters.map(letter => renderLetterSprite(letter, fontSize))
+    };
+}
+
+/**
+ * Draw the sentence, with letters still falling at the given time
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} scene - From prepareScene()
+ * @param {number[]} starts - From getFallSchedule(), or null for the finished sentence
+ * @param {number} time - Seconds into the animation
+ */
+export function drawScene(ctx, scene, starts, time) {
+    const { frame, fontSize, positions, sprites } = scene;
+    ctx.fillStyle = EXPORT_CONFIG.background;
+    ctx.fillRect(0, 0, frame.width, frame.height);
+
+    sprites.forEach((sprite, i) => {
+        if (!sprite) return;
+
+        let { x, y } = positions[i];
+        if (starts) {
+            const progress = (time - starts[i]) / FALL_DURATION;
+            if (progress <= 0) return;
+            if (progress < 1) {
+                // Fall from above the frame
+                y = -fontSize + (y + fontSize) * easeInOutCubic(progress);
+            }
+        }
+        ctx.drawImage(sprite.canvas, x + sprite.x, y + sprite.y);
+    });
+}
+
+// ========================================
+// EXPORT
+// ========================================
+
+/**
+ * Render the finished sentence as a print-resolution poster
+ * @param {Object[]} letters
+ * @returns {Promise<Blob>} - PNG
+ */
+export function exportPoster(letters) {
+    const frame = EXPORT_CONFIG.poster;
+    const canvas = createCanvas(frame.width, frame.height);
+    drawScene(canvas.getContext('2d'), prepareScene(letters, frame), null, 0);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Poster could not be encoded')), 'image/png');
+    });
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Convert a CSS hsl() colour to hex, which every SVG editor reads
+ * @param {string|null} color
+ * @returns {string}
+ */
+export function toHexColor(color) {
+    const match = color && color.match(/hsla?\(\s*([\d.]+)[\s,]+([\d.]+)%[\s,]+([\d.]+)%/);
+    if (!match) return color || EXPORT_CONFIG.letterColor;
+
+    const h = parseFloat(match[1]) % 360;
+    const s = parseFloat(match[2]) / 100;
+    const l = parseFloat(match[3]) / 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = n => {
+        const k = (n + h / 30) % 12;
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Render the finished sentence as an SVG poster
+ * Serif letters and punctuation stay text; custom glyphs are traced into outlines.
+ * @param {Object[]} letters
+ * @returns {Promise<string>} - SVG document
+ */
+export async function exportSvg(letters) {
+    const frame = EXPORT_CONFIG.poster;
+    const { positions, fontSize } = fitSentenceInFrame(letters, frame);
+
+    // Loaded on demand: the tracer lives with font export
+    const hasGlyphs = letters.some(letter => letter.glyph && !letter.isSpace);
+    const tracer = hasGlyphs ? await import('./font-export.js') : null;
+
+    const elements = letters.map((letter, i) => {
+        if (letter.isSpace) return '';
+        const { x, y } = positions[i];
+
+        if (letter.glyph && letter.glyph.width > 0) {
+            const sprite = renderLetterSprite(letter, fontSize);
+            const pixels = sprite.canvas.getContext('2d').getImageData(0, 0, sprite.canvas.width, sprite.canvas.height);
+            const d = tracer.traceBitmap(pixels)
+                .map(contour => tracer.simplifyContour(contour))
+                .filter(contour => contour.length > 2)
+                .map(contour => 'M' + contour.map(([px, py]) => `${px} ${py}`).join('L') + 'Z')
+                .join('');
+            return `<path transform="translate(${(x + sprite.x).toFixed(1)} ${(y + sprite.y).toFixed(1)})" ` +
+                `fill="${toHexColor(letter.color)}" d="${d}"/>`;
+        }
+
+        const font = letter.isPunctuation ? EXPORT_CONFIG.punctuationFont : EXPORT_CONFIG.font;
+        const fill = letter.isPunctuation ? 'fill="#ffffff" fill-opacity="0.5"' : `fill="${toHexColor(letter.color)}"`;
+        return `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" font-family="${escapeXml(font)}" ` +
+            `font-weight="${EXPORT_CONFIG.fontWeight}" font-size="${fontSize.toFixed(1)}" ` +
+            `text-anchor="middle" dominant-baseline="central" ${fill}>${escapeXml(letter.char)}</text>`;
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${frame.width}" height="${frame.height}" ` +
+            `viewBox="0 0 ${frame.width} ${frame.height}">`,
+        `<rect width="100%" height="100%" fill="${EXPORT_CONFIG.background}"/>`,
+        ...elements.filter(Boolean),
+        '</svg>'
+    ].join('\n');
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Pick a WebM type this browser can record, if any
+ * @returns {string|null}
+ */
+function getVideoType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined' ||
+        !HTMLCanvasElement.prototype.captureStream) {
+        return null;
+    }
+    return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Record the letters falling into place
+ * WebM where the browser can record video (this takes as long as the animation),
+ * an animated GIF elsewhere.
+ * @param {Object[]} letters
+ * @returns {Promise<{blob: Blob, extension: string}>}
+ */
+export async function exportAnimation(letters) {
+    const { starts, duration } = getFallSchedule(letters);
+    const videoType = getVideoType();
+    const frame = videoType ? EXPORT_CONFIG.video : EXPORT_CONFIG.gif;
+    const scene = prepareScene(letters, frame);
+    const canvas = createCanvas(frame.width, frame.height);
+    const ctx = canvas.getContext('2d');
+    const frameCount = Math.ceil(duration * frame.fps) + 1;
+
+    if (!videoType) {
+        const encoder = createGifEncoder(frame);
+        for (let i = 0; i < frameCount; i++) {
+            drawScene(ctx, scene, starts, i / frame.fps);
+            encoder.addFrame(ctx.getImageData(0, 0, frame.width, frame.height).data);
+            if (i % 10 === 9) await wait(0); // Let the page breathe
+        }
+        return { blob: encoder.finish(), extension: 'gif' };
+    }
+
+    // The recorder timestamps frames as they arrive, so they're drawn in real time
+    const recorder = new MediaRecorder(canvas.captureStream(frame.fps), { mimeType: videoType });
+    const chunks = [];
+    recorder.ondataavailable = event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+        recorder.onstop = resolve;
+        recorder.onerror = event => reject(event.error || new Error('Recording failed'));
+    });
+
+    drawScene(ctx, scene, starts, 0);
+    recorder.start();
+    const startTime = performance.now();
+    for (let i = 1; i < frameCount; i++) {
+        await wait(startTime + (i * 1000) / frame.fps - performance.now());
+        drawScene(ctx, scene, starts, i / frame.fps);
+    }
+    recorder.stop();
+    await stopped;
+
+    return { blob: new Blob(chunks, { type: 'video/webm' }), extension: 'webm' };
+}
+
+/**
+ * Save a file
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,134 @@
+// Sentence Layout
+// Sets the sentence under the floating letters the way type is set: every character
+// takes up its own advance width (a hand-drawn glyph's from its metrics, anything else
+// measured in its font), spaces and punctuation are kerned, and lines break between
+// words. Long texts get more lines and, once the lines fill the sentence area, a
+// smaller size.
+//
+// Slot of a character (the layout has one per character of the sentence):
+// {
+//     x: 12.5,     // Left edge of its advance, from the left of the area
+//     y: 14,       // Middle of its line, from the top of the text block
+//     width: 9.8,  // Advance width
+//     line: 0
+// }
+
+export const SENTENCE_LAYOUT_CONFIG = {
+    lineHeight: 1.6, // em
+    tracking: 0.04, // em added between characters, for the airy look of the sentence
+    wordSpace: 0.35, // em; the same gap between words, whatever the glyphs
+    punctuationKerning: -0.08, // em; closing punctuation sits close to the word before it
+    openingKerning: -0.06, // em; and opening punctuation to the word after it
+    minFontSize: 10, // px
+    fontSizeStep: 0.92 // Shrink factor while looking for a size that fits
+};
+
+// Punctuation that belongs to the word before or after it
+const CLOSING_PUNCTUATION = '.,;:!?…)]}»”’\'';
+const OPENING_PUNCTUATION = '([{«„“‘¿¡';
+
+/**
+ * Space added between two neighbouring characters, on top of their advance widths
+ * @param {string} previous
+ * @param {string} next
+ * @returns {number} - em
+ */
+export function getKerning(previous, next) {
+    const { tracking, punctuationKerning, openingKerning } = SENTENCE_LAYOUT_CONFIG;
+    if (previous === ' ' || next === ' ') {
+        return 0; // Word spaces are set by their own width
+    }
+    if (CLOSING_PUNCTUATION.includes(next)) {
+        return tracking + punctuationKerning;
+    }
+    if (OPENING_PUNCTUATION.includes(previous)) {
+        return tracking + openingKerning;
+    }
+    return tracking;
+}
+
+/**
+ * Set a sentence in lines at one size, breaking at spaces
+ * @param {string[]} chars - One entry per character of the sentence
+ * @param {Object} options
+ * @param {(char: string, fontSize: number, index: number) => number} options.measure - Advance
+ *     width in px of the character at an index of chars
+ * @param {number} options.fontSize - px
+ * @param {number} options.maxWidth - px
+ * @returns {{slots: Object[], lineCount: number, height: number, fontSize: number}} - Each
+ *     line is centred in maxWidth; a space a line breaks at hangs off the line's end
+ */
+export function layoutSentence(chars, { measure, fontSize, maxWidth }) {
+    const lineHeight = fontSize * SENTENCE_LAYOUT_CONFIG.lineHeight;
+    const advances = chars.map((char, i) => (char === ' ' ? SENTENCE_LAYOUT_CONFIG.wordSpace * fontSize : measure(char, fontSize, i)));
+    const gap = i => getKerning(chars[i - 1], chars[i]) * fontSize;
+
+    const slots = new Array(chars.length);
+    let lineCount = 0;
+    let start = 0;
+
+    while (start < chars.length) {
+        // Fill the line until a character doesn't fit, then break at the last space
+        let end = start;
+        let pen = 0;
+        let lastSpace = -1;
+        while (end < chars.length) {
+            const left = end > start ? pen + gap(end) : 0;
+            if (end > start && chars[end] !== ' ' && left + advances[end] > maxWidth) {
+                break;
+            }
+            if (chars[end] === ' ') lastSpace = end;
+            pen = left + advances[end];
+            end++;
+        }
+        let next = end; // Mid-word, for a word longer than the line
+        if (end < chars.length && lastSpace > start) {
+            end = lastSpace;
+            next = lastSpace + 1;
+        }
+
+        // Set the line, centred
+        const positions = [];
+        pen = 0;
+        for (let i = start; i < end; i++) {
+            if (i > start) pen += gap(i);
+            positions.push(pen);
+            pen += advances[i];
+        }
+        const lineWidth = pen;
+        const offset = (maxWidth - lineWidth) / 2;
+        const y = (lineCount + 0.5) * lineHeight;
+        for (let i = start; i < end; i++) {
+            slots[i] = { x: offset + positions[i - start], y: y, width: advances[i], line: lineCount };
+        }
+        if (next > end) {
+            slots[end] = { x: offset + lineWidth, y: y, width: advances[end], line: lineCount };
+        }
+
+        lineCount++;
+        start = next;
+    }
+
+    return { slots: slots, lineCount: lineCount, height: lineCount * lineHeight, fontSize: fontSize };
+}
+
+/**
+ * Set a sentence as large as it fits, up to a size
+ * @param {string[]} chars
+ * @param {Object} options
+ * @param {(char: string, fontSize: number, index: number) => number} options.measure - As for layoutSentence()
+ * @param {number} options.maxFontSize - px
+ * @param {number} options.maxWidth - px
+ * @param {number} options.maxHeight - px
+ * @returns {{slots: Object[], lineCount: number, height: number, fontSize: number}}
+ */
+export function fitSentence(chars, { measure, maxFontSize, maxWidth, maxHeight }) {
+    const { minFontSize, fontSizeStep } = SENTENCE_LAYOUT_CONFIG;
+    let fontSize = maxFontSize;
+    let layout = layoutSentence(chars, { measure, fontSize, maxWidth });
+    while (layout.height > maxHeight && fontSize > minFontSize) {
+        fontSize = Math.max(minFontSize, fontSize * fontSizeStep);
+        layout = layoutSentence(chars, { measure, fontSize, maxWidth });
+    }
+    return layout;
+}
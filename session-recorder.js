@@ -0,0 +1,167 @@
+// Session Recording
+// Interaction mode records each visit: its random seed, text and canvas size, and
+// every input event stamped with the number of physics steps run before it.
+// Replaying feeds the same events to the same handlers at the same steps, so with
+// the same seed the visit plays out exactly as it did (see physics.js, seeded-random.js).
+
+export const SESSION_VERSION = 1;
+
+// Events a session can contain: pointer and keyboard input, plus long presses (their
+// timer fires outside any handler), window resizes, motion setting changes, and the
+// glyphs shown and collision shapes measured as the glyphs load
+export const SESSION_EVENT_TYPES = [
+    'mousedown', 'mousemove', 'mouseup', 'click',
+    'touchstart', 'touchmove', 'touchend',
+    'keydown', 'longpress', 'resize', 'motion', 'shapes', 'glyphs'
+];
+
+/**
+ * Create a recorder for a new session
+ * @param {Object} options
+ * @param {number} options.seed - Seed of the session's random numbers
+ * @param {string} options.textId - Text being assembled (see texts.js)
+ * @param {{width: number, height: number}} options.viewport - Canvas size in CSS pixels
+ * @param {() => number} [options.now] - Clock in milliseconds
+ * @returns {Object} - Recorder API (see below)
+ */
+export function createSessionRecorder({ seed, textId, viewport, now = () => performance.now() }) {
+    const startTime = now();
+    const session = {
+        version: SESSION_VERSION,
+        seed: seed,
+        textId: textId,
+        viewport: { width: viewport.width, height: viewport.height },
+        recordedAt: new Date().toISOString(),
+        events: []
+    };
+
+    return {
+        /**
+         * Record an event
+         * @param {number} step - Physics steps run so far
+         * @param {string} type - One of SESSION_EVENT_TYPES
+         * @param {Object} data - { x, y, button } in canvas pixels, { key, shiftKey } for keys,
+         *     { width, height } for resizes, { mode } for motion settings, { shapes } for
+         *     the letters' collision shapes or { glyphs } ({ char: glyphId }) for the glyphs shown
+         */
+        record(step, type, data) {
+            session.events.push({ step: step, t: Math.round(now() - startTime), type: type, ...data });
+        },
+
+        /**
+         * @returns {Object} - The session so far
+         */
+        getSession() {
+            return session;
+        }
+    };
+}
+
+/**
+ * Whether recorded collision shapes can be collided with: { char: [{ x, y, r }] },
+ * finite circles of some size (see collision-shapes.js)
+ */
+function isValidShapes(shapes) {
+    return Boolean(shapes) && typeof shapes === 'object' && Object.values(shapes).every(shape =>
+        Array.isArray(shape) && shape.length > 0 && shape.every(circle =>
+            circle && Number.isFinite(circle.x) && Number.isFinite(circle.y) &&
+            Number.isFinite(circle.r) && circle.r > 0));
+}
+
+/**
+ * Read a session file
+ * @param {string} json
+ * @returns {Object} - The session
+ */
+export function parseSession(json) {
+    let session;
+    try {
+        session = JSON.parse(json);
+    } catch (error) {
+        throw new Error('Not a recorded session: ' + error.message);
+    }
+
+    if (!session || session.version !== SESSION_VERSION) {
+        throw new Error(`Not a recorded session (expected version ${SESSION_VERSION})`);
+    }
+    if (!Number.isInteger(session.seed) || typeof session.textId !== 'string' ||
+        !session.viewport || !(session.viewport.width > 0) || !(session.viewport.height > 0) ||
+        !Array.isArray(session.events)) {
+        throw new Error('Recorded session is incomplete');
+    }
+
+    let lastStep = 0;
+    for (const event of session.events) {
+        if (!SESSION_EVENT_TYPES.includes(event.type) || !Number.isInteger(event.step) || event.step < lastStep ||
+            (event.type === 'shapes' && !isValidShapes(event.shapes))) {
+            throw new Error(`Recorded session has an invalid event: ${JSON.stringify(event)}`);
+        }
+        lastStep = event.step;
+    }
+
+    return session;
+}
+
+/**
+ * Every glyph a session showed, so a replay can load the same ones
+ * @param {Object} session - From parseSession()
+ * @returns {string[]} - Glyph IDs
+ */
+export function getSessionGlyphIds(session) {
+    const glyphIds = new Set();
+    session.events.forEach(event => {
+        if (event.type === 'glyphs' && event.glyphs) {
+            Object.values(event.glyphs).filter(Boolean).forEach(glyphId => glyphIds.add(glyphId));
+        }
+    });
+    return [...glyphIds];
+}
+
+/**
+ * Create a player that hands out a session's events as the simulation reaches them
+ * @param {Object} session - From parseSession()
+ * @returns {Object} - Player API (see below)
+ */
+export function createSessionPlayer(session) {
+    let index = 0;
+
+    return {
+        session: session,
+
+        /**
+         * Events due before the next step
+         * @param {number} step - Physics steps run so far
+         * @returns {Object[]}
+         */
+        takeEvents(step) {
+            const due = [];
+            while (index < session.events.length && session.events[index].step <= step) {
+                due.push(session.events[index++]);
+            }
+            return due;
+        },
+
+        /**
+         * @returns {boolean} - Whether every event has been handed out
+         */
+        isFinished() {
+            return index >= session.events.length;
+        }
+    };
+}
+
+/**
+ * Download a session as a JSON file
+ * @param {Object} session
+ */
+export function downloadSession(session) {
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `session-${session.textId}-${session.recordedAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
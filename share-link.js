@@ -0,0 +1,276 @@
+// Share Links
+// A finished sentence is random: which glyph each letter got, the order the letters
+// were placed in and their colours. A share link keeps all three, so shared.html can
+// show the composition exactly as it was made.
+//
+// Composition:
+// {
+//     textId: 'malheur',
+//     letters: [                       // One per letter of the text (isLetter), in order
+//         { glyphId: 'abc123',         // Glyph drawn there, null for the serif letter
+//           order: 1,                  // Placement order, 1 for the first letter placed
+//           color: 'hsl(235, 85%, 52%)' } // Colour when the sentence was completed, null for white
+//     ]
+// }
+//
+// Links carry it as URL-safe base64 of a small binary record: a version byte, the
+// text ID, the distinct glyph IDs, then per letter a glyph index, the placement order
+// and the colour (hue in hundredths of a degree, saturation and lightness in half percents).
+import { getTextById, isLetter } from './texts.js';
+
+export const SHARE_LINK_VERSION = 1;
+export const SHARE_PAGE = 'shared.html';
+const SHARE_PARAM = 'c';
+
+const WHITE = { h: 0, s: 0, l: 100 };
+
+// ========================================
+// COLOURS
+// ========================================
+
+/**
+ * Read an hsl() colour
+ * @param {string|null} color
+ * @returns {{h: number, s: number, l: number}} - White for null or unreadable colours
+ */
+export function parseHslColor(color) {
+    const match = color && color.match(/hsla?\(\s*([\d.]+)[\s,]+([\d.]+)%[\s,]+([\d.]+)%/);
+    if (!match) return WHITE;
+    return {
+        h: parseFloat(match[1]) % 360,
+        s: Math.min(100, parseFloat(match[2])),
+        l: Math.min(100, parseFloat(match[3]))
+    };
+}
+
+function formatHslColor({ h, s, l }) {
+    return `hsl(${h}, ${s}%, ${l}%)`;
+}
+
+// ========================================
+// ENCODING
+// ========================================
+
+function createWriter() {
+    const bytes = [];
+    return {
+        bytes: bytes,
+        byte(value) {
+            bytes.push(value & 0xFF);
+        },
+        varint(value) {
+            while (value >= 0x80) {
+                bytes.push((value & 0x7F) | 0x80);
+                value = Math.floor(value / 0x80);
+            }
+            bytes.push(value);
+        },
+        string(value) {
+            const encoded = new TextEncoder().encode(value);
+            this.varint(encoded.length);
+            encoded.forEach(byte => bytes.push(byte));
+        }
+    };
+}
+
+function createReader(bytes) {
+    let position = 0;
+    const next = () => {
+        if (position >= bytes.length) throw new Error('Share link is cut short');
+        return bytes[position++];
+    };
+    return {
+        byte: next,
+        varint() {
+            let value = 0;
+            let scale = 1;
+            let byte;
+            do {
+                byte = next();
+                value += (byte & 0x7F) * scale;
+                scale *= 0x80;
+            } while (byte & 0x80);
+            return value;
+        },
+        string() {
+            const length = this.varint();
+            const slice = bytes.subarray(position, position + length);
+            if (slice.length !== length) throw new Error('Share link is cut short');
+            position += length;
+            return new TextDecoder().decode(slice);
+        },
+        get done() {
+            return position === bytes.length;
+        }
+    };
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Number of letters (drawable characters) in a text
+ * @param {string} content
+ * @returns {number}
+ */
+function countLetters(content) {
+    let count = 0;
+    for (let i = 0; i < content.length; i++) {
+        if (isLetter(content[i])) count++;
+    }
+    return count;
+}
+
+/**
+ * Encode a composition for a link
+ * @param {Object} composition
+ * @returns {string} - URL-safe code
+ */
+export function encodeComposition({ textId, letters }) {
+    const writer = createWriter();
+    writer.byte(SHARE_LINK_VERSION);
+    writer.string(textId);
+
+    const glyphIds = [...new Set(letters.map(letter => letter.glyphId).filter(Boolean))];
+    writer.varint(glyphIds.length);
+    glyphIds.forEach(glyphId => writer.string(glyphId));
+
+    letters.forEach(letter => {
+        const { h, s, l } = parseHslColor(letter.color);
+        writer.varint(letter.glyphId ? glyphIds.indexOf(letter.glyphId) + 1 : 0);
+        writer.varint(letter.order);
+        const hue = Math.round(h * 100) % 36000;
+        writer.byte(hue >> 8);
+        writer.byte(hue);
+        writer.byte(Math.round(s * 2));
+        writer.byte(Math.round(l * 2));
+    });
+
+    return toBase64Url(writer.bytes);
+}
+
+/**
+ * Decode a composition from a link
+ * @param {string} code - From encodeComposition()
+ * @returns {Object} - The composition
+ * @throws {Error} - If the code is damaged or doesn't fit its text
+ */
+export function decodeComposition(code) {
+    let bytes;
+    try {
+        bytes = fromBase64Url(code || '');
+    } catch (error) {
+        throw new Error('Not a share link');
+    }
+
+    const reader = createReader(bytes);
+    const version = reader.byte();
+    if (version !== SHARE_LINK_VERSION) {
+        throw new Error(`Unsupported share link (version ${version})`);
+    }
+
+    const textId = reader.string();
+    const text = getTextById(textId);
+    if (!text) {
+        throw new Error(`Share link is for an unknown text: ${textId}`);
+    }
+
+    const glyphIds = [];
+    const glyphCount = reader.varint();
+    for (let i = 0; i < glyphCount; i++) {
+        glyphIds.push(reader.string());
+    }
+
+    const letterCount = countLetters(text.content);
+    const letters = [];
+    const orders = new Set();
+    for (let i = 0; i < letterCount; i++) {
+        const glyphIndex = reader.varint();
+        const order = reader.varint();
+        const hue = (reader.byte() << 8) | reader.byte();
+        const color = { h: hue / 100, s: reader.byte() / 2, l: reader.byte() / 2 };
+
+        if (glyphIndex > glyphIds.length || order < 1 || order > letterCount || orders.has(order)) {
+            throw new Error('Share link is damaged');
+        }
+        orders.add(order);
+        letters.push({
+            glyphId: glyphIndex > 0 ? glyphIds[glyphIndex - 1] : null,
+            order: order,
+            color: color.s === 0 && color.l === 100 ? null : formatHslColor(color)
+        });
+    }
+
+    if (!reader.done) {
+        throw new Error('Share link is damaged');
+    }
+    return { textId, letters };
+}
+
+// ========================================
+// LINKS
+// ========================================
+
+/**
+ * Build the link to a composition
+ * @param {Object} composition
+ * @param {string} [base] - Page the link is relative to (defaults to the current page)
+ * @returns {string}
+ */
+export function getShareUrl(composition, base = window.location.href) {
+    const url = new URL(SHARE_PAGE, base);
+    url.searchParams.set(SHARE_PARAM, encodeComposition(composition));
+    return url.toString();
+}
+
+/**
+ * Read the composition from a share page's URL
+ * @param {string} search - location.search
+ * @returns {Object} - The composition
+ * @throws {Error} - If there is none or it is damaged
+ */
+export function readShareUrl(search) {
+    const code = new URLSearchParams(search).get(SHARE_PARAM);
+    if (!code) {
+        throw new Error('This link has no sentence in it');
+    }
+    return decodeComposition(code);
+}
+
+/**
+ * Lay a composition over its text, in the shape sentence-export.js draws
+ * @param {Object} composition
+ * @param {Object} images - { glyphId: HTMLImageElement } for the glyphs that loaded
+ * @returns {Object[]} - One entry per character of the text
+ */
+export function getCompositionLetters(composition, images) {
+    const content = getTextById(composition.textId).content;
+    let letterIndex = 0;
+
+    return Array.from({ length: content.length }, (_, i) => {
+        const char = content[i];
+        if (!isLetter(char)) {
+            return { char, color: null, glyph: null, isSpace: char === ' ', isPunctuation: char !== ' ', order: null };
+        }
+
+        const letter = composition.letters[letterIndex++];
+        return {
+            char: char,
+            color: letter.color,
+            glyph: (letter.glyphId && images[letter.glyphId]) || null,
+            isSpace: false,
+            isPunctuation: false,
+            order: letter.order
+        };
+    });
+}
@@ -0,0 +1,121 @@
+// Shared Sentence Page JavaScript
+// Read-only view of a composition from a share link (see share-link.js): the
+// sentence falls into place with the same glyphs, order and colours it was made with.
+import { readShareUrl, getCompositionLetters } from './share-link.js';
+import { getTextById } from './texts.js';
+import { prepareScene, drawScene, getFallSchedule } from './sentence-export.js';
+
+// ========================================
+// CONFIGURATION
+// ========================================
+const MARGIN_RATIO = 0.1; // Of the shorter side of the window
+const MAX_FONT_RATIO = 0.12; // Of the shorter side of the window
+
+// ========================================
+// STATE
+// ========================================
+let letters = []; // The composition, in the shape sentence-export.js draws
+let scene = null;
+let schedule = null;
+let startTime = null; // When the current fall started (ms)
+let frameRequest = null;
+
+// ========================================
+// INITIALIZATION
+// ========================================
+async function init() {
+    document.getElementById('makeYourOwnBtn').addEventListener('click', () => {
+        window.location.href = 'entry.html';
+    });
+    document.getElementById('replayBtn').addEventListener('click', play);
+    window.addEventListener('resize', () => {
+        if (!scene) return;
+        prepare();
+        if (!frameRequest) drawFrame(performance.now());
+    });
+
+    let composition;
+    try {
+        composition = readShareUrl(window.location.search);
+    } catch (error) {
+        console.error('Could not read share link:', error);
+        showStatus(`${error.message}.`);
+        return;
+    }
+
+    const text = getTextById(composition.textId);
+    document.getElementById('textTitle').textContent = text.title;
+
+    const images = await loadGlyphImages(composition);
+    letters = getCompositionLetters(composition, images);
+    schedule = getFallSchedule(letters);
+
+    showStatus('');
+    document.getElementById('replayBtn').style.display = '';
+    prepare();
+    play();
+}
+
+/**
+ * Load the composition's glyphs; letters whose glyph can't be loaded are drawn in serif
+ * @returns {Promise<Object>} - { glyphId: HTMLImageElement }
+ */
+async function loadGlyphImages(composition) {
+    const glyphIds = [...new Set(composition.letters.map(letter => letter.glyphId).filter(Boolean))];
+    if (glyphIds.length === 0) return {};
+
+    try {
+        // Firebase may be unreachable; the sentence still shows in serif
+        const { loadSharedLetterings } = await import('./interaction-firebase.js');
+        return await loadSharedLetterings(glyphIds);
+    } catch (error) {
+        console.error('Could not load shared glyphs, drawing the sentence in serif:', error);
+        return {};
+    }
+}
+
+// ========================================
+// DRAWING
+// ========================================
+function prepare() {
+    const canvas = document.getElementById('canvas');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(window.innerWidth * ratio);
+    canvas.height = Math.round(window.innerHeight * ratio);
+
+    const shortSide = Math.min(canvas.width, canvas.height);
+    scene = prepareScene(letters, {
+        width: canvas.width,
+        height: canvas.height,
+        margin: shortSide * MARGIN_RATIO,
+        maxFontSize: shortSide * MAX_FONT_RATIO
+    });
+}
+
+function play() {
+    startTime = performance.now();
+    if (!frameRequest) {
+        frameRequest = requestAnimationFrame(drawFrame);
+    }
+}
+
+function drawFrame(now) {
+    const ctx = document.getElementById('canvas').getContext('2d');
+    const time = (now - startTime) / 1000;
+    drawScene(ctx, scene, schedule.starts, time);
+
+    frameRequest = time < schedule.duration ? requestAnimationFrame(drawFrame) : null;
+}
+
+function showStatus(message) {
+    const status = document.getElementById('statusMessage');
+    status.textContent = message;
+    status.style.display = message ? '' : 'none';
+}
+
+// Start the application when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
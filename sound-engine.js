@@ -0,0 +1,387 @@
+// Sound Engine
+// Generated sound for interaction mode, for browsers without speech synthesis (kiosk
+// Chromium builds, in-app browsers) or alongside it: a plucked tone with a few grains
+// of filtered noise for each placed letter, soft knocks when floating letters collide,
+// and a drone that settles from a beating, muffled hum into an open fifth as the
+// sentence fills up. Everything runs through one master gain (volume and mute), which
+// also scales speech.
+//
+// Settings, saved in localStorage or set in the URL for one visit:
+//
+//   ?tones=on|off|auto   Generated sound (auto: only where speech synthesis is missing)
+//   ?volume=0.5          Master volume (0-1)
+//   ?mute                Start muted
+
+const STORAGE_KEY = 'absurde_sound_settings';
+
+export const TONE_MODES = ['auto', 'on', 'off'];
+
+export const DEFAULT_SOUND_SETTINGS = {
+    tones: 'auto',
+    volume: 0.8,
+    muted: false
+};
+
+export const SOUND_CONFIG = {
+    // Letters: A minor pentatonic over two octaves from A3; a letter's place in the
+    // alphabet picks the note, wrapping around after the tenth
+    baseFrequency: 220,
+    scale: [0, 3, 5, 7, 10, 12, 15, 17, 19, 22],
+    letterDuration: 0.7, // seconds
+    grainCount: 4,
+    grainSpread: 0.12, // seconds the grains are scattered over
+    // Impacts: relative speed (px per physics step) that is heard, and that is loudest
+    impactThreshold: 0.3,
+    impactFullSpeed: 8,
+    impactGap: 0.04, // seconds; closer impacts are dropped (the physics can collide many pairs a step)
+    // Drone
+    droneFrequency: 55, // A1
+    droneFadeTime: 2 // seconds
+};
+
+// ========================================
+// SETTINGS
+// ========================================
+
+/**
+ * Apply valid fields of partial settings on top of others
+ * @param {Object} base - Full settings
+ * @param {Object} [changes]
+ * @returns {Object} - New full settings
+ */
+export function mergeSoundSettings(base, changes) {
+    const merged = { ...base };
+    if (!changes || typeof changes !== 'object') return merged;
+
+    if (TONE_MODES.includes(changes.tones)) merged.tones = changes.tones;
+    const volume = parseFloat(changes.volume);
+    if (Number.isFinite(volume)) merged.volume = Math.min(1, Math.max(0, volume));
+    if (typeof changes.muted === 'boolean') merged.muted = changes.muted;
+    return merged;
+}
+
+/**
+ * Read a URL preset
+ * @param {string} search - location.search
+ * @returns {Object|null} - Partial settings, null if the URL has none
+ */
+export function parseSoundPreset(search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('tones') && !params.has('volume') && !params.has('mute')) return null;
+
+    const preset = {};
+    if (params.has('tones')) preset.tones = params.get('tones');
+    if (params.has('volume')) preset.volume = params.get('volume');
+    if (params.has('mute')) preset.muted = params.get('mute') !== 'false';
+    return preset;
+}
+
+/**
+ * Settings for this visit: defaults, then the saved settings, then the URL preset
+ * @param {Object} [options]
+ * @param {string} [options.search] - location.search
+ * @param {Storage} [options.storage] - Where settings are saved
+ * @returns {Object}
+ */
+export function loadSoundSettings({ search = window.location.search, storage = localStorage } = {}) {
+    let saved = null;
+    try {
+        saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable sound settings:', error);
+    }
+    return mergeSoundSettings(mergeSoundSettings(DEFAULT_SOUND_SETTINGS, saved), parseSoundPreset(search));
+}
+
+/**
+ * Save settings for later visits
+ * @param {Object} settings
+ * @param {Storage} [storage]
+ */
+export function saveSoundSettings(settings, storage = localStorage) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Whether generated sound plays
+ * @param {Object} settings
+ * @param {boolean} hasSpeech - Whether the browser can speak
+ * @returns {boolean}
+ */
+export function shouldPlayTones(settings, hasSpeech) {
+    return settings.tones === 'on' || (settings.tones === 'auto' && !hasSpeech);
+}
+
+// ========================================
+// SOUND DESIGN
+// ========================================
+
+/**
+ * Pitch of a letter's tone
+ * @param {string} letter - Accents and case are ignored; other characters get the lowest note
+ * @returns {number} - Hz
+ */
+export function letterFrequency(letter) {
+    const base = letter.normalize('NFD').charAt(0).toLowerCase();
+    const index = Math.max(0, base.charCodeAt(0) - 97);
+    const { scale, baseFrequency } = SOUND_CONFIG;
+    const semitones = index < 26 ? scale[index % scale.length] : 0;
+    return baseFrequency * Math.pow(2, semitones / 12);
+}
+
+/**
+ * Loudness of a collision
+ * @param {number} speed - Relative speed along the collision normal (px per step)
+ * @returns {number} - 0 (not heard) to 1
+ */
+export function impactGain(speed) {
+    const { impactThreshold, impactFullSpeed } = SOUND_CONFIG;
+    if (!(speed > impactThreshold)) return 0;
+    const t = Math.min(1, (speed - impactThreshold) / (impactFullSpeed - impactThreshold));
+    return t * t; // Gentle knocks stay quiet, hard hits stand out
+}
+
+/**
+ * How the drone sounds at a point in the sentence
+ * @param {number} progress - Share of letters placed (0-1)
+ * @returns {{frequency: number, detune: number, cutoff: number, fifth: number, gain: number}}
+ *     detune in cents between the two root voices, cutoff of the low-pass filter in Hz,
+ *     fifth as the gain of the fifth above (0-1), gain of the whole drone
+ */
+export function getDroneParameters(progress) {
+    const t = Math.min(1, Math.max(0, progress));
+    return {
+        frequency: SOUND_CONFIG.droneFrequency,
+        detune: 14 * (1 - t), // Beating at first, in tune when the sentence is done
+        cutoff: 180 + 1000 * t * t,
+        fifth: t,
+        gain: 0.05 + 0.07 * t
+    };
+}
+
+// ========================================
+// ENGINE
+// ========================================
+
+/**
+ * Create the sound engine. The audio context starts on resume(), which must be
+ * called from a user gesture (browser autoplay rules); until then nothing plays.
+ * @param {Object} [options]
+ * @param {Function} [options.AudioContextClass] - Defaults to the browser's
+ * @param {number} [options.volume] - Master volume (0-1)
+ * @param {boolean} [options.muted]
+ * @returns {Object} - Engine API (see below)
+ */
+export function createSoundEngine({
+    AudioContextClass = window.AudioContext || window.webkitAudioContext,
+    volume = DEFAULT_SOUND_SETTINGS.volume,
+    muted = DEFAULT_SOUND_SETTINGS.muted
+} = {}) {
+    let context = null;
+    let master = null;
+    let noise = null; // One second of white noise, shared by grains and impacts
+    let drone = null;
+    let droneProgress = 0;
+    let lastImpactTime = -Infinity;
+
+    const masterLevel = () => (muted ? 0 : volume);
+
+    function createNoiseBuffer() {
+        const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    /**
+     * A gain node that rises to a peak and decays
+     */
+    function createEnvelope(start, peak, attack, duration) {
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(peak, start + attack);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        return gain;
+    }
+
+    function playGrain(start, frequency, peak) {
+        const source = context.createBufferSource();
+        source.buffer = noise;
+        const filter = context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = frequency;
+        filter.Q.value = 12;
+        const envelope = createEnvelope(start, peak, 0.005, 0.08);
+
+        source.connect(filter).connect(envelope).connect(master);
+        source.start(start, Math.random() * 0.9, 0.1);
+    }
+
+    function updateDrone(time) {
+        if (!drone) return;
+        const parameters = getDroneParameters(droneProgress);
+        const ramp = SOUND_CONFIG.droneFadeTime / 3;
+        drone.roots[1].detune.setTargetAtTime(parameters.detune, time, ramp);
+        drone.filter.frequency.setTargetAtTime(parameters.cutoff, time, ramp);
+        drone.fifthGain.gain.setTargetAtTime(parameters.fifth * 0.6, time, ramp);
+        drone.gain.gain.setTargetAtTime(parameters.gain, time, ramp);
+    }
+
+    return {
+        /**
+         * @returns {boolean} - Whether this browser has Web Audio at all
+         */
+        get available() {
+            return Boolean(AudioContextClass);
+        },
+
+        /**
+         * @returns {boolean} - Whether sound can play now (resume() has run)
+         */
+        get running() {
+            return Boolean(context) && context.state === 'running';
+        },
+
+        /**
+         * Start (or restart) audio; call from a click, tap or key press
+         * @returns {Promise<void>}
+         */
+        async resume() {
+            if (!AudioContextClass) return;
+            if (!context) {
+                context = new AudioContextClass();
+                master = context.createGain();
+                master.gain.value = masterLevel();
+                master.connect(context.destination);
+                noise = createNoiseBuffer();
+            }
+            if (context.state === 'suspended') {
+                await context.resume();
+            }
+        },
+
+        /**
+         * Set the master volume
+         * @param {number} level - 0-1
+         */
+        setVolume(level) {
+            volume = Math.min(1, Math.max(0, level));
+            if (master) master.gain.setTargetAtTime(masterLevel(), context.currentTime, 0.02);
+        },
+
+        setMuted(value) {
+            muted = value;
+            if (master) master.gain.setTargetAtTime(masterLevel(), context.currentTime, 0.02);
+        },
+
+        /**
+         * @returns {number} - What speech volume is scaled by (0 when muted)
+         */
+        get level() {
+            return masterLevel();
+        },
+
+        /**
+         * A plucked tone and a few grains of noise at the letter's pitch
+         * @param {string} letter
+         */
+        playLetter(letter) {
+            if (!this.running) return;
+            const now = context.currentTime;
+            const frequency = letterFrequency(letter) * (0.99 + Math.random() * 0.02);
+
+            const oscillator = context.createOscillator();
+            oscillator.type = 'triangle';
+            oscillator.frequency.value = frequency;
+            const envelope = createEnvelope(now, 0.3, 0.01, SOUND_CONFIG.letterDuration);
+            oscillator.connect(envelope).connect(master);
+            oscillator.start(now);
+            oscillator.stop(now + SOUND_CONFIG.letterDuration);
+
+            for (let i = 0; i < SOUND_CONFIG.grainCount; i++) {
+                const start = now + Math.random() * SOUND_CONFIG.grainSpread;
+                playGrain(start, frequency * (i % 2 === 0 ? 2 : 3), 0.15);
+            }
+        },
+
+        /**
+         * A soft knock, louder and brighter for harder collisions
+         * @param {number} speed - Relative speed along the collision normal (px per step)
+         */
+        playImpact(speed) {
+            if (!this.running) return;
+            const gain = impactGain(speed);
+            const now = context.currentTime;
+            if (gain === 0 || now - lastImpactTime < SOUND_CONFIG.impactGap) return;
+            lastImpactTime = now;
+
+            const source = context.createBufferSource();
+            source.buffer = noise;
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = 300 + 1300 * gain;
+            const envelope = createEnvelope(now, 0.25 * gain, 0.003, 0.09);
+
+            source.connect(filter).connect(envelope).connect(master);
+            source.start(now, Math.random() * 0.9, 0.1);
+        },
+
+        /**
+         * Fade the drone in (it follows setProgress())
+         */
+        startDrone() {
+            if (!this.running || drone) return;
+            const now = context.currentTime;
+            const parameters = getDroneParameters(droneProgress);
+
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = parameters.cutoff;
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(0, now);
+            const fifthGain = context.createGain();
+            fifthGain.gain.value = parameters.fifth * 0.6;
+
+            const roots = [0, parameters.detune].map(detune => {
+                const oscillator = context.createOscillator();
+                oscillator.type = 'sawtooth';
+                oscillator.frequency.value = parameters.frequency;
+                oscillator.detune.value = detune;
+                oscillator.connect(filter);
+                return oscillator;
+            });
+            const fifth = context.createOscillator();
+            fifth.type = 'sine';
+            fifth.frequency.value = parameters.frequency * 1.5;
+            fifth.connect(fifthGain).connect(filter);
+
+            filter.connect(gain).connect(master);
+            [...roots, fifth].forEach(oscillator => oscillator.start(now));
+            drone = { roots, fifth, filter, gain, fifthGain };
+            updateDrone(now);
+        },
+
+        /**
+         * Fade the drone out
+         */
+        stopDrone() {
+            if (!drone) return;
+            const now = context.currentTime;
+            const { roots, fifth, gain } = drone;
+            gain.gain.setTargetAtTime(0, now, SOUND_CONFIG.droneFadeTime / 3);
+            [...roots, fifth].forEach(oscillator => oscillator.stop(now + SOUND_CONFIG.droneFadeTime * 2));
+            drone = null;
+        },
+
+        /**
+         * Move the drone along with the sentence
+         * @param {number} progress - Share of letters placed (0-1)
+         */
+        setProgress(progress) {
+            droneProgress = progress;
+            if (drone) updateDrone(context.currentTime);
+        }
+    };
+}
@@ -0,0 +1,240 @@
+// Speech Settings
+// Interaction mode speaks each placed letter and, on request, the finished sentence.
+// Installations choose the language, voice and pitch/rate/volume ranges of each, or
+// silence: in the settings panel (saved in localStorage) or with a URL preset that
+// applies to that visit only:
+//
+//   ?speech=off                      No speech
+//   ?speechLang=fr-FR                Language of both
+//   ?letterLang=de-DE&letterVoice=Anna&letterPitch=0.6-1.6&letterRate=0.7-1.5
+//   ?sentenceLang=fr-FR&sentenceVoice=Thomas&sentencePitch=0.8&sentenceRate=0.9
+//
+// Ranges are "min-max" or a single value; every utterance picks a value in its range.
+
+const STORAGE_KEY = 'absurde_speech_settings';
+
+// Voice choices besides a voice name
+export const VOICE_RANDOM = 'random'; // A different voice of the language each time
+export const VOICE_AUTO = 'auto'; // A male-sounding voice of the language if there is one
+
+// Names that suggest a low, mechanical voice (the sentence's default delivery)
+const MALE_VOICE_HINTS = ['male', 'mann', 'hans', 'markus'];
+
+// Limits of the Web Speech API
+const LIMITS = {
+    pitch: [0, 2],
+    rate: [0.1, 10],
+    volume: [0, 1]
+};
+
+export const DEFAULT_SPEECH_SETTINGS = {
+    enabled: true,
+    // German pronunciation of a French text, for absurdist effect
+    letters: {
+        lang: 'de-DE',
+        voice: VOICE_RANDOM,
+        pitch: [0.6, 1.6], // Chaotic, varied sounds
+        rate: [0.7, 1.5],
+        volume: [0.8, 1.0]
+    },
+    sentence: {
+        lang: 'de-DE',
+        voice: VOICE_AUTO,
+        pitch: [0.8, 0.8], // Cold, mechanical delivery
+        rate: [0.9, 0.9],
+        volume: [1.0, 1.0]
+    }
+};
+
+// ========================================
+// SETTINGS
+// ========================================
+
+function isLanguageTag(value) {
+    return typeof value === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(value);
+}
+
+/**
+ * Read a range: [min, max], "min-max" or a single number
+ * @returns {number[]|null} - Clamped to the API's limits, null if unreadable
+ */
+export function parseRange(value, [lowest, highest]) {
+    let range = value;
+    if (typeof value === 'string') {
+        range = value.split(/-(?=\d|\.)/).map(Number);
+    } else if (typeof value === 'number') {
+        range = [value];
+    }
+    if (!Array.isArray(range) || range.length < 1 || range.length > 2 || !range.every(Number.isFinite)) {
+        return null;
+    }
+
+    const clamp = number => Math.min(highest, Math.max(lowest, number));
+    const min = clamp(range[0]);
+    const max = clamp(range.length === 2 ? range[1] : range[0]);
+    return min <= max ? [min, max] : [max, min];
+}
+
+/**
+ * Apply valid fields of a partial voice setting on top of another
+ * @param {Object} base - { lang, voice, pitch, rate, volume }
+ * @param {Object} [changes]
+ * @returns {Object}
+ */
+function mergeVoiceSettings(base, changes) {
+    const merged = { ...base };
+    if (!changes) return merged;
+
+    if (isLanguageTag(changes.lang)) merged.lang = changes.lang;
+    if (typeof changes.voice === 'string' && changes.voice.trim()) merged.voice = changes.voice.trim();
+    for (const field of Object.keys(LIMITS)) {
+        const range = changes[field] === undefined ? null : parseRange(changes[field], LIMITS[field]);
+        if (range) merged[field] = range;
+    }
+    return merged;
+}
+
+/**
+ * Apply valid fields of partial settings on top of others
+ * @param {Object} base - Full settings
+ * @param {Object} [changes] - { enabled, letters, sentence }, any part of it
+ * @returns {Object} - New full settings
+ */
+export function mergeSpeechSettings(base, changes) {
+    if (!changes || typeof changes !== 'object') {
+        return { enabled: base.enabled, letters: { ...base.letters }, sentence: { ...base.sentence } };
+    }
+    return {
+        enabled: typeof changes.enabled === 'boolean' ? changes.enabled : base.enabled,
+        letters: mergeVoiceSettings(base.letters, changes.letters),
+        sentence: mergeVoiceSettings(base.sentence, changes.sentence)
+    };
+}
+
+/**
+ * Read a URL preset
+ * @param {string} search - location.search
+ * @returns {Object|null} - Partial settings, null if the URL has none
+ */
+export function parseSpeechPreset(search) {
+    const params = new URLSearchParams(search);
+    const preset = { letters: {}, sentence: {} };
+    let found = false;
+
+    if (params.has('speech')) {
+        preset.enabled = params.get('speech') !== 'off';
+        found = true;
+    }
+    if (params.has('speechLang')) {
+        preset.letters.lang = preset.sentence.lang = params.get('speechLang');
+        found = true;
+    }
+    for (const [prefix, part] of [['letter', 'letters'], ['sentence', 'sentence']]) {
+        for (const field of ['Lang', 'Voice', 'Pitch', 'Rate', 'Volume']) {
+            if (params.has(prefix + field)) {
+                preset[part][field.toLowerCase()] = params.get(prefix + field);
+                found = true;
+            }
+        }
+    }
+
+    return found ? preset : null;
+}
+
+/**
+ * Settings for this visit: defaults, then the saved settings, then the URL preset
+ * @param {Object} [options]
+ * @param {string} [options.search] - location.search
+ * @param {Storage} [options.storage] - Where settings are saved
+ * @returns {{settings: Object, fromPreset: boolean}}
+ */
+export function loadSpeechSettings({ search = window.location.search, storage = localStorage } = {}) {
+    let saved = null;
+    try {
+        saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable speech settings:', error);
+    }
+
+    const preset = parseSpeechPreset(search);
+    const settings = mergeSpeechSettings(mergeSpeechSettings(DEFAULT_SPEECH_SETTINGS, saved), preset);
+    return { settings, fromPreset: preset !== null };
+}
+
+/**
+ * Save settings for later visits
+ * @param {Object} settings
+ * @param {Storage} [storage]
+ */
+export function saveSpeechSettings(settings, storage = localStorage) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// ========================================
+// VOICES
+// ========================================
+
+function normalizeLang(lang) {
+    return (lang || '').replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Installed voices for a language: its exact region if there are any, else any region
+ * @param {SpeechSynthesisVoice[]} voices
+ * @param {string} lang - e.g. 'de-DE'
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function getVoicesForLanguage(voices, lang) {
+    const wanted = normalizeLang(lang);
+    const exact = voices.filter(voice => normalizeLang(voice.lang) === wanted);
+    if (exact.length > 0) return exact;
+
+    const language = wanted.split('-')[0];
+    return voices.filter(voice => normalizeLang(voice.lang).split('-')[0] === language);
+}
+
+/**
+ * Choose the voice for an utterance
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {Object} voiceSettings - { lang, voice }
+ * @param {() => number} random
+ * @returns {SpeechSynthesisVoice|null} - null leaves it to the browser (by language)
+ */
+export function selectVoice(voices, { lang, voice }, random) {
+    // A voice chosen by name wins, whatever its language
+    if (voice !== VOICE_RANDOM && voice !== VOICE_AUTO) {
+        const named = voices.find(candidate => candidate.name === voice);
+        if (named) return named;
+    }
+
+    const candidates = getVoicesForLanguage(voices, lang);
+    if (candidates.length === 0) return null;
+
+    if (voice === VOICE_RANDOM) {
+        return candidates[Math.floor(random() * candidates.length)];
+    }
+    const hinted = candidates.find(candidate =>
+        MALE_VOICE_HINTS.some(hint => candidate.name.toLowerCase().includes(hint)));
+    return hinted || candidates[0];
+}
+
+function pickInRange([min, max], random) {
+    return min === max ? min : min + random() * (max - min);
+}
+
+/**
+ * Everything an utterance needs, drawn from the settings
+ * @param {Object} voiceSettings - settings.letters or settings.sentence
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {() => number} random
+ * @returns {{lang: string, voice: SpeechSynthesisVoice|null, pitch: number, rate: number, volume: number}}
+ */
+export function getUtteranceOptions(voiceSettings, voices, random) {
+    return {
+        lang: voiceSettings.lang,
+        pitch: pickInRange(voiceSettings.pitch, random),
+        rate: pickInRange(voiceSettings.rate, random),
+        volume: pickInRange(voiceSettings.volume, random),
+        voice: selectVoice(voices, voiceSettings, random)
+    };
+}
@@ -0,0 +1,117 @@
+// Sprite Cache
+// A coloured hand-drawn letter is its glyph tinted and given a glow. Doing that every
+// frame (a fresh canvas, a tint, a blur) drops frames on mid-range phones once a few
+// letters are coloured, so each look is drawn once into a sprite and reused. Looks are
+// keyed by glyph, size bucket, colour and glow, each rounded so that letters growing,
+// fading or shifting in colour step through a few sprites instead of a new one a frame.
+
+export const SPRITE_CONFIG = {
+    maxEntries: 200, // Least recently used sprites go first
+    sizeStep: 1.08, // Size buckets 8% apart; sprites are scaled down a little to fit
+    hueStep: 4, // degrees
+    percentStep: 4, // Saturation and lightness
+    glowLevels: 4 // Steps of the glow from none to full
+};
+
+/**
+ * The size a sprite for a letter is drawn at: the bucket at or above its size
+ * @param {number} size - px
+ * @returns {number} - px
+ */
+export function getSizeBucket(size) {
+    const step = SPRITE_CONFIG.sizeStep;
+    const bucket = Math.pow(step, Math.ceil(Math.log(Math.max(size, 1)) / Math.log(step) - 1e-9));
+    return Math.round(bucket * 100) / 100;
+}
+
+/**
+ * Round an hsl() colour to the nearest cached one
+ * @param {string} color
+ * @returns {string|null} - null if it isn't an hsl() colour
+ */
+export function quantizeHslColor(color) {
+    const match = color && color.match(/hsla?\(\s*([\d.]+)[\s,]+([\d.]+)%[\s,]+([\d.]+)%/);
+    if (!match) return null;
+
+    const { hueStep, percentStep } = SPRITE_CONFIG;
+    const h = (Math.round(parseFloat(match[1]) / hueStep) * hueStep) % 360;
+    const s = Math.round(parseFloat(match[2]) / percentStep) * percentStep;
+    const l = Math.round(parseFloat(match[3]) / percentStep) * percentStep;
+    return `hsl(${h}, ${Math.min(s, 100)}%, ${Math.min(l, 100)}%)`;
+}
+
+/**
+ * Round a glow (0-1) to one of the cached levels
+ * @param {number} glow
+ * @returns {number}
+ */
+export function quantizeGlow(glow) {
+    const levels = SPRITE_CONFIG.glowLevels;
+    return Math.round(Math.min(1, Math.max(0, glow)) * levels) / levels;
+}
+
+/**
+ * Create a sprite cache
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries]
+ * @returns {Object} - Cache API (see below)
+ */
+export function createSpriteCache({ maxEntries = SPRITE_CONFIG.maxEntries } = {}) {
+    const glyphIds = new WeakMap(); // Glyph objects have no stable key of their own
+    const sprites = new Map(); // In least recently used order
+    let nextGlyphId = 1;
+    let hits = 0;
+    let misses = 0;
+
+    const getGlyphId = glyph => {
+        if (!glyphIds.has(glyph)) {
+            glyphIds.set(glyph, nextGlyphId++);
+        }
+        return glyphIds.get(glyph);
+    };
+
+    return {
+        /**
+         * Get a letter's sprite, painting it on first use
+         * @param {Object} glyph - Glyph image or description (its identity is the key)
+         * @param {number} size - Letter size (px)
+         * @param {string} color - hsl() tint
+         * @param {number|null} glow - 0-1, null for none
+         * @param {(look: {size: number, color: string, glow: number|null}) => Object} paint -
+         *     Draws the sprite for the rounded look; whatever it returns is cached
+         * @returns {Object|null} - From paint, null if the colour can't be read
+         */
+        get(glyph, size, color, glow, paint) {
+            const tint = quantizeHslColor(color);
+            if (!tint) return null;
+
+            const look = { size: getSizeBucket(size), color: tint, glow: glow === null ? null : quantizeGlow(glow) };
+            const key = `${getGlyphId(glyph)}|${look.size}|${look.color}|${look.glow}`;
+
+            let sprite = sprites.get(key);
+            if (sprite) {
+                hits++;
+                sprites.delete(key);
+            } else {
+                misses++;
+                sprite = paint(look);
+                if (sprites.size >= maxEntries) {
+                    sprites.delete(sprites.keys().next().value);
+                }
+            }
+            sprites.set(key, sprite);
+            return sprite;
+        },
+
+        /**
+         * @returns {{hits: number, misses: number, entries: number}}
+         */
+        get stats() {
+            return { hits: hits, misses: misses, entries: sprites.size };
+        },
+
+        clear() {
+            sprites.clear();
+        }
+    };
+}
@@ -0,0 +1,209 @@
+// Storage Adapter Interface
+// firebase-storage.js talks to one of these instead of calling Firestore directly,
+// so the app can run against Firestore, IndexedDB, localStorage or memory.
+import { STORAGE_CONFIG } from './storage-config.js';
+
+// Moderation status of a glyph in the pool
+// New glyphs start as pending; only approved glyphs are shown to other visitors.
+export const GLYPH_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    HIDDEN: 'hidden'
+};
+
+export const STORAGE_BACKENDS = ['firestore', 'indexeddb', 'localstorage', 'memory'];
+
+// localStorage key for the user ID (the Firebase Auth uid once signed in to Firestore)
+export const USER_ID_KEY = 'absurde_user_id';
+
+// URL parameter (?storage=<backend>) that overrides STORAGE_CONFIG.backend
+const STORAGE_PARAM = 'storage';
+
+/**
+ * A stored glyph as returned by adapters
+ * @typedef {Object} Glyph
+ * @property {string} id
+ * @property {string} char
+ * @property {string} imageData - Image data URL
+ * @property {Object|null} strokes - Vector stroke data (see glyph-strokes.js)
+ * @property {Object|null} metrics - Metrics of the normalized image (see glyph-normalize.js);
+ *     null for glyphs saved before normalization
+ * @property {string} sourceUserId
+ * @property {string} [status] - A GLYPH_STATUS value; missing on glyphs saved before moderation
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * A viewer report on a glyph
+ * @typedef {Object} GlyphReport
+ * @property {string} id
+ * @property {string} glyphId
+ * @property {string} reporterId
+ * @property {string} reason
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * Options for listing glyphs a page at a time
+ * @typedef {Object} GlyphQuery
+ * @property {string} status - A GLYPH_STATUS value, or 'unreviewed' for glyphs without one
+ * @property {string|null} [char] - Only glyphs for this character
+ * @property {string} [order='newest'] - 'newest' or 'oldest' first
+ * @property {boolean} [groupByChar=false] - Sort by character first (in code point order), then by date
+ * @property {number} pageSize
+ * @property {*} cursor - From the previous page, or null for the first
+ */
+
+/**
+ * Operations every storage backend implements. All methods are async.
+ * tests/helpers/storage-contract.js checks that adapters agree on them.
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - One of STORAGE_BACKENDS
+ * @property {() => Promise<string>} signIn - Identify the current user; resolves to their user ID
+ * @property {(glyph: {id?: string, char: string, imageData: string, strokes: Object|null, metrics: Object|null, sourceUserId: string}) => Promise<string>} addGlyph
+ *     Store a new glyph (pending, or approved when an offline backend auto-approves); resolves to its ID.
+ *     With an id, adding is idempotent: if that glyph already exists nothing is written
+ * @property {(glyphId: string) => Promise<Glyph|null>} getGlyph - null if it doesn't exist, or is
+ *     another user's glyph the backend won't show before approval
+ * @property {(char: string) => Promise<Glyph|null>} pickRandomGlyph - A random approved glyph for a character
+ * @property {(userId: string) => Promise<Object<string, string>>} getCharMap - The user's { char: glyphId }
+ * @property {(userId: string, char: string, glyphId: string) => Promise<void>} setCharMapEntry
+ * @property {(userId: string, char: string) => Promise<void>} deleteCharMapEntry
+ * @property {(userId: string, char: string) => Promise<Glyph[]>} listUserGlyphs - Every glyph the
+ *     user saved for a character, whatever its status, newest first
+ * @property {(glyphId: string) => Promise<void>} deleteGlyph - Only the glyph's author may delete it
+ * @property {(options: GlyphQuery) => Promise<{glyphs: Glyph[], cursor: *}>} listGlyphs - One page
+ *     of glyphs; cursor is null on the last page
+ * @property {(report: {glyphId: string, reporterId: string, reason: string}) => Promise<string>} addReport
+ * @property {() => Promise<GlyphReport[]>} listReports - Open reports, newest first
+ * @property {(glyphIds: string[], status: string) => Promise<void>} setGlyphStatus - Also deletes the glyphs' reports
+ * @property {() => Promise<number>} backfillSamplingKeys - Give approved glyphs saved before
+ *     sampling keys existed a key (moderators only); resolves to how many got one
+ * @property {(userId: string) => Promise<boolean>} isModerator
+ */
+
+// ========================================
+// IDENTITY
+// ========================================
+
+/**
+ * Generate or retrieve user ID from localStorage
+ * With Firestore this is the Firebase Auth uid once signed in, which security
+ * rules check writes against; offline backends keep a random ID.
+ */
+export function getUserId() {
+    let userId = localStorage.getItem(USER_ID_KEY);
+
+    if (!userId) {
+        // Generate UUID-like ID
+        userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        localStorage.setItem(USER_ID_KEY, userId);
+    }
+
+    return userId;
+}
+
+/**
+ * Random document ID for offline backends
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function generateId(prefix) {
+    return prefix + '_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// ========================================
+// SELECTION
+// ========================================
+
+let adapterPromise = null;
+
+/**
+ * Backend named by the ?storage= URL parameter or STORAGE_CONFIG
+ * @returns {string} - A STORAGE_BACKENDS value or 'auto'
+ */
+export function getConfiguredBackend() {
+    let paramBackend = null;
+    try {
+        paramBackend = new URLSearchParams(window.location.search).get(STORAGE_PARAM);
+    } catch (e) {
+        // No window/location (e.g. Node scripts)
+    }
+
+    if (paramBackend && STORAGE_BACKENDS.includes(paramBackend)) {
+        return paramBackend;
+    }
+
+    if (paramBackend) {
+        console.warn(`Unknown storage backend "${paramBackend}" - using "${STORAGE_CONFIG.backend}"`);
+    }
+
+    return STORAGE_CONFIG.backend;
+}
+
+/**
+ * Create an adapter for a backend
+ * Backends are imported on demand so offline installs never load the Firebase SDK.
+ * @param {string} backend - A STORAGE_BACKENDS value or 'auto'
+ * @param {Object} [options]
+ * @param {boolean} [options.autoApprove] - Offline backends: approve new glyphs immediately
+ * @returns {Promise<StorageAdapter>}
+ */
+export async function createStorageAdapter(backend, options = {}) {
+    const adapterOptions = { autoApprove: STORAGE_CONFIG.autoApprove, ...options };
+
+    switch (backend) {
+        case 'auto': {
+            const firestore = await createStorageAdapter('firestore', adapterOptions).catch(error => {
+                console.warn('Firestore unavailable - falling back to localStorage:', error.message);
+                return null;
+            });
+            return firestore || createStorageAdapter('localstorage', adapterOptions);
+        }
+        case 'firestore': {
+            const { createFirestoreAdapter } = await import('./storage-firestore.js');
+            return createFirestoreAdapter();
+        }
+        case 'indexeddb': {
+            const { createIndexedDBAdapter } = await import('./storage-indexeddb.js');
+            return createIndexedDBAdapter(adapterOptions);
+        }
+        case 'localstorage': {
+            const { createLocalStorageAdapter } = await import('./storage-localstorage.js');
+            return createLocalStorageAdapter(adapterOptions);
+        }
+        case 'memory': {
+            const { createMemoryAdapter } = await import('./storage-memory.js');
+            return createMemoryAdapter(adapterOptions);
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+/**
+ * The adapter the app uses, created on first call from the configured backend
+ * @returns {Promise<StorageAdapter>}
+ */
+export function getStorageAdapter() {
+    if (!adapterPromise) {
+        const backend = getConfiguredBackend();
+        adapterPromise = createStorageAdapter(backend).then(adapter => {
+            console.log(`Storage backend: ${adapter.name}`);
+            return adapter;
+        });
+        // Let a later call retry if creation failed
+        adapterPromise.catch(() => {
+            adapterPromise = null;
+        });
+    }
+    return adapterPromise;
+}
+
+/**
+ * Replace the adapter the app uses (tests, or switching backends at runtime)
+ * @param {StorageAdapter|null} adapter - null to go back to the configured backend
+ */
+export function setStorageAdapter(adapter) {
+    adapterPromise = adapter ? Promise.resolve(adapter) : null;
+}
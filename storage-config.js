@@ -0,0 +1,17 @@
+// Storage Backend Configuration
+// Chooses where glyphs are kept (see storage-adapter.js).
+
+export const STORAGE_CONFIG = {
+    // 'auto'         - Firestore when firebase-config.js is set up, otherwise localStorage
+    // 'firestore'    - shared pool across all visitors (needs network)
+    // 'indexeddb'    - fully offline, shared by everyone using this browser (exhibitions)
+    // 'localstorage' - fully offline, small quota; what the app used before Firebase
+    // 'memory'       - nothing persists; for tests and demos
+    // A ?storage=<backend> URL parameter overrides this.
+    backend: 'auto',
+
+    // Offline backends only: show new glyphs to other visitors straight away
+    // instead of waiting for approval on moderation.html.
+    // Firestore always starts glyphs as pending (enforced by firestore.rules).
+    autoApprove: false
+};
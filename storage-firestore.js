@@ -0,0 +1,386 @@
+// Firestore Storage Adapter
+// The shared glyph pool: every visitor's glyphs, moderated, across browsers.
+import { db, auth } from './firebase-config.js';
+import {
+    collection,
+    doc,
+    setDoc,
+    getDoc,
+    updateDoc,
+    deleteDoc,
+    deleteField,
+    FieldPath,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    serverTimestamp,
+    addDoc,
+    writeBatch
+} from 'firebase/firestore';
+import { signInAnonymously } from 'firebase/auth';
+import { GLYPH_STATUS, USER_ID_KEY } from './storage-adapter.js';
+import { packStrokeData, unpackStrokeData } from './glyph-strokes.js';
+
+// Collection names
+const GLOBAL_GLYPHS_COLLECTION = 'globalGlyphs';
+const USER_GLYPHS_COLLECTION = 'userGlyphs';
+const GLYPH_REPORTS_COLLECTION = 'glyphReports';
+const MODERATORS_COLLECTION = 'moderators';
+
+// Firestore limits batched writes to 500 operations and 'in' queries to 30 values
+const BATCH_LIMIT = 500;
+const IN_QUERY_LIMIT = 30;
+const BACKFILL_PAGE_SIZE = 100; // Glyph documents carry their image, so scan in small pages
+
+// ========================================
+// AUTHENTICATION
+// ========================================
+
+let signInPromise = null;
+
+/**
+ * Sign in anonymously so writes carry a uid the security rules can check
+ * Users who saved glyphs under an older localStorage ID keep their charMap.
+ * @returns {Promise<string>} - The signed-in user ID
+ */
+export async function ensureSignedIn() {
+    if (auth.currentUser && localStorage.getItem(USER_ID_KEY) === auth.currentUser.uid) {
+        return auth.currentUser.uid;
+    }
+
+    if (!signInPromise) {
+        signInPromise = signIn().finally(() => {
+            signInPromise = null;
+        });
+    }
+    return signInPromise;
+}
+
+async function signIn() {
+    // Wait for a persisted session before creating a new anonymous account
+    await auth.authStateReady();
+    const user = auth.currentUser || (await signInAnonymously(auth)).user;
+
+    const legacyId = localStorage.getItem(USER_ID_KEY);
+    if (legacyId && legacyId !== user.uid) {
+        await migrateLegacyUser(legacyId, user.uid);
+    }
+
+    localStorage.setItem(USER_ID_KEY, user.uid);
+    console.log(`Signed in as ${user.uid}`);
+    return user.uid;
+}
+
+/**
+ * Copy the charMap saved under a pre-auth user ID to the signed-in user
+ * The old document stays behind; its glyphs keep their original sourceUserId.
+ */
+async function migrateLegacyUser(legacyId, uid) {
+    const legacyDoc = await getDoc(doc(db, USER_GLYPHS_COLLECTION, legacyId));
+    const charMap = legacyDoc.exists() ? readCharMap(legacyDoc.data()) : {};
+
+    if (Object.keys(charMap).length > 0) {
+        await setDoc(doc(db, USER_GLYPHS_COLLECTION, uid), { charMap: charMap }, { merge: true });
+        console.log(`Migrated ${Object.keys(charMap).length} glyphs from ${legacyId} to ${uid}`);
+    }
+}
+
+// ========================================
+// CONVERSION
+// ========================================
+
+/**
+ * Read the charMap of a userGlyphs document
+ * Older saves wrote dotted top-level fields ("charMap.a") instead of a nested
+ * map, so both shapes are read; the nested map wins.
+ * @param {Object} data - userGlyphs document data
+ * @returns {Object} - { char: glyphId }
+ */
+function readCharMap(data) {
+    const charMap = {};
+    for (const [key, value] of Object.entries(data || {})) {
+        if (key.startsWith('charMap.')) {
+            charMap[key.slice('charMap.'.length)] = value;
+        }
+    }
+    return Object.assign(charMap, (data && data.charMap) || {});
+}
+
+function toDate(timestamp) {
+    return timestamp && typeof timestamp.toDate === 'function' ? timestamp.toDate() : null;
+}
+
+function toGlyph(docSnap) {
+    const data = docSnap.data();
+    return {
+        ...data,
+        id: docSnap.id,
+        strokes: unpackStrokeData(data.strokes || null),
+        metrics: data.metrics || null,
+        createdAt: toDate(data.createdAt),
+        moderatedAt: toDate(data.moderatedAt)
+    };
+}
+
+// ========================================
+// SAMPLING
+// ========================================
+
+/**
+ * Random sampling key: glyphs are picked by the first key at or after a random
+ * point, so each gets a uniformly random position on [0, 1)
+ */
+function randomKey() {
+    return Math.random();
+}
+
+// ========================================
+// ADAPTER
+// ========================================
+
+/**
+ * Create the Firestore adapter
+ * @returns {StorageAdapter}
+ */
+export function createFirestoreAdapter() {
+    if (!db) {
+        throw new Error('Firebase not configured');
+    }
+
+    return {
+        name: 'firestore',
+
+        signIn: ensureSignedIn,
+
+        async addGlyph({ id, char, imageData, strokes, metrics, sourceUserId }) {
+            const glyphDoc = {
+                char: char,
+                imageData: imageData,
+                createdAt: serverTimestamp(),
+                sourceUserId: sourceUserId,
+                // Security rules only accept pending glyphs
+                status: GLYPH_STATUS.PENDING,
+                random: randomKey()
+            };
+
+            // Firestore rejects undefined fields, so only add strokes and metrics when present
+            if (strokes) {
+                glyphDoc.strokes = packStrokeData(strokes); // Points packed: documents are capped at 1 MiB
+            }
+            if (metrics) {
+                glyphDoc.metrics = metrics;
+            }
+
+            if (!id) {
+                const glyphRef = await addDoc(collection(db, GLOBAL_GLYPHS_COLLECTION), glyphDoc);
+                return glyphRef.id;
+            }
+
+            // A retry of a save that reached the server before timing out: don't write it twice
+            const glyphRef = doc(db, GLOBAL_GLYPHS_COLLECTION, id);
+            if ((await getDoc(glyphRef)).exists()) {
+                return id;
+            }
+
+            try {
+                await setDoc(glyphRef, glyphDoc);
+            } catch (error) {
+                // Glyphs are immutable, so a concurrent write of the same glyph is rejected as an update
+                if (error.code === 'permission-denied' && (await getDoc(glyphRef)).exists()) {
+                    return id;
+                }
+                throw error;
+            }
+            return id;
+        },
+
+        async getGlyph(glyphId) {
+            let glyphDoc;
+            try {
+                glyphDoc = await getDoc(doc(db, GLOBAL_GLYPHS_COLLECTION, glyphId));
+            } catch (error) {
+                // Another user's glyph that isn't approved (see firestore.rules)
+                if (error.code === 'permission-denied') return null;
+                throw error;
+            }
+            return glyphDoc.exists() ? toGlyph(glyphDoc) : null;
+        },
+
+        async pickRandomGlyph(char) {
+            const approved = [where('char', '==', char), where('status', '==', GLYPH_STATUS.APPROVED)];
+
+            const key = Math.random();
+
+            // The first glyph at or after a random point on the key line, wrapping around
+            // to the lowest key. One document is downloaded, however big the pool.
+            let snapshot = await getDocs(query(
+                collection(db, GLOBAL_GLYPHS_COLLECTION),
+                ...approved,
+                where('random', '>=', key),
+                orderBy('random'),
+                limit(1)
+            ));
+            if (snapshot.empty) {
+                snapshot = await getDocs(query(
+                    collection(db, GLOBAL_GLYPHS_COLLECTION),
+                    ...approved,
+                    orderBy('random'),
+                    limit(1)
+                ));
+            }
+
+            if (snapshot.empty) {
+                return null;
+            }
+            console.log(`Picked global glyph for "${char}" at key ${key.toFixed(3)}`);
+            return toGlyph(snapshot.docs[0]);
+        },
+
+        async getCharMap(userId) {
+            const userDoc = await getDoc(doc(db, USER_GLYPHS_COLLECTION, userId));
+            return userDoc.exists() ? readCharMap(userDoc.data()) : {};
+        },
+
+        async setCharMapEntry(userId, char, glyphId) {
+            // set treats dotted keys literally, so the nested map has to be spelled out
+            await setDoc(doc(db, USER_GLYPHS_COLLECTION, userId), {
+                charMap: { [char]: glyphId }
+            }, { merge: true });
+        },
+
+        async deleteCharMapEntry(userId, char) {
+            // A FieldPath, because the character may be a dot
+            await updateDoc(doc(db, USER_GLYPHS_COLLECTION, userId), new FieldPath('charMap', char), deleteField());
+        },
+
+        async listUserGlyphs(userId, char) {
+            // Sorted here rather than in the query, which would need a composite index
+            const snapshot = await getDocs(query(
+                collection(db, GLOBAL_GLYPHS_COLLECTION),
+                where('sourceUserId', '==', userId),
+                where('char', '==', char)
+            ));
+            return snapshot.docs
+                .map(toGlyph)
+                .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        },
+
+        async deleteGlyph(glyphId) {
+            // Open reports on it stay behind; the moderation page skips glyphs that are gone
+            await deleteDoc(doc(db, GLOBAL_GLYPHS_COLLECTION, glyphId));
+        },
+
+        async listGlyphs({ status, char = null, order = 'newest', groupByChar = false, pageSize, cursor }) {
+            const constraints = [];
+
+            // Firestore can't query for a missing field, so unreviewed glyphs are
+            // found by scanning all glyphs and filtering client-side
+            if (status !== 'unreviewed') {
+                constraints.push(where('status', '==', status));
+            }
+            if (char) {
+                constraints.push(where('char', '==', char));
+            } else if (groupByChar) {
+                constraints.push(orderBy('char'));
+            }
+            // Each combination needs its composite index (firestore.indexes.json)
+            constraints.push(orderBy('createdAt', order === 'oldest' ? 'asc' : 'desc'));
+            if (cursor) {
+                constraints.push(startAfter(cursor));
+            }
+            constraints.push(limit(pageSize));
+
+            const snapshot = await getDocs(query(collection(db, GLOBAL_GLYPHS_COLLECTION), ...constraints));
+
+            return {
+                glyphs: snapshot.docs
+                    .map(toGlyph)
+                    .filter(glyph => status !== 'unreviewed' || !glyph.status),
+                cursor: snapshot.docs.length === pageSize ? snapshot.docs[snapshot.docs.length - 1] : null
+            };
+        },
+
+        async addReport({ glyphId, reporterId, reason }) {
+            const reportRef = await addDoc(collection(db, GLYPH_REPORTS_COLLECTION), {
+                glyphId: glyphId,
+                reporterId: reporterId,
+                reason: reason,
+                createdAt: serverTimestamp()
+            });
+            return reportRef.id;
+        },
+
+        async listReports() {
+            const snapshot = await getDocs(
+                query(collection(db, GLYPH_REPORTS_COLLECTION), orderBy('createdAt', 'desc'))
+            );
+            return snapshot.docs.map(reportDoc => ({
+                ...reportDoc.data(),
+                id: reportDoc.id,
+                createdAt: toDate(reportDoc.data().createdAt)
+            }));
+        },
+
+        async setGlyphStatus(glyphIds, status) {
+            // Collect open reports for these glyphs ('in' queries take at most 30 values)
+            const reportRefs = [];
+            for (let i = 0; i < glyphIds.length; i += IN_QUERY_LIMIT) {
+                const chunk = glyphIds.slice(i, i + IN_QUERY_LIMIT);
+                const snapshot = await getDocs(
+                    query(collection(db, GLYPH_REPORTS_COLLECTION), where('glyphId', 'in', chunk))
+                );
+                snapshot.forEach(reportDoc => reportRefs.push(reportDoc.ref));
+            }
+
+            const operations = [
+                // Approving also (re)draws the sampling key, which gives older glyphs one
+                ...glyphIds.map(glyphId => batch => batch.update(doc(db, GLOBAL_GLYPHS_COLLECTION, glyphId), {
+                    status: status,
+                    moderatedAt: serverTimestamp(),
+                    ...(status === GLYPH_STATUS.APPROVED ? { random: randomKey() } : {})
+                })),
+                ...reportRefs.map(reportRef => batch => batch.delete(reportRef))
+            ];
+
+            for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+                const batch = writeBatch(db);
+                operations.slice(i, i + BATCH_LIMIT).forEach(operation => operation(batch));
+                await batch.commit();
+            }
+        },
+
+        async backfillSamplingKeys() {
+            // Approved glyphs from before sampling keys, page by page
+            let given = 0;
+            let cursor = null;
+            do {
+                const constraints = [where('status', '==', GLYPH_STATUS.APPROVED), orderBy(documentId()), limit(BACKFILL_PAGE_SIZE)];
+                if (cursor) {
+                    constraints.push(startAfter(cursor));
+                }
+                const snapshot = await getDocs(query(collection(db, GLOBAL_GLYPHS_COLLECTION), ...constraints));
+
+                const unkeyed = snapshot.docs.filter(glyphDoc => typeof glyphDoc.data().random !== 'number');
+                if (unkeyed.length > 0) {
+                    const batch = writeBatch(db);
+                    unkeyed.forEach(glyphDoc => batch.update(glyphDoc.ref, { random: randomKey() }));
+                    await batch.commit();
+                    given += unkeyed.length;
+                }
+
+                cursor = snapshot.docs.length === BACKFILL_PAGE_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null;
+            } while (cursor);
+            return given;
+        },
+
+        async isModerator(userId) {
+            // Moderators are listed by uid in a collection only editable from the console
+            const moderatorDoc = await getDoc(doc(db, MODERATORS_COLLECTION, userId));
+            return moderatorDoc.exists();
+        }
+    };
+}
@@ -0,0 +1,92 @@
+// IndexedDB Storage Adapter
+// Fully offline with room for thousands of glyphs; meant for exhibition
+// installs where every visitor draws on the same machine.
+import { createTableAdapter, TABLES } from './storage-tables.js';
+
+const DB_NAME = 'absurde-glyphs';
+const DB_VERSION = 1;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+export function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and on first use create) the database
+ * @param {string} name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB not available'));
+    }
+
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        TABLES.forEach(table => {
+            if (!database.objectStoreNames.contains(table)) {
+                database.createObjectStore(table);
+            }
+        });
+    };
+    return requestToPromise(request);
+}
+
+/**
+ * Create an adapter that keeps everything in IndexedDB
+ * @param {Object} [options] - See createTableAdapter
+ * @param {string} [options.dbName] - Database name (tests use a fresh one each time)
+ * @returns {StorageAdapter}
+ */
+export function createIndexedDBAdapter({ dbName = DB_NAME, ...options } = {}) {
+    let databasePromise = null;
+
+    // Opened lazily so creating the adapter never blocks page load
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = openDatabase(dbName);
+        }
+        return databasePromise;
+    }
+
+    async function run(table, mode, operation) {
+        const database = await getDatabase();
+        const transaction = database.transaction(table, mode);
+
+        // Writes only count once the transaction commits
+        const committed = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        // Reads report failures through their request instead
+        committed.catch(() => {});
+
+        const result = await requestToPromise(operation(transaction.objectStore(table)));
+        if (mode === 'readwrite') {
+            await committed;
+        }
+        return result;
+    }
+
+    return createTableAdapter('indexeddb', {
+        get(table, id) {
+            return run(table, 'readonly', store => store.get(id));
+        },
+        put(table, id, value) {
+            return run(table, 'readwrite', store => store.put(value, id)).then(() => undefined);
+        },
+        delete(table, id) {
+            return run(table, 'readwrite', store => store.delete(id)).then(() => undefined);
+        },
+        getAll(table) {
+            return run(table, 'readonly', store => store.getAll());
+        }
+    }, options);
+}
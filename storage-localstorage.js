@@ -0,0 +1,123 @@
+// localStorage Storage Adapter
+// Fully offline, limited to a few MB. Also reads glyphs saved by the old
+// no-Firebase fallback (local_glyph_<userId>_<char> keys).
+import { createTableAdapter } from './storage-tables.js';
+
+const KEY_PREFIX = 'absurde_store_';
+
+// Keys written by the pre-adapter fallback: PNG data URL and stroke JSON per character
+const LEGACY_GLYPH_PREFIX = 'local_glyph_';
+const LEGACY_STROKES_PREFIX = 'local_strokes_';
+
+function recordKey(table, id) {
+    return `${KEY_PREFIX}${table}_${id}`;
+}
+
+/**
+ * Read a glyph from the old fallback keys; its ID is the localStorage key
+ * @returns {Object|null}
+ */
+function loadLegacyGlyph(key) {
+    const imageData = localStorage.getItem(key);
+    if (!imageData) {
+        return null;
+    }
+
+    // Key format: local_glyph_<userId>_<char>, and user IDs contain underscores
+    const rest = key.slice(LEGACY_GLYPH_PREFIX.length);
+    const separator = rest.lastIndexOf('_');
+    const userId = rest.slice(0, separator);
+    const char = rest.slice(separator + 1);
+
+    let strokes = null;
+    try {
+        const json = localStorage.getItem(`${LEGACY_STROKES_PREFIX}${userId}_${char}`);
+        strokes = json ? JSON.parse(json) : null;
+    } catch (error) {
+        console.warn(`Ignoring unreadable stroke data for "${char}":`, error);
+    }
+
+    return {
+        id: key,
+        char: char,
+        imageData: imageData,
+        strokes: strokes,
+        metrics: null,
+        sourceUserId: userId,
+        createdAt: null
+    };
+}
+
+/**
+ * Create an adapter that keeps everything in localStorage
+ * @param {Object} [options] - See createTableAdapter
+ * @returns {StorageAdapter}
+ */
+export function createLocalStorageAdapter(options = {}) {
+    const adapter = createTableAdapter('localstorage', {
+        async get(table, id) {
+            const json = localStorage.getItem(recordKey(table, id));
+            return json ? JSON.parse(json) : undefined;
+        },
+        async put(table, id, value) {
+            localStorage.setItem(recordKey(table, id), JSON.stringify(value));
+        },
+        async delete(table, id) {
+            localStorage.removeItem(recordKey(table, id));
+        },
+        async getAll(table) {
+            const prefix = recordKey(table, '');
+            const records = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(prefix)) {
+                    records.push(JSON.parse(localStorage.getItem(key)));
+                }
+            }
+            return records;
+        }
+    }, options);
+
+    return {
+        ...adapter,
+
+        async getGlyph(glyphId) {
+            if (glyphId.startsWith(LEGACY_GLYPH_PREFIX)) {
+                return loadLegacyGlyph(glyphId);
+            }
+            return adapter.getGlyph(glyphId);
+        },
+
+        // Old fallback glyphs count as the user's own, unless since replaced
+        async getCharMap(userId) {
+            const legacyPrefix = `${LEGACY_GLYPH_PREFIX}${userId}_`;
+            const charMap = {};
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(legacyPrefix)) {
+                    charMap[key.slice(legacyPrefix.length)] = key;
+                }
+            }
+            return Object.assign(charMap, await adapter.getCharMap(userId));
+        },
+
+        // An old fallback glyph is the oldest version of its character
+        async listUserGlyphs(userId, char) {
+            const glyphs = await adapter.listUserGlyphs(userId, char);
+            const legacyGlyph = loadLegacyGlyph(`${LEGACY_GLYPH_PREFIX}${userId}_${char}`);
+            return legacyGlyph ? glyphs.concat(legacyGlyph) : glyphs;
+        },
+
+        async deleteGlyph(glyphId) {
+            if (glyphId.startsWith(LEGACY_GLYPH_PREFIX)) {
+                const { sourceUserId, char } = loadLegacyGlyph(glyphId) || {};
+                localStorage.removeItem(glyphId);
+                if (char) {
+                    localStorage.removeItem(`${LEGACY_STROKES_PREFIX}${sourceUserId}_${char}`);
+                }
+                return;
+            }
+            return adapter.deleteGlyph(glyphId);
+        }
+    };
+}
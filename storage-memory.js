@@ -0,0 +1,33 @@
+// In-Memory Storage Adapter
+// Nothing persists past a reload; used by tests and quick demos.
+import { createTableAdapter, TABLES } from './storage-tables.js';
+
+/**
+ * Create an adapter that keeps everything in memory
+ * @param {Object} [options] - See createTableAdapter
+ * @returns {StorageAdapter}
+ */
+export function createMemoryAdapter(options = {}) {
+    const tables = {};
+    TABLES.forEach(table => {
+        tables[table] = new Map();
+    });
+
+    // Copy on the way in and out, like a real backend would serialize
+    const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+    return createTableAdapter('memory', {
+        async get(table, id) {
+            return copy(tables[table].get(id));
+        },
+        async put(table, id, value) {
+            tables[table].set(id, copy(value));
+        },
+        async delete(table, id) {
+            tables[table].delete(id);
+        },
+        async getAll(table) {
+            return Array.from(tables[table].values(), copy);
+        }
+    }, options);
+}
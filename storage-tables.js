@@ -0,0 +1,210 @@
+// Offline Storage Adapters
+// The IndexedDB, localStorage and memory backends share this logic and differ
+// only in where their records live (a "table store", see below).
+import { GLYPH_STATUS, getUserId, generateId } from './storage-adapter.js';
+
+// Tables every table store must provide
+export const TABLES = ['glyphs', 'charMaps', 'reports'];
+
+/**
+ * Where an offline adapter keeps its records. Values are plain JSON objects.
+ * @typedef {Object} TableStore
+ * @property {(table: string, id: string) => Promise<Object|undefined>} get
+ * @property {(table: string, id: string, value: Object) => Promise<void>} put
+ * @property {(table: string, id: string) => Promise<void>} delete
+ * @property {(table: string) => Promise<Object[]>} getAll
+ */
+
+// Stored records keep timestamps as epoch milliseconds
+function toGlyph(record) {
+    return {
+        ...record,
+        strokes: record.strokes || null,
+        metrics: record.metrics || null,
+        createdAt: record.createdAt ? new Date(record.createdAt) : null,
+        moderatedAt: record.moderatedAt ? new Date(record.moderatedAt) : null
+    };
+}
+
+// Newest first, ties broken by ID so pagination is stable
+function compareNewestFirst(a, b) {
+    return (b.createdAt - a.createdAt) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+/**
+ * Sort order of a glyph listing (see GlyphQuery in storage-adapter.js)
+ * @returns {(a: Object, b: Object) => number}
+ */
+function getGlyphOrder({ order = 'newest', groupByChar = false }) {
+    const byDate = order === 'oldest' ? (a, b) => compareNewestFirst(b, a) : compareNewestFirst;
+    if (!groupByChar) {
+        return byDate;
+    }
+    return (a, b) => (a.char < b.char ? -1 : a.char > b.char ? 1 : byDate(a, b));
+}
+
+/**
+ * Create an adapter backed by a table store
+ * @param {string} name - Adapter name (a STORAGE_BACKENDS value)
+ * @param {TableStore} store
+ * @param {Object} [options]
+ * @param {boolean} [options.autoApprove=false] - Approve new glyphs immediately
+ * @returns {StorageAdapter}
+ */
+export function createTableAdapter(name, store, { autoApprove = false } = {}) {
+    let lastCreatedAt = 0;
+
+    // Strictly increasing, so glyphs saved within the same millisecond still sort
+    function nextTimestamp() {
+        lastCreatedAt = Math.max(Date.now(), lastCreatedAt + 1);
+        return lastCreatedAt;
+    }
+
+    return {
+        name: name,
+
+        // No accounts offline: the visitor is whoever uses this browser
+        async signIn() {
+            return getUserId();
+        },
+
+        async addGlyph({ id = generateId('glyph'), char, imageData, strokes, metrics, sourceUserId }) {
+            if (await store.get('glyphs', id)) {
+                return id;
+            }
+
+            await store.put('glyphs', id, {
+                id: id,
+                char: char,
+                imageData: imageData,
+                strokes: strokes || null,
+                metrics: metrics || null,
+                createdAt: nextTimestamp(),
+                sourceUserId: sourceUserId,
+                status: autoApprove ? GLYPH_STATUS.APPROVED : GLYPH_STATUS.PENDING
+            });
+            return id;
+        },
+
+        async getGlyph(glyphId) {
+            const record = await store.get('glyphs', glyphId);
+            return record ? toGlyph(record) : null;
+        },
+
+        async pickRandomGlyph(char) {
+            const candidates = (await store.getAll('glyphs'))
+                .filter(record => record.char === char && record.status === GLYPH_STATUS.APPROVED);
+
+            if (candidates.length === 0) {
+                return null;
+            }
+
+            return toGlyph(candidates[Math.floor(Math.random() * candidates.length)]);
+        },
+
+        async getCharMap(userId) {
+            const record = await store.get('charMaps', userId);
+            return record ? { ...record.charMap } : {};
+        },
+
+        async setCharMapEntry(userId, char, glyphId) {
+            const record = await store.get('charMaps', userId);
+            const charMap = record ? { ...record.charMap } : {};
+            charMap[char] = glyphId;
+            await store.put('charMaps', userId, { userId: userId, charMap: charMap });
+        },
+
+        async deleteCharMapEntry(userId, char) {
+            const record = await store.get('charMaps', userId);
+            if (!record) {
+                return;
+            }
+            const charMap = { ...record.charMap };
+            delete charMap[char];
+            await store.put('charMaps', userId, { userId: userId, charMap: charMap });
+        },
+
+        async listUserGlyphs(userId, char) {
+            return (await store.getAll('glyphs'))
+                .filter(record => record.sourceUserId === userId && record.char === char)
+                .sort(compareNewestFirst)
+                .map(toGlyph);
+        },
+
+        async deleteGlyph(glyphId) {
+            await store.delete('glyphs', glyphId);
+
+            // Reports on a glyph that is gone can't be acted on
+            for (const report of await store.getAll('reports')) {
+                if (report.glyphId === glyphId) {
+                    await store.delete('reports', report.id);
+                }
+            }
+        },
+
+        async listGlyphs({ status, char = null, order, groupByChar, pageSize, cursor }) {
+            const compare = getGlyphOrder({ order, groupByChar });
+            const matching = (await store.getAll('glyphs'))
+                .filter(record => status === 'unreviewed' ? !record.status : record.status === status)
+                .filter(record => !char || record.char === char)
+                .sort(compare);
+
+            // The cursor is the last glyph of the previous page; continue after it
+            const start = cursor ? matching.filter(record => compare(record, cursor) <= 0).length : 0;
+            const page = matching.slice(start, start + pageSize);
+            const last = page[page.length - 1];
+
+            return {
+                glyphs: page.map(toGlyph),
+                cursor: start + pageSize < matching.length ?
+                    { id: last.id, char: last.char, createdAt: last.createdAt } :
+                    null
+            };
+        },
+
+        async addReport({ glyphId, reporterId, reason }) {
+            const id = generateId('report');
+            await store.put('reports', id, {
+                id: id,
+                glyphId: glyphId,
+                reporterId: reporterId,
+                reason: reason,
+                createdAt: nextTimestamp()
+            });
+            return id;
+        },
+
+        async listReports() {
+            return (await store.getAll('reports'))
+                .sort(compareNewestFirst)
+                .map(report => ({ ...report, createdAt: new Date(report.createdAt) }));
+        },
+
+        async setGlyphStatus(glyphIds, status) {
+            const moderatedAt = Date.now();
+            for (const glyphId of glyphIds) {
+                const record = await store.get('glyphs', glyphId);
+                if (!record) {
+                    throw new Error(`Glyph not found: ${glyphId}`);
+                }
+                await store.put('glyphs', glyphId, { ...record, status: status, moderatedAt: moderatedAt });
+            }
+
+            const resolved = new Set(glyphIds);
+            for (const report of await store.getAll('reports')) {
+                if (resolved.has(report.glyphId)) {
+                    await store.delete('reports', report.id);
+                }
+            }
+        },
+
+        async backfillSamplingKeys() {
+            return 0; // Random picks here look at every glyph; there are no keys to give
+        },
+
+        // Whoever runs an offline install controls the machine, so they moderate it
+        async isModerator() {
+            return true;
+        }
+    };
+}
@@ -0,0 +1,73 @@
+// Collision shapes: circles from glyph masks and text bounds
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_SHAPE,
+    SHAPE_CONFIG,
+    boxToCircles,
+    getMaskCircles,
+    transformShape,
+    getShapeRadius
+} from '../collision-shapes.js';
+
+/**
+ * An RGBA mask with opaque rectangles
+ */
+function createMask(width, height, rects) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    rects.forEach(({ x, y, w, h }) => {
+        for (let row = y; row < y + h; row++) {
+            for (let col = x; col < x + w; col++) {
+                rgba[(row * width + col) * 4 + 3] = 255;
+            }
+        }
+    });
+    return rgba;
+}
+
+describe('collision shapes', () => {
+    it('cover a round glyph with one circle', () => {
+        const circles = getMaskCircles(createMask(40, 40, [{ x: 10, y: 10, w: 20, h: 20 }]), 40, 40);
+
+        expect(circles).toHaveLength(1);
+        expect(circles[0]).toEqual({ x: 20, y: 20, r: 10 * SHAPE_CONFIG.tightness });
+    });
+
+    it('stack circles along a tall glyph', () => {
+        const circles = getMaskCircles(createMask(40, 100, [{ x: 15, y: 5, w: 10, h: 90 }]), 40, 100);
+
+        expect(circles).toHaveLength(SHAPE_CONFIG.maxCircles);
+        circles.forEach(circle => expect(circle.x).toBe(20));
+        expect(circles.map(circle => circle.y)).toEqual([...circles.map(circle => circle.y)].sort((a, b) => a - b));
+        expect(circles[0].y).toBeLessThan(30);
+        expect(circles[2].y).toBeGreaterThan(70);
+    });
+
+    it('follow the ink, not the box: an L has no circle in its empty corner', () => {
+        // The top half of the box holds only the stem, the bottom half stem and foot
+        const mask = createMask(60, 90, [{ x: 0, y: 0, w: 20, h: 90 }, { x: 0, y: 70, w: 60, h: 20 }]);
+        const circles = getMaskCircles(mask, 60, 90);
+
+        expect(circles).toHaveLength(2);
+        expect(circles[0]).toMatchObject({ x: 10, y: 22.5 });
+        expect(circles[1]).toMatchObject({ x: 30, y: 67.5 });
+    });
+
+    it('ignore specks and empty masks', () => {
+        const mask = createMask(100, 20, [{ x: 0, y: 5, w: 60, h: 10 }, { x: 99, y: 19, w: 1, h: 1 }]);
+
+        expect(getMaskCircles(createMask(10, 10, []), 10, 10)).toBeNull();
+        expect(getMaskCircles(mask, 100, 20).every(circle => circle.x < 70)).toBe(true);
+    });
+
+    it('cover text bounds and convert between units', () => {
+        const circles = boxToCircles({ x: -0.3, y: -0.1, width: 0.6, height: 0.2 });
+        expect(circles).toHaveLength(3);
+        expect(circles[1].x).toBeCloseTo(0);
+
+        const scaled = transformShape([{ x: 10, y: 20, r: 5 }], -1, 2, 0.1);
+        expect(scaled).toEqual([{ x: 0, y: 4, r: 0.5 }]);
+
+        expect(getShapeRadius(DEFAULT_SHAPE)).toBe(0.4);
+        expect(getShapeRadius(circles)).toBeCloseTo(0.2 + 0.1 * SHAPE_CONFIG.tightness);
+    });
+});
@@ -0,0 +1,157 @@
+// Storage service: saving and loading letterings through the configured adapter
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { setStorageAdapter, getStorageAdapter, GLYPH_STATUS } from '../storage-adapter.js';
+import { createMemoryAdapter } from '../storage-memory.js';
+import { createLocalStorageAdapter } from '../storage-localstorage.js';
+import {
+    saveLettering,
+    loadUserLetterings,
+    loadAllLetteringsForInteraction
+} from '../firebase-storage.js';
+
+// No Firebase project, as on a machine without firebase-config.js set up
+vi.mock('../firebase-config.js', () => ({ db: null, auth: null }));
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const STROKES = {
+    version: 2,
+    format: 'xytpab',
+    width: 100,
+    height: 100,
+    strokes: [{ tool: 'solid', size: 5, seed: 1, points: [10, 10, 0, 0.5, 0, 0, 20, 20, 16, 0.5, 0, 0] }]
+};
+
+function signInAs(userId) {
+    localStorage.setItem('absurde_user_id', userId);
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    signInAs('user_alice');
+});
+
+describe('saveLettering', () => {
+    beforeEach(() => {
+        setStorageAdapter(createMemoryAdapter());
+    });
+
+    it('adds a glyph and points the user\'s charMap at it', async () => {
+        const glyphId = await saveLettering('a', IMAGE, STROKES);
+
+        const adapter = await getStorageAdapter();
+        expect(await adapter.getCharMap('user_alice')).toEqual({ a: glyphId });
+        expect(await adapter.getGlyph(glyphId)).toMatchObject({
+            char: 'a',
+            imageData: IMAGE,
+            strokes: STROKES,
+            sourceUserId: 'user_alice',
+            status: GLYPH_STATUS.PENDING
+        });
+    });
+
+    it('saves under a given ID only once', async () => {
+        expect(await saveLettering('a', IMAGE, null, null, 'glyph_1')).toBe('glyph_1');
+        expect(await saveLettering('a', IMAGE, null, null, 'glyph_1')).toBe('glyph_1');
+
+        const adapter = await getStorageAdapter();
+        const { glyphs } = await adapter.listGlyphs({ status: GLYPH_STATUS.PENDING, pageSize: 10 });
+        expect(glyphs.map(glyph => glyph.id)).toEqual(['glyph_1']);
+    });
+
+    it('rejects invalid input before writing anything', async () => {
+        await expect(saveLettering('', IMAGE)).rejects.toThrow('Invalid character');
+        await expect(saveLettering('a', 'not an image')).rejects.toThrow('Invalid imageData');
+        await expect(saveLettering('a', IMAGE, { strokes: 'no' })).rejects.toThrow('Invalid strokes');
+        await expect(saveLettering('a', IMAGE, null, { version: 99 })).rejects.toThrow('Invalid metrics');
+
+        const adapter = await getStorageAdapter();
+        expect(await adapter.getCharMap('user_alice')).toEqual({});
+    });
+});
+
+describe('loadUserLetterings', () => {
+    beforeEach(() => {
+        setStorageAdapter(createMemoryAdapter());
+    });
+
+    it('loads the latest lettering of each character', async () => {
+        await saveLettering('a', 'data:image/png;base64,first');
+        await saveLettering('a', IMAGE, STROKES);
+        await saveLettering('b', IMAGE);
+
+        expect(await loadUserLetterings()).toEqual({
+            a: { imageData: IMAGE, strokes: STROKES, metrics: null },
+            b: { imageData: IMAGE, strokes: null, metrics: null }
+        });
+    });
+
+    it('only loads the current user\'s letterings', async () => {
+        await saveLettering('a', IMAGE);
+        signInAs('user_bob');
+        expect(await loadUserLetterings()).toEqual({});
+    });
+});
+
+describe('loadAllLetteringsForInteraction', () => {
+    beforeEach(() => {
+        setStorageAdapter(createMemoryAdapter({ autoApprove: true }));
+    });
+
+    it('prefers the user\'s own glyphs and fills the rest from the pool', async () => {
+        signInAs('user_bob');
+        const bobsB = await saveLettering('b', IMAGE);
+
+        signInAs('user_alice');
+        const alicesA = await saveLettering('a', IMAGE, STROKES);
+
+        const letterings = await loadAllLetteringsForInteraction(['a', 'b', 'c']);
+        expect(letterings).toEqual({
+            a: { glyphId: alicesA, imageData: IMAGE, strokes: STROKES, metrics: null, source: 'user' },
+            b: { glyphId: bobsB, imageData: IMAGE, strokes: null, metrics: null, source: 'global' }
+        });
+    });
+
+    it('shows the user\'s pending glyphs to them only', async () => {
+        setStorageAdapter(createMemoryAdapter());
+        const glyphId = await saveLettering('a', IMAGE);
+
+        expect((await loadAllLetteringsForInteraction(['a'])).a).toMatchObject({ glyphId, source: 'user' });
+
+        signInAs('user_bob');
+        expect(await loadAllLetteringsForInteraction(['a'])).toEqual({});
+    });
+
+    it('skips invalid characters', async () => {
+        await saveLettering('a', IMAGE);
+        expect(Object.keys(await loadAllLetteringsForInteraction(['a', '', null]))).toEqual(['a']);
+        expect(await loadAllLetteringsForInteraction('a')).toEqual({});
+    });
+});
+
+describe('without Firebase', () => {
+    beforeEach(() => {
+        // Back to the configured backend ('auto'), which finds no Firestore
+        setStorageAdapter(null);
+    });
+
+    it('falls back to localStorage', async () => {
+        expect((await getStorageAdapter()).name).toBe('localstorage');
+    });
+
+    it('saves and loads letterings in localStorage', async () => {
+        const glyphId = await saveLettering('a', IMAGE, STROKES);
+
+        // Persisted, not just held by this adapter
+        expect(await createLocalStorageAdapter().getGlyph(glyphId)).toMatchObject({ char: 'a', sourceUserId: 'user_alice' });
+        expect(await loadUserLetterings()).toEqual({ a: { imageData: IMAGE, strokes: STROKES, metrics: null } });
+        expect((await loadAllLetteringsForInteraction(['a', 'b'])).a).toMatchObject({ glyphId, source: 'user' });
+    });
+
+    it('loads letterings saved by the old local fallback', async () => {
+        localStorage.setItem('local_glyph_user_alice_é', IMAGE);
+        localStorage.setItem('local_strokes_user_alice_é', JSON.stringify(STROKES));
+
+        expect(await loadUserLetterings()).toEqual({ 'é': { imageData: IMAGE, strokes: STROKES, metrics: null } });
+        expect((await loadAllLetteringsForInteraction(['é']))['é']).toMatchObject({ imageData: IMAGE, source: 'user' });
+    });
+});
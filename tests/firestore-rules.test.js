@@ -0,0 +1,270 @@
+// Security rules (firestore.rules) against the Firestore emulator
+import { describe, it, beforeAll, beforeEach, expect } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    addDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    deleteField,
+    query,
+    where,
+    serverTimestamp,
+    Timestamp
+} from 'firebase/firestore';
+import {
+    EMULATOR_HOST,
+    clearFirestore,
+    getTestEnvironment,
+    seedDocuments,
+    signInAsNewUser
+} from './helpers/emulator.js';
+import { loadUserLetterings } from '../firebase-storage.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const METRICS = {
+    version: 1,
+    unitsPerEm: 256,
+    width: 140,
+    height: 190,
+    baseline: 150,
+    xHeight: 123,
+    advanceWidth: 166,
+    leftBearing: 13,
+    crop: { x: 0.4, y: 0.3, width: 0.2, height: 0.35 }
+};
+
+function newGlyph(uid, overrides = {}) {
+    return {
+        char: 'a',
+        imageData: IMAGE,
+        createdAt: serverTimestamp(),
+        sourceUserId: uid,
+        status: 'pending',
+        random: 0.5,
+        ...overrides
+    };
+}
+
+describe.skipIf(!EMULATOR_HOST)('firestore.rules', () => {
+    let testEnv;
+
+    const firestoreAs = uid => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+    beforeAll(async () => {
+        testEnv = await getTestEnvironment();
+    });
+
+    beforeEach(async () => {
+        await clearFirestore();
+        await seedDocuments({
+            'moderators/mod': {},
+            'globalGlyphs/approved': { ...newGlyph('bob'), createdAt: Timestamp.now(), status: 'approved' },
+            'globalGlyphs/pending': { ...newGlyph('bob'), createdAt: Timestamp.now() }
+        });
+    });
+
+    describe('globalGlyphs create', () => {
+        it('accepts a well-formed glyph from its author', async () => {
+            const db = firestoreAs('alice');
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice')));
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', {
+                imageData: 'data:image/webp;base64,UklGRg==',
+                strokes: { version: 2, format: 'xytpab', width: 600, height: 600, strokes: [] }
+            })));
+        });
+
+        it('requires sign-in and a matching sourceUserId', async () => {
+            await assertFails(addDoc(collection(firestoreAs(null), 'globalGlyphs'), newGlyph('alice')));
+            await assertFails(addDoc(collection(firestoreAs('alice'), 'globalGlyphs'), newGlyph('bob')));
+        });
+
+        it('requires a single character', async () => {
+            const db = firestoreAs('alice');
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { char: '' })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { char: 'ab' })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { char: 1 })));
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { char: 'é' })));
+        });
+
+        it('requires an image data URL under the size cap', async () => {
+            const db = firestoreAs('alice');
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { imageData: 'https://example.com/a.png' })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { imageData: 'data:text/html;base64,PGI+' })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', {
+                imageData: 'data:image/png;base64,' + 'A'.repeat(700000)
+            })));
+        });
+
+        it('requires a server timestamp and pending status', async () => {
+            const db = firestoreAs('alice');
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { createdAt: Timestamp.now() })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { status: 'approved' })));
+        });
+
+        it('rejects unknown fields and malformed strokes', async () => {
+            const db = firestoreAs('alice');
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { extra: true })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { strokes: 'lines' })));
+        });
+
+        it('accepts normalized glyph metrics and rejects malformed ones', async () => {
+            const db = firestoreAs('alice');
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { metrics: METRICS })));
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { metrics: { ...METRICS, crop: null } })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { metrics: 'big' })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { metrics: { ...METRICS, unitsPerEm: 0 } })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { metrics: { ...METRICS, width: 'wide' } })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { metrics: { ...METRICS, extra: 1 } })));
+        });
+
+        it('requires a sampling key in [0, 1)', async () => {
+            const db = firestoreAs('alice');
+            const { random, ...unkeyed } = newGlyph('alice');
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), unkeyed));
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { random: 0 })));
+            await assertSucceeds(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { random: 0.42 })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { random: 1 })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { random: -0.1 })));
+            await assertFails(addDoc(collection(db, 'globalGlyphs'), newGlyph('alice', { random: 'low' })));
+        });
+    });
+
+    describe('globalGlyphs after creation', () => {
+        it('is immutable for everyone but moderators changing status', async () => {
+            await assertFails(updateDoc(doc(firestoreAs('bob'), 'globalGlyphs/pending'), { char: 'b' }));
+            await assertFails(updateDoc(doc(firestoreAs('bob'), 'globalGlyphs/pending'), {
+                status: 'approved',
+                moderatedAt: serverTimestamp()
+            }));
+
+            const mod = firestoreAs('mod');
+            await assertSucceeds(updateDoc(doc(mod, 'globalGlyphs/pending'), {
+                status: 'approved',
+                moderatedAt: serverTimestamp()
+            }));
+            await assertSucceeds(updateDoc(doc(mod, 'globalGlyphs/pending'), {
+                status: 'approved',
+                moderatedAt: serverTimestamp(),
+                random: 0.5
+            }));
+            await assertFails(updateDoc(doc(mod, 'globalGlyphs/pending'), {
+                status: 'approved',
+                moderatedAt: serverTimestamp(),
+                random: 2
+            }));
+            // Giving an older glyph its sampling key, without touching its moderation
+            await assertSucceeds(updateDoc(doc(mod, 'globalGlyphs/approved'), { random: 0.25 }));
+            await assertFails(updateDoc(doc(mod, 'globalGlyphs/approved'), { random: 1.5 }));
+            await assertFails(updateDoc(doc(firestoreAs('bob'), 'globalGlyphs/approved'), { random: 0.25 }));
+            // An older glyph is approved with its key, or random picks would never see it
+            const { random, ...unkeyed } = newGlyph('bob');
+            await seedDocuments({ 'globalGlyphs/unkeyed': { ...unkeyed, createdAt: Timestamp.now() } });
+            await assertFails(updateDoc(doc(mod, 'globalGlyphs/unkeyed'), {
+                status: 'approved',
+                moderatedAt: serverTimestamp()
+            }));
+            await assertSucceeds(updateDoc(doc(mod, 'globalGlyphs/unkeyed'), {
+                status: 'approved',
+                moderatedAt: serverTimestamp(),
+                random: 0.75
+            }));
+            await assertFails(updateDoc(doc(mod, 'globalGlyphs/pending'), { imageData: IMAGE }));
+            await assertFails(updateDoc(doc(mod, 'globalGlyphs/pending'), {
+                status: 'deleted',
+                moderatedAt: serverTimestamp()
+            }));
+            await assertFails(deleteDoc(doc(mod, 'globalGlyphs/pending')));
+        });
+
+        it('can be deleted by its author only', async () => {
+            await assertFails(deleteDoc(doc(firestoreAs(null), 'globalGlyphs/pending')));
+            await assertFails(deleteDoc(doc(firestoreAs('alice'), 'globalGlyphs/pending')));
+            await assertFails(deleteDoc(doc(firestoreAs('mod'), 'globalGlyphs/approved')));
+            await assertSucceeds(deleteDoc(doc(firestoreAs('bob'), 'globalGlyphs/pending')));
+            await assertSucceeds(deleteDoc(doc(firestoreAs('bob'), 'globalGlyphs/approved')));
+        });
+
+        it('lists approved glyphs to anyone and the rest to authors and moderators', async () => {
+            const glyphs = collection(firestoreAs(null), 'globalGlyphs');
+            await assertSucceeds(getDocs(query(glyphs, where('char', '==', 'a'), where('status', '==', 'approved'))));
+            await assertFails(getDocs(query(glyphs, where('char', '==', 'a'))));
+
+            await assertSucceeds(getDocs(query(collection(firestoreAs('bob'), 'globalGlyphs'), where('sourceUserId', '==', 'bob'))));
+            await assertSucceeds(getDocs(collection(firestoreAs('mod'), 'globalGlyphs')));
+        });
+
+        it('reads single glyphs only if approved, or to their author and moderators', async () => {
+            await assertSucceeds(getDoc(doc(firestoreAs(null), 'globalGlyphs/approved')));
+            await assertSucceeds(getDoc(doc(firestoreAs('alice'), 'globalGlyphs/missing')));
+
+            // A pending glyph hasn't been reviewed: a share link can't show it to others
+            await assertFails(getDoc(doc(firestoreAs(null), 'globalGlyphs/pending')));
+            await assertFails(getDoc(doc(firestoreAs('alice'), 'globalGlyphs/pending')));
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), 'globalGlyphs/pending')));
+            await assertSucceeds(getDoc(doc(firestoreAs('mod'), 'globalGlyphs/pending')));
+        });
+    });
+
+    describe('userGlyphs', () => {
+        it('lets users write only their own charMap', async () => {
+            await assertSucceeds(setDoc(doc(firestoreAs('alice'), 'userGlyphs/alice'), { charMap: { a: 'g1' } }, { merge: true }));
+            await assertSucceeds(setDoc(doc(firestoreAs('alice'), 'userGlyphs/alice'), { charMap: { b: 'g2' } }, { merge: true }));
+            await assertFails(setDoc(doc(firestoreAs('bob'), 'userGlyphs/alice'), { charMap: { a: 'g3' } }, { merge: true }));
+            await assertFails(setDoc(doc(firestoreAs(null), 'userGlyphs/alice'), { charMap: {} }));
+            await assertFails(setDoc(doc(firestoreAs('alice'), 'userGlyphs/alice'), { admin: true }, { merge: true }));
+            await assertSucceeds(updateDoc(doc(firestoreAs('alice'), 'userGlyphs/alice'), { 'charMap.b': deleteField() }));
+            await assertFails(deleteDoc(doc(firestoreAs('alice'), 'userGlyphs/alice')));
+            await assertSucceeds(getDoc(doc(firestoreAs('bob'), 'userGlyphs/alice')));
+        });
+    });
+
+    describe('glyphReports', () => {
+        const report = uid => ({ glyphId: 'approved', reporterId: uid, reason: 'junk', createdAt: serverTimestamp() });
+
+        it('accepts reports filed under the reporter\'s own uid', async () => {
+            await assertSucceeds(addDoc(collection(firestoreAs('alice'), 'glyphReports'), report('alice')));
+            await assertFails(addDoc(collection(firestoreAs('alice'), 'glyphReports'), report('bob')));
+            await assertFails(addDoc(collection(firestoreAs(null), 'glyphReports'), report('alice')));
+            await assertFails(addDoc(collection(firestoreAs('alice'), 'glyphReports'), {
+                ...report('alice'),
+                reason: 'x'.repeat(501)
+            }));
+        });
+
+        it('shows reports to moderators only', async () => {
+            await assertFails(getDocs(collection(firestoreAs('alice'), 'glyphReports')));
+            await assertSucceeds(getDocs(collection(firestoreAs('mod'), 'glyphReports')));
+        });
+    });
+
+    describe('moderators', () => {
+        it('can only be checked for oneself and never written', async () => {
+            await assertSucceeds(getDoc(doc(firestoreAs('mod'), 'moderators/mod')));
+            await assertFails(getDoc(doc(firestoreAs('alice'), 'moderators/mod')));
+            await assertFails(setDoc(doc(firestoreAs('alice'), 'moderators/alice'), {}));
+        });
+    });
+});
+
+describe.skipIf(!EMULATOR_HOST)('signing in (Firestore and Auth emulators)', () => {
+    it('carries over glyphs saved under a pre-auth user ID', async () => {
+        await clearFirestore();
+        await seedDocuments({
+            'globalGlyphs/old': { ...newGlyph('user_legacy'), createdAt: Timestamp.now() },
+            // Older saves wrote a literal "charMap.a" field instead of a nested map
+            'userGlyphs/user_legacy': { 'charMap.a': 'old' }
+        });
+
+        await signInAsNewUser();
+        localStorage.setItem('absurde_user_id', 'user_legacy');
+
+        const letterings = await loadUserLetterings();
+        expect(letterings.a.imageData).toBe(IMAGE);
+        expect(localStorage.getItem('absurde_user_id')).not.toBe('user_legacy');
+    });
+});
@@ -0,0 +1,203 @@
+// Font export: bitmap tracing, font assembly and WOFF2 packing
+import { describe, it, expect } from 'vitest';
+import zlib from 'zlib';
+import { parse } from 'opentype.js/dist/opentype.mjs';
+import {
+    traceBitmap,
+    contourArea,
+    simplifyContour,
+    outlineGlyph,
+    buildFont,
+    FONT_UNITS_PER_EM
+} from '../font-export.js';
+import { encodeWoff2, encodeUIntBase128, readSfntTables } from '../woff2.js';
+import { computeGlyphLayout } from '../glyph-normalize.js';
+
+/**
+ * ImageData-like object from rows of '#' (ink) and '.' (blank)
+ */
+function bitmap(rows) {
+    const height = rows.length;
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * height * 4);
+    rows.forEach((row, y) => [...row].forEach((cell, x) => {
+        if (cell === '#') data[(y * width + x) * 4 + 3] = 255;
+    }));
+    return { data, width, height };
+}
+
+describe('traceBitmap', () => {
+    it('outlines a filled block clockwise', () => {
+        const contours = traceBitmap(bitmap([
+            '....',
+            '.##.',
+            '.##.',
+            '....'
+        ]));
+
+        expect(contours).toHaveLength(1);
+        expect(contourArea(contours[0])).toBe(4);
+        expect(contours[0].every(([x, y]) => x >= 1 && x <= 3 && y >= 1 && y <= 3)).toBe(true);
+    });
+
+    it('winds holes the other way', () => {
+        const contours = traceBitmap(bitmap([
+            '#####',
+            '#...#',
+            '#...#',
+            '#####'
+        ]));
+        const areas = contours.map(contourArea).sort((a, b) => a - b);
+
+        expect(areas).toEqual([-6, 20]);
+    });
+
+    it('finds nothing in a blank image', () => {
+        expect(traceBitmap(bitmap(['...', '...']))).toEqual([]);
+    });
+});
+
+describe('simplifyContour', () => {
+    it('turns a pixel staircase into a straight diagonal', () => {
+        // A right triangle drawn in pixels
+        const rows = [];
+        for (let y = 0; y < 20; y++) {
+            rows.push('#'.repeat(y + 1).padEnd(20, '.'));
+        }
+        const [contour] = traceBitmap(bitmap(rows));
+        const simplified = simplifyContour(contour);
+
+        expect(contour.length).toBeGreaterThan(40);
+        expect(simplified.length).toBeLessThanOrEqual(5);
+        expect(contourArea(simplified)).toBeGreaterThan(0);
+        expect(Math.abs(contourArea(simplified) - contourArea(contour))).toBeLessThan(20);
+    });
+});
+
+describe('outlineGlyph', () => {
+    it('places outlines on the baseline in font units, with the advance from the metrics', () => {
+        // 10px of ink sitting on the baseline of a 100px em
+        const rows = Array.from({ length: 20 }, (_, y) =>
+            y >= 5 && y < 15 ? '.....##########.....' : '....................');
+        const { metrics, scale } = computeGlyphLayout({ x: 5, y: 5, width: 10, height: 10 },
+            { emSize: 100, baseline: 15, xHeight: 50 }, 20, 20);
+        expect(scale).toBeGreaterThan(0);
+
+        const normalized = bitmap(Array.from({ length: metrics.height }, (_, y) =>
+            y >= 2 && y < metrics.height - 2 ? '..' + '#'.repeat(metrics.width - 4) + '..' : '.'.repeat(metrics.width)));
+        const outline = outlineGlyph(normalized, metrics);
+        const ys = outline.contours.flat().map(([, y]) => y);
+        const xs = outline.contours.flat().map(([x]) => x);
+
+        expect(outline.contours).toHaveLength(1);
+        // Ink runs from the baseline up to a tenth of an em
+        expect(Math.min(...ys)).toBe(0);
+        expect(Math.max(...ys)).toBeCloseTo(FONT_UNITS_PER_EM / 10, -1);
+        // Centred in its advance
+        expect(Math.min(...xs) + Math.max(...xs)).toBeCloseTo(outline.advanceWidth, -1);
+        expect(outline.advanceWidth).toBe(Math.round(metrics.advanceWidth * FONT_UNITS_PER_EM / metrics.unitsPerEm));
+        // Counter-clockwise once y points up, as CFF expects
+        expect(contourArea(outline.contours[0])).toBeLessThan(0);
+    });
+});
+
+describe('buildFont', () => {
+    const square = size => ({
+        contours: [[[50, 0], [50, size], [50 + size, size], [50 + size, 0]]],
+        advanceWidth: size + 100
+    });
+
+    it('maps characters to their codepoints with their advance widths', () => {
+        const font = buildFont({ a: square(400), 'é': square(500), B: square(700) }, { familyName: 'Test Hand' });
+        const parsed = parse(font.toArrayBuffer());
+
+        expect(parsed.outlinesFormat).toBe('cff');
+        expect(parsed.getEnglishName('fontFamily')).toBe('Test Hand');
+        expect(parsed.unitsPerEm).toBe(FONT_UNITS_PER_EM);
+        expect(parsed.charToGlyph('a').advanceWidth).toBe(500);
+        expect(parsed.charToGlyph('é').advanceWidth).toBe(600);
+        expect(parsed.charToGlyph('B').advanceWidth).toBe(800);
+        expect(parsed.charToGlyph('é').name).toBe('uni00E9');
+        expect(parsed.charToGlyph(' ').advanceWidth).toBeGreaterThan(0);
+
+        const box = parsed.charToGlyph('B').getBoundingBox();
+        expect([box.x1, box.y1, box.x2, box.y2]).toEqual([50, 0, 750, 700]);
+    });
+
+    it('uses a drawn space instead of the default one', () => {
+        const font = buildFont({ ' ': { contours: [], advanceWidth: 321 } }, { familyName: 'Test Hand' });
+        expect(parse(font.toArrayBuffer()).charToGlyph(' ').advanceWidth).toBe(321);
+    });
+});
+
+describe('encodeWoff2', () => {
+    // Minimal decoder: read the directory back and decompress the table stream
+    function decodeWoff2(woff2) {
+        const view = new DataView(woff2.buffer, woff2.byteOffset, woff2.byteLength);
+        const numTables = view.getUint16(12);
+        let offset = 48;
+        const readBase128 = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = woff2[offset++];
+                value = value * 128 + (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        const entries = [];
+        for (let i = 0; i < numTables; i++) {
+            const flags = woff2[offset++];
+            let tag = flags & 0x3F;
+            if (tag === 63) {
+                tag = String.fromCharCode(...woff2.subarray(offset, offset + 4));
+                offset += 4;
+            }
+            entries.push({ tag, length: readBase128() });
+        }
+
+        const stream = zlib.brotliDecompressSync(woff2.subarray(offset, offset + view.getUint32(20)));
+        let position = 0;
+        return {
+            signature: view.getUint32(0),
+            length: view.getUint32(8),
+            tables: entries.map(({ tag, length }) => {
+                const data = stream.subarray(position, position + length);
+                position += length;
+                return { tag, data };
+            })
+        };
+    }
+
+    it('encodes UIntBase128 without leading zeros', () => {
+        expect(encodeUIntBase128(0)).toEqual([0]);
+        expect(encodeUIntBase128(127)).toEqual([127]);
+        expect(encodeUIntBase128(128)).toEqual([0x81, 0]);
+        expect(encodeUIntBase128(16384)).toEqual([0x81, 0x80, 0]);
+    });
+
+    it('packs every table of an exported font losslessly', () => {
+        const otf = new Uint8Array(buildFont({ a: { contours: [[[0, 0], [0, 500], [500, 0]]], advanceWidth: 600 } },
+            { familyName: 'Test Hand' }).toArrayBuffer());
+        const woff2 = encodeWoff2(otf, data => zlib.brotliCompressSync(data));
+        const decoded = decodeWoff2(woff2);
+        const original = readSfntTables(otf).tables;
+
+        expect(decoded.signature).toBe(0x774F4632);
+        expect(decoded.length).toBe(woff2.length);
+        expect(woff2.length % 4).toBe(0);
+        expect(decoded.tables).toHaveLength(original.length);
+        // Standard tables get one-byte codes
+        const codes = { cmap: 0, head: 1, 'CFF ': 13 };
+        original.forEach((table, i) => {
+            if (table.tag in codes) {
+                expect(decoded.tables[i].tag).toBe(codes[table.tag]);
+            }
+        });
+        decoded.tables.forEach((table, i) => {
+            expect(Buffer.from(table.data).equals(Buffer.from(original[i].data))).toBe(true);
+        });
+        expect(woff2.length).toBeLessThan(otf.length);
+    });
+});
@@ -0,0 +1,28 @@
+// Frame stats: frame rate and frame times over recent frames
+import { describe, it, expect } from 'vitest';
+import { createFrameStats } from '../frame-stats.js';
+
+describe('frame stats', () => {
+    it('start at zero and average frame times', () => {
+        const stats = createFrameStats();
+        expect(stats.getSummary()).toEqual({ fps: 0, frameMs: 0, workMs: 0, worstFrameMs: 0 });
+
+        [0, 16, 32, 64].forEach((now, i) => stats.addFrame(now, i + 1));
+        const summary = stats.getSummary();
+
+        expect(summary.frameMs).toBeCloseTo(64 / 3);
+        expect(summary.fps).toBeCloseTo(1000 / (64 / 3));
+        expect(summary.workMs).toBeCloseTo(3); // The first frame only starts the clock
+        expect(summary.worstFrameMs).toBe(32);
+    });
+
+    it('forget frames older than the window', () => {
+        const stats = createFrameStats({ windowSize: 2 });
+        [0, 100, 110, 120].forEach(now => stats.addFrame(now, 0));
+        expect(stats.getSummary().worstFrameMs).toBe(10);
+
+        stats.reset();
+        stats.addFrame(500, 0);
+        expect(stats.getSummary().fps).toBe(0);
+    });
+});
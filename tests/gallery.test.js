@@ -0,0 +1,52 @@
+// Gallery: the public pool, grouped by character and paged
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorageAdapter, GLYPH_STATUS } from '../storage-adapter.js';
+import { createMemoryAdapter } from '../storage-memory.js';
+import { saveLettering, setGlyphStatus, listGalleryGlyphs, loadGalleryGlyph } from '../firebase-storage.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('gallery', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        setStorageAdapter(createMemoryAdapter());
+    });
+
+    it('lists only approved glyphs, grouped by character', async () => {
+        const b = await saveLettering('b', IMAGE);
+        const a1 = await saveLettering('a', IMAGE);
+        const a2 = await saveLettering('a', IMAGE);
+        await saveLettering('c', IMAGE);
+        await setGlyphStatus([a1, a2, b], GLYPH_STATUS.APPROVED);
+
+        const { glyphs, cursor } = await listGalleryGlyphs();
+        expect(glyphs.map(glyph => glyph.id)).toEqual([a2, a1, b]);
+        expect(cursor).toBeNull();
+
+        const oldest = await listGalleryGlyphs({ char: 'a', order: 'oldest' });
+        expect(oldest.glyphs.map(glyph => glyph.id)).toEqual([a1, a2]);
+    });
+
+    it('pages with a cursor', async () => {
+        const ids = [];
+        for (let i = 0; i < 5; i++) {
+            ids.push(await saveLettering('a', IMAGE));
+        }
+        await setGlyphStatus(ids, GLYPH_STATUS.APPROVED);
+
+        const first = await listGalleryGlyphs({ pageSize: 3 });
+        const second = await listGalleryGlyphs({ pageSize: 3, cursor: first.cursor });
+        expect(first.glyphs.concat(second.glyphs).map(glyph => glyph.id)).toEqual(ids.slice().reverse());
+        expect(second.cursor).toBeNull();
+    });
+
+    it('opens approved glyphs by ID and nothing else', async () => {
+        const approved = await saveLettering('a', IMAGE);
+        const pending = await saveLettering('a', IMAGE);
+        await setGlyphStatus([approved], GLYPH_STATUS.APPROVED);
+
+        expect((await loadGalleryGlyph(approved)).id).toBe(approved);
+        expect(await loadGalleryGlyph(pending)).toBeNull();
+        expect(await loadGalleryGlyph('no-such-glyph')).toBeNull();
+    });
+});
@@ -0,0 +1,112 @@
+// GIF encoding: palette mapping, LZW compression and the file layout
+import { describe, it, expect } from 'vitest';
+import { createGifPalette, quantizeFrame, lzwEncode, createGifEncoder } from '../gif-encoder.js';
+
+/**
+ * Decode GIF LZW data (min code size 8), as a viewer would
+ */
+function lzwDecode(bytes) {
+    const clearCode = 256;
+    const endCode = 257;
+    let codeSize = 9;
+    let table = [];
+    let previous = null;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let position = 0;
+    const output = [];
+
+    const reset = () => {
+        table = Array.from({ length: 258 }, (_, i) => [i]);
+        codeSize = 9;
+        previous = null;
+    };
+    reset();
+
+    while (true) {
+        while (bitCount < codeSize) {
+            bitBuffer |= bytes[position++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bitBuffer & ((1 << codeSize) - 1);
+        bitBuffer >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous) table.push([...previous, entry[0]]);
+        } else {
+            entry = [...previous, previous[0]];
+            table.push(entry);
+        }
+        output.push(...entry);
+        previous = entry;
+        if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    }
+
+    return output;
+}
+
+describe('quantizeFrame', () => {
+    it('maps black, white and pure colours onto themselves', () => {
+        const palette = createGifPalette();
+        const colors = [[0, 0, 0], [255, 255, 255], [255, 0, 0], [0, 0, 255]];
+        const indices = quantizeFrame(Uint8ClampedArray.from(colors.flatMap(rgb => [...rgb, 255])));
+
+        colors.forEach((rgb, i) => {
+            expect(Array.from(palette.slice(indices[i] * 3, indices[i] * 3 + 3))).toEqual(rgb);
+        });
+    });
+
+    it('keeps antialiased greys grey', () => {
+        const palette = createGifPalette();
+        const [index] = quantizeFrame(Uint8ClampedArray.from([100, 100, 100, 255]));
+        const [r, g, b] = palette.slice(index * 3, index * 3 + 3);
+
+        expect(r).toBe(g);
+        expect(g).toBe(b);
+        expect(Math.abs(r - 100)).toBeLessThan(30);
+    });
+});
+
+describe('lzwEncode', () => {
+    it('round-trips through a decoder', () => {
+        const flat = new Uint8Array(2000).fill(7);
+        const noisy = Uint8Array.from({ length: 20000 }, (_, i) => (i * 7919) % 251);
+
+        [flat, noisy, new Uint8Array([3])].forEach(indices => {
+            expect(lzwDecode(lzwEncode(indices))).toEqual(Array.from(indices));
+        });
+    });
+
+    it('compresses flat areas', () => {
+        expect(lzwEncode(new Uint8Array(10000)).length).toBeLessThan(300);
+    });
+});
+
+describe('createGifEncoder', () => {
+    it('writes a looping GIF89a with one image per frame', async () => {
+        const encoder = createGifEncoder({ width: 4, height: 2, fps: 20 });
+        encoder.addFrame(new Uint8ClampedArray(4 * 2 * 4));
+        encoder.addFrame(new Uint8ClampedArray(4 * 2 * 4).fill(255));
+        const bytes = new Uint8Array(await encoder.finish().arrayBuffer());
+
+        expect(new TextDecoder().decode(bytes.slice(0, 6))).toBe('GIF89a');
+        expect([bytes[6], bytes[8]]).toEqual([4, 2]);
+        expect(new TextDecoder().decode(bytes.slice(13 + 768 + 3, 13 + 768 + 14))).toBe('NETSCAPE2.0');
+        expect(bytes.filter(byte => byte === 0x2C).length).toBeGreaterThanOrEqual(2);
+        expect(bytes[bytes.length - 1]).toBe(0x3B);
+    });
+
+    it('rejects frames of the wrong size', () => {
+        const encoder = createGifEncoder({ width: 4, height: 2, fps: 20 });
+        expect(() => encoder.addFrame(new Uint8ClampedArray(4))).toThrow('4×2');
+    });
+});
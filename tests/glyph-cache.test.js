@@ -0,0 +1,129 @@
+// Glyph cache: decoded images by glyph ID, LRU eviction and per-user selections
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createGlyphCache, dataUrlToBlob } from '../glyph-cache.js';
+import { mergeLetterings } from '../interaction-firebase.js';
+import { setStorageAdapter, GLYPH_STATUS } from '../storage-adapter.js';
+import { createMemoryAdapter } from '../storage-memory.js';
+import { saveLettering, setGlyphStatus } from '../firebase-storage.js';
+
+// 100 bytes once decoded
+const IMAGE = 'data:image/webp;base64,' + Buffer.alloc(100, 7).toString('base64');
+
+let dbCount = 0;
+let dbName;
+
+describe('dataUrlToBlob', () => {
+    it('decodes base64 data URLs', async () => {
+        const blob = dataUrlToBlob('data:image/png;base64,' + Buffer.from('glyph').toString('base64'));
+        expect(blob.type).toBe('image/png');
+        expect(await blob.text()).toBe('glyph');
+    });
+
+    it('decodes percent-encoded data URLs', async () => {
+        const blob = dataUrlToBlob('data:image/svg+xml,%3Csvg%2F%3E');
+        expect(blob.type).toBe('image/svg+xml');
+        expect(await blob.text()).toBe('<svg/>');
+    });
+});
+
+describe('glyph cache', () => {
+    beforeEach(() => {
+        dbName = `absurde-glyph-cache-test-${++dbCount}`;
+    });
+
+    it('keeps decoded glyphs across page loads', async () => {
+        const strokes = { width: 10, height: 10, strokes: [] };
+        await createGlyphCache({ dbName }).putGlyph({
+            id: 'g1', char: 'a', imageData: IMAGE, strokes, metrics: null, status: 'approved', sourceUserId: 'user_1'
+        });
+
+        const entry = await createGlyphCache({ dbName }).getGlyph('g1');
+        expect(entry.char).toBe('a');
+        expect(entry.status).toBe('approved');
+        expect(entry.sourceUserId).toBe('user_1');
+        expect(entry.blob.size).toBe(100);
+        expect(entry.blob.type).toBe('image/webp');
+        expect(entry.strokes).toEqual(strokes);
+        expect(await createGlyphCache({ dbName }).getGlyph('missing')).toBeNull();
+    });
+
+    it('evicts the least recently used glyphs beyond its size cap', async () => {
+        const cache = createGlyphCache({ dbName, maxBytes: 250 });
+        await cache.putGlyph({ id: 'g1', char: 'a', imageData: IMAGE });
+        await cache.putGlyph({ id: 'g2', char: 'b', imageData: IMAGE });
+
+        // Reading g1 makes g2 the oldest
+        await cache.getGlyph('g1');
+        await cache.putGlyph({ id: 'g3', char: 'c', imageData: IMAGE });
+
+        expect(await cache.getGlyph('g2')).toBeNull();
+        expect(await cache.getGlyph('g1')).not.toBeNull();
+        expect(await cache.getGlyph('g3')).not.toBeNull();
+    });
+
+    it('deletes glyphs', async () => {
+        const cache = createGlyphCache({ dbName });
+        await cache.putGlyph({ id: 'g1', char: 'a', imageData: IMAGE });
+        await cache.deleteGlyphs(['g1', 'missing']);
+        expect(await cache.getGlyph('g1')).toBeNull();
+    });
+
+    it('remembers each user\'s selection', async () => {
+        const cache = createGlyphCache({ dbName });
+        expect(await cache.getSelection('user_1')).toEqual({});
+
+        await cache.putSelection('user_1', { a: { glyphId: 'g1', source: 'user' } });
+        await cache.putSelection('user_2', { a: { glyphId: 'g2', source: 'global' } });
+
+        expect(await createGlyphCache({ dbName }).getSelection('user_1')).toEqual({ a: { glyphId: 'g1', source: 'user' } });
+    });
+});
+
+describe('mergeLetterings', () => {
+    const image = (glyphId, glyphSource) => ({ glyphId, glyphSource });
+
+    beforeEach(() => {
+        localStorage.clear();
+        setStorageAdapter(createMemoryAdapter());
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('follows the fresh load for the user\'s own glyphs and keeps approved cached pool picks', async () => {
+        vi.stubGlobal('navigator', { onLine: true });
+        const pooled = await saveLettering('b', IMAGE);
+        await setGlyphStatus([pooled], GLYPH_STATUS.APPROVED);
+
+        const cached = { a: image('old_a', 'user'), b: image(pooled, 'global'), c: image('old_c', 'user') };
+        const fresh = { a: image('new_a', 'user'), b: image('other_b', 'global'), d: image('pool_d', 'global') };
+
+        expect(await mergeLetterings(cached, fresh)).toEqual({
+            a: fresh.a,
+            b: cached.b,
+            d: fresh.d
+        });
+    });
+
+    it('swaps cached pool picks that were hidden for the fresh ones, and evicts them', async () => {
+        vi.stubGlobal('navigator', { onLine: true });
+        const hidden = await saveLettering('b', IMAGE);
+        await setGlyphStatus([hidden], GLYPH_STATUS.HIDDEN);
+        const cache = createGlyphCache();
+        await cache.putGlyph({ id: hidden, char: 'b', imageData: IMAGE, status: GLYPH_STATUS.APPROVED });
+
+        const cached = { b: image(hidden, 'global'), c: image('gone', 'global') };
+        const fresh = { b: image('other_b', 'global'), c: image('other_c', 'global') };
+
+        expect(await mergeLetterings(cached, fresh)).toEqual(fresh);
+        expect(await cache.getGlyph(hidden)).toBeNull();
+    });
+
+    it('keeps cached glyphs while offline', async () => {
+        vi.stubGlobal('navigator', { onLine: false });
+        const cached = { a: image('g1', 'user') };
+        expect(await mergeLetterings(cached, {})).toEqual(cached);
+    });
+});
@@ -0,0 +1,141 @@
+// Glyph normalization: ink bounds, em scaling and metrics
+import { describe, it, expect } from 'vitest';
+import {
+    findInkBounds,
+    computeGlyphLayout,
+    isValidGlyphMetrics,
+    getGlyphBox,
+    getGlyphAdvance,
+    UNITS_PER_EM
+} from '../glyph-normalize.js';
+
+/**
+ * ImageData-like object with the given pixels inked
+ */
+function imageWith(width, height, inked) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    inked.forEach(([x, y]) => {
+        data[(y * width + x) * 4 + 3] = 255;
+    });
+    return { data, width, height };
+}
+
+// A guide letter 200px tall with its baseline 300px down a 600px canvas
+const FRAME = { emSize: 200, baseline: 300, xHeight: 96 };
+
+describe('findInkBounds', () => {
+    it('returns null for a blank drawing', () => {
+        expect(findInkBounds(imageWith(10, 10, []))).toBeNull();
+    });
+
+    it('covers every non-transparent pixel', () => {
+        expect(findInkBounds(imageWith(10, 10, [[2, 7], [6, 3], [4, 5]]))).toEqual({ x: 2, y: 3, width: 5, height: 5 });
+        expect(findInkBounds(imageWith(10, 10, [[9, 9]]))).toEqual({ x: 9, y: 9, width: 1, height: 1 });
+    });
+});
+
+describe('computeGlyphLayout', () => {
+    it('scales the guide em to a fixed size, whatever the canvas size', () => {
+        // The same letter drawn on a canvas twice as big, against a guide twice as big
+        const small = computeGlyphLayout({ x: 100, y: 200, width: 100, height: 100 }, FRAME, 600, 600);
+        const large = computeGlyphLayout({ x: 200, y: 400, width: 200, height: 200 },
+            { emSize: 400, baseline: 600, xHeight: 192 }, 1200, 1200);
+
+        expect(small.metrics.unitsPerEm).toBe(UNITS_PER_EM);
+        expect(small.scale).toBe(UNITS_PER_EM / 200);
+        expect(large.metrics).toEqual(small.metrics);
+    });
+
+    it('records baseline, x-height and advance width in image pixels', () => {
+        // Ink from 100px above the baseline down to it, 50px wide
+        const { metrics } = computeGlyphLayout({ x: 100, y: 200, width: 50, height: 100 }, FRAME, 600, 600);
+
+        expect(metrics.width).toBe(64 + 4);
+        expect(metrics.height).toBe(128 + 4);
+        expect(metrics.baseline).toBe(2 + 128);
+        expect(metrics.xHeight).toBe(Math.round(96 * 1.28));
+        expect(metrics.advanceWidth).toBeGreaterThan(64);
+        expect(metrics.leftBearing).toBe((metrics.advanceWidth - 64) / 2 - 2);
+        expect(isValidGlyphMetrics(metrics)).toBe(true);
+    });
+
+    it('puts the baseline inside the image for descenders and below it for raised marks', () => {
+        const descender = computeGlyphLayout({ x: 100, y: 250, width: 40, height: 120 }, FRAME, 600, 600);
+        const apostrophe = computeGlyphLayout({ x: 100, y: 150, width: 10, height: 40 }, FRAME, 600, 600);
+
+        expect(descender.metrics.baseline).toBeLessThan(descender.metrics.height);
+        expect(apostrophe.metrics.baseline).toBeGreaterThan(apostrophe.metrics.height);
+    });
+
+    it('describes the cropped area as fractions of the drawing', () => {
+        const { metrics, scale } = computeGlyphLayout({ x: 150, y: 120, width: 300, height: 240 }, FRAME, 600, 400);
+        const { crop } = metrics;
+
+        expect(crop.x).toBeCloseTo((150 - 2 / scale) / 600, 3);
+        expect(crop.y).toBeCloseTo((120 - 2 / scale) / 400, 3);
+        expect(crop.width * 600 * scale).toBeCloseTo(metrics.width, 0);
+        expect(crop.height * 400 * scale).toBeCloseTo(metrics.height, 0);
+    });
+
+    it('caps oversized drawings by lowering units per em', () => {
+        const { metrics } = computeGlyphLayout({ x: 0, y: 0, width: 2000, height: 400 }, FRAME, 2000, 600);
+
+        expect(metrics.unitsPerEm).toBeLessThan(UNITS_PER_EM);
+        expect(metrics.width).toBeLessThanOrEqual(1024);
+        expect(isValidGlyphMetrics(metrics)).toBe(true);
+    });
+
+    it('gives an empty drawing a blank advance', () => {
+        const { metrics } = computeGlyphLayout(null, FRAME, 600, 600);
+
+        expect(metrics.crop).toBeNull();
+        expect(metrics.advanceWidth).toBeGreaterThan(0);
+        expect(isValidGlyphMetrics(metrics)).toBe(true);
+    });
+});
+
+describe('isValidGlyphMetrics', () => {
+    const { metrics } = computeGlyphLayout({ x: 100, y: 200, width: 50, height: 100 }, FRAME, 600, 600);
+
+    it('rejects missing, mistyped and unknown-version metrics', () => {
+        expect(isValidGlyphMetrics(null)).toBe(false);
+        expect(isValidGlyphMetrics({ ...metrics, version: 2 })).toBe(false);
+        expect(isValidGlyphMetrics({ ...metrics, baseline: '130' })).toBe(false);
+        expect(isValidGlyphMetrics({ ...metrics, unitsPerEm: 0 })).toBe(false);
+        expect(isValidGlyphMetrics({ ...metrics, crop: { x: 0 } })).toBe(false);
+    });
+});
+
+describe('getGlyphBox', () => {
+    it('puts every glyph\'s baseline at the same height for a given size', () => {
+        const tall = computeGlyphLayout({ x: 100, y: 100, width: 50, height: 200 }, FRAME, 600, 600).metrics;
+        const short = computeGlyphLayout({ x: 100, y: 250, width: 50, height: 50 }, FRAME, 600, 600).metrics;
+
+        const tallBox = getGlyphBox(tall, 40);
+        const shortBox = getGlyphBox(short, 40);
+        const baselineOf = (box, metrics) => box.y + metrics.baseline * box.height / metrics.height;
+
+        expect(baselineOf(tallBox, tall)).toBeCloseTo(baselineOf(shortBox, short), 5);
+        expect(baselineOf(tallBox, tall)).toBeCloseTo(0.3 * 40, 5);
+    });
+
+    it('centres the advance width and scales with the em size', () => {
+        const { metrics } = computeGlyphLayout({ x: 100, y: 200, width: 50, height: 100 }, FRAME, 600, 600);
+        const box = getGlyphBox(metrics, 64);
+        const scale = 64 / metrics.unitsPerEm;
+
+        expect(box.width).toBeCloseTo(metrics.width * scale, 5);
+        // Ink is centred: equal space either side within the advance
+        const left = box.x + 2 * scale;
+        const right = box.x + (metrics.width - 2) * scale;
+        expect(left + right).toBeCloseTo(0, 5);
+    });
+
+    it('gives the advance width at the drawn size', () => {
+        const { metrics } = computeGlyphLayout({ x: 100, y: 200, width: 50, height: 100 }, FRAME, 600, 600);
+        const box = getGlyphBox(metrics, 64);
+
+        expect(getGlyphAdvance(metrics, 64)).toBeCloseTo(metrics.advanceWidth * 64 / metrics.unitsPerEm, 5);
+        expect(getGlyphAdvance(metrics, 64)).toBeGreaterThan(box.width); // Side bearings either side of the ink
+    });
+});
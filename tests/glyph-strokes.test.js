@@ -0,0 +1,107 @@
+// Glyph strokes: packing stroke data for storage, and what it saves in a glyph document
+import { describe, it, expect } from 'vitest';
+import {
+    createStrokeData,
+    createStroke,
+    addPoint,
+    packStrokeData,
+    unpackStrokeData,
+    isValidStrokeData,
+    PACKED_ENCODING,
+    NO_PRESSURE
+} from '../glyph-strokes.js';
+import { createRandom } from '../seeded-random.js';
+
+// A normalized glyph's WebP image (256px em), as stored next to its strokes
+const IMAGE = 'data:image/webp;base64,' + 'A'.repeat(16000);
+
+/**
+ * A letter drawn with a stylus: a few strokes of pointer events 8 ms apart
+ */
+function makeTypicalStrokes() {
+    const random = createRandom(7);
+    const data = createStrokeData(800, 600);
+    let t = 0;
+    for (let s = 0; s < 6; s++) {
+        const stroke = createStroke('pressure', 12);
+        let x = 200 + random() * 400;
+        let y = 150 + random() * 300;
+        for (let i = 0; i < 80; i++) {
+            x += (random() - 0.5) * 8;
+            y += (random() - 0.5) * 8;
+            addPoint(stroke, x, y, t, 0.3 + random() * 0.5, Math.round(random() * 4) + 30, -20);
+            t += 8;
+        }
+        data.strokes.push(stroke);
+        t += 400;
+    }
+    return data;
+}
+
+/**
+ * Stored size of a Firestore value, as Firestore counts it against the 1 MiB document limit
+ */
+function firestoreSize(value) {
+    if (value === null || typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 8;
+    if (typeof value === 'string') return new TextEncoder().encode(value).length + 1;
+    if (Array.isArray(value)) return value.reduce((total, item) => total + firestoreSize(item), 0);
+    return Object.entries(value).reduce((total, [key, item]) => total + firestoreSize(key) + firestoreSize(item), 0);
+}
+
+function glyphDocument(strokes) {
+    return {
+        char: 'a',
+        imageData: IMAGE,
+        strokes: strokes,
+        createdAt: null,
+        sourceUserId: 'user_alice',
+        status: 'pending',
+        random: 0.5
+    };
+}
+
+describe('packed stroke data', () => {
+    it('unpacks to the points that were recorded', () => {
+        const data = makeTypicalStrokes();
+        const stroke = createStroke('dot', 4);
+        addPoint(stroke, 0.04, 599.96, 5000, NO_PRESSURE, -60, 60);
+        addPoint(stroke, 12.34, 0, 5008, 0.001, 0, 0);
+        data.strokes.push(stroke);
+
+        const packed = packStrokeData(data);
+        expect(packed.encoding).toBe(PACKED_ENCODING);
+        expect(typeof packed.strokes[0].points).toBe('string');
+        expect(unpackStrokeData(packed)).toEqual(data);
+    });
+
+    it('upgrades version 1 data and passes unpacked data through', () => {
+        const legacy = {
+            version: 1, format: 'xyt', width: 100, height: 100,
+            strokes: [{ tool: 'solid', size: 3, points: [1, 2, 0, 3.5, 4, 16] }]
+        };
+        const unpacked = unpackStrokeData(packStrokeData(legacy));
+        expect(isValidStrokeData(unpacked)).toBe(true);
+        expect(unpacked.strokes[0].points).toEqual([1, 2, 0, NO_PRESSURE, 0, 0, 3.5, 4, 16, NO_PRESSURE, 0, 0]);
+
+        expect(unpackStrokeData(legacy)).toBe(legacy);
+        expect(unpackStrokeData(null)).toBeNull();
+    });
+
+    it('reads damaged points as no strokes', () => {
+        const packed = packStrokeData(makeTypicalStrokes());
+        packed.strokes[0].points = packed.strokes[0].points.slice(0, -4) + '////';
+        expect(unpackStrokeData(packed)).toBeNull();
+    });
+
+    it('keeps a typical glyph document small', () => {
+        const strokes = makeTypicalStrokes();
+        const unpackedSize = firestoreSize(glyphDocument(strokes));
+        const packedSize = firestoreSize(glyphDocument(packStrokeData(strokes)));
+
+        // 480 points: about 23 KB of numbers unpacked
+        expect(firestoreSize(packStrokeData(strokes).strokes)).toBeLessThan(firestoreSize(strokes.strokes) / 4);
+        expect(packedSize).toBeLessThan(24 * 1024);
+        expect(unpackedSize - packedSize).toBeGreaterThan(16 * 1024);
+    });
+});
@@ -0,0 +1,78 @@
+// Version history: listing, restoring and deleting a user's versions of a character
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setStorageAdapter } from '../storage-adapter.js';
+import { createMemoryAdapter } from '../storage-memory.js';
+import {
+    saveLettering,
+    loadUserLetterings,
+    listGlyphVersions,
+    restoreGlyphVersion,
+    deleteGlyphVersion
+} from '../firebase-storage.js';
+
+const image = n => `data:image/png;base64,v${n}`;
+
+describe('glyph version history', () => {
+    let adapter;
+
+    beforeEach(() => {
+        localStorage.clear();
+        adapter = createMemoryAdapter();
+        setStorageAdapter(adapter);
+    });
+
+    it('lists every saved version with the active one marked', async () => {
+        const first = await saveLettering('a', image(1));
+        const second = await saveLettering('a', image(2));
+        await saveLettering('b', image(3));
+
+        const { versions, activeId } = await listGlyphVersions('a');
+        expect(versions.map(glyph => glyph.id)).toEqual([second, first]);
+        expect(activeId).toBe(second);
+    });
+
+    it('restores an earlier version', async () => {
+        const first = await saveLettering('a', image(1));
+        await saveLettering('a', image(2));
+
+        const glyph = await restoreGlyphVersion('a', first);
+        expect(glyph.imageData).toBe(image(1));
+        expect((await listGlyphVersions('a')).activeId).toBe(first);
+        expect((await loadUserLetterings()).a.imageData).toBe(image(1));
+    });
+
+    it('refuses to restore a version of another character', async () => {
+        const glyphId = await saveLettering('b', image(1));
+        await expect(restoreGlyphVersion('a', glyphId)).rejects.toThrow('No version');
+    });
+
+    it('keeps the active version when deleting an older one', async () => {
+        const first = await saveLettering('a', image(1));
+        const second = await saveLettering('a', image(2));
+
+        const active = await deleteGlyphVersion('a', first);
+        expect(active.id).toBe(second);
+        expect((await listGlyphVersions('a')).versions.map(glyph => glyph.id)).toEqual([second]);
+    });
+
+    it('falls back to the newest remaining version when deleting the active one', async () => {
+        const first = await saveLettering('a', image(1));
+        const second = await saveLettering('a', image(2));
+        const third = await saveLettering('a', image(3));
+        await restoreGlyphVersion('a', first);
+
+        expect((await deleteGlyphVersion('a', first)).id).toBe(third);
+        expect((await deleteGlyphVersion('a', third)).id).toBe(second);
+        expect(await deleteGlyphVersion('a', second)).toBeNull();
+
+        expect(await listGlyphVersions('a')).toEqual({ versions: [], activeId: null });
+        expect(await loadUserLetterings()).toEqual({});
+    });
+
+    it('only deletes the user\'s own glyphs', async () => {
+        const glyphId = await adapter.addGlyph({ char: 'a', imageData: image(1), strokes: null, sourceUserId: 'someone_else' });
+
+        await expect(deleteGlyphVersion('a', glyphId)).rejects.toThrow('Only versions saved');
+        expect(await adapter.getGlyph(glyphId)).not.toBeNull();
+    });
+});
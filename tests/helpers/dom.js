@@ -0,0 +1,136 @@
+// Minimal DOM and 2D canvas stand-ins for loading page scripts in Node
+// Only what the scripts touch while loading is real; everything else is a no-op.
+
+/**
+ * 2D context over an RGBA pixel buffer; fillRect paints opaque pixels, so tests can draw ink
+ */
+export class FakeContext2D {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4);
+    }
+
+    fillRect(x, y, width, height) {
+        for (let py = Math.max(0, y); py < Math.min(this.canvas.height, y + height); py++) {
+            for (let px = Math.max(0, x); px < Math.min(this.canvas.width, x + width); px++) {
+                this.pixels.fill(255, (py * this.canvas.width + px) * 4, (py * this.canvas.width + px + 1) * 4);
+            }
+        }
+    }
+
+    clearRect() {
+        this.pixels.fill(0);
+    }
+
+    getImageData(x, y, width, height) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * this.canvas.width + x) * 4;
+            data.set(this.pixels.subarray(start, start + width * 4), row * width * 4);
+        }
+        return { data, width, height };
+    }
+
+    save() {}
+    restore() {}
+    scale() {}
+    setTransform() {}
+    drawImage() {}
+    beginPath() {}
+    moveTo() {}
+    lineTo() {}
+    stroke() {}
+    fill() {}
+    arc() {}
+    measureText() {
+        return { width: 0 };
+    }
+}
+
+export class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.style = {};
+        this.dataset = {};
+        this.children = [];
+        this.textContent = '';
+        this.innerHTML = '';
+        this.width = 300;
+        this.height = 150;
+        this.classList = {
+            names: new Set(),
+            add: (...names) => names.forEach(name => this.classList.names.add(name)),
+            remove: (...names) => names.forEach(name => this.classList.names.delete(name)),
+            toggle: (name, force = !this.classList.names.has(name)) =>
+                force ? this.classList.add(name) : this.classList.remove(name),
+            contains: name => this.classList.names.has(name)
+        };
+        this.context = null;
+    }
+
+    getContext() {
+        if (!this.context) {
+            this.context = new FakeContext2D(this);
+        }
+        return this.context;
+    }
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, width: this.width, height: this.height };
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    querySelector() {
+        return null;
+    }
+    querySelectorAll() {
+        return [];
+    }
+}
+
+/**
+ * Install document and window globals
+ * The document stays in 'loading', so scripts that wait for DOMContentLoaded
+ * never start their page setup.
+ * @param {Object} [options]
+ * @param {string} [options.search] - window.location.search
+ * @returns {{document: Object, window: Object}}
+ */
+export function installDom({ search = '' } = {}) {
+    const elements = new Map();
+    const document = {
+        readyState: 'loading',
+        getElementById(id) {
+            if (!elements.has(id)) {
+                elements.set(id, new FakeElement(id.toLowerCase().includes('canvas') ? 'canvas' : 'div', id));
+            }
+            return elements.get(id);
+        },
+        createElement: tagName => new FakeElement(tagName),
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {}
+    };
+    const window = {
+        location: { search: search, pathname: '/', hash: '', href: '' },
+        addEventListener() {},
+        removeEventListener() {}
+    };
+
+    globalThis.document = document;
+    globalThis.window = window;
+    return { document, window };
+}
+
+export function uninstallDom() {
+    delete globalThis.document;
+    delete globalThis.window;
+}
@@ -0,0 +1,81 @@
+// Helpers for tests that run against the local Firestore and Auth emulators
+// Start them with: npm run test:emulator
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { signOut } from 'firebase/auth';
+import { auth } from '../../firebase-config.js';
+import { ensureSignedIn } from '../../firebase-storage.js';
+
+export const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || null;
+export const PROJECT_ID = 'thestranger-3ff8a';
+
+let testEnv = null;
+
+/**
+ * Rules test environment loaded with firestore.rules
+ * @returns {Promise<RulesTestEnvironment>}
+ */
+export async function getTestEnvironment() {
+    if (!testEnv) {
+        const [host, port] = EMULATOR_HOST.split(':');
+        testEnv = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            firestore: {
+                host: host,
+                port: parseInt(port, 10),
+                rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8')
+            }
+        });
+    }
+    return testEnv;
+}
+
+/**
+ * Delete every document in the emulator's database
+ */
+export async function clearFirestore() {
+    const response = await fetch(
+        `http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+        { method: 'DELETE' }
+    );
+    if (!response.ok) {
+        throw new Error(`Failed to clear emulator: ${response.status}`);
+    }
+}
+
+/**
+ * Write documents with security rules switched off
+ * @param {Object<string, Object>} docs - Document data keyed by path
+ */
+export async function seedDocuments(docs) {
+    const env = await getTestEnvironment();
+    await env.withSecurityRulesDisabled(async context => {
+        const firestore = context.firestore();
+        for (const [path, data] of Object.entries(docs)) {
+            await setDoc(doc(firestore, path), data);
+        }
+    });
+}
+
+/**
+ * Switch the app to a fresh anonymous user
+ * @returns {Promise<string>} - The new uid
+ */
+export async function signInAsNewUser() {
+    if (auth.currentUser) {
+        await signOut(auth);
+    }
+    localStorage.removeItem('absurde_user_id');
+    return ensureSignedIn();
+}
+
+/**
+ * Switch the app to a fresh anonymous user listed in /moderators
+ * @returns {Promise<string>} - The new uid
+ */
+export async function signInAsModerator() {
+    const uid = await signInAsNewUser();
+    await seedDocuments({ [`moderators/${uid}`]: {} });
+    return uid;
+}
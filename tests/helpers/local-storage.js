@@ -0,0 +1,36 @@
+// Minimal in-memory localStorage for running app modules in Node
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+export function installLocalStorage() {
+    globalThis.localStorage = new MemoryStorage();
+    return globalThis.localStorage;
+}
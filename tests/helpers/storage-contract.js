@@ -0,0 +1,231 @@
+// Behaviour every storage adapter must share (see storage-adapter.js)
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GLYPH_STATUS } from '../../storage-adapter.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+const STROKES = { version: 2, format: 'xytpab', width: 600, height: 600, strokes: [] };
+const METRICS = {
+    version: 1,
+    unitsPerEm: 256,
+    width: 140,
+    height: 190,
+    baseline: 150,
+    xHeight: 123,
+    advanceWidth: 166,
+    leftBearing: 13,
+    crop: { x: 0.4, y: 0.3, width: 0.2, height: 0.35 }
+};
+
+/**
+ * Run the shared contract against one adapter
+ * @param {string} name - Suite name
+ * @param {Object} hooks
+ * @param {() => Promise<StorageAdapter>} hooks.create - Fresh, empty adapter
+ * @param {(adapter: StorageAdapter, userId: string) => Promise<void>} [hooks.grantModerator]
+ *     Give a user moderation rights, for backends that check them
+ */
+export function describeStorageContract(name, { create, grantModerator = async () => {} }) {
+    describe(`${name} storage adapter`, () => {
+        let adapter;
+        let userId;
+
+        beforeEach(async () => {
+            adapter = await create();
+            userId = await adapter.signIn();
+        });
+
+        const addGlyph = (char = 'a', strokes = null, metrics = null) =>
+            adapter.addGlyph({ char, imageData: IMAGE, strokes, metrics, sourceUserId: userId });
+
+        async function approve(...glyphIds) {
+            await grantModerator(adapter, userId);
+            await adapter.setGlyphStatus(glyphIds, GLYPH_STATUS.APPROVED);
+        }
+
+        it('signs in with a stable user ID', async () => {
+            expect(typeof userId).toBe('string');
+            expect(userId.length).toBeGreaterThan(0);
+            expect(await adapter.signIn()).toBe(userId);
+        });
+
+        it('stores new glyphs as pending and reads them back', async () => {
+            const glyphId = await addGlyph('é', STROKES, METRICS);
+            const glyph = await adapter.getGlyph(glyphId);
+
+            expect(glyph).toMatchObject({
+                id: glyphId,
+                char: 'é',
+                imageData: IMAGE,
+                strokes: STROKES,
+                metrics: METRICS,
+                sourceUserId: userId,
+                status: GLYPH_STATUS.PENDING
+            });
+            expect(glyph.createdAt).toBeInstanceOf(Date);
+        });
+
+        it('returns null strokes and metrics when none were saved, and null for unknown glyphs', async () => {
+            const glyphId = await addGlyph('a');
+            expect((await adapter.getGlyph(glyphId)).strokes).toBeNull();
+            expect((await adapter.getGlyph(glyphId)).metrics).toBeNull();
+            expect(await adapter.getGlyph('no-such-glyph')).toBeNull();
+        });
+
+        it('adds a glyph only once when saved again under the same ID', async () => {
+            const glyphId = await adapter.addGlyph({ id: 'retry_1', char: 'a', imageData: IMAGE, strokes: null, sourceUserId: userId });
+            const again = await adapter.addGlyph({ id: 'retry_1', char: 'a', imageData: IMAGE, strokes: null, sourceUserId: userId });
+            await grantModerator(adapter, userId);
+
+            expect(glyphId).toBe('retry_1');
+            expect(again).toBe('retry_1');
+            const { glyphs } = await adapter.listGlyphs({ status: GLYPH_STATUS.PENDING, pageSize: 10, cursor: null });
+            expect(glyphs.map(glyph => glyph.id)).toEqual(['retry_1']);
+        });
+
+        it('keeps a charMap per user', async () => {
+            expect(await adapter.getCharMap(userId)).toEqual({});
+
+            await adapter.setCharMapEntry(userId, 'a', 'g1');
+            await adapter.setCharMapEntry(userId, 'b', 'g2');
+            await adapter.setCharMapEntry(userId, 'a', 'g3');
+
+            expect(await adapter.getCharMap(userId)).toEqual({ a: 'g3', b: 'g2' });
+            expect(await adapter.getCharMap('someone_else')).toEqual({});
+        });
+
+        it('removes charMap entries', async () => {
+            await adapter.setCharMapEntry(userId, 'a', 'g1');
+            await adapter.setCharMapEntry(userId, '.', 'g2');
+            await adapter.deleteCharMapEntry(userId, 'a');
+            await adapter.deleteCharMapEntry(userId, '.');
+
+            expect(await adapter.getCharMap(userId)).toEqual({});
+        });
+
+        it('lists a user\'s glyphs for a character, newest first, whatever their status', async () => {
+            const first = await addGlyph('a');
+            const otherChar = await addGlyph('b');
+            const second = await addGlyph('a', STROKES, METRICS);
+            await approve(first);
+
+            const versions = await adapter.listUserGlyphs(userId, 'a');
+            expect(versions.map(glyph => glyph.id)).toEqual([second, first]);
+            expect(versions[0]).toMatchObject({ char: 'a', strokes: STROKES, metrics: METRICS, status: GLYPH_STATUS.PENDING });
+            expect(versions[1].status).toBe(GLYPH_STATUS.APPROVED);
+            expect(otherChar).not.toBe(first);
+            expect(await adapter.listUserGlyphs(userId, 'z')).toEqual([]);
+        });
+
+        it('deletes glyphs', async () => {
+            const kept = await addGlyph('a');
+            const deleted = await addGlyph('a');
+            await adapter.deleteGlyph(deleted);
+
+            expect(await adapter.getGlyph(deleted)).toBeNull();
+            expect((await adapter.listUserGlyphs(userId, 'a')).map(glyph => glyph.id)).toEqual([kept]);
+        });
+
+        it('picks random glyphs only among approved ones for the character', async () => {
+            const pending = await addGlyph('a');
+            const approved = await addGlyph('a');
+            const otherChar = await addGlyph('b');
+            expect(await adapter.pickRandomGlyph('a')).toBeNull();
+
+            await approve(approved, otherChar);
+
+            for (let i = 0; i < 5; i++) {
+                expect((await adapter.pickRandomGlyph('a')).id).toBe(approved);
+            }
+            expect(pending).not.toBe(approved);
+            expect(await adapter.pickRandomGlyph('z')).toBeNull();
+        });
+
+        it('withdraws hidden glyphs from random picks', async () => {
+            const glyphId = await addGlyph('a');
+            await approve(glyphId);
+            await adapter.setGlyphStatus([glyphId], GLYPH_STATUS.HIDDEN);
+
+            expect(await adapter.pickRandomGlyph('a')).toBeNull();
+            expect((await adapter.getGlyph(glyphId)).status).toBe(GLYPH_STATUS.HIDDEN);
+        });
+
+        it('lists glyphs by status, newest first, in pages', async () => {
+            const ids = [];
+            for (let i = 0; i < 5; i++) {
+                ids.push(await addGlyph('c'));
+            }
+            await grantModerator(adapter, userId);
+
+            const first = await adapter.listGlyphs({ status: GLYPH_STATUS.PENDING, pageSize: 3, cursor: null });
+            expect(first.glyphs.map(glyph => glyph.id)).toEqual(ids.slice(2).reverse());
+            expect(first.cursor).not.toBeNull();
+
+            const second = await adapter.listGlyphs({ status: GLYPH_STATUS.PENDING, pageSize: 3, cursor: first.cursor });
+            expect(second.glyphs.map(glyph => glyph.id)).toEqual(ids.slice(0, 2).reverse());
+            expect(second.cursor).toBeNull();
+
+            const approved = await adapter.listGlyphs({ status: GLYPH_STATUS.APPROVED, pageSize: 3, cursor: null });
+            expect(approved).toEqual({ glyphs: [], cursor: null });
+        });
+
+        it('filters listings by character and sorts them by character and date', async () => {
+            const b1 = await addGlyph('b');
+            const a1 = await addGlyph('a');
+            const b2 = await addGlyph('b');
+            const a2 = await addGlyph('a');
+            await approve(b1, a1, b2, a2);
+            const list = async options => (await adapter.listGlyphs({
+                status: GLYPH_STATUS.APPROVED, pageSize: 10, cursor: null, ...options
+            })).glyphs.map(glyph => glyph.id);
+
+            expect(await list({ char: 'a' })).toEqual([a2, a1]);
+            expect(await list({ char: 'b', order: 'oldest' })).toEqual([b1, b2]);
+            expect(await list({ groupByChar: true })).toEqual([a2, a1, b2, b1]);
+            expect(await list({ groupByChar: true, order: 'oldest' })).toEqual([a1, a2, b1, b2]);
+            expect(await list({ order: 'oldest' })).toEqual([b1, a1, b2, a2]);
+        });
+
+        it('pages through glyphs grouped by character', async () => {
+            const ids = [];
+            for (const char of ['c', 'a', 'b', 'a', 'c']) {
+                ids.push(await addGlyph(char));
+            }
+            await approve(...ids);
+
+            const seen = [];
+            let cursor = null;
+            do {
+                const page = await adapter.listGlyphs({
+                    status: GLYPH_STATUS.APPROVED, groupByChar: true, pageSize: 2, cursor
+                });
+                seen.push(...page.glyphs.map(glyph => glyph.char));
+                cursor = page.cursor;
+            } while (cursor);
+
+            expect(seen).toEqual(['a', 'a', 'b', 'c', 'c']);
+        });
+
+        it('collects reports and resolves them when a glyph is moderated', async () => {
+            const reported = await addGlyph('a');
+            const other = await addGlyph('b');
+            await adapter.addReport({ glyphId: reported, reporterId: userId, reason: 'scribble' });
+            await adapter.addReport({ glyphId: other, reporterId: userId, reason: '' });
+            await grantModerator(adapter, userId);
+
+            const reports = await adapter.listReports();
+            expect(reports.map(report => report.glyphId).sort()).toEqual([other, reported].sort());
+            expect(reports.find(report => report.glyphId === reported)).toMatchObject({
+                reporterId: userId,
+                reason: 'scribble'
+            });
+
+            await adapter.setGlyphStatus([reported], GLYPH_STATUS.HIDDEN);
+            expect((await adapter.listReports()).map(report => report.glyphId)).toEqual([other]);
+        });
+
+        it('grants moderation to moderators', async () => {
+            await grantModerator(adapter, userId);
+            expect(await adapter.isModerator(userId)).toBe(true);
+        });
+    });
+}
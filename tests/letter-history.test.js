@@ -0,0 +1,65 @@
+// Letter history: undo/redo per letter, and whether a letter differs from its last save
+import { describe, it, expect } from 'vitest';
+import { createLetterHistory } from '../letter-history.js';
+
+describe('letter history', () => {
+    it('starts unchanged, with nothing to undo', () => {
+        const history = createLetterHistory();
+        expect(history.canUndo()).toBe(false);
+        expect(history.canRedo()).toBe(false);
+        expect(history.hasUnsavedChanges()).toBe(false);
+    });
+
+    it('keeps undo after a save, switching letters and coming back', () => {
+        // Lettering mode keeps one history per letter while switching (its drafts)
+        const histories = { a: createLetterHistory(), b: createLetterHistory() };
+
+        histories.a.record({ strokes: [] });
+        histories.a.record({ strokes: ['first'] });
+        expect(histories.a.hasUnsavedChanges()).toBe(true);
+
+        // Save & Next: saved, then on to b and back
+        histories.a.markSaved();
+        histories.b.record({ strokes: [] });
+        const history = histories.a;
+
+        expect(history.hasUnsavedChanges()).toBe(false);
+        expect(history.canUndo()).toBe(true);
+        expect(history.undo({ strokes: ['first', 'second'] })).toEqual({ strokes: ['first'] });
+        expect(history.hasUnsavedChanges()).toBe(true);
+
+        // Redoing up to the saved drawing makes it clean again
+        expect(history.redo({ strokes: ['first'] })).toEqual({ strokes: ['first', 'second'] });
+        expect(history.hasUnsavedChanges()).toBe(false);
+    });
+
+    it('counts a new change after undoing past the save as unsaved', () => {
+        const history = createLetterHistory();
+        history.record({ strokes: [] });
+        history.markSaved();
+
+        history.undo({ strokes: ['saved'] });
+        history.record({ strokes: [] });
+        expect(history.hasUnsavedChanges()).toBe(true);
+        expect(history.canRedo()).toBe(false);
+    });
+
+    it('marks the state a save was taken in, not one drawn while it was queued', () => {
+        const history = createLetterHistory();
+        history.record({ strokes: [] });
+        const saved = history.getRevision();
+        history.record({ strokes: ['saved'] });
+
+        history.markSaved(saved);
+        expect(history.hasUnsavedChanges()).toBe(true);
+    });
+
+    it('keeps at most its limit of undo steps', () => {
+        const history = createLetterHistory({ limit: 2 });
+        [1, 2, 3].forEach(n => history.record({ n }));
+
+        expect(history.undo({ n: 4 })).toEqual({ n: 3 });
+        expect(history.undo({ n: 3 })).toEqual({ n: 2 });
+        expect(history.undo({ n: 2 })).toBeNull();
+    });
+});
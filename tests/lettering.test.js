@@ -0,0 +1,75 @@
+// Lettering mode helpers, with lettering.js loaded under a DOM/canvas shim
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { installDom, uninstallDom, FakeElement } from './helpers/dom.js';
+
+let lettering;
+
+beforeAll(async () => {
+    installDom();
+    lettering = await import('../lettering.js');
+});
+
+afterAll(() => {
+    uninstallDom();
+});
+
+describe('extractUniqueCharacters', () => {
+    it('lists each letter of the text once, sorted', () => {
+        expect(lettering.extractUniqueCharacters('Abba, cab!')).toEqual(['A', 'a', 'b', 'c']);
+    });
+
+    it('keeps accented letters and drops everything else', () => {
+        expect(lettering.extractUniqueCharacters('été 2024 — où?')).toEqual(['o', 't', 'é', 'ù']);
+    });
+
+    it('finds nothing in a text without letters', () => {
+        expect(lettering.extractUniqueCharacters('1, 2... 3!')).toEqual([]);
+    });
+});
+
+describe('findNextUnfinishedCharacter', () => {
+    const characters = ['a', 'b', 'c', 'd'];
+
+    it('picks the next letter without a lettering', () => {
+        expect(lettering.findNextUnfinishedCharacter(characters, { b: {} }, 'a')).toBe('c');
+    });
+
+    it('wraps around to letters before the current one', () => {
+        expect(lettering.findNextUnfinishedCharacter(characters, { c: {}, d: {} }, 'c')).toBe('a');
+    });
+
+    it('starts from the top when no letter is selected', () => {
+        expect(lettering.findNextUnfinishedCharacter(characters, { a: {} }, null)).toBe('b');
+    });
+
+    it('returns null once every other letter is drawn', () => {
+        expect(lettering.findNextUnfinishedCharacter(characters, { a: {}, b: {}, d: {} }, 'c')).toBeNull();
+        expect(lettering.findNextUnfinishedCharacter(characters, { a: {}, b: {}, c: {}, d: {} }, 'a')).toBeNull();
+    });
+});
+
+describe('isCanvasEmpty', () => {
+    function createCanvas() {
+        const canvas = new FakeElement('canvas');
+        canvas.width = 40;
+        canvas.height = 30;
+        return canvas.getContext('2d');
+    }
+
+    it('detects a blank canvas', () => {
+        expect(lettering.isCanvasEmpty(createCanvas())).toBe(true);
+    });
+
+    it('sees a single pixel of ink', () => {
+        const context = createCanvas();
+        context.fillRect(39, 29, 1, 1);
+        expect(lettering.isCanvasEmpty(context)).toBe(false);
+    });
+
+    it('is empty again after clearing', () => {
+        const context = createCanvas();
+        context.fillRect(5, 5, 10, 10);
+        context.clearRect(0, 0, 40, 30);
+        expect(lettering.isCanvasEmpty(context)).toBe(true);
+    });
+});
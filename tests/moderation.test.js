@@ -0,0 +1,121 @@
+// Moderation workflow against the Firestore and Auth emulators
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EMULATOR_HOST, clearFirestore, signInAsNewUser, signInAsModerator } from './helpers/emulator.js';
+import {
+    GLYPH_STATUS,
+    saveLettering,
+    getRandomGlobalGlyph,
+    loadAllLetteringsForInteraction,
+    reportGlyph,
+    listGlyphsForModeration,
+    listReportedGlyphs,
+    setGlyphStatus,
+    isModerator
+} from '../firebase-storage.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe.skipIf(!EMULATOR_HOST)('moderation (Firestore emulator)', () => {
+    beforeEach(async () => {
+        await clearFirestore();
+        // The author doubles as moderator unless a test says otherwise
+        await signInAsModerator();
+    });
+
+    it('saves new glyphs as pending and keeps them out of the global pool', async () => {
+        const glyphId = await saveLettering('a', IMAGE);
+
+        const { glyphs } = await listGlyphsForModeration({ status: GLYPH_STATUS.PENDING });
+        expect(glyphs.map(glyph => glyph.id)).toEqual([glyphId]);
+        expect(glyphs[0].status).toBe(GLYPH_STATUS.PENDING);
+
+        expect(await getRandomGlobalGlyph('a')).toBeNull();
+    });
+
+    it('serves approved glyphs to other visitors', async () => {
+        const glyphId = await saveLettering('a', IMAGE);
+        await setGlyphStatus([glyphId], GLYPH_STATUS.APPROVED);
+
+        await signInAsNewUser();
+        const glyph = await getRandomGlobalGlyph('a');
+        expect(glyph.glyphId).toBe(glyphId);
+
+        const letterings = await loadAllLetteringsForInteraction(['a']);
+        expect(letterings.a).toMatchObject({ glyphId, source: 'global' });
+    });
+
+    it('shows pending glyphs to their author only', async () => {
+        const glyphId = await saveLettering('a', IMAGE);
+
+        const own = await loadAllLetteringsForInteraction(['a']);
+        expect(own.a).toMatchObject({ glyphId, source: 'user' });
+
+        await signInAsNewUser();
+        expect(await loadAllLetteringsForInteraction(['a'])).toEqual({});
+    });
+
+    it('withdraws hidden glyphs from everyone, including the author', async () => {
+        const glyphId = await saveLettering('a', IMAGE);
+        await setGlyphStatus([glyphId], GLYPH_STATUS.APPROVED);
+        await setGlyphStatus([glyphId], GLYPH_STATUS.HIDDEN);
+
+        expect(await loadAllLetteringsForInteraction(['a'])).toEqual({});
+
+        await signInAsNewUser();
+        expect(await getRandomGlobalGlyph('a')).toBeNull();
+    });
+
+    it('collects reports and resolves them on a moderation decision', async () => {
+        const glyphId = await saveLettering('a', IMAGE);
+        await setGlyphStatus([glyphId], GLYPH_STATUS.APPROVED);
+
+        await signInAsNewUser();
+        await reportGlyph(glyphId, 'scribble');
+        await reportGlyph(glyphId);
+
+        await signInAsModerator();
+        const reported = await listReportedGlyphs();
+        expect(reported).toHaveLength(1);
+        expect(reported[0]).toMatchObject({ id: glyphId, reportCount: 2, reasons: ['scribble'] });
+
+        await setGlyphStatus([glyphId], GLYPH_STATUS.HIDDEN);
+        expect(await listReportedGlyphs()).toEqual([]);
+    });
+
+    it('pages through a status queue in bulk', async () => {
+        const ids = [];
+        for (let i = 0; i < 5; i++) {
+            ids.push(await saveLettering('b', IMAGE));
+        }
+        await setGlyphStatus(ids, GLYPH_STATUS.APPROVED);
+
+        const first = await listGlyphsForModeration({ status: GLYPH_STATUS.APPROVED, pageSize: 3 });
+        expect(first.glyphs).toHaveLength(3);
+        expect(first.cursor).not.toBeNull();
+
+        const second = await listGlyphsForModeration({
+            status: GLYPH_STATUS.APPROVED,
+            pageSize: 3,
+            cursor: first.cursor
+        });
+        expect(second.glyphs).toHaveLength(2);
+        expect(second.cursor).toBeNull();
+
+        const seen = [...first.glyphs, ...second.glyphs].map(glyph => glyph.id).sort();
+        expect(seen).toEqual([...ids].sort());
+    });
+
+    it('keeps moderation to moderators', async () => {
+        const glyphId = await saveLettering('a', IMAGE);
+        expect(await isModerator()).toBe(true);
+
+        await signInAsNewUser();
+        expect(await isModerator()).toBe(false);
+        await expect(setGlyphStatus([glyphId], GLYPH_STATUS.APPROVED)).rejects.toThrow();
+        await expect(listReportedGlyphs()).rejects.toThrow();
+    });
+
+    it('rejects unknown statuses', async () => {
+        await expect(setGlyphStatus(['x'], 'deleted')).rejects.toThrow('Invalid status');
+    });
+});
@@ -0,0 +1,269 @@
+// Letter physics: fixed steps, interpolation and the per-step particle updates
+import { describe, it, expect } from 'vitest';
+import {
+    createPhysicsEngine,
+    checkAndResolveCollision,
+    handleCollisions,
+    getWorldCircles,
+    PHYSICS_CONFIG,
+    PHYSICS_STEP
+} from '../physics.js';
+import { boxToCircles } from '../collision-shapes.js';
+
+const BOUNDS = { width: 800, height: 600 };
+
+function floating(overrides = {}) {
+    return {
+        x: 400, y: 300, vx: 2, vy: -1, size: 60, rotation: 0, rotationSpeed: 0.01,
+        isFloating: true, isDragging: false, isTransitioning: false,
+        ...overrides
+    };
+}
+
+function createEngine() {
+    // Fixed "random" bounce variation keeps runs identical
+    return createPhysicsEngine({ getBounds: () => BOUNDS, random: () => 0.5 });
+}
+
+/**
+ * Run an engine for some seconds of frames at a display rate
+ */
+function run(engine, particles, seconds, fps) {
+    let alpha = 0;
+    for (let frame = 0; frame < Math.round(seconds * fps); frame++) {
+        alpha = engine.advance(1 / fps, particles);
+    }
+    return alpha;
+}
+
+describe('physics engine', () => {
+    it('moves letters the same distance at any frame rate', () => {
+        const positions = [30, 60, 120, 144].map(fps => {
+            const particles = [floating(), floating({ x: 100, vx: -3 }), floating({ x: 420, vx: -2 })];
+            run(createEngine(), particles, 3, fps);
+            return particles.map(p => [p.x, p.y, p.rotation].map(value => value.toFixed(6)));
+        });
+
+        positions.forEach(position => expect(position).toEqual(positions[0]));
+    });
+
+    it('runs whole steps and carries the remainder to the next frame', () => {
+        const engine = createEngine();
+        const particle = floating();
+
+        expect(engine.advance(PHYSICS_STEP * 2.5, [particle])).toBeCloseTo(0.5);
+        expect(particle.x).toBeCloseTo(400 + 2 + 2 * PHYSICS_CONFIG.damping);
+
+        expect(engine.advance(PHYSICS_STEP / 2, [particle])).toBeCloseTo(0);
+        expect(particle.x).toBeGreaterThan(404);
+    });
+
+    it('draws letters between their last two steps', () => {
+        const engine = createEngine();
+        const particle = floating({ vx: 10, vy: 0, rotationSpeed: 0 });
+        expect(engine.getRenderState(particle, 0.5)).toEqual({ x: 400, y: 300, rotation: 0, size: 60 });
+
+        const alpha = engine.advance(PHYSICS_STEP * 1.25, [particle]);
+        expect(engine.getRenderState(particle, alpha).x).toBeCloseTo(402.5);
+
+        engine.snap(particle);
+        expect(engine.getRenderState(particle, alpha).x).toBe(particle.x);
+    });
+
+    it('does not try to catch up after a long stall', () => {
+        let steps = 0;
+        const engine = createPhysicsEngine({ getBounds: () => { steps++; return BOUNDS; } });
+
+        engine.advance(10, [floating()]);
+        expect(steps).toBeLessThanOrEqual(8);
+    });
+
+    it('keeps floating letters inside their area', () => {
+        const particles = [floating({ x: 795, vx: 12 }), floating({ y: 5, vy: -12 })];
+        for (let i = 0; i < 600; i++) {
+            createEngine().stepOnce(particles);
+            particles.forEach(p => {
+                expect(p.x).toBeGreaterThanOrEqual(0);
+                expect(p.x).toBeLessThanOrEqual(BOUNDS.width);
+                expect(p.y).toBeGreaterThanOrEqual(0);
+                expect(p.y).toBeLessThanOrEqual(BOUNDS.height);
+            });
+        }
+        expect(particles[0].vx).toBeLessThan(0);
+    });
+
+    it('slows or stops floating letters for reduced motion', () => {
+        const still = floating();
+        const slow = floating();
+        createPhysicsEngine({ getBounds: () => BOUNDS, config: { floatingSpeed: 0 } }).stepOnce([still]);
+        createPhysicsEngine({ getBounds: () => BOUNDS, config: { floatingSpeed: 0.25 } }).stepOnce([slow]);
+
+        expect([still.x, still.y, still.rotation]).toEqual([400, 300, 0]);
+        expect(slow.x).toBeCloseTo(400.5);
+        expect(slow.rotation).toBeCloseTo(0.0025);
+    });
+
+    it('flies clicked letters into place in the same time at any frame rate', () => {
+        for (const fps of [30, 60, 144]) {
+            const particle = {
+                x: 0, y: 0, size: 60, weight: 700, rotation: 0.2,
+                isFloating: false, isDragging: false, isTransitioning: true, transitionTime: 0,
+                startX: 0, startY: 0, startSize: 60, startWeight: 700, startRotation: 0.2,
+                targetX: 300, targetY: 500, targetSize: 28, targetWeight: 300, targetRotation: 0
+            };
+            const engine = createEngine();
+
+            run(engine, [particle], PHYSICS_CONFIG.transitionDuration * 0.5, fps);
+            expect(particle.isTransitioning).toBe(true);
+            expect(particle.x).toBeGreaterThan(100);
+            expect(particle.x).toBeLessThan(200);
+
+            run(engine, [particle], PHYSICS_CONFIG.transitionDuration * 0.5 + PHYSICS_STEP, fps);
+            expect(particle.isTransitioning).toBe(false);
+            expect(particle).toMatchObject({ x: 300, y: 500, size: 28, rotation: 0, fontFamilyTransition: 1 });
+        }
+    });
+
+    it('pulls dragged letters to the pointer', () => {
+        const particle = {
+            x: 0, y: 0, size: 60, startSize: 60, rotation: 0, fontFamilyTransition: 0,
+            isDragging: true, isFloating: false, isTransitioning: false,
+            dragTargetX: 200, dragTargetY: 100, dragVx: 0, dragVy: 0
+        };
+        run(createEngine(), [particle], 2, 60);
+
+        expect(particle.x).toBeCloseTo(200, 1);
+        expect(particle.y).toBeCloseTo(100, 1);
+        expect(particle.size).toBeCloseTo(72);
+        expect(particle.fontFamilyTransition).toBe(1);
+    });
+});
+
+describe('checkAndResolveCollision', () => {
+    it('bounces approaching letters apart, keeping their momentum', () => {
+        const p1 = floating({ x: 100, y: 100, vx: 3, vy: 0 });
+        const p2 = floating({ x: 140, y: 100, vx: -1, vy: 0 });
+
+        expect(checkAndResolveCollision(p1, p2, PHYSICS_CONFIG)).toBeCloseTo(4);
+
+        expect(p1.vx + p2.vx).toBeCloseTo(2);
+        expect(p2.vx - p1.vx).toBeCloseTo(4 * PHYSICS_CONFIG.restitution);
+        expect(p2.x - p1.x).toBeGreaterThan(40);
+    });
+
+    it('leaves letters that are moving apart or not touching alone', () => {
+        const apart = [floating({ x: 100, vx: -1 }), floating({ x: 140, vx: 1 })];
+        const distant = [floating({ x: 100, vx: 3 }), floating({ x: 200, vx: -3 })];
+
+        expect(checkAndResolveCollision(...apart, PHYSICS_CONFIG)).toBe(0);
+        expect(checkAndResolveCollision(...distant, PHYSICS_CONFIG)).toBe(0);
+
+        expect(apart.map(p => p.vx)).toEqual([-1, 1]);
+        expect(distant.map(p => p.vx)).toEqual([3, -3]);
+    });
+
+    it('reports impacts from the engine', () => {
+        const impacts = [];
+        const engine = createPhysicsEngine({
+            getBounds: () => BOUNDS,
+            random: () => 0.5,
+            onImpact: (speed, p1, p2) => impacts.push([speed, p1.x < p2.x])
+        });
+        const particles = [floating({ x: 200, vx: 4, vy: 0 }), floating({ x: 240, vx: -4, vy: 0 })];
+
+        engine.stepOnce(particles);
+
+        expect(impacts).toHaveLength(1);
+        expect(impacts[0][0]).toBeCloseTo(8 * PHYSICS_CONFIG.damping);
+    });
+});
+
+describe('handleCollisions', () => {
+    it('collides letters on either side of a grid cell border', () => {
+        const border = PHYSICS_CONFIG.cellSize;
+        const pairs = [[-1, 0], [0, 1], [1, 1], [1, -1]].map(([dirX, dirY]) => {
+            const centre = { x: border * 2, y: border * 2 };
+            return [
+                floating({ x: centre.x - dirX * 15, y: centre.y - dirY * 15 - 0.5, vx: dirX * 2, vy: dirY * 2 }),
+                floating({ x: centre.x + dirX * 15, y: centre.y + dirY * 15 + 0.5, vx: -dirX * 2, vy: -dirY * 2 })
+            ];
+        });
+
+        pairs.forEach(pair => {
+            const before = pair.map(p => [p.vx, p.vy]);
+            handleCollisions(pair, PHYSICS_CONFIG);
+            expect(pair.map(p => [p.vx, p.vy])).not.toEqual(before);
+        });
+    });
+
+    it('collides by shape: a tall letter misses what passes beside its top', () => {
+        const tall = boxToCircles({ x: -0.1, y: -0.5, width: 0.2, height: 1 });
+        const still = floating({ x: 300, y: 300, vx: 0, vy: 0, shape: tall });
+        const passing = floating({ x: 340, y: 270, vx: -1, vy: 0, size: 20 });
+
+        expect(checkAndResolveCollision(still, passing, PHYSICS_CONFIG)).toBe(0);
+        passing.y = 300;
+        expect(checkAndResolveCollision(still, passing, PHYSICS_CONFIG)).toBe(0);
+        passing.x = 310;
+        expect(checkAndResolveCollision(still, passing, PHYSICS_CONFIG)).toBeGreaterThan(0);
+    });
+
+    it('turns shapes with their letter', () => {
+        const shape = [{ x: 0.5, y: 0, r: 0.1 }];
+        const [circle] = getWorldCircles(floating({ x: 0, y: 0, size: 100, rotation: Math.PI / 2, shape: shape }));
+
+        expect(circle.x).toBeCloseTo(0);
+        expect(circle.y).toBeCloseTo(50);
+        expect(circle.r).toBeCloseTo(10);
+    });
+});
+
+describe('tunnelling', () => {
+    const WIDE = { width: 100000, height: 100000 };
+    const SHAPES = {
+        circle: undefined,
+        tall: boxToCircles({ x: -0.08, y: -0.5, width: 0.16, height: 1 }),
+        wide: boxToCircles({ x: -0.5, y: -0.1, width: 1, height: 0.2 })
+    };
+
+    /**
+     * Fire two letters at each other and report whether they ever swapped sides
+     * @returns {{crossed: boolean, collided: boolean}}
+     */
+    function fireHeadOn(speed, shape, size) {
+        const engine = createPhysicsEngine({ getBounds: () => WIDE, config: { damping: 1 }, random: () => 0.5 });
+        // Apart by a letter, and far enough that they meet mid-step rather than on one
+        const start = size + speed * 5.5;
+        const left = floating({ x: 50000 - start, y: 500, vx: speed, vy: 0, size, rotationSpeed: 0, shape });
+        const right = floating({ x: 50000 + start, y: 500, vx: -speed, vy: 0, size, rotationSpeed: 0, shape });
+
+        let crossed = false;
+        for (let step = 0; step < 150; step++) {
+            engine.stepOnce([left, right]);
+            crossed = crossed || left.x > right.x;
+        }
+        return { crossed, collided: left.vx < 0 && right.vx > 0 };
+    }
+
+    it('finishes a step for letters with a zero-size circle', () => {
+        const shape = [{ x: 0, y: 0, r: 0 }];
+        const engine = createPhysicsEngine({ getBounds: () => WIDE, config: { damping: 1 }, random: () => 0.5 });
+        const left = floating({ x: 49900, y: 500, vx: 150, vy: 0, size: 80, rotationSpeed: 0, shape });
+        const right = floating({ x: 50100, y: 500, vx: -150, vy: 0, size: 80, rotationSpeed: 0, shape });
+
+        engine.stepOnce([left, right]);
+        engine.stepOnce([left, right]);
+        expect(Number.isFinite(left.x) && Number.isFinite(right.x)).toBe(true);
+    });
+
+    Object.entries(SHAPES).forEach(([name, shape]) => {
+        it(`keeps ${name} letters from passing through each other at any speed`, () => {
+            [1, 5, 20, 60, 150, 400].forEach(speed => {
+                [24, 80].forEach(size => {
+                    const result = fireHeadOn(speed, shape, size);
+                    expect(result, `${speed} px/step, ${size}px`).toEqual({ crossed: false, collided: true });
+                });
+            });
+        });
+    });
+});
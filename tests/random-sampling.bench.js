@@ -0,0 +1,61 @@
+// Random glyph picks against a large pool: downloading every glyph of a character
+// (the old pickRandomGlyph) versus one sampling-key query.
+// Run with: npm run bench:emulator
+import { describe, bench, beforeAll } from 'vitest';
+import { collection, doc, getDocs, query, where, writeBatch, Timestamp } from 'firebase/firestore';
+import { EMULATOR_HOST, clearFirestore, getTestEnvironment } from './helpers/emulator.js';
+import { createStorageAdapter, GLYPH_STATUS } from '../storage-adapter.js';
+import { db } from '../firebase-config.js';
+
+const GLYPHS_PER_CHAR = 3000;
+const CHARS = ['a', 'e'];
+const BATCH_SIZE = 500;
+
+// About the size of a normalized WebP glyph
+const IMAGE = 'data:image/webp;base64,' + 'A'.repeat(6000);
+
+async function seedPool() {
+    const env = await getTestEnvironment();
+    await env.withSecurityRulesDisabled(async context => {
+        const firestore = context.firestore();
+        for (const char of CHARS) {
+            for (let start = 0; start < GLYPHS_PER_CHAR; start += BATCH_SIZE) {
+                const batch = writeBatch(firestore);
+                for (let i = start; i < Math.min(start + BATCH_SIZE, GLYPHS_PER_CHAR); i++) {
+                    batch.set(doc(firestore, 'globalGlyphs', `${char}_${i}`), {
+                        char: char,
+                        imageData: IMAGE,
+                        sourceUserId: `user_${i}`,
+                        status: GLYPH_STATUS.APPROVED,
+                        createdAt: Timestamp.now(),
+                        random: Math.random()
+                    });
+                }
+                await batch.commit();
+            }
+        }
+    });
+}
+
+describe.skipIf(!EMULATOR_HOST)(`random pick among ${GLYPHS_PER_CHAR} glyphs per character`, () => {
+    let adapter;
+
+    beforeAll(async () => {
+        await clearFirestore();
+        await seedPool();
+        adapter = await createStorageAdapter('firestore');
+    }, 120000);
+
+    bench('download every glyph of the character', async () => {
+        const snapshot = await getDocs(query(
+            collection(db, 'globalGlyphs'),
+            where('char', '==', 'a'),
+            where('status', '==', GLYPH_STATUS.APPROVED)
+        ));
+        snapshot.docs[Math.floor(Math.random() * snapshot.size)].data();
+    }, { iterations: 10 });
+
+    bench('sampling key (pickRandomGlyph)', async () => {
+        await adapter.pickRandomGlyph('a');
+    }, { iterations: 10 });
+});
@@ -0,0 +1,167 @@
+// Save outbox: queued uploads, retries and restarts
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createSaveOutbox, SAVE_STATE } from '../save-outbox.js';
+
+const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+
+let dbCount = 0;
+let dbName;
+let outboxes;
+
+function createOutbox(options) {
+    const outbox = createSaveOutbox({ dbName, attemptTimeout: 50, retryDelays: [10], ...options });
+    outboxes.push(outbox);
+    return outbox;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('save outbox', () => {
+    beforeEach(() => {
+        dbName = `absurde-outbox-test-${++dbCount}`;
+        outboxes = [];
+    });
+
+    afterEach(() => {
+        outboxes.forEach(outbox => outbox.stop());
+        vi.unstubAllGlobals();
+    });
+
+    it('uploads a queued save under the glyph ID it returns', async () => {
+        const save = vi.fn(async () => {});
+        const outbox = createOutbox({ save });
+        await outbox.start();
+
+        const glyphId = await outbox.enqueue('a', IMAGE);
+        await outbox.flush();
+
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(save.mock.calls[0][0]).toMatchObject({ id: glyphId, char: 'a', imageData: IMAGE });
+        expect(outbox.getEntries()).toEqual([]);
+        expect(outbox.getStates()).toEqual({});
+    });
+
+    it('marks rejected saves as failed and retries them', async () => {
+        const save = vi.fn()
+            .mockRejectedValueOnce(new Error('Permission denied'))
+            .mockResolvedValue(undefined);
+        const onChange = vi.fn();
+        const outbox = createOutbox({ save, onChange });
+        await outbox.start();
+
+        await outbox.enqueue('a', IMAGE);
+        await outbox.flush();
+        expect(outbox.getStates()).toEqual({ a: SAVE_STATE.FAILED });
+        expect(onChange).toHaveBeenLastCalledWith({ a: SAVE_STATE.FAILED });
+
+        await vi.waitFor(() => expect(outbox.getStates()).toEqual({}));
+        expect(save).toHaveBeenCalledTimes(2);
+        expect(save.mock.calls[1][0].id).toBe(save.mock.calls[0][0].id);
+    });
+
+    it('keeps saves pending while offline and uploads them when back online', async () => {
+        const save = vi.fn(async () => {});
+        vi.stubGlobal('navigator', { onLine: false });
+        const outbox = createOutbox({ save });
+        await outbox.start();
+
+        await outbox.enqueue('b', IMAGE);
+        await outbox.flush();
+        expect(save).not.toHaveBeenCalled();
+        expect(outbox.getStates()).toEqual({ b: SAVE_STATE.PENDING });
+
+        vi.stubGlobal('navigator', { onLine: true });
+        await outbox.flush();
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(outbox.getStates()).toEqual({});
+    });
+
+    it('survives a reload and resumes queued saves', async () => {
+        const failing = createOutbox({ save: async () => { throw new Error('Server error'); } });
+        await failing.start();
+        const glyphId = await failing.enqueue('c', IMAGE);
+        await failing.flush();
+        failing.stop();
+
+        const save = vi.fn(async () => {});
+        const outbox = createOutbox({ save });
+        const queued = await outbox.start();
+
+        expect(queued.map(entry => entry.id)).toEqual([glyphId]);
+        await vi.waitFor(() => expect(save).toHaveBeenCalledTimes(1));
+        expect(save.mock.calls[0][0]).toMatchObject({ id: glyphId, char: 'c' });
+    });
+
+    it('keeps a timed-out upload in flight until it lands, instead of uploading it again', async () => {
+        const onSaved = vi.fn();
+        // The upload is slow: it lands on the server after the outbox stopped waiting for it
+        const save = vi.fn(() => sleep(100));
+        const outbox = createOutbox({ save, onSaved });
+        await outbox.start();
+
+        await outbox.enqueue('d', IMAGE);
+        await outbox.flush();
+        expect(outbox.getStates()).toEqual({ d: SAVE_STATE.PENDING });
+
+        await vi.waitFor(() => expect(outbox.getStates()).toEqual({}));
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(onSaved).toHaveBeenCalledTimes(1);
+    });
+
+    it('holds a newer save of the character until a timed-out one lands', async () => {
+        const landed = [];
+        const save = vi.fn(async entry => {
+            if (entry.imageData.endsWith('old')) await sleep(100);
+            landed.push(entry.imageData);
+        });
+        const outbox = createOutbox({ save });
+        await outbox.start();
+
+        await outbox.enqueue('d', 'data:image/png;base64,old');
+        await outbox.flush();
+        await outbox.enqueue('d', 'data:image/png;base64,new');
+        await outbox.flush();
+        expect(save).toHaveBeenCalledTimes(1);
+
+        // The newer drawing lands last, so it's the one the character keeps
+        await vi.waitFor(() => expect(landed).toHaveLength(2));
+        expect(landed).toEqual(['data:image/png;base64,old', 'data:image/png;base64,new']);
+        expect(outbox.getEntries()).toEqual([]);
+    });
+
+    it('drops a timed-out save that fails once a newer one is queued', async () => {
+        const save = vi.fn(async entry => {
+            if (entry.imageData.endsWith('old')) {
+                await sleep(100);
+                throw new Error('Server error');
+            }
+        });
+        const outbox = createOutbox({ save });
+        await outbox.start();
+
+        await outbox.enqueue('f', 'data:image/png;base64,old');
+        await outbox.flush();
+        await outbox.enqueue('f', 'data:image/png;base64,new');
+
+        await vi.waitFor(() => expect(outbox.getEntries()).toEqual([]));
+        expect(save.mock.calls.map(([entry]) => entry.imageData))
+            .toEqual(['data:image/png;base64,old', 'data:image/png;base64,new']);
+    });
+
+    it('replaces a queued save of the same character with the newer drawing', async () => {
+        const save = vi.fn(async () => {});
+        vi.stubGlobal('navigator', { onLine: false });
+        const outbox = createOutbox({ save });
+        await outbox.start();
+
+        await outbox.enqueue('e', 'data:image/png;base64,old');
+        await outbox.enqueue('e', 'data:image/png;base64,new');
+        expect(outbox.getEntries().map(entry => entry.imageData)).toEqual(['data:image/png;base64,new']);
+
+        vi.stubGlobal('navigator', { onLine: true });
+        await outbox.flush();
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(save.mock.calls[0][0].imageData).toBe('data:image/png;base64,new');
+    });
+});
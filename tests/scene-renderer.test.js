@@ -0,0 +1,119 @@
+// Scene renderer: frames drawn onto a context that records its calls
+import { describe, it, expect } from 'vitest';
+import { drawLetter, getGlyphDrawBox, renderFrame } from '../scene-renderer.js';
+
+/**
+ * Records drawing calls and the state they were made with
+ */
+function createRecordingContext() {
+    const calls = [];
+    const state = { font: '', fillStyle: '', shadowBlur: 0, globalAlpha: 1 };
+    const record = name => (...args) => calls.push({ name, args, state: { ...state } });
+    return Object.assign(state, {
+        calls,
+        called: name => calls.filter(call => call.name === name),
+        save: record('save'),
+        restore: record('restore'),
+        translate: record('translate'),
+        rotate: record('rotate'),
+        drawImage: record('drawImage'),
+        fillText: record('fillText'),
+        fillRect: record('fillRect'),
+        beginPath: record('beginPath'),
+        moveTo: record('moveTo'),
+        lineTo: record('lineTo'),
+        stroke: record('stroke'),
+        arc: record('arc'),
+        setLineDash: record('setLineDash'),
+        createLinearGradient: () => ({ addColorStop() {} })
+    });
+}
+
+function letter(overrides = {}) {
+    return {
+        letter: 'a',
+        x: 100,
+        y: 50,
+        rotation: 0,
+        size: 40,
+        weight: 300,
+        color: null,
+        fontFamilyTransition: 0,
+        isFloating: true,
+        isDragging: false,
+        speedMultiplier: 1,
+        useHelveticaFallback: false,
+        ...overrides
+    };
+}
+
+const image = { width: 400, height: 400 };
+
+describe('drawLetter', () => {
+    it('draws letters without a glyph as serif text, and held ones in Helvetica', () => {
+        const ctx = createRecordingContext();
+        drawLetter(ctx, letter(), undefined, null);
+        drawLetter(ctx, letter({ useHelveticaFallback: true, fontFamilyTransition: 1 }), image, null);
+
+        const [serif, helvetica] = ctx.called('fillText');
+        expect(serif.state.font).toBe('300 40px Georgia, serif');
+        expect(helvetica.state.font).toContain('Helvetica');
+        expect(ctx.called('save')).toHaveLength(ctx.called('restore').length);
+    });
+
+    it('draws floating glyphs untinted in their box', () => {
+        const ctx = createRecordingContext();
+        drawLetter(ctx, letter(), image, null);
+
+        const box = getGlyphDrawBox(image, 40);
+        const [draw] = ctx.called('drawImage');
+        expect(draw.args).toEqual([image, box.x, box.y, box.width, box.height]);
+        expect(draw.state.globalAlpha).toBeCloseTo(0.8);
+    });
+
+    it('draws coloured glyphs from the sprite cache, scaled from their bucket', () => {
+        const ctx = createRecordingContext();
+        const sprite = { canvas: { width: 60, height: 80 }, x: -30, y: -40, size: 50 };
+        const requests = [];
+        const sprites = { get: (...args) => (requests.push(args), sprite) };
+
+        drawLetter(ctx, letter({ color: 'hsl(200, 70%, 60%)', isDragging: true, fontFamilyTransition: 0.3 }), image, sprites);
+
+        expect(requests[0].slice(0, 4)).toEqual([image, 40, 'hsl(200, 70%, 60%)', 0.3]);
+        expect(ctx.called('drawImage')[0].args).toEqual([sprite.canvas, -24, -32, 48, 64]);
+    });
+
+    it('asks for sprites without a glow once a placed letter has settled', () => {
+        const requests = [];
+        const sprites = { get: (...args) => (requests.push(args), null) };
+
+        drawLetter(createRecordingContext(), letter({ color: 'hsl(0, 0%, 100%)', isFloating: false }), image, sprites);
+        expect(requests[0][3]).toBeNull();
+    });
+});
+
+describe('renderFrame', () => {
+    it('draws letters, focus ring and the sentence area in order', () => {
+        const ctx = createRecordingContext();
+        renderFrame(ctx, {
+            width: 300,
+            height: 200,
+            dividerY: 120,
+            letters: [letter({ letter: 'b' })],
+            focus: { x: 100, y: 50, size: 40 },
+            slots: [
+                { char: 'b', x: 10, y: 160, width: 18, underline: true, filled: false, showChar: false },
+                { char: '.', x: 30, y: 160, width: 18, underline: false, filled: true, showChar: true }
+            ],
+            underlineOffset: 16,
+            placedFont: '300 32px sans-serif'
+        }, {}, null);
+
+        const texts = ctx.called('fillText');
+        expect(texts.map(call => call.args[0])).toEqual(['b', '.']);
+        expect(texts[1].state.font).toBe('300 32px sans-serif');
+        expect(ctx.called('arc')[0].args.slice(0, 3)).toEqual([100, 50, 30]);
+        expect(ctx.called('stroke')).toHaveLength(3); // Divider, focus ring, one underline
+        expect(ctx.called('moveTo')[1].args).toEqual([10, 176]);
+    });
+});
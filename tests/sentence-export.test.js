@@ -0,0 +1,142 @@
+// Sentence export: layout, fall timing, canvas sizes and the SVG poster
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+    fitSentenceInFrame,
+    createLetterMeasure,
+    getFallSchedule,
+    toHexColor,
+    exportSvg,
+    EXPORT_CONFIG,
+    MAX_CANVAS_AREA
+} from '../sentence-export.js';
+import { SENTENCE_LAYOUT_CONFIG } from '../sentence-layout.js';
+
+function letter(char, overrides = {}) {
+    return {
+        char: char,
+        color: null,
+        glyph: null,
+        isSpace: char === ' ',
+        isPunctuation: /[.,']/.test(char),
+        order: null,
+        ...overrides
+    };
+}
+
+describe('fitSentenceInFrame', () => {
+    const frame = { width: 400, height: 200, margin: 20, maxFontSize: 100 };
+    const measure = (char, fontSize) => fontSize * (char === 'm' ? 0.9 : 0.5);
+
+    it('sets letters by their own advance widths, as the sentence area does', () => {
+        const letters = Array.from('mi', char => letter(char));
+        const { positions, fontSize } = fitSentenceInFrame(letters, frame, measure);
+
+        const gap = positions[1].x - positions[0].x;
+        expect(fontSize).toBe(100);
+        expect(gap).toBeCloseTo(fontSize * (0.45 + SENTENCE_LAYOUT_CONFIG.tracking + 0.25));
+        const left = positions[0].x - fontSize * 0.45;
+        const right = positions[1].x + fontSize * 0.25;
+        expect((left + right) / 2).toBeCloseTo(frame.width / 2); // Centred
+    });
+
+    it('shrinks long sentences to fit the frame', () => {
+        const letters = Array.from('Je m\'ouvrais pour la première fois à la tendre indifférence du monde.', char => letter(char));
+        const { positions, fontSize } = fitSentenceInFrame(letters, frame, measure);
+
+        expect(fontSize).toBeLessThan(100);
+        positions.forEach(({ x, y }, i) => {
+            expect(y).toBeGreaterThan(frame.margin);
+            expect(y).toBeLessThan(frame.height - frame.margin);
+            if (letters[i].isSpace) return; // A space a line breaks at hangs off its end
+            expect(x).toBeGreaterThan(frame.margin);
+            expect(x).toBeLessThan(frame.width - frame.margin);
+        });
+    });
+
+    it('keeps short sentences at the largest size', () => {
+        expect(fitSentenceInFrame([letter('a')], frame, measure).fontSize).toBe(100);
+    });
+});
+
+describe('createLetterMeasure', () => {
+    it('takes a glyph\'s advance from its metrics', () => {
+        const glyph = { width: 80, height: 120, metrics: { advanceWidth: 600, unitsPerEm: 1000 } };
+        const measure = createLetterMeasure([letter('a', { glyph: glyph })]);
+        expect(measure('a', 50, 0)).toBe(30);
+    });
+});
+
+describe('getFallSchedule', () => {
+    it('drops letters in the order they were placed', () => {
+        const letters = [letter('a', { order: 2 }), letter(' '), letter('b', { order: 1 }), letter('.')];
+        const { starts, duration } = getFallSchedule(letters);
+
+        expect(starts[2]).toBe(0);
+        expect(starts[0]).toBeGreaterThan(0);
+        expect(starts[1]).toBe(-Infinity);
+        expect(starts[3]).toBe(-Infinity);
+        expect(duration).toBeGreaterThan(starts[0]);
+    });
+
+    it('fits long sentences into the same few seconds', () => {
+        const short = getFallSchedule(Array.from('abc', (char, i) => letter(char, { order: i })));
+        const long = getFallSchedule(Array.from({ length: 200 }, (_, i) => letter('x', { order: i })));
+        expect(long.duration - short.duration).toBeLessThan(4);
+    });
+});
+
+describe('toHexColor', () => {
+    it('converts hsl() colours, fractional ones included', () => {
+        expect(toHexColor('hsl(0, 100%, 50%)')).toBe('#ff0000');
+        expect(toHexColor('hsl(120, 100%, 25%)')).toBe('#008000');
+        expect(toHexColor('hsl(235.6, 85.2%, 52.9%)')).toBe('#2130ed');
+        expect(toHexColor('hsl(0, 0%, 100%)')).toBe('#ffffff');
+        expect(toHexColor(null)).toBe('#ffffff');
+    });
+});
+
+describe('EXPORT_CONFIG', () => {
+    it('keeps every export canvas small enough for iOS', () => {
+        [EXPORT_CONFIG.poster, EXPORT_CONFIG.video, EXPORT_CONFIG.gif].forEach(frame => {
+            expect(frame.width * frame.height).toBeLessThanOrEqual(MAX_CANVAS_AREA);
+        });
+    });
+
+    it('keeps the poster in A3 proportions', () => {
+        expect(EXPORT_CONFIG.poster.height / EXPORT_CONFIG.poster.width).toBeCloseTo(420 / 297, 2);
+    });
+});
+
+describe('exportSvg', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('sets serif letters as text in their colours', async () => {
+        // Text is measured on a canvas; 0.5em a character stands in for the fonts
+        vi.stubGlobal('document', {
+            createElement: () => ({
+                getContext: () => ({
+                    font: '',
+                    measureText(text) {
+                        return { width: parseFloat(this.font.split(' ')[1]) * 0.5 * text.length };
+                    }
+                })
+            })
+        });
+
+        const letters = [
+            letter('a', { order: 1, color: 'hsl(240, 100%, 50%)' }),
+            letter(' '),
+            letter('<', { order: 2 }),
+            letter('.')
+        ];
+        const svg = await exportSvg(letters);
+
+        expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="3274" height="4630"/);
+        expect(svg).toMatch(/<text [^>]*fill="#0000ff">a<\/text>/);
+        expect(svg).toContain('>&#60;</text>');
+        expect(svg).toMatch(/fill-opacity="0.5">\.<\/text>/);
+        expect(svg.match(/<text /g)).toHaveLength(3);
+    });
+});
@@ -0,0 +1,86 @@
+// Sentence layout: advance widths, kerning, line breaks and fitting
+import { describe, it, expect } from 'vitest';
+import { SENTENCE_LAYOUT_CONFIG, getKerning, layoutSentence, fitSentence } from '../sentence-layout.js';
+
+// Narrow "i", wide "m", everything else half an em
+const measure = (char, fontSize) => ({ i: 0.25, m: 0.8 }[char] || 0.5) * fontSize;
+
+function layout(text, options = {}) {
+    return layoutSentence(Array.from(text), { measure, fontSize: 20, maxWidth: 1000, ...options });
+}
+
+describe('getKerning', () => {
+    it('tracks letters, tucks punctuation in and leaves word spaces alone', () => {
+        const { tracking, punctuationKerning, openingKerning } = SENTENCE_LAYOUT_CONFIG;
+
+        expect(getKerning('a', 'b')).toBe(tracking);
+        expect(getKerning('a', '.')).toBe(tracking + punctuationKerning);
+        expect(getKerning('«', 'a')).toBe(tracking + openingKerning);
+        expect(getKerning('a', ' ')).toBe(0);
+        expect(getKerning(' ', '«')).toBe(0);
+    });
+});
+
+describe('layoutSentence', () => {
+    it('gives each character its own advance width', () => {
+        const { slots } = layout('mim');
+        const gap = SENTENCE_LAYOUT_CONFIG.tracking * 20;
+
+        expect(slots.map(slot => slot.width)).toEqual([16, 5, 16]);
+        expect(slots[1].x - slots[0].x).toBeCloseTo(16 + gap);
+        expect(slots[2].x - slots[1].x).toBeCloseTo(5 + gap);
+    });
+
+    it('centres a line and sets word spaces and punctuation', () => {
+        const { slots, lineCount } = layout('ab, c');
+        const right = slots[4].x + slots[4].width;
+
+        expect(lineCount).toBe(1);
+        expect(slots[0].x).toBeCloseTo(1000 - right);
+        expect(slots[3].width).toBeCloseTo(SENTENCE_LAYOUT_CONFIG.wordSpace * 20);
+        expect(slots[2].x - (slots[1].x + slots[1].width)).toBeLessThan(slots[1].x - (slots[0].x + slots[0].width));
+    });
+
+    it('wraps at word boundaries, hanging the space off the line', () => {
+        const { slots, lineCount, height } = layout('aaaa bbbb cc', { maxWidth: 80 });
+
+        expect(lineCount).toBe(2);
+        expect(slots.slice(0, 5).every(slot => slot.line === 0)).toBe(true); // "aaaa bbbb" is too long for one line
+        expect(slots[4].x).toBeGreaterThan(slots[3].x);
+        expect(slots.slice(5).every(slot => slot.line === 1)).toBe(true);
+        expect(slots[5].y - slots[0].y).toBeCloseTo(20 * SENTENCE_LAYOUT_CONFIG.lineHeight);
+        expect(height).toBeCloseTo(2 * 20 * SENTENCE_LAYOUT_CONFIG.lineHeight);
+        slots.filter(slot => slot.line === 1).forEach(slot => expect(slot.x + slot.width).toBeLessThanOrEqual(80));
+    });
+
+    it('breaks words longer than a line', () => {
+        const { slots, lineCount } = layout('aaaaaaaaaa', { maxWidth: 45 });
+
+        expect(lineCount).toBe(3);
+        expect(slots.every(Boolean)).toBe(true);
+    });
+
+    it('lays out an empty sentence', () => {
+        expect(layout('')).toMatchObject({ slots: [], lineCount: 0, height: 0 });
+    });
+});
+
+describe('fitSentence', () => {
+    const text = Array.from('Je m\'ouvrais pour la première fois à la tendre indifférence du monde.');
+
+    it('keeps the size while the lines fit', () => {
+        const result = fitSentence(text, { measure, maxFontSize: 28, maxWidth: 400, maxHeight: 400 });
+
+        expect(result.fontSize).toBe(28);
+        expect(result.lineCount).toBeGreaterThan(1);
+    });
+
+    it('shrinks long sentences to fit the height', () => {
+        const result = fitSentence(text, { measure, maxFontSize: 28, maxWidth: 200, maxHeight: 80 });
+
+        expect(result.fontSize).toBeLessThan(28);
+        expect(result.height).toBeLessThanOrEqual(80);
+        const inked = result.slots.filter((slot, i) => text[i] !== ' '); // Spaces may hang off a line
+        expect(inked.every(slot => slot.x >= 0 && slot.x + slot.width <= 200 + 1e-9)).toBe(true);
+    });
+});
@@ -0,0 +1,168 @@
+// Session recording: seeded randomness, recording, reading and replaying sessions
+import { describe, it, expect } from 'vitest';
+import { createRandom, randomSeed } from '../seeded-random.js';
+import {
+    createSessionRecorder,
+    createSessionPlayer,
+    parseSession,
+    getSessionGlyphIds,
+    SESSION_VERSION
+} from '../session-recorder.js';
+import { createPhysicsEngine, PHYSICS_STEP } from '../physics.js';
+
+const VIEWPORT = { width: 800, height: 600 };
+
+function sequence(random, length = 5) {
+    return Array.from({ length }, () => random());
+}
+
+describe('createRandom', () => {
+    it('gives the same sequence for the same seed', () => {
+        expect(sequence(createRandom(42))).toEqual(sequence(createRandom(42)));
+        expect(sequence(createRandom(42))).not.toEqual(sequence(createRandom(43)));
+    });
+
+    it('stays within [0, 1)', () => {
+        const random = createRandom(randomSeed());
+        sequence(random, 1000).forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+});
+
+describe('session recorder', () => {
+    it('records events with their step and time', () => {
+        let time = 1000;
+        const recorder = createSessionRecorder({ seed: 7, textId: 'malheur', viewport: VIEWPORT, now: () => time });
+
+        recorder.record(0, 'mousedown', { x: 10, y: 20, button: 0 });
+        time = 1250;
+        recorder.record(15, 'mouseup', { x: 30, y: 40, button: 0 });
+
+        expect(recorder.getSession()).toMatchObject({
+            version: SESSION_VERSION,
+            seed: 7,
+            textId: 'malheur',
+            viewport: VIEWPORT,
+            events: [
+                { step: 0, t: 0, type: 'mousedown', x: 10, y: 20, button: 0 },
+                { step: 15, t: 250, type: 'mouseup', x: 30, y: 40, button: 0 }
+            ]
+        });
+    });
+
+    it('reads back what it recorded', () => {
+        const recorder = createSessionRecorder({ seed: 7, textId: 'malheur', viewport: VIEWPORT });
+        recorder.record(3, 'touchstart', { x: 1, y: 2, button: 0 });
+        recorder.record(3, 'resize', { width: 400, height: 300 });
+
+        expect(parseSession(JSON.stringify(recorder.getSession()))).toEqual(recorder.getSession());
+    });
+
+    it('rejects files that are not sessions', () => {
+        const valid = { version: SESSION_VERSION, seed: 1, textId: 'malheur', viewport: VIEWPORT, events: [] };
+
+        expect(() => parseSession('not json')).toThrow('Not a recorded session');
+        expect(() => parseSession(JSON.stringify({ ...valid, version: 99 }))).toThrow('Not a recorded session');
+        expect(() => parseSession(JSON.stringify({ ...valid, seed: 'x' }))).toThrow('incomplete');
+        expect(() => parseSession(JSON.stringify({
+            ...valid,
+            events: [{ step: 1, type: 'wheel' }]
+        }))).toThrow('invalid event');
+        expect(() => parseSession(JSON.stringify({
+            ...valid,
+            events: [{ step: 5, type: 'click' }, { step: 2, type: 'click' }]
+        }))).toThrow('invalid event');
+    });
+
+    it('rejects collision shapes letters could not collide by', () => {
+        const withShapes = shapes => JSON.stringify({
+            version: SESSION_VERSION, seed: 1, textId: 'malheur', viewport: VIEWPORT,
+            events: [{ step: 0, type: 'shapes', shapes: shapes }]
+        });
+
+        expect(parseSession(withShapes({ a: [{ x: 0, y: -0.2, r: 0.3 }] })).events).toHaveLength(1);
+        expect(() => parseSession(withShapes({ a: [{ x: 0, y: 0, r: 0 }] }))).toThrow('invalid event');
+        expect(() => parseSession(withShapes({ a: [{ x: 0, y: null, r: 0.3 }] }))).toThrow('invalid event');
+        expect(() => parseSession(withShapes({ a: [] }))).toThrow('invalid event');
+        expect(() => parseSession(withShapes(null))).toThrow('invalid event');
+    });
+
+    it('hands out events as the simulation reaches their step', () => {
+        const player = createSessionPlayer({
+            events: [{ step: 0, type: 'mousedown' }, { step: 2, type: 'mousemove' }, { step: 2, type: 'mouseup' }]
+        });
+
+        expect(player.takeEvents(0).map(event => event.type)).toEqual(['mousedown']);
+        expect(player.takeEvents(1)).toEqual([]);
+        expect(player.takeEvents(2).map(event => event.type)).toEqual(['mousemove', 'mouseup']);
+        expect(player.isFinished()).toBe(true);
+    });
+
+    it('lists the glyphs a session showed, for the replay to load', () => {
+        const recorder = createSessionRecorder({ seed: 7, textId: 'malheur', viewport: VIEWPORT });
+        recorder.record(0, 'glyphs', { glyphs: { a: 'glyph-a1', b: null } });
+        recorder.record(40, 'glyphs', { glyphs: { a: 'glyph-a2', b: 'glyph-b' } });
+        recorder.record(90, 'glyphs', { glyphs: { a: 'glyph-a2' } });
+
+        const session = parseSession(JSON.stringify(recorder.getSession()));
+        expect(getSessionGlyphIds(session)).toEqual(['glyph-a1', 'glyph-a2', 'glyph-b']);
+    });
+});
+
+describe('replay', () => {
+    /**
+     * Run a visit: seeded letters, dragged by input applied through beforeStep.
+     * Live runs take input between frames; replays take it from the player.
+     */
+    function visit(seed, frameTimes, { input = [], player = null }) {
+        const random = createRandom(seed);
+        const recorder = createSessionRecorder({ seed, textId: 'malheur', viewport: VIEWPORT });
+        const particles = Array.from({ length: 12 }, () => ({
+            x: random() * VIEWPORT.width, y: random() * VIEWPORT.height,
+            vx: (random() - 0.5) * 4, vy: (random() - 0.5) * 4,
+            size: 60, rotation: 0, rotationSpeed: (random() - 0.5) * 0.02,
+            isFloating: true, isDragging: false, isTransitioning: false
+        }));
+
+        const apply = event => {
+            const particle = particles[0];
+            particle.isDragging = event.type === 'mousemove';
+            particle.isFloating = !particle.isDragging;
+            Object.assign(particle, { dragTargetX: event.x, dragTargetY: event.y, dragVx: 0, dragVy: 0, startSize: 60 });
+        };
+        const engine = createPhysicsEngine({
+            getBounds: () => VIEWPORT,
+            random: random,
+            beforeStep: step => player && player.takeEvents(step).forEach(apply)
+        });
+
+        frameTimes.forEach((elapsed, frame) => {
+            input.filter(event => event.frame === frame).forEach(event => {
+                recorder.record(engine.stepCount, event.type, { x: event.x, y: event.y, button: 0 });
+                apply(event);
+            });
+            engine.advance(elapsed, particles);
+        });
+
+        return { particles, steps: engine.stepCount, session: recorder.getSession() };
+    }
+
+    it('reproduces a session at a different frame rate', () => {
+        const input = [
+            { frame: 20, type: 'mousemove', x: 100, y: 100 },
+            { frame: 45, type: 'mousemove', x: 600, y: 200 },
+            { frame: 70, type: 'mouseup', x: 600, y: 200 }
+        ];
+        // Uneven frames, as on a busy machine
+        const liveFrames = Array.from({ length: 200 }, (_, i) => (i % 3 === 0 ? 1 / 24 : 1 / 90));
+        const live = visit(1234, liveFrames, { input });
+
+        const session = parseSession(JSON.stringify(live.session));
+        const replay = visit(session.seed, Array(live.steps).fill(PHYSICS_STEP), { player: createSessionPlayer(session) });
+
+        expect(replay.steps).toBe(live.steps);
+        expect(replay.particles).toEqual(live.particles);
+    });
+});
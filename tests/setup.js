@@ -0,0 +1,4 @@
+// Shared test setup: browser globals the app modules expect
+import { installLocalStorage } from './helpers/local-storage.js';
+
+installLocalStorage();
@@ -0,0 +1,134 @@
+// Share links: encoding compositions into URLs and reading them back
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    encodeComposition,
+    decodeComposition,
+    getShareUrl,
+    readShareUrl,
+    getCompositionLetters,
+    SHARE_PAGE
+} from '../share-link.js';
+import { getTextById, isLetter } from '../texts.js';
+import { setStorageAdapter, GLYPH_STATUS } from '../storage-adapter.js';
+import { createMemoryAdapter } from '../storage-memory.js';
+import { saveLettering, setGlyphStatus, loadSharedGlyph, isShareableGlyph } from '../firebase-storage.js';
+
+const TEXT = getTextById('malheur');
+const LETTER_COUNT = Array.from(TEXT.content).filter((_, i) => isLetter(TEXT.content[i])).length;
+
+/**
+ * A finished sentence: letters placed back to front, every third one in serif
+ */
+function makeComposition() {
+    return {
+        textId: TEXT.id,
+        letters: Array.from({ length: LETTER_COUNT }, (_, i) => ({
+            glyphId: i % 3 === 0 ? null : `glyph_${i % 5}`,
+            order: LETTER_COUNT - i,
+            color: i % 4 === 0 ? null : `hsl(${(i * 37.25) % 360}, ${75 + (i % 20)}%, ${50 + (i % 15)}%)`
+        }))
+    };
+}
+
+describe('share links', () => {
+    it('round-trip a composition', () => {
+        const composition = makeComposition();
+        const decoded = decodeComposition(encodeComposition(composition));
+
+        expect(decoded.textId).toBe(TEXT.id);
+        expect(decoded.letters.map(letter => [letter.glyphId, letter.order]))
+            .toEqual(composition.letters.map(letter => [letter.glyphId, letter.order]));
+        expect(decoded.letters.map(letter => letter.color)).toEqual(composition.letters.map(letter => letter.color));
+    });
+
+    it('keep colours to a hundredth of a degree and half a percent', () => {
+        const composition = makeComposition();
+        composition.letters[1].color = 'hsl(235.61234, 85.3%, 52.74%)';
+
+        expect(decodeComposition(encodeComposition(composition)).letters[1].color).toBe('hsl(235.61, 85.5%, 52.5%)');
+    });
+
+    it('stay short enough to paste anywhere', () => {
+        const composition = makeComposition();
+        composition.letters.forEach((letter, i) => {
+            letter.glyphId = `abcdefghij0123456789${i % 20}`; // Firestore-length IDs
+        });
+        expect(getShareUrl(composition, 'https://example.com/interaction.html').length).toBeLessThan(2000);
+    });
+
+    it('link to the share page', () => {
+        const url = getShareUrl(makeComposition(), 'https://example.com/app/interaction.html?text=malheur');
+
+        expect(url.startsWith(`https://example.com/app/${SHARE_PAGE}?c=`)).toBe(true);
+        expect(readShareUrl(new URL(url).search).textId).toBe(TEXT.id);
+    });
+
+    it('reject missing, damaged and mismatched links', () => {
+        const code = encodeComposition(makeComposition());
+        const bytes = Uint8Array.from(atob(code.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+
+        expect(() => readShareUrl('?text=malheur')).toThrow('no sentence');
+        expect(() => decodeComposition(code.slice(0, code.length - 12))).toThrow('cut short');
+        expect(() => decodeComposition('!!!')).toThrow('Not a share link');
+
+        bytes[0] = 9;
+        expect(() => decodeComposition(btoa(String.fromCharCode(...bytes)))).toThrow('version 9');
+
+        const otherText = makeComposition();
+        otherText.textId = 'aujourdhui';
+        expect(() => decodeComposition(encodeComposition(otherText))).toThrow();
+
+        const repeated = makeComposition();
+        repeated.letters[1].order = repeated.letters[0].order;
+        expect(() => decodeComposition(encodeComposition(repeated))).toThrow('damaged');
+    });
+
+    it('lay the composition over its text', () => {
+        const glyph = { width: 10, height: 10 };
+        const letters = getCompositionLetters(decodeComposition(encodeComposition(makeComposition())), { glyph_1: glyph });
+
+        expect(letters.map(letter => letter.char).join('')).toBe(TEXT.content);
+        expect(letters.filter(letter => letter.isSpace || letter.isPunctuation).every(letter => letter.order === null)).toBe(true);
+
+        const placed = letters.filter(letter => letter.order !== null);
+        expect(placed).toHaveLength(LETTER_COUNT);
+        expect(placed[1].glyph).toBe(glyph); // glyph_1
+        expect(placed[2].glyph).toBeNull(); // glyph_2 didn't load: serif
+    });
+});
+
+describe('loadSharedGlyph', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        setStorageAdapter(createMemoryAdapter());
+    });
+
+    it('loads approved glyphs and the viewer\'s own, but not others\' pending or hidden ones', async () => {
+        const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+        localStorage.setItem('absurde_user_id', 'user_alice');
+        const own = await saveLettering('a', IMAGE);
+        const hidden = await saveLettering('b', IMAGE);
+        await setGlyphStatus([hidden], GLYPH_STATUS.HIDDEN);
+
+        localStorage.setItem('absurde_user_id', 'user_bob');
+        const othersPending = await saveLettering('c', IMAGE);
+        const approved = await saveLettering('d', IMAGE);
+        await setGlyphStatus([approved], GLYPH_STATUS.APPROVED);
+
+        localStorage.setItem('absurde_user_id', 'user_alice');
+        expect(await loadSharedGlyph(own)).toMatchObject({ char: 'a', status: GLYPH_STATUS.PENDING });
+        expect(await loadSharedGlyph(approved)).toMatchObject({ char: 'd', status: GLYPH_STATUS.APPROVED });
+        expect(await loadSharedGlyph(othersPending)).toBeNull();
+        expect(await loadSharedGlyph(hidden)).toBeNull();
+        expect(await loadSharedGlyph('missing')).toBeNull();
+    });
+
+    it('treats a cached glyph like a loaded one', () => {
+        expect(isShareableGlyph({ status: GLYPH_STATUS.APPROVED, sourceUserId: 'user_bob' }, 'user_alice')).toBe(true);
+        expect(isShareableGlyph({ status: GLYPH_STATUS.PENDING, sourceUserId: 'user_alice' }, 'user_alice')).toBe(true);
+        expect(isShareableGlyph({ status: GLYPH_STATUS.PENDING, sourceUserId: 'user_bob' }, 'user_alice')).toBe(false);
+        expect(isShareableGlyph({ status: GLYPH_STATUS.HIDDEN, sourceUserId: 'user_alice' }, 'user_alice')).toBe(false);
+        // Entries cached before statuses were kept
+        expect(isShareableGlyph({ status: null, sourceUserId: null }, 'user_alice')).toBe(false);
+    });
+});
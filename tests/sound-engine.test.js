@@ -0,0 +1,198 @@
+// Sound engine: settings, the sound design curves, and the engine against a stand-in AudioContext
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    DEFAULT_SOUND_SETTINGS,
+    SOUND_CONFIG,
+    mergeSoundSettings,
+    parseSoundPreset,
+    loadSoundSettings,
+    saveSoundSettings,
+    shouldPlayTones,
+    letterFrequency,
+    impactGain,
+    getDroneParameters,
+    createSoundEngine
+} from '../sound-engine.js';
+
+/**
+ * Just enough of AudioContext to count what the engine builds and starts
+ */
+class FakeAudioContext {
+    constructor() {
+        this.state = 'suspended';
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.destination = {};
+        this.started = [];
+        this.stopped = [];
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    createParam(value = 0) {
+        return {
+            value: value,
+            setValueAtTime(next) { this.value = next; },
+            linearRampToValueAtTime(next) { this.value = next; },
+            exponentialRampToValueAtTime(next) { this.value = next; },
+            setTargetAtTime(next) { this.value = next; }
+        };
+    }
+
+    createNode(fields) {
+        return { connect: target => target, ...fields };
+    }
+
+    createGain() {
+        return this.createNode({ gain: this.createParam(1) });
+    }
+
+    createBiquadFilter() {
+        return this.createNode({ type: 'lowpass', frequency: this.createParam(), Q: this.createParam() });
+    }
+
+    createOscillator() {
+        const oscillator = this.createNode({ type: 'sine', frequency: this.createParam(), detune: this.createParam() });
+        oscillator.start = () => this.started.push(oscillator);
+        oscillator.stop = () => this.stopped.push(oscillator);
+        return oscillator;
+    }
+
+    createBufferSource() {
+        const source = this.createNode({ buffer: null });
+        source.start = () => this.started.push(source);
+        return source;
+    }
+
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+}
+
+function createEngine(options = {}) {
+    let context = null;
+    class Context extends FakeAudioContext {
+        constructor() {
+            super();
+            context = this;
+        }
+    }
+    const engine = createSoundEngine({ AudioContextClass: Context, ...options });
+    return { engine, getContext: () => context };
+}
+
+describe('sound settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('play tones instead of missing speech, or as chosen', () => {
+        expect(shouldPlayTones(DEFAULT_SOUND_SETTINGS, true)).toBe(false);
+        expect(shouldPlayTones(DEFAULT_SOUND_SETTINGS, false)).toBe(true);
+        expect(shouldPlayTones({ ...DEFAULT_SOUND_SETTINGS, tones: 'on' }, true)).toBe(true);
+        expect(shouldPlayTones({ ...DEFAULT_SOUND_SETTINGS, tones: 'off' }, false)).toBe(false);
+    });
+
+    it('read URL presets, ignoring invalid values', () => {
+        expect(parseSoundPreset('?speech=off')).toBeNull();
+        expect(mergeSoundSettings(DEFAULT_SOUND_SETTINGS, parseSoundPreset('?tones=on&volume=3&mute')))
+            .toEqual({ tones: 'on', volume: 1, muted: true });
+        expect(mergeSoundSettings(DEFAULT_SOUND_SETTINGS, parseSoundPreset('?tones=loud&volume=quiet')))
+            .toEqual(DEFAULT_SOUND_SETTINGS);
+    });
+
+    it('persist, with the URL preset applied on top for the visit only', () => {
+        saveSoundSettings({ tones: 'on', volume: 0.4, muted: false });
+
+        expect(loadSoundSettings({ search: '' })).toEqual({ tones: 'on', volume: 0.4, muted: false });
+        expect(loadSoundSettings({ search: '?mute' }).muted).toBe(true);
+        expect(loadSoundSettings({ search: '' }).muted).toBe(false);
+    });
+});
+
+describe('sound design', () => {
+    it('gives letters notes of the scale, ignoring case and accents', () => {
+        expect(letterFrequency('a')).toBeCloseTo(SOUND_CONFIG.baseFrequency);
+        expect(letterFrequency('É')).toBeCloseTo(letterFrequency('e'));
+        expect(letterFrequency('b')).toBeGreaterThan(letterFrequency('a'));
+        expect(letterFrequency('k')).toBeCloseTo(letterFrequency('a')); // The scale wraps around
+        expect(letterFrequency('z')).toBeLessThanOrEqual(SOUND_CONFIG.baseFrequency * 4);
+    });
+
+    it('scales impacts with speed, from silent to full', () => {
+        expect(impactGain(0)).toBe(0);
+        expect(impactGain(SOUND_CONFIG.impactThreshold)).toBe(0);
+        expect(impactGain(2)).toBeGreaterThan(0);
+        expect(impactGain(4)).toBeGreaterThan(impactGain(2));
+        expect(impactGain(SOUND_CONFIG.impactFullSpeed * 2)).toBe(1);
+        expect(impactGain(NaN)).toBe(0);
+    });
+
+    it('settles the drone as the sentence fills up', () => {
+        const start = getDroneParameters(0);
+        const end = getDroneParameters(1);
+
+        expect(start.detune).toBeGreaterThan(end.detune);
+        expect(end.detune).toBe(0);
+        expect(end.cutoff).toBeGreaterThan(start.cutoff);
+        expect(end.fifth).toBe(1);
+        expect(getDroneParameters(2)).toEqual(end);
+    });
+});
+
+describe('sound engine', () => {
+    it('stays silent until resumed from a gesture', async () => {
+        const { engine, getContext } = createEngine();
+
+        engine.playLetter('a');
+        engine.startDrone();
+        expect(getContext()).toBeNull();
+
+        await engine.resume();
+        engine.playLetter('a');
+        expect(engine.running).toBe(true);
+        expect(getContext().started).toHaveLength(1 + SOUND_CONFIG.grainCount);
+    });
+
+    it('drops impacts too soft to hear or too close together', async () => {
+        const { engine, getContext } = createEngine();
+        await engine.resume();
+        const context = getContext();
+
+        engine.playImpact(0.1);
+        engine.playImpact(5);
+        engine.playImpact(5);
+        expect(context.started).toHaveLength(1);
+
+        context.currentTime = SOUND_CONFIG.impactGap;
+        engine.playImpact(5);
+        expect(context.started).toHaveLength(2);
+    });
+
+    it('applies volume and mute to everything', async () => {
+        const { engine } = createEngine({ volume: 0.5 });
+        expect(engine.level).toBe(0.5);
+
+        engine.setMuted(true);
+        expect(engine.level).toBe(0);
+        engine.setVolume(2);
+        engine.setMuted(false);
+        expect(engine.level).toBe(1);
+    });
+
+    it('starts the drone once and fades it out', async () => {
+        const { engine, getContext } = createEngine();
+        await engine.resume();
+
+        engine.startDrone();
+        engine.startDrone();
+        expect(getContext().started).toHaveLength(3);
+
+        engine.setProgress(1);
+        engine.stopDrone();
+        expect(getContext().stopped).toHaveLength(3);
+    });
+});
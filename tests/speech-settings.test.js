@@ -0,0 +1,121 @@
+// Speech settings: URL presets, saved settings and voice selection
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    DEFAULT_SPEECH_SETTINGS,
+    VOICE_RANDOM,
+    VOICE_AUTO,
+    parseRange,
+    parseSpeechPreset,
+    mergeSpeechSettings,
+    loadSpeechSettings,
+    saveSpeechSettings,
+    getVoicesForLanguage,
+    selectVoice,
+    getUtteranceOptions
+} from '../speech-settings.js';
+import { createRandom } from '../seeded-random.js';
+
+const VOICES = [
+    { name: 'Anna', lang: 'de-DE' },
+    { name: 'Markus', lang: 'de-DE' },
+    { name: 'Petra', lang: 'de_AT' },
+    { name: 'Amélie', lang: 'fr-CA' },
+    { name: 'Thomas', lang: 'fr-FR' },
+    { name: 'Samantha', lang: 'en-US' }
+];
+
+describe('speech settings', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('read ranges as pairs, "min-max" strings or single values, clamped to the API', () => {
+        expect(parseRange('0.5-1.5', [0, 2])).toEqual([0.5, 1.5]);
+        expect(parseRange('0.9', [0.1, 10])).toEqual([0.9, 0.9]);
+        expect(parseRange([3, 0.2], [0, 2])).toEqual([0.2, 2]);
+        expect(parseRange('fast', [0.1, 10])).toBeNull();
+        expect(parseRange([NaN, 1], [0, 2])).toBeNull();
+    });
+
+    it('read URL presets', () => {
+        expect(parseSpeechPreset('?text=malheur')).toBeNull();
+        expect(parseSpeechPreset('?speech=off').enabled).toBe(false);
+
+        const preset = parseSpeechPreset('?speechLang=fr-FR&letterPitch=0.2-0.4&sentenceVoice=Thomas');
+        const settings = mergeSpeechSettings(DEFAULT_SPEECH_SETTINGS, preset);
+        expect(settings.enabled).toBe(true);
+        expect(settings.letters).toMatchObject({ lang: 'fr-FR', voice: VOICE_RANDOM, pitch: [0.2, 0.4] });
+        expect(settings.sentence).toMatchObject({ lang: 'fr-FR', voice: 'Thomas', rate: [0.9, 0.9] });
+    });
+
+    it('ignore invalid values and keep the rest', () => {
+        const settings = mergeSpeechSettings(DEFAULT_SPEECH_SETTINGS, {
+            enabled: 'no',
+            letters: { lang: 'not a language', rate: 'quick', pitch: [1, 1.2] }
+        });
+
+        expect(settings.enabled).toBe(true);
+        expect(settings.letters.lang).toBe('de-DE');
+        expect(settings.letters.rate).toEqual(DEFAULT_SPEECH_SETTINGS.letters.rate);
+        expect(settings.letters.pitch).toEqual([1, 1.2]);
+        expect(DEFAULT_SPEECH_SETTINGS.letters.pitch).toEqual([0.6, 1.6]);
+    });
+
+    it('persist, with the URL preset applied on top for the visit only', () => {
+        const changed = mergeSpeechSettings(DEFAULT_SPEECH_SETTINGS, { letters: { lang: 'fr-FR' } });
+        saveSpeechSettings(changed);
+
+        expect(loadSpeechSettings({ search: '' })).toEqual({ settings: changed, fromPreset: false });
+
+        const visit = loadSpeechSettings({ search: '?speech=off' });
+        expect(visit.fromPreset).toBe(true);
+        expect(visit.settings.enabled).toBe(false);
+        expect(visit.settings.letters.lang).toBe('fr-FR');
+        expect(loadSpeechSettings({ search: '' }).settings.enabled).toBe(true);
+    });
+
+    it('fall back to the defaults when the saved settings are unreadable', () => {
+        localStorage.setItem('absurde_speech_settings', '{broken');
+        expect(loadSpeechSettings({ search: '' }).settings).toEqual(DEFAULT_SPEECH_SETTINGS);
+    });
+});
+
+describe('voice selection', () => {
+    it('prefers the exact region, then any region of the language', () => {
+        expect(getVoicesForLanguage(VOICES, 'de-DE').map(voice => voice.name)).toEqual(['Anna', 'Markus']);
+        expect(getVoicesForLanguage(VOICES, 'de-AT').map(voice => voice.name)).toEqual(['Petra']);
+        expect(getVoicesForLanguage(VOICES, 'fr-BE').map(voice => voice.name)).toEqual(['Amélie', 'Thomas']);
+        expect(getVoicesForLanguage(VOICES, 'ja-JP')).toEqual([]);
+    });
+
+    it('picks automatic voices by name hint, named voices whatever their language', () => {
+        const random = createRandom(1);
+        expect(selectVoice(VOICES, { lang: 'de-DE', voice: VOICE_AUTO }, random).name).toBe('Markus');
+        expect(selectVoice(VOICES, { lang: 'fr-FR', voice: VOICE_AUTO }, random).name).toBe('Thomas');
+        expect(selectVoice(VOICES, { lang: 'de-DE', voice: 'Samantha' }, random).name).toBe('Samantha');
+        // A voice that isn't installed falls back to the language
+        expect(selectVoice(VOICES, { lang: 'de-DE', voice: 'Hans' }, random).name).toBe('Markus');
+        expect(selectVoice(VOICES, { lang: 'ja-JP', voice: VOICE_AUTO }, random)).toBeNull();
+    });
+
+    it('draws random voices and values from the given source', () => {
+        const draw = seed => Array.from({ length: 20 }, (_, i) => {
+            const random = createRandom(seed + i);
+            return getUtteranceOptions(DEFAULT_SPEECH_SETTINGS.letters, VOICES, random);
+        });
+        const options = draw(7);
+
+        expect(draw(7)).toEqual(options);
+        expect(new Set(options.map(option => option.voice.name))).toEqual(new Set(['Anna', 'Markus']));
+        options.forEach(option => {
+            expect(option.lang).toBe('de-DE');
+            expect(option.pitch).toBeGreaterThanOrEqual(0.6);
+            expect(option.pitch).toBeLessThanOrEqual(1.6);
+            expect(option.rate).toBeGreaterThanOrEqual(0.7);
+            expect(option.rate).toBeLessThanOrEqual(1.5);
+        });
+
+        const sentence = getUtteranceOptions(DEFAULT_SPEECH_SETTINGS.sentence, VOICES, () => 0.99);
+        expect(sentence).toEqual({ lang: 'de-DE', pitch: 0.8, rate: 0.9, volume: 1, voice: VOICES[1] });
+    });
+});
@@ -0,0 +1,100 @@
+// Sprite cache: size buckets, colour rounding and least recently used eviction
+import { describe, it, expect } from 'vitest';
+import {
+    SPRITE_CONFIG,
+    getSizeBucket,
+    quantizeHslColor,
+    quantizeGlow,
+    createSpriteCache
+} from '../sprite-cache.js';
+
+function paintCounter() {
+    const looks = [];
+    const paint = look => {
+        looks.push(look);
+        return { look: look };
+    };
+    return { paint, looks };
+}
+
+describe('sprite keys', () => {
+    it('put sizes in buckets at or just above them', () => {
+        [10, 24, 47.5, 80, 120].forEach(size => {
+            const bucket = getSizeBucket(size);
+            expect(bucket).toBeGreaterThanOrEqual(size - 0.01);
+            expect(bucket).toBeLessThanOrEqual(size * SPRITE_CONFIG.sizeStep + 0.01);
+        });
+        expect(getSizeBucket(30)).toBe(getSizeBucket(30.4));
+        expect(getSizeBucket(24)).toBeLessThan(getSizeBucket(80));
+    });
+
+    it('round hsl colours and glows, and refuse other colours', () => {
+        expect(quantizeHslColor('hsl(121, 69%, 59%)')).toBe('hsl(120, 68%, 60%)');
+        expect(quantizeHslColor('hsl(358.6, 70.2%, 60.1%)')).toBe('hsl(0, 72%, 60%)');
+        expect(quantizeHslColor('#ff0000')).toBeNull();
+        expect(quantizeHslColor(null)).toBeNull();
+
+        expect(quantizeGlow(0.1)).toBe(0);
+        expect(quantizeGlow(0.6)).toBe(0.5);
+        expect(quantizeGlow(2)).toBe(1);
+    });
+});
+
+describe('sprite cache', () => {
+    it('paints a look once and reuses it', () => {
+        const cache = createSpriteCache();
+        const glyph = {};
+        const { paint, looks } = paintCounter();
+
+        const first = cache.get(glyph, 30, 'hsl(200, 70%, 60%)', 0.5, paint);
+        const second = cache.get(glyph, 30.2, 'hsl(201, 70%, 61%)', 0.55, paint);
+
+        expect(second).toBe(first);
+        expect(looks).toEqual([{ size: getSizeBucket(30), color: 'hsl(200, 72%, 60%)', glow: 0.5 }]);
+        expect(cache.stats).toEqual({ hits: 1, misses: 1, entries: 1 });
+    });
+
+    it('keeps glyphs, colours and glows apart', () => {
+        const cache = createSpriteCache();
+        const { paint, looks } = paintCounter();
+        const glyph = {};
+
+        cache.get(glyph, 30, 'hsl(200, 70%, 60%)', null, paint);
+        cache.get(glyph, 30, 'hsl(200, 70%, 60%)', 0, paint);
+        cache.get(glyph, 30, 'hsl(40, 70%, 60%)', null, paint);
+        cache.get({}, 30, 'hsl(200, 70%, 60%)', null, paint);
+
+        expect(looks).toHaveLength(4);
+        expect(looks[0].glow).toBeNull();
+        expect(looks[1].glow).toBe(0);
+    });
+
+    it('skips colours it cannot tint with', () => {
+        const cache = createSpriteCache();
+        const { paint, looks } = paintCounter();
+
+        expect(cache.get({}, 30, 'red', null, paint)).toBeNull();
+        expect(looks).toHaveLength(0);
+    });
+
+    it('drops the least recently used sprite when full', () => {
+        const cache = createSpriteCache({ maxEntries: 2 });
+        const { paint, looks } = paintCounter();
+        const [a, b, c] = [{}, {}, {}];
+        const color = 'hsl(200, 70%, 60%)';
+
+        cache.get(a, 30, color, null, paint);
+        cache.get(b, 30, color, null, paint);
+        cache.get(a, 30, color, null, paint); // a is now the most recent
+        cache.get(c, 30, color, null, paint); // Drops b
+        expect(cache.stats.entries).toBe(2);
+
+        cache.get(a, 30, color, null, paint);
+        expect(looks).toHaveLength(3);
+        cache.get(b, 30, color, null, paint);
+        expect(looks).toHaveLength(4);
+
+        cache.clear();
+        expect(cache.stats.entries).toBe(0);
+    });
+});
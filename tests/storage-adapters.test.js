@@ -0,0 +1,180 @@
+// Storage adapters: the shared contract plus backend-specific behaviour
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { describeStorageContract } from './helpers/storage-contract.js';
+import { EMULATOR_HOST, clearFirestore, seedDocuments, signInAsNewUser } from './helpers/emulator.js';
+import { createStorageAdapter, getConfiguredBackend, GLYPH_STATUS } from '../storage-adapter.js';
+import { createMemoryAdapter } from '../storage-memory.js';
+import { createLocalStorageAdapter } from '../storage-localstorage.js';
+import { createIndexedDBAdapter } from '../storage-indexeddb.js';
+
+let dbCount = 0;
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describeStorageContract('memory', {
+    create: async () => createMemoryAdapter()
+});
+
+describeStorageContract('localStorage', {
+    create: async () => createLocalStorageAdapter()
+});
+
+describeStorageContract('IndexedDB', {
+    // A fresh database per test keeps them independent
+    create: async () => createIndexedDBAdapter({ dbName: `absurde-test-${++dbCount}` })
+});
+
+describe.skipIf(!EMULATOR_HOST)('Firestore (emulator)', () => {
+    describeStorageContract('Firestore', {
+        create: async () => {
+            await clearFirestore();
+            await signInAsNewUser();
+            return createStorageAdapter('firestore');
+        },
+        grantModerator: (adapter, userId) => seedDocuments({ [`moderators/${userId}`]: {} })
+    });
+});
+
+describe.skipIf(!EMULATOR_HOST)('Firestore random picks (emulator)', () => {
+    const IMAGE = 'data:image/png;base64,iVBORw0KGgo=';
+    const approvedGlyph = (fields = {}) => ({
+        char: 'a', imageData: IMAGE, sourceUserId: 'u', status: GLYPH_STATUS.APPROVED, createdAt: new Date(), ...fields
+    });
+
+    beforeEach(async () => {
+        await clearFirestore();
+    });
+
+    it('spreads picks across keyed glyphs, wrapping past the highest key', async () => {
+        await seedDocuments({
+            'globalGlyphs/low': approvedGlyph({ random: 0.1 }),
+            'globalGlyphs/high': approvedGlyph({ random: 0.6 }),
+            'globalGlyphs/hidden': approvedGlyph({ random: 0.3, status: GLYPH_STATUS.HIDDEN }),
+            'globalGlyphs/other': approvedGlyph({ char: 'b', random: 0.9 })
+        });
+        const adapter = await createStorageAdapter('firestore');
+
+        const picks = new Set();
+        for (let i = 0; i < 30; i++) {
+            picks.add((await adapter.pickRandomGlyph('a')).id);
+        }
+        expect([...picks].sort()).toEqual(['high', 'low']);
+    });
+
+    it('leaves glyphs approved before they had a sampling key to the backfill', async () => {
+        await seedDocuments({ 'globalGlyphs/old': approvedGlyph() });
+        const adapter = await createStorageAdapter('firestore');
+
+        expect(await adapter.pickRandomGlyph('a')).toBeNull();
+        expect(await adapter.pickRandomGlyph('b')).toBeNull();
+    });
+
+    it('backfills sampling keys for moderators, once', async () => {
+        await seedDocuments({
+            'globalGlyphs/old': approvedGlyph(),
+            'globalGlyphs/keyed': approvedGlyph({ random: 0.5 }),
+            'globalGlyphs/pending': approvedGlyph({ status: GLYPH_STATUS.PENDING })
+        });
+        const uid = await signInAsNewUser();
+        await seedDocuments({ [`moderators/${uid}`]: {} });
+        const adapter = await createStorageAdapter('firestore');
+
+        expect(await adapter.backfillSamplingKeys()).toBe(1);
+        expect((await adapter.getGlyph('old')).random).toBeLessThan(1);
+        expect((await adapter.getGlyph('keyed')).random).toBe(0.5);
+        expect((await adapter.getGlyph('pending')).random).toBeUndefined();
+        expect(await adapter.backfillSamplingKeys()).toBe(0);
+    });
+
+    it('gives new and re-approved glyphs a sampling key', async () => {
+        await seedDocuments({ 'globalGlyphs/old': approvedGlyph() });
+        const uid = await signInAsNewUser();
+        await seedDocuments({ [`moderators/${uid}`]: {} });
+        const adapter = await createStorageAdapter('firestore');
+
+        const glyphId = await adapter.addGlyph({ char: 'a', imageData: IMAGE, strokes: null, sourceUserId: uid });
+        expect((await adapter.getGlyph(glyphId)).random).toBeGreaterThanOrEqual(0);
+
+        await adapter.setGlyphStatus(['old'], GLYPH_STATUS.APPROVED);
+        expect((await adapter.getGlyph('old')).random).toBeLessThan(1);
+    });
+});
+
+describe('offline adapters', () => {
+    it('have no sampling keys to backfill', async () => {
+        expect(await createMemoryAdapter().backfillSamplingKeys()).toBe(0);
+    });
+
+    it('approve new glyphs immediately when configured to', async () => {
+        const adapter = createMemoryAdapter({ autoApprove: true });
+        const glyphId = await adapter.addGlyph({ char: 'a', imageData: 'data:image/png;base64,', strokes: null, sourceUserId: 'u' });
+
+        expect((await adapter.getGlyph(glyphId)).status).toBe(GLYPH_STATUS.APPROVED);
+        expect((await adapter.pickRandomGlyph('a')).id).toBe(glyphId);
+    });
+
+    it('persist IndexedDB records across adapter instances', async () => {
+        const dbName = `absurde-test-${++dbCount}`;
+        const glyphId = await createIndexedDBAdapter({ dbName }).addGlyph({
+            char: 'a', imageData: 'data:image/png;base64,', strokes: null, sourceUserId: 'u'
+        });
+
+        expect((await createIndexedDBAdapter({ dbName }).getGlyph(glyphId)).char).toBe('a');
+    });
+
+    it('read glyphs saved by the old localStorage fallback', async () => {
+        const strokes = { version: 2, format: 'xytpab', width: 600, height: 600, strokes: [] };
+        localStorage.setItem('absurde_user_id', 'user_1_abc');
+        localStorage.setItem('local_glyph_user_1_abc_é', 'data:image/png;base64,old');
+        localStorage.setItem('local_strokes_user_1_abc_é', JSON.stringify(strokes));
+
+        const adapter = createLocalStorageAdapter();
+        const userId = await adapter.signIn();
+        const charMap = await adapter.getCharMap(userId);
+        expect(charMap).toEqual({ 'é': 'local_glyph_user_1_abc_é' });
+
+        const glyph = await adapter.getGlyph(charMap['é']);
+        expect(glyph).toMatchObject({ char: 'é', imageData: 'data:image/png;base64,old', strokes, sourceUserId: 'user_1_abc' });
+
+        // A new save for the character replaces the old one
+        await adapter.setCharMapEntry(userId, 'é', 'glyph_new');
+        expect(await adapter.getCharMap(userId)).toEqual({ 'é': 'glyph_new' });
+    });
+
+    it('list and delete old localStorage fallback glyphs as the oldest version', async () => {
+        localStorage.setItem('absurde_user_id', 'user_1_abc');
+        localStorage.setItem('local_glyph_user_1_abc_a', 'data:image/png;base64,old');
+        localStorage.setItem('local_strokes_user_1_abc_a', '{}');
+
+        const adapter = createLocalStorageAdapter();
+        const userId = await adapter.signIn();
+        const newer = await adapter.addGlyph({ char: 'a', imageData: 'data:image/png;base64,', strokes: null, sourceUserId: userId });
+
+        const versions = await adapter.listUserGlyphs(userId, 'a');
+        expect(versions.map(glyph => glyph.id)).toEqual([newer, 'local_glyph_user_1_abc_a']);
+
+        await adapter.deleteGlyph('local_glyph_user_1_abc_a');
+        expect(localStorage.getItem('local_glyph_user_1_abc_a')).toBeNull();
+        expect(localStorage.getItem('local_strokes_user_1_abc_a')).toBeNull();
+        expect(await adapter.getCharMap(userId)).toEqual({});
+    });
+});
+
+describe('adapter selection', () => {
+    it('uses the configured backend by default', () => {
+        expect(getConfiguredBackend()).toBe('auto');
+    });
+
+    it('creates each offline backend by name', async () => {
+        for (const backend of ['memory', 'localstorage', 'indexeddb']) {
+            expect((await createStorageAdapter(backend)).name).toBe(backend);
+        }
+    });
+
+    it('rejects unknown backends', async () => {
+        await expect(createStorageAdapter('floppy')).rejects.toThrow('Unknown storage backend');
+    });
+});
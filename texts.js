@@ -0,0 +1,149 @@
+// Text Registry
+// Passages from L'Étranger shared by lettering and interaction modes.
+// Both modes read the selected text from here, so adding an entry below is
+// enough to make it drawable in lettering mode and playable in interaction mode.
+
+// ========================================
+// TEXT DEFINITIONS
+// ========================================
+const SOURCE = {
+    work: "L'Étranger",
+    author: 'Albert Camus',
+    year: 1942
+};
+
+export const TEXTS = [
+    {
+        id: 'aujourdhui',
+        title: "Aujourd'hui, maman est morte",
+        content: "Aujourd'hui, maman est morte. Ou peut-être hier.",
+        kind: 'sentence',
+        language: 'fr',
+        source: { ...SOURCE, part: 1, chapter: 1 }
+    },
+    {
+        id: 'telegramme',
+        title: 'Le télégramme',
+        content: "Aujourd'hui, maman est morte. Ou peut-être hier, je ne sais pas. " +
+            "J'ai reçu un télégramme de l'asile : « Mère décédée. Enterrement demain. " +
+            "Sentiments distingués. » Cela ne veut rien dire. C'était peut-être hier.",
+        kind: 'paragraph',
+        language: 'fr',
+        source: { ...SOURCE, part: 1, chapter: 1 }
+    },
+    {
+        id: 'malheur',
+        title: 'La porte du malheur',
+        content: "C'était comme si je frappais quatre coups brefs sur la porte du malheur.",
+        kind: 'sentence',
+        language: 'fr',
+        source: { ...SOURCE, part: 1, chapter: 6 }
+    },
+    {
+        id: 'indifference',
+        title: 'La tendre indifférence du monde',
+        content: "Je m'ouvrais pour la première fois à la tendre indifférence du monde.",
+        kind: 'sentence',
+        language: 'fr',
+        source: { ...SOURCE, part: 2, chapter: 5 }
+    }
+];
+
+export const DEFAULT_TEXT_ID = 'aujourdhui';
+
+// URL parameter (?text=<id>) and localStorage key used to pick a text
+const TEXT_PARAM = 'text';
+const TEXT_STORAGE_KEY = 'absurde_text_id';
+
+// Letters that get drawn and float; everything else is auto-filled punctuation
+const LETTER_PATTERN = /[a-zA-ZÀ-ÿ]/;
+
+// ========================================
+// LOOKUP & SELECTION
+// ========================================
+
+/**
+ * Find a text definition by ID
+ * @param {string} id - Text ID
+ * @returns {Object|null} - Text definition or null if unknown
+ */
+export function getTextById(id) {
+    return TEXTS.find(text => text.id === id) || null;
+}
+
+/**
+ * Resolve the currently selected text
+ * Priority: ?text= URL parameter, then last choice in localStorage, then default.
+ * A valid URL parameter is remembered so navigating between modes keeps it.
+ * @returns {Object} - Text definition
+ */
+export function getSelectedText() {
+    let paramId = null;
+    try {
+        paramId = new URLSearchParams(window.location.search).get(TEXT_PARAM);
+    } catch (e) {
+        // No window/location (e.g. Node scripts)
+    }
+
+    if (paramId && getTextById(paramId)) {
+        setSelectedTextId(paramId);
+        return getTextById(paramId);
+    }
+
+    if (paramId) {
+        console.warn(`Unknown text "${paramId}" - falling back to saved or default text`);
+    }
+
+    let storedId = null;
+    try {
+        storedId = localStorage.getItem(TEXT_STORAGE_KEY);
+    } catch (e) {
+        // localStorage might be disabled
+    }
+
+    return getTextById(storedId) || getTextById(DEFAULT_TEXT_ID);
+}
+
+/**
+ * Remember the chosen text for subsequent visits
+ * @param {string} id - Text ID
+ */
+export function setSelectedTextId(id) {
+    if (!getTextById(id)) {
+        throw new Error(`Unknown text: ${id}`);
+    }
+
+    try {
+        localStorage.setItem(TEXT_STORAGE_KEY, id);
+    } catch (e) {
+        console.warn('Failed to persist text selection:', e);
+    }
+}
+
+// ========================================
+// CHARACTER HELPERS
+// ========================================
+
+/**
+ * Check whether a character is a drawable letter (including accented)
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export function isLetter(char) {
+    return LETTER_PATTERN.test(char);
+}
+
+/**
+ * Unique letters of a text, in order of first appearance
+ * @param {string} content - Text content
+ * @returns {string[]}
+ */
+export function getUniqueLetters(content) {
+    const chars = new Set();
+    for (const char of content) {
+        if (isLetter(char)) {
+            chars.add(char);
+        }
+    }
+    return Array.from(chars);
+}
@@ -6,5 +6,13 @@ export default defineConfig({
         port: 5173,
         open: true,
         strictPort: true
+    },
+    test: {
+        include: ['tests/**/*.test.js'],
+        benchmark: {
+            include: ['tests/**/*.bench.js']
+        },
+        setupFiles: ['tests/setup.js'],
+        environment: 'node'
     }
 });
@@ -0,0 +1,116 @@
+// WOFF2 Encoding
+// Packs an OpenType font into a WOFF2 web font. Tables are stored untransformed,
+// which suits the CFF fonts from font-export.js (the glyf transform only applies
+// to TrueType outlines). Brotli compression is passed in, because browsers have
+// no Brotli encoder; otf-to-woff2.js uses Node's.
+
+const WOFF2_SIGNATURE = 0x774F4632; // 'wOF2'
+const HEADER_SIZE = 48;
+const NULL_TRANSFORM_GLYF = 3; // Transform version meaning "untransformed" for glyf and loca
+
+// Tags with a one-byte code in the table directory (WOFF2 spec, section 5.1)
+const KNOWN_TAGS = [
+    'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca',
+    'prep', 'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea',
+    'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL',
+    'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+    'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat',
+    'Gloc', 'Feat', 'Sill'
+];
+const ARBITRARY_TAG = 63;
+
+/**
+ * Read the table directory of an OpenType (sfnt) font
+ * @param {Uint8Array} sfnt
+ * @returns {{flavor: number, tables: Array<{tag: string, data: Uint8Array}>}}
+ */
+export function readSfntTables(sfnt) {
+    const view = new DataView(sfnt.buffer, sfnt.byteOffset, sfnt.byteLength);
+    const flavor = view.getUint32(0);
+    const numTables = view.getUint16(4);
+    const tables = [];
+
+    for (let i = 0; i < numTables; i++) {
+        const entry = 12 + i * 16;
+        const tag = String.fromCharCode(...sfnt.subarray(entry, entry + 4));
+        const offset = view.getUint32(entry + 8);
+        const length = view.getUint32(entry + 12);
+        if (offset + length > sfnt.byteLength) {
+            throw new Error(`Table "${tag}" runs past the end of the font`);
+        }
+        tables.push({ tag: tag, data: sfnt.subarray(offset, offset + length) });
+    }
+
+    return { flavor, tables };
+}
+
+/**
+ * Encode a number as UIntBase128 (big-endian, 7 bits per byte, high bit = more follows)
+ * @param {number} value
+ * @returns {number[]}
+ */
+export function encodeUIntBase128(value) {
+    const bytes = [value & 0x7F];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+        bytes.unshift((value & 0x7F) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    return bytes;
+}
+
+function pad4(length) {
+    return (length + 3) & ~3;
+}
+
+/**
+ * Convert an OpenType font to WOFF2
+ * @param {ArrayBuffer|Uint8Array} sfnt - The .otf (or .ttf) file
+ * @param {(data: Uint8Array) => Uint8Array} compress - Brotli compression
+ * @returns {Uint8Array} - The .woff2 file
+ */
+export function encodeWoff2(sfnt, compress) {
+    const { flavor, tables } = readSfntTables(sfnt instanceof Uint8Array ? sfnt : new Uint8Array(sfnt));
+
+    // Table directory
+    const directory = [];
+    tables.forEach(({ tag, data }) => {
+        const known = KNOWN_TAGS.indexOf(tag);
+        const transform = tag === 'glyf' || tag === 'loca' ? NULL_TRANSFORM_GLYF : 0;
+        directory.push((known < 0 ? ARBITRARY_TAG : known) | (transform << 6));
+        if (known < 0) {
+            for (let i = 0; i < 4; i++) directory.push(tag.charCodeAt(i));
+        }
+        directory.push(...encodeUIntBase128(data.length));
+    });
+
+    // All tables back to back, without padding, compressed as one stream
+    const uncompressed = new Uint8Array(tables.reduce((sum, table) => sum + table.data.length, 0));
+    let offset = 0;
+    tables.forEach(({ data }) => {
+        uncompressed.set(data, offset);
+        offset += data.length;
+    });
+    const compressed = compress(uncompressed);
+
+    const totalSfntSize = 12 + 16 * tables.length +
+        tables.reduce((sum, table) => sum + pad4(table.data.length), 0);
+    const length = pad4(HEADER_SIZE + directory.length + compressed.length);
+
+    const woff2 = new Uint8Array(length);
+    const view = new DataView(woff2.buffer);
+    view.setUint32(0, WOFF2_SIGNATURE);
+    view.setUint32(4, flavor);
+    view.setUint32(8, length);
+    view.setUint16(12, tables.length);
+    view.setUint16(14, 0); // reserved
+    view.setUint32(16, totalSfntSize);
+    view.setUint32(20, compressed.length);
+    view.setUint16(24, 1); // majorVersion
+    view.setUint16(26, 0); // minorVersion
+    // No metadata or private data: offsets and lengths at 28-44 stay 0
+
+    woff2.set(directory, HEADER_SIZE);
+    woff2.set(compressed, HEADER_SIZE + directory.length);
+    return woff2;
+}